@@ -0,0 +1,692 @@
+import "dotenv/config";
+import { readFileSync } from "node:fs";
+import { parseArgs } from "node:util";
+import { Queue } from "bullmq";
+import { nanoid } from "nanoid";
+
+const DEFAULT_QUEUE_NAME = "turbobackend-queue";
+
+const USAGE = `Usage: npm run admin -- <command> [args] [flags]
+
+Commands:
+  queues                          List every BullMQ queue in Redis with its job counts
+  list                            Show job counts and the most recent jobs per state
+  inspect <jobId>                 Show a job's data, result, failure and request ledger entry
+  tail <streamId>                 Print a request's stream (stored history, then live) until it completes
+  cancel <jobId>                  Remove a waiting job, or ask the worker to stop an active one
+  replay <requestId>              Re-run a request from mcp_requests.request_params as a replay job
+  enqueue <jobName>               Add a job with a JSON payload (validated before it is queued)
+  drain                           Remove all waiting jobs
+  clean                           Remove finished jobs
+  webhooks <action> [webhookId]   Manage webhooks: add, list, remove, deliveries, test, listen
+  model <projectId> [model]       Show the LLM model a project's jobs use, or set the project's default
+  budget <projectId> [name=value] Show a project's agent run budgets, or override some (e.g. costUsd=10)
+
+Flags:
+  -q, --queue <name>              Queue to operate on (default: ${DEFAULT_QUEUE_NAME})
+      --dead-letter               Operate on the dead-letter queue instead
+      --redis-host <host>         Redis host (overrides the environment)
+      --redis-port <port>         Redis port (overrides the environment)
+      --state <a,b>               list: states to show (default: waiting,active,delayed,failed)
+                                  clean: states to clean (default: failed,completed)
+      --limit <n>                 list: jobs per state (default: 20); clean: max jobs (default: 1000)
+      --grace <seconds>           clean: only remove jobs finished longer ago than this (default: 0)
+      --job <jobId>               tail: follow the stream of this job
+      --from <offset>             tail: only print events after this stream offset
+      --timeout <seconds>         tail: stop after this long (default: wait for completion)
+      --request <requestId>       cancel: cancel by request id instead of job id
+      --reason <text>             cancel: reason shown on the stream
+      --project <projectId>       replay: run against this project instead of the original
+      --fresh-project             replay: run a creation against a newly generated project id
+      --job-name <name>           replay: job to run when the ledger did not record one
+      --payload <json>            enqueue: job payload
+      --payload-file <path>       enqueue: read the job payload from a file
+      --delayed                   drain: also remove delayed jobs
+      --cancel-active             drain: also ask the worker to stop active jobs
+      --user <userId>             webhooks: owner (add) or filter (list)
+      --url <url>                 webhooks add: receiver URL (plain http is allowed outside production)
+      --events <a,b>              webhooks add: event types to send (default: all)
+      --port <n>                  webhooks listen: port for the local receiver (default: 4000)
+      --secret <secret>           webhooks listen: verify signatures with this secret
+      --plan <plan>               budget: show the budgets a user on this plan gets
+      --json                      Print machine-readable output
+  -h, --help                      Show this help
+
+Webhooks scoped with --project only receive that project's events; without it they receive events
+for every project of --user. "webhooks listen" runs a local receiver that prints deliveries, so
+"webhooks add --url http://localhost:4000 ..." can be tested end to end.
+
+Replaying a dead-lettered job (replay --dead-letter <entryId>) puts its original payload back on
+the queue under its original request id, so a project creation resumes from its checkpoints
+(from the sandbox phase on when the container GC has reaped its sandbox).`;
+
+class UsageError extends Error {}
+
+const { values: flags, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    queue: { type: "string", short: "q", default: DEFAULT_QUEUE_NAME },
+    "dead-letter": { type: "boolean", default: false },
+    "redis-host": { type: "string" },
+    "redis-port": { type: "string" },
+    state: { type: "string" },
+    limit: { type: "string" },
+    grace: { type: "string" },
+    job: { type: "string" },
+    from: { type: "string" },
+    timeout: { type: "string" },
+    request: { type: "string" },
+    reason: { type: "string", default: "Cancelled by admin" },
+    project: { type: "string" },
+    "fresh-project": { type: "boolean", default: false },
+    "job-name": { type: "string" },
+    payload: { type: "string" },
+    "payload-file": { type: "string" },
+    delayed: { type: "boolean", default: false },
+    "cancel-active": { type: "boolean", default: false },
+    user: { type: "string" },
+    url: { type: "string" },
+    events: { type: "string" },
+    port: { type: "string" },
+    secret: { type: "string" },
+    plan: { type: "string" },
+    json: { type: "boolean", default: false },
+    help: { type: "boolean", short: "h", default: false }
+  }
+});
+
+const parseList = (value, fallback) =>
+  value ? value.split(",").map((item) => item.trim()).filter(Boolean) : fallback;
+
+const parseInteger = (value, fallback, flag) => {
+  if (value === undefined) {
+    return fallback;
+  }
+  const parsed = Number.parseInt(value, 10);
+  if (Number.isNaN(parsed) || parsed < 0) {
+    throw new UsageError(`${flag} must be a non-negative integer`);
+  }
+  return parsed;
+};
+
+const requireArg = (args, name) => {
+  if (!args[0]) {
+    throw new UsageError(`Missing <${name}>`);
+  }
+  return args[0];
+};
+
+const print = (value) => console.log(JSON.stringify(value, null, 2));
+
+const formatTimestamp = (ms) => (ms ? new Date(ms).toISOString() : null);
+
+// Dead-letter entries wrap the original job, so summarize what they point at.
+function summarizeJob(job) {
+  const isDeadLetter = Boolean(job.data?.originalJobId);
+  const data = isDeadLetter ? job.data.payload ?? {} : job.data ?? {};
+
+  return {
+    id: job.id,
+    name: job.name,
+    attempts: isDeadLetter
+      ? job.data.attemptsMade
+      : `${job.attemptsMade}/${job.opts.attempts ?? 1}`,
+    projectId: data.project_id ?? null,
+    requestId: data.requestId ?? null,
+    streamId: data.streamId ?? null,
+    createdAt: formatTimestamp(job.timestamp),
+    ...(isDeadLetter && {
+      originalJobId: job.data.originalJobId,
+      lastError: job.data.lastError?.message ?? null
+    }),
+    ...(job.failedReason && { failedReason: job.failedReason })
+  };
+}
+
+async function loadRequestLedger(requestId) {
+  try {
+    const { default: pool } = await import("./databases/postgresConnector.js");
+    const request = await pool.query(
+      `SELECT request_id, tool_name, job_name, job_id, response_status, created_at, completed_at,
+              duration_seconds, total_cost_usd, error_reason, result_summary
+       FROM ${process.env.PG_DB_SCHEMA}.mcp_requests WHERE request_id = $1`,
+      [requestId]
+    );
+    const checkpoints = await pool.query(
+      `SELECT phase, created_at FROM ${process.env.PG_DB_SCHEMA}.job_checkpoints
+       WHERE request_id = $1 ORDER BY created_at`,
+      [requestId]
+    );
+    return { request: request.rows[0] ?? null, checkpoints: checkpoints.rows };
+  } catch (error) {
+    return { error: `Request ledger unavailable: ${error.message}` };
+  }
+}
+
+async function listQueues({ redis }) {
+  const queueNames = new Set();
+  for await (const keys of redis.scanStream({ match: "bull:*:meta", count: 100 })) {
+    keys.forEach((key) => queueNames.add(key.slice("bull:".length, -":meta".length)));
+  }
+
+  const queues = [];
+  for (const name of [...queueNames].sort()) {
+    const queue = new Queue(name, { connection: redis });
+    queues.push({ name, counts: await queue.getJobCounts() });
+    await queue.close();
+  }
+
+  if (flags.json) {
+    print(queues);
+    return;
+  }
+
+  console.log(`Found ${queues.length} queue(s):`);
+  queues.forEach(({ name, counts }) => console.log(`  - ${name}`, counts));
+}
+
+async function listJobs({ queue }) {
+  const states = parseList(flags.state, ["waiting", "active", "delayed", "failed"]);
+  const limit = parseInteger(flags.limit, 20, "--limit");
+
+  const counts = await queue.getJobCounts();
+  const jobs = {};
+  for (const state of states) {
+    jobs[state] = limit > 0 ? (await queue.getJobs([state], 0, limit - 1)).map(summarizeJob) : [];
+  }
+
+  if (flags.json) {
+    print({ queue: queue.name, counts, jobs });
+    return;
+  }
+
+  console.log(`=== ${queue.name} ===`);
+  console.log("Job counts:", counts);
+  for (const state of states) {
+    console.log(`\n=== ${state} (${counts[state] ?? 0}) ===`);
+    jobs[state].forEach((job) => console.log(job));
+  }
+}
+
+async function inspectJob({ queue, args }) {
+  const jobId = requireArg(args, "jobId");
+  const job = await queue.getJob(jobId);
+  if (!job) {
+    throw new Error(`Job ${jobId} not found in ${queue.name}`);
+  }
+
+  const requestId = job.data?.requestId ?? job.data?.payload?.requestId ?? null;
+  const details = {
+    id: job.id,
+    name: job.name,
+    state: await job.getState(),
+    attempts: `${job.attemptsMade}/${job.opts.attempts ?? 1}`,
+    createdAt: formatTimestamp(job.timestamp),
+    processedAt: formatTimestamp(job.processedOn),
+    finishedAt: formatTimestamp(job.finishedOn),
+    data: job.data,
+    returnValue: job.returnvalue ?? null,
+    failedReason: job.failedReason ?? null,
+    stacktrace: job.stacktrace?.at(-1) ?? null,
+    ledger: requestId ? await loadRequestLedger(requestId) : null
+  };
+
+  if (flags.json) {
+    print(details);
+    return;
+  }
+
+  const { data, returnValue, failedReason, stacktrace, ledger, ...summary } = details;
+  console.log(summary);
+  console.log("\n--- Job Data ---");
+  print(data);
+  if (returnValue) {
+    console.log("\n--- Job Result ---");
+    print(returnValue);
+  }
+  if (failedReason) {
+    console.log("\n--- Failure Reason ---");
+    console.log(failedReason);
+  }
+  if (stacktrace) {
+    console.log("\n--- Stack Trace ---");
+    console.log(stacktrace);
+  }
+  if (ledger) {
+    console.log("\n--- Request Ledger ---");
+    print(ledger);
+  }
+}
+
+const RESULT_ICONS = { success: "✅", error: "❌", cancelled: "🛑" };
+
+function formatStreamMessage(event) {
+  if (flags.json) {
+    return JSON.stringify(event);
+  }
+
+  const prefix = `${event.timestamp} #${event.sequence}${event.offset ? ` ${event.offset}` : ""}`;
+  const { payload } = event;
+
+  switch (event.type) {
+    case "job_started":
+      return `${prefix} ▶️  ${payload.jobName} (attempt ${payload.attempt})`;
+    case "progress":
+      return `${prefix} [${payload.progress}%] ${payload.message}`;
+    case "phase_completed":
+      return `${prefix} ✔️  phase ${payload.phase} completed`;
+    case "result":
+      return `${prefix} ${RESULT_ICONS[payload.status]} ${payload.content}`;
+    case "deployment":
+      return `${prefix} deployment ${payload.status}: ${payload.url}`;
+    case "api_blueprint":
+      return `${prefix} API blueprint published`;
+    case "agent_reasoning":
+      return `${prefix} 🤖 #${payload.iteration} ($${payload.usage.costUsd.toFixed(4)}) ${payload.reasoning}`;
+    case "agent_command": {
+      const target = payload.path ?? payload.command ?? "";
+      const outcome = payload.success ? "ok" : `failed: ${payload.error}`;
+      return `${prefix}    ${payload.type} ${target} (${outcome})`;
+    }
+    default:
+      return `${prefix} ${event.type} ${JSON.stringify(payload)}`;
+  }
+}
+
+async function tailStream({ queue, args }) {
+  const { followStream } = await import("./worker/pubsub-handlers.js");
+  const { isTerminalStreamEvent } = await import("./worker/streamEventSchemas.js");
+
+  let streamId = args[0];
+  if (flags.job) {
+    const job = await queue.getJob(flags.job);
+    if (!job) {
+      throw new Error(`Job ${flags.job} not found in ${queue.name}`);
+    }
+    streamId = job.data?.streamId ?? job.data?.payload?.streamId;
+  }
+  if (!streamId) {
+    throw new UsageError("tail needs a <streamId> or --job <jobId>");
+  }
+
+  const timeoutSeconds = parseInteger(flags.timeout, 0, "--timeout");
+
+  console.log(
+    `Tailing stream ${streamId}${flags.from ? ` after offset ${flags.from}` : ""} (Ctrl+C to stop)...`
+  );
+
+  let following = null;
+  await new Promise((resolve, reject) => {
+    const timer = timeoutSeconds > 0 ? setTimeout(resolve, timeoutSeconds * 1000) : null;
+    const finish = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+
+    process.once("SIGINT", finish);
+    // Stored history is printed first, so a stream that already finished still ends the tail
+    following = followStream(
+      streamId,
+      (event) => {
+        console.log(formatStreamMessage(event));
+        if (isTerminalStreamEvent(event)) {
+          finish();
+        }
+      },
+      { after: flags.from }
+    );
+    following.catch(reject);
+  });
+
+  const stop = await following.catch(() => null);
+  await stop?.();
+}
+
+async function cancelJob({ queue, args }) {
+  const { requestCancellation } = await import("./worker/utils/jobCancellation.js");
+
+  if (flags.request) {
+    await requestCancellation(flags.request, flags.reason);
+    return;
+  }
+
+  const jobId = requireArg(args, "jobId");
+  const job = await queue.getJob(jobId);
+  if (!job) {
+    throw new Error(`Job ${jobId} not found in ${queue.name}`);
+  }
+
+  const state = await job.getState();
+  if (state === "active") {
+    // Processors record the request id as soon as they start
+    if (!job.data.requestId) {
+      throw new Error(`Job ${jobId} has not recorded a requestId yet; try again in a moment`);
+    }
+    await requestCancellation(job.data.requestId, flags.reason);
+    console.log(`Asked the worker to stop job ${jobId} (request ${job.data.requestId})`);
+    return;
+  }
+
+  if (state === "completed" || state === "failed") {
+    console.log(`Job ${jobId} is already ${state}; nothing to cancel`);
+    return;
+  }
+
+  await job.remove();
+  console.log(`Removed ${state} job ${jobId}`);
+}
+
+async function enqueueValidated(queue, jobName, payload) {
+  const { getJobOptions, validateJobPayload } = await import(
+    "./worker/processors/processorFunctions.js"
+  );
+
+  validateJobPayload(jobName, payload);
+  const job = await queue.add(jobName, payload, getJobOptions(jobName));
+
+  if (flags.json) {
+    print({ jobId: job.id, jobName, streamId: payload.streamId });
+    return job;
+  }
+
+  console.log(`✅ Enqueued ${jobName} as job ${job.id} on ${queue.name}`);
+  console.log(`Follow it with: npm run admin -- tail ${payload.streamId}`);
+  return job;
+}
+
+// With --dead-letter the command queue is the dead-letter queue itself.
+async function replayDeadLetter({ queue: deadLetterQueue, redis, args }) {
+  const entryId = requireArg(args, "entryId");
+  const entry = await deadLetterQueue.getJob(entryId);
+  if (!entry) {
+    throw new Error(`Dead-letter entry ${entryId} not found`);
+  }
+
+  // Keep the request id so checkpoints are reused; the worker derives a fresh idempotency key.
+  const { idempotencyKey, ...payload } = entry.data.payload;
+  const queue = new Queue(entry.data.originalQueue, { connection: redis });
+  try {
+    await enqueueValidated(queue, entry.name, { ...payload, streamId: nanoid() });
+  } finally {
+    await queue.close();
+  }
+
+  await entry.remove();
+}
+
+async function replayRequest(context) {
+  if (flags["dead-letter"]) {
+    return replayDeadLetter(context);
+  }
+
+  // The worker loads the stored parameters itself and links the new request to the original
+  const requestId = requireArg(context.args, "requestId");
+  await enqueueValidated(context.queue, "replayRequestJob", {
+    original_request_id: requestId,
+    streamId: nanoid(),
+    ...(flags.project && { project_id: flags.project }),
+    ...(flags["fresh-project"] && { fresh_project: true }),
+    ...(flags["job-name"] && { job_name: flags["job-name"] })
+  });
+}
+
+async function enqueueJob({ queue, args }) {
+  const jobName = requireArg(args, "jobName");
+  const raw = flags["payload-file"]
+    ? readFileSync(flags["payload-file"], "utf8")
+    : flags.payload;
+  if (!raw) {
+    throw new UsageError("enqueue needs --payload <json> or --payload-file <path>");
+  }
+
+  const payload = JSON.parse(raw);
+  await enqueueValidated(queue, jobName, { streamId: nanoid(), ...payload });
+}
+
+async function drainQueue({ queue }) {
+  console.log("Job counts before:", await queue.getJobCounts());
+
+  await queue.drain(flags.delayed);
+  console.log(`Removed waiting${flags.delayed ? " and delayed" : ""} jobs`);
+
+  if (flags["cancel-active"]) {
+    const { requestCancellation } = await import("./worker/utils/jobCancellation.js");
+    for (const job of await queue.getActive()) {
+      if (job.data.requestId) {
+        await requestCancellation(job.data.requestId, flags.reason);
+      } else {
+        console.log(`⚠️  Active job ${job.id} has no requestId yet; cancel it separately`);
+      }
+    }
+  }
+
+  console.log("Job counts after:", await queue.getJobCounts());
+}
+
+async function cleanJobs({ queue }) {
+  const states = parseList(flags.state, ["failed", "completed"]);
+  const graceMs = parseInteger(flags.grace, 0, "--grace") * 1000;
+  const limit = parseInteger(flags.limit, 1000, "--limit");
+
+  for (const state of states) {
+    const removed = await queue.clean(graceMs, limit, state);
+    console.log(`🧹 Removed ${removed.length} ${state} job(s)`);
+  }
+
+  console.log("Job counts:", await queue.getJobCounts());
+}
+
+// A receiver for trying webhooks locally: prints each delivery and whether its signature checks out.
+async function listenForWebhooks(verifyWebhookSignature, signatureHeader) {
+  const { createServer } = await import("node:http");
+  const port = parseInteger(flags.port, 4000, "--port");
+
+  const server = createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => {
+      const signature = req.headers[signatureHeader.toLowerCase()];
+      const valid = flags.secret ? verifyWebhookSignature(flags.secret, signature, body) : null;
+      const verdict =
+        valid === null ? "signature not checked (no --secret)" : valid ? "✅ signature ok" : "❌ bad signature";
+
+      console.log(
+        `${new Date().toISOString()} ${req.headers["x-turbobackend-event"]} ${req.headers["x-turbobackend-delivery"]} ${verdict}`
+      );
+      try {
+        console.log(flags.json ? body : JSON.stringify(JSON.parse(body), null, 2));
+      } catch {
+        console.log(body);
+      }
+
+      res.writeHead(valid === false ? 401 : 204);
+      res.end();
+    });
+  });
+
+  await new Promise((resolve) => server.listen(port, resolve));
+  console.log(`Listening for webhooks on http://localhost:${port} (Ctrl+C to stop)...`);
+  await new Promise((resolve) => process.once("SIGINT", resolve));
+  server.close();
+}
+
+async function manageWebhooks({ args }) {
+  const [action, webhookId] = args;
+
+  // The local receiver only checks signatures, so it runs without Postgres
+  if (action === "listen") {
+    const { SIGNATURE_HEADER, verifyWebhookSignature } = await import("./worker/utils/webhookSignatures.js");
+    await listenForWebhooks(verifyWebhookSignature, SIGNATURE_HEADER);
+    return;
+  }
+
+  const webhooks = await import("./worker/utils/webhooks.js");
+
+  switch (action) {
+    case "add": {
+      if (!flags.user || !flags.url) {
+        throw new UsageError("webhooks add needs --user and --url");
+      }
+      const created = await webhooks.registerWebhook({
+        userId: flags.user,
+        projectId: flags.project ?? null,
+        url: flags.url,
+        eventTypes: parseList(flags.events, webhooks.WEBHOOK_EVENT_TYPES)
+      });
+      if (flags.json) {
+        print(created);
+      } else {
+        console.log(`✅ Webhook ${created.webhookId} registered`);
+        console.log(`Signing secret (shown once): ${created.secret}`);
+      }
+      return;
+    }
+    case "list": {
+      const rows = await webhooks.listWebhooks({ userId: flags.user ?? null, projectId: flags.project ?? null });
+      if (flags.json) {
+        print(rows);
+      } else if (rows.length === 0) {
+        console.log("No webhooks");
+      } else {
+        console.table(rows);
+      }
+      return;
+    }
+    case "remove": {
+      const removed = await webhooks.removeWebhook(requireArg(args.slice(1), "webhookId"));
+      console.log(removed ? `🗑️  Webhook ${webhookId} removed` : `Webhook ${webhookId} not found`);
+      return;
+    }
+    case "deliveries": {
+      const rows = await webhooks.listWebhookDeliveries(
+        requireArg(args.slice(1), "webhookId"),
+        parseInteger(flags.limit, 20, "--limit")
+      );
+      if (flags.json) {
+        print(rows);
+      } else {
+        console.table(rows);
+      }
+      return;
+    }
+    case "test": {
+      const outcome = await webhooks.sendTestWebhook(requireArg(args.slice(1), "webhookId"));
+      if (flags.json) {
+        print(outcome);
+      } else {
+        console.log(outcome.ok ? `✅ Ping delivered (HTTP ${outcome.status})` : `❌ Ping failed: ${outcome.error}`);
+      }
+      return;
+    }
+    default:
+      throw new UsageError(`Unknown webhooks action "${action ?? ""}"`);
+  }
+}
+
+async function projectModel({ args }) {
+  const projectId = requireArg(args, "projectId");
+  const model = args[1];
+  const llm = await import("./worker/llms/llmProvider.js");
+
+  if (model) {
+    await llm.setProjectLLMModel(projectId, model);
+    console.log(`✅ Project ${projectId} now uses ${model}`);
+    return;
+  }
+
+  const resolved = await llm.resolveLLMModel({ projectId });
+  if (flags.json) {
+    print({ projectId, model: resolved, supported: llm.SUPPORTED_LLM_MODELS });
+  } else {
+    console.log(`Project ${projectId} uses ${resolved}`);
+    console.log(`Supported models: ${llm.SUPPORTED_LLM_MODELS.join(", ")}`);
+  }
+}
+
+async function projectBudget({ args }) {
+  const projectId = requireArg(args, "projectId");
+  const budgets = await import("./worker/utils/agentBudget.js");
+
+  const overrides = args.slice(1);
+  if (overrides.length > 0) {
+    const limits = Object.fromEntries(overrides.map((override) => {
+      const [name, value] = override.split("=");
+      if (!budgets.AGENT_BUDGET_NAMES.includes(name) || !Number.isFinite(Number(value))) {
+        throw new UsageError(`Budgets are set as name=number with name one of: ${budgets.AGENT_BUDGET_NAMES.join(", ")}`);
+      }
+      return [name, Number(value)];
+    }));
+    await budgets.setProjectAgentBudget(projectId, limits);
+    console.log(`✅ Updated budgets for project ${projectId}`);
+  }
+
+  const resolved = await budgets.resolveAgentBudget(projectId, { plan: flags.plan });
+  if (flags.json) {
+    print({ projectId, plan: flags.plan ?? null, budget: resolved });
+  } else {
+    console.table(resolved);
+  }
+}
+
+const commands = {
+  queues: listQueues,
+  list: listJobs,
+  inspect: inspectJob,
+  tail: tailStream,
+  cancel: cancelJob,
+  replay: replayRequest,
+  enqueue: enqueueJob,
+  drain: drainQueue,
+  clean: cleanJobs,
+  webhooks: manageWebhooks,
+  model: projectModel,
+  budget: projectBudget
+};
+
+async function main() {
+  const [commandName, ...args] = positionals;
+  if (flags.help || !commandName) {
+    console.log(USAGE);
+    return;
+  }
+
+  const command = commands[commandName];
+  if (!command) {
+    throw new UsageError(`Unknown command "${commandName}"`);
+  }
+
+  // The shared connector reads its host from the environment, so apply overrides before loading it
+  const isProduction = process.env.NODE_ENV === "production";
+  if (flags["redis-host"]) {
+    process.env[isProduction ? "REDIS_HOST_URL" : "REDIS_DEV_HOST"] = flags["redis-host"];
+  }
+  if (flags["redis-port"]) {
+    process.env[isProduction ? "REDIS_PORT" : "REDIS_DEV_PORT"] = flags["redis-port"];
+  }
+  const { redis } = await import("./databases/redisConnector.js");
+
+  const queueName = flags["dead-letter"]
+    ? (await import("./worker/utils/deadLetterQueue.js")).DEAD_LETTER_QUEUE_NAME
+    : flags.queue;
+  const queue = new Queue(queueName, { connection: redis });
+
+  try {
+    await command({ queue, redis, args });
+  } finally {
+    await queue.close();
+    await redis.quit();
+  }
+}
+
+// Some commands load worker modules that hold their own connections, so exit explicitly.
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(`❌ ${error.message}`);
+    if (error instanceof UsageError) {
+      console.error(`\n${USAGE}`);
+    }
+    process.exit(1);
+  });
@@ -157,3 +157,107 @@ WHERE last_updated IS NULL;
 -- ============================================
 ALTER TABLE turbobackend.cloud_credentials 
 RENAME COLUMN parameter_store_path TO credential;
+
+-- ============================================
+-- Resumable Project Creation: Phase Checkpoints
+-- ============================================
+-- One row per completed pipeline phase; a retried job skips phases already recorded here.
+CREATE TABLE IF NOT EXISTS turbobackend.job_checkpoints (
+  checkpoint_id VARCHAR PRIMARY KEY,
+  request_id VARCHAR,
+  project_id VARCHAR,
+  phase VARCHAR,
+  phase_output JSONB,
+  created_at BIGINT,
+  UNIQUE (request_id, phase)
+);
+
+-- Order in which the phases completed; created_at is in whole seconds and can tie
+ALTER TABLE turbobackend.job_checkpoints ADD COLUMN IF NOT EXISTS sequence BIGSERIAL;
+
+-- ============================================
+-- Idempotent Job Submission
+-- ============================================
+-- Duplicate submissions share an idempotency key and are answered from the stored result.
+ALTER TABLE turbobackend.mcp_requests ADD COLUMN IF NOT EXISTS idempotency_key VARCHAR;
+ALTER TABLE turbobackend.mcp_requests ADD COLUMN IF NOT EXISTS result_summary JSONB;
+CREATE INDEX IF NOT EXISTS mcp_requests_idempotency_key_idx ON turbobackend.mcp_requests (idempotency_key);
+
+-- ============================================
+-- Request Lifecycle Ledger
+-- ============================================
+-- The worker records who/what each request was and how it ended
+-- (processing -> retrying -> completed | failed | cancelled).
+ALTER TABLE turbobackend.mcp_requests ADD COLUMN IF NOT EXISTS project_id VARCHAR;
+ALTER TABLE turbobackend.mcp_requests ADD COLUMN IF NOT EXISTS user_id VARCHAR;
+ALTER TABLE turbobackend.mcp_requests ADD COLUMN IF NOT EXISTS job_name VARCHAR;
+ALTER TABLE turbobackend.mcp_requests ADD COLUMN IF NOT EXISTS job_id VARCHAR;
+ALTER TABLE turbobackend.mcp_requests ADD COLUMN IF NOT EXISTS completed_at BIGINT;
+ALTER TABLE turbobackend.mcp_requests ADD COLUMN IF NOT EXISTS duration_seconds INTEGER;
+ALTER TABLE turbobackend.mcp_requests ADD COLUMN IF NOT EXISTS total_cost_usd DECIMAL(10, 6);
+ALTER TABLE turbobackend.mcp_requests ADD COLUMN IF NOT EXISTS error_reason TEXT;
+
+-- ============================================
+-- Request Replays
+-- ============================================
+-- A replayed request points back at the request whose parameters it re-ran.
+ALTER TABLE turbobackend.mcp_requests ADD COLUMN IF NOT EXISTS replay_of_request_id VARCHAR;
+CREATE INDEX IF NOT EXISTS mcp_requests_replay_of_request_id_idx ON turbobackend.mcp_requests (replay_of_request_id);
+
+-- ============================================
+-- Container Garbage Collection
+-- ============================================
+-- Sessions record the request that provisioned them so the GC can stop sandboxes
+-- once that request has finished.
+ALTER TABLE turbobackend.container_sessions ADD COLUMN IF NOT EXISTS request_id VARCHAR;
+CREATE INDEX IF NOT EXISTS container_sessions_open_idx ON turbobackend.container_sessions (started_at) WHERE stopped_at IS NULL;
+
+-- ============================================
+-- Outbound Webhooks
+-- ============================================
+-- Receivers of signed job lifecycle events; project_id NULL covers every project of the user.
+CREATE TABLE IF NOT EXISTS turbobackend.webhook_endpoints (
+  webhook_id VARCHAR PRIMARY KEY,
+  user_id VARCHAR NOT NULL,
+  project_id VARCHAR,
+  url TEXT NOT NULL,
+  secret VARCHAR NOT NULL,
+  event_types TEXT[] NOT NULL,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at BIGINT
+);
+CREATE INDEX IF NOT EXISTS webhook_endpoints_project_id_idx ON turbobackend.webhook_endpoints (project_id) WHERE active;
+CREATE INDEX IF NOT EXISTS webhook_endpoints_user_id_idx ON turbobackend.webhook_endpoints (user_id) WHERE active;
+
+-- Delivery log: one row per event per webhook (pending -> retrying -> delivered | failed | skipped).
+CREATE TABLE IF NOT EXISTS turbobackend.webhook_deliveries (
+  delivery_id VARCHAR PRIMARY KEY,
+  webhook_id VARCHAR REFERENCES turbobackend.webhook_endpoints (webhook_id),
+  event_type VARCHAR,
+  request_id VARCHAR,
+  payload JSONB,
+  status VARCHAR,
+  attempts INTEGER DEFAULT 0,
+  response_status INTEGER,
+  last_error TEXT,
+  created_at BIGINT,
+  last_attempt_at BIGINT,
+  delivered_at BIGINT
+);
+CREATE INDEX IF NOT EXISTS webhook_deliveries_webhook_id_idx ON turbobackend.webhook_deliveries (webhook_id, created_at);
+
+-- ============================================
+-- Post-Loop Verification
+-- ============================================
+-- One row per request that reached verification; report holds every round (build, health
+-- check, endpoint smoke tests, failures and the repair run's summary).
+CREATE TABLE IF NOT EXISTS turbobackend.verification_reports (
+  report_id VARCHAR PRIMARY KEY,
+  project_id VARCHAR,
+  request_id VARCHAR,
+  passed BOOLEAN,
+  repair_rounds INTEGER,
+  report JSONB,
+  created_at BIGINT
+);
+CREATE INDEX IF NOT EXISTS verification_reports_request_id_idx ON turbobackend.verification_reports (request_id);
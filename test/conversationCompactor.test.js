@@ -0,0 +1,110 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { compactConversation, estimateConversationTokens } from "../worker/llms/conversationCompactor.js";
+
+const userRequest = { role: "user", content: "Build a todo API" };
+
+// One agent turn: an assistant message with a tool call and the tool message answering it
+function turn(id, call, output) {
+  return [
+    { role: "assistant", content: `turn ${id}`, toolCalls: [{ id, ...call }] },
+    { role: "tool", results: [{ id, output }] }
+  ];
+}
+
+const commandOutput = (text, { success = true, exitCode = 0 } = {}) =>
+  JSON.stringify({ success, result: { exitCode, result: text } });
+
+describe("estimateConversationTokens", () => {
+  it("counts about four characters per token, system prompt included", () => {
+    const messages = [{ role: "user", content: "x".repeat(100) }];
+    const characters = 40 + JSON.stringify(messages[0]).length;
+    assert.equal(estimateConversationTokens("s".repeat(40), messages), Math.ceil(characters / 4));
+    assert.equal(estimateConversationTokens(null, []), 0);
+  });
+});
+
+describe("compactConversation", () => {
+  it("leaves conversations with no more turns than it keeps alone", () => {
+    const messages = [userRequest, ...turn("a", { name: "write", input: { path: "a.js", content: "x".repeat(5000) } }, "ok")];
+    const result = compactConversation(messages, { keepRecentTurns: 1 });
+    assert.equal(result.compactedMessages, 0);
+    assert.deepEqual(result.messages, messages);
+  });
+
+  it("replaces old write contents and edit payloads with a reference to the file", () => {
+    const messages = [
+      userRequest,
+      ...turn("a", { name: "write", input: { path: "server/api/todos.get.js", content: "x".repeat(5000), purpose: "route" } }, "ok"),
+      ...turn("b", { name: "edit", input: { path: "a.js", diff: "@@ -1 +1 @@\n-a\n+b" } }, "ok"),
+      ...turn("c", { name: "edit", input: { path: "b.js", edits: [{ search: "a", replace: "b" }, { search: "c", replace: "d" }] } }, "ok"),
+      ...turn("d", { name: "write", input: { path: "recent.js", content: "y".repeat(5000) } }, "ok")
+    ];
+
+    const { messages: compacted, compactedMessages } = compactConversation(messages, { keepRecentTurns: 1 });
+
+    assert.equal(compactedMessages, 6);
+    const [write] = compacted[1].toolCalls;
+    assert.equal(write.input.content, "[5000 characters written to server/api/todos.get.js; read the file for its current content]");
+    assert.equal(write.input.purpose, "route");
+    assert.match(compacted[3].toolCalls[0].input.diff, /^\[a diff applied to a\.js;/);
+    assert.match(compacted[5].toolCalls[0].input.edits, /^\[2 search-and-replace blocks applied to b\.js;/);
+    // The user request and the most recent turn are sent verbatim
+    assert.equal(compacted[0], userRequest);
+    assert.equal(compacted[7], messages[7]);
+    assert.equal(compacted[8], messages[8]);
+  });
+
+  it("summarizes long tool results with their status and exit code", () => {
+    const longOutput = commandOutput("line\n".repeat(200), { success: false, exitCode: 2 });
+    const messages = [
+      userRequest,
+      ...turn("a", { name: "execute", input: { command: "npm run build" } }, longOutput),
+      ...turn("b", { name: "execute", input: { command: "ls" } }, commandOutput("short")),
+      ...turn("c", { name: "execute", input: { command: "ls" } }, longOutput)
+    ];
+
+    const { messages: compacted } = compactConversation(messages, { keepRecentTurns: 1 });
+
+    const summary = JSON.parse(compacted[2].results[0].output);
+    assert.equal(summary.compacted, true);
+    assert.equal(summary.success, false);
+    assert.equal(summary.exitCode, 2);
+    assert.equal(summary.excerpt, "line\n".repeat(60));
+    assert.equal(summary.omittedCharacters, 1000 - 300);
+    // Short results are already cheap
+    assert.equal(compacted[4].results[0].output, commandOutput("short"));
+    assert.equal(compacted[6].results[0].output, longOutput);
+  });
+
+  it("excerpts long results that are not JSON", () => {
+    const messages = [
+      userRequest,
+      ...turn("a", { name: "execute", input: { command: "cat log" } }, "z".repeat(1000)),
+      ...turn("b", { name: "execute", input: { command: "ls" } }, "ok")
+    ];
+
+    const summary = JSON.parse(compactConversation(messages, { keepRecentTurns: 1 }).messages[2].results[0].output);
+    assert.equal(summary.excerpt, "z".repeat(300));
+    assert.equal(summary.omittedCharacters, 700);
+    assert.equal("success" in summary, false);
+  });
+
+  it("rewrites each message once and never mutates its input", () => {
+    const messages = [
+      userRequest,
+      ...turn("a", { name: "write", input: { path: "a.js", content: "x".repeat(5000) } }, "z".repeat(1000)),
+      ...turn("b", { name: "execute", input: { command: "ls" } }, "ok"),
+      ...turn("c", { name: "execute", input: { command: "ls" } }, "ok")
+    ];
+    const snapshot = structuredClone(messages);
+
+    const first = compactConversation(messages, { keepRecentTurns: 1 });
+    const second = compactConversation(first.messages, { keepRecentTurns: 1 });
+
+    assert.deepEqual(messages, snapshot);
+    assert.equal(first.compactedMessages, 4);
+    assert.equal(second.compactedMessages, 0);
+    assert.deepEqual(second.messages, first.messages);
+  });
+});
@@ -0,0 +1,93 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { applyFileEdit, applySearchReplace, applyUnifiedDiff } from "../worker/utils/fileEdits.js";
+
+const FILE = ["import a from 'a';", "", "export function f() {", "  return 1;", "}", ""].join("\n");
+
+describe("applySearchReplace", () => {
+  it("applies blocks in order, each against the result of the ones before", () => {
+    const result = applySearchReplace(FILE, [
+      { search: "return 1;", replace: "return 2;" },
+      { search: "return 2;", replace: "return 3;" }
+    ]);
+    assert.equal(result, FILE.replace("return 1;", "return 3;"));
+  });
+
+  it("inserts replacement text literally", () => {
+    assert.equal(applySearchReplace("a\n", [{ search: "a", replace: "$&$1" }]), "$&$1\n");
+  });
+
+  it("refuses empty, missing and ambiguous search text", () => {
+    assert.throws(() => applySearchReplace(FILE, [{ search: "", replace: "x" }]), /Edit 1 of 1: search text is empty/);
+    assert.throws(() => applySearchReplace(FILE, [{ search: "return 9;", replace: "x" }]), /not found\. Read the file again/);
+    assert.throws(() => applySearchReplace("x\nx\n", [{ search: "x", replace: "y" }]), /matches 2 places/);
+  });
+
+  it("hints when the search only matches with whitespace ignored", () => {
+    assert.throws(
+      () => applySearchReplace(FILE, [{ search: "export function f() {\n    return 1;", replace: "x" }]),
+      /only matches when whitespace is ignored/
+    );
+  });
+
+  it("names the block that failed", () => {
+    assert.throws(
+      () => applySearchReplace(FILE, [{ search: "return 1;", replace: "return 2;" }, { search: "return 1;", replace: "x" }]),
+      /^Error: Edit 2 of 2: search text not found/
+    );
+  });
+});
+
+describe("applyUnifiedDiff", () => {
+  it("applies a hunk at its header's line numbers", () => {
+    const diff = ["--- a/f.js", "+++ b/f.js", "@@ -3,3 +3,3 @@", " export function f() {", "-  return 1;", "+  return 2;", " }"].join("\n");
+    assert.equal(applyUnifiedDiff(FILE, diff), FILE.replace("return 1;", "return 2;"));
+  });
+
+  it("finds a hunk whose header line numbers are off", () => {
+    const diff = ["@@ -40,2 +40,2 @@", "-  return 1;", "+  return 2;", " }"].join("\n");
+    assert.equal(applyUnifiedDiff(FILE, diff), FILE.replace("return 1;", "return 2;"));
+  });
+
+  it("picks the match closest to the header when the context repeats", () => {
+    const content = ["a", "x", "b", "x", "c"].join("\n");
+    assert.equal(applyUnifiedDiff(content, "@@ -4 +4 @@\n-x\n+y"), ["a", "x", "b", "y", "c"].join("\n"));
+    assert.equal(applyUnifiedDiff(content, "@@ -1 +1 @@\n-x\n+y"), ["a", "y", "b", "x", "c"].join("\n"));
+  });
+
+  it("carries the shift of earlier hunks into later ones", () => {
+    const content = ["1", "2", "3", "4", "5", "6"].join("\n");
+    const diff = ["@@ -1,2 +1,4 @@", " 1", "+1a", "+1b", " 2", "@@ -5,2 +7,2 @@", " 5", "-6", "+6!"].join("\n");
+    assert.equal(applyUnifiedDiff(content, diff), ["1", "1a", "1b", "2", "3", "4", "5", "6!"].join("\n"));
+  });
+
+  it("inserts after the header's old start when the hunk has no context", () => {
+    assert.equal(applyUnifiedDiff("a\nb\nc", "@@ -2,0 +3 @@\n+new"), "a\nb\nnew\nc");
+    assert.equal(applyUnifiedDiff("a\nb", "@@ -0,0 +1 @@\n+first"), "first\na\nb");
+  });
+
+  it("accepts blank context lines without their leading space and no-newline markers", () => {
+    const diff = ["@@ -1,3 +1,3 @@", "-import a from 'a';", "+import b from 'b';", "", " export function f() {", "\\ No newline at end of file"].join("\n");
+    assert.equal(applyUnifiedDiff(FILE, diff), FILE.replace("import a from 'a';", "import b from 'b';"));
+  });
+
+  it("reports diffs that do not apply", () => {
+    assert.throws(() => applyUnifiedDiff(FILE, "-  return 1;\n+  return 2;"), /The diff has no hunks/);
+    assert.throws(() => applyUnifiedDiff(FILE, "@@ -4 +4 @@\nreturn 1;"), /Unexpected diff line "return 1;"/);
+    assert.throws(
+      () => applyUnifiedDiff(FILE, "@@ -4 +4 @@\n-  return 9;\n+  return 2;"),
+      /^Error: Hunk 1 \(@@ -4 \+4 @@\) does not match the file: line 4 is " {2}return 1;" but the hunk expects " {2}return 9;"/
+    );
+    assert.throws(
+      () => applyUnifiedDiff("a\nb", "@@ -2,2 +2,2 @@\n b\n-c\n+d"),
+      /it expects line 3 to be "c" but the file has only 2 lines/
+    );
+  });
+});
+
+describe("applyFileEdit", () => {
+  it("uses the diff when one is given, the search blocks otherwise", () => {
+    assert.equal(applyFileEdit("a\n", { diff: "@@ -1 +1 @@\n-a\n+b" }), "b\n");
+    assert.equal(applyFileEdit("a\n", { edits: [{ search: "a", replace: "c" }] }), "c\n");
+  });
+});
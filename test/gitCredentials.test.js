@@ -0,0 +1,15 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { authenticatedGit, redactGitCredentials } from "../worker/utils/gitCredentials.js";
+
+describe("authenticatedGit", () => {
+  it("passes the token with the one command and redacts it for logs", () => {
+    const command = authenticatedGit("push origin main", "secret-token");
+    const credentials = Buffer.from("x-access-token:secret-token").toString("base64");
+    assert.ok(command.startsWith("git -c http.https://github.com/.extraheader="));
+    assert.ok(command.endsWith(" push origin main"));
+    assert.ok(command.includes(credentials));
+    assert.ok(!redactGitCredentials(command).includes(credentials));
+    assert.ok(!redactGitCredentials(command).includes("secret-token"));
+  });
+});
@@ -0,0 +1,45 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { isReadOnlyQuery, prepareReadOnlyQuery } from "../worker/utils/readOnlyQuery.js";
+
+describe("isReadOnlyQuery", () => {
+  it("judges a statement by its first keyword after comments", () => {
+    assert.equal(isReadOnlyQuery("-- count\n/* users */ SELECT count(*) FROM users"), true);
+    assert.equal(isReadOnlyQuery("values (1)"), true);
+    assert.equal(isReadOnlyQuery("DROP TABLE users"), false);
+  });
+});
+
+describe("prepareReadOnlyQuery", () => {
+  it("limits SELECT and WITH in the database and maps the turbobackend schema", () => {
+    assert.equal(
+      prepareReadOnlyQuery("SELECT * FROM turbobackend.users;", 100),
+      "SELECT * FROM (\nSELECT * FROM public.users\n) AS agent_query LIMIT 101"
+    );
+    assert.equal(prepareReadOnlyQuery("SHOW search_path ; -- done", 100), "SHOW search_path");
+  });
+
+  it("refuses a second statement", () => {
+    for (const query of [
+      "VALUES (1); COMMIT; DROP TABLE users",
+      "SELECT 1;DROP TABLE users",
+      "SHOW x; /* c */ DELETE FROM users",
+      "SELECT E'it\\'s'; DROP TABLE users"
+    ]) {
+      assert.throws(() => prepareReadOnlyQuery(query, 100), /one statement at a time/, query);
+    }
+  });
+
+  it("ignores separators inside strings, identifiers, dollar quotes and comments", () => {
+    for (const query of [
+      "SELECT 'a;b', 'it''s; fine'",
+      'SELECT 1 AS "x;y"',
+      "SELECT $body$ ; $body$, $$;$$",
+      "SELECT 1 -- ; DROP TABLE users",
+      "SELECT 1 /* ; */",
+      "SELECT E'\\\\'"
+    ]) {
+      assert.doesNotThrow(() => prepareReadOnlyQuery(query, 10), query);
+    }
+  });
+});
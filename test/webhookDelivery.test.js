@@ -0,0 +1,121 @@
+import { createServer } from "node:http";
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { UnrecoverableError } from "bullmq";
+import { attemptWebhookDelivery } from "../worker/utils/webhookDelivery.js";
+import { verifyWebhookSignature } from "../worker/utils/webhookSignatures.js";
+
+const SECRET = "whsec_test";
+
+// Local receiver answering each request with the next scripted status
+const received = [];
+const statuses = [];
+let server;
+let url;
+
+before(async () => {
+  server = createServer((request, response) => {
+    let body = "";
+    request.on("data", (chunk) => (body += chunk));
+    request.on("end", () => {
+      received.push({ headers: request.headers, body });
+      response.writeHead(statuses.shift() ?? 200).end("receiver says no");
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  url = `http://127.0.0.1:${server.address().port}/hooks`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+// In-memory stand-in for the webhook_deliveries table
+function createDeliveryLog(delivery) {
+  const row = { ...delivery, attempts: 0, response_status: null, last_error: null, delivered_at: null };
+  return {
+    row,
+    load: async () => ({ ...row }),
+    markSkipped: async () => {
+      row.status = "skipped";
+    },
+    recordAttempt: async (deliveryId, { status, responseStatus, error, deliveredAt }) => {
+      Object.assign(row, { status, response_status: responseStatus, last_error: error, delivered_at: deliveredAt });
+      row.attempts += 1;
+    }
+  };
+}
+
+function pendingDelivery(overrides = {}) {
+  return createDeliveryLog({
+    event_type: "job.succeeded",
+    payload: { id: "dlv_1", type: "job.succeeded", data: { requestId: "req_1" } },
+    status: "pending",
+    url,
+    secret: SECRET,
+    active: true,
+    ...overrides
+  });
+}
+
+describe("attemptWebhookDelivery", () => {
+  it("POSTs the payload signed with the webhook secret", async () => {
+    received.length = 0;
+    const deliveryLog = pendingDelivery();
+
+    assert.deepEqual(await attemptWebhookDelivery(deliveryLog, "dlv_1"), { status: "delivered", responseStatus: 200 });
+
+    const [request] = received;
+    assert.equal(request.body, JSON.stringify(deliveryLog.row.payload));
+    assert.equal(request.headers["x-turbobackend-event"], "job.succeeded");
+    assert.equal(request.headers["x-turbobackend-delivery"], "dlv_1");
+    assert.equal(verifyWebhookSignature(SECRET, request.headers["x-turbobackend-signature"], request.body), true);
+    assert.equal(deliveryLog.row.status, "delivered");
+    assert.equal(deliveryLog.row.attempts, 1);
+    assert.equal(deliveryLog.row.response_status, 200);
+    assert.ok(deliveryLog.row.delivered_at);
+  });
+
+  it("throws a retryable error on 5xx and delivers on the next attempt", async () => {
+    received.length = 0;
+    statuses.push(503);
+    const deliveryLog = pendingDelivery();
+
+    const error = await attemptWebhookDelivery(deliveryLog, "dlv_1", { finalAttempt: false }).catch((e) => e);
+    assert.ok(error instanceof Error && !(error instanceof UnrecoverableError), "BullMQ should retry");
+    assert.equal(deliveryLog.row.status, "retrying");
+    assert.equal(deliveryLog.row.response_status, 503);
+    assert.match(deliveryLog.row.last_error, /^HTTP 503: receiver says no/);
+
+    await attemptWebhookDelivery(deliveryLog, "dlv_1", { finalAttempt: true });
+    assert.equal(deliveryLog.row.status, "delivered");
+    assert.equal(deliveryLog.row.attempts, 2);
+    assert.equal(received[0].headers["x-turbobackend-delivery"], received[1].headers["x-turbobackend-delivery"]);
+  });
+
+  it("records the last 5xx as failed when no attempts are left", async () => {
+    statuses.push(500);
+    const deliveryLog = pendingDelivery();
+
+    await assert.rejects(attemptWebhookDelivery(deliveryLog, "dlv_1", { finalAttempt: true }), /failed: HTTP 500/);
+    assert.equal(deliveryLog.row.status, "failed");
+  });
+
+  it("fails other 4xx responses without retrying", async () => {
+    statuses.push(410);
+    const deliveryLog = pendingDelivery();
+
+    await assert.rejects(attemptWebhookDelivery(deliveryLog, "dlv_1", { finalAttempt: false }), UnrecoverableError);
+    assert.equal(deliveryLog.row.status, "failed");
+    assert.equal(deliveryLog.row.response_status, 410);
+  });
+
+  it("skips deliveries to a removed webhook and never resends a delivered one", async () => {
+    received.length = 0;
+    const removed = pendingDelivery({ active: false });
+    assert.equal((await attemptWebhookDelivery(removed, "dlv_1")).status, "skipped");
+    assert.equal(removed.row.status, "skipped");
+
+    const delivered = pendingDelivery({ status: "delivered" });
+    assert.equal((await attemptWebhookDelivery(delivered, "dlv_1")).status, "delivered");
+    assert.equal(received.length, 0);
+  });
+});
@@ -0,0 +1,46 @@
+import { createHmac } from "node:crypto";
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { signWebhookPayload, verifyWebhookSignature } from "../worker/utils/webhookSignatures.js";
+
+const SECRET = "whsec_test";
+const BODY = JSON.stringify({ type: "job.succeeded", data: { requestId: "req_1" } });
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+describe("signWebhookPayload", () => {
+  it("signs <timestamp>.<body> with HMAC-SHA256", () => {
+    const expected = createHmac("sha256", SECRET).update(`1700000000.${BODY}`).digest("hex");
+    assert.equal(signWebhookPayload(SECRET, BODY, 1700000000), `t=1700000000,v1=${expected}`);
+  });
+});
+
+describe("verifyWebhookSignature", () => {
+  it("accepts a fresh signature of the same body", () => {
+    assert.equal(verifyWebhookSignature(SECRET, signWebhookPayload(SECRET, BODY), BODY), true);
+  });
+
+  it("rejects a different body or secret", () => {
+    const header = signWebhookPayload(SECRET, BODY);
+    assert.equal(verifyWebhookSignature(SECRET, header, `${BODY} `), false);
+    assert.equal(verifyWebhookSignature("whsec_other", header, BODY), false);
+  });
+
+  it("rejects signatures outside the tolerance, in either direction", () => {
+    assert.equal(verifyWebhookSignature(SECRET, signWebhookPayload(SECRET, BODY, nowSeconds() - 301), BODY), false);
+    assert.equal(verifyWebhookSignature(SECRET, signWebhookPayload(SECRET, BODY, nowSeconds() + 301), BODY), false);
+    assert.equal(verifyWebhookSignature(SECRET, signWebhookPayload(SECRET, BODY, nowSeconds() - 200), BODY), true);
+    assert.equal(verifyWebhookSignature(SECRET, signWebhookPayload(SECRET, BODY, nowSeconds() - 200), BODY, 100), false);
+  });
+
+  it("rejects malformed headers", () => {
+    const [, v1] = signWebhookPayload(SECRET, BODY).split(",");
+    for (const header of [undefined, "", "garbage", v1, `t=abc,${v1}`, `t=${nowSeconds()}`, `t=${nowSeconds()},v1=zz`]) {
+      assert.equal(verifyWebhookSignature(SECRET, header, BODY), false, `header ${header}`);
+    }
+  });
+
+  it("rejects a signature cut short", () => {
+    const header = signWebhookPayload(SECRET, BODY);
+    assert.equal(verifyWebhookSignature(SECRET, header.slice(0, -2), BODY), false);
+  });
+});
@@ -1,5 +1,8 @@
 import pool from '../databases/postgresConnector.js';
 import { nanoid } from 'nanoid';
+import { createLogger } from '../worker/utils/logger.js';
+
+const log = createLogger('trackMessageCost');
 
 // Pricing per 1M tokens for different models
 // Update these values based on current pricing
@@ -27,6 +30,10 @@ const PRICING = {
   'gpt-5-nano': {
     inputPer1M: 0.05,   // $0.05 per 1M input tokens
     outputPer1M: 0.40   // $0.40 per 1M output tokens
+  },
+  'mock': {
+    inputPer1M: 0,      // scripted provider, no API calls
+    outputPer1M: 0
   }
 };
 
@@ -40,7 +47,7 @@ const PRICING = {
 function calculateCost(inputTokens, outputTokens, model = 'gemini-2.5-flash-lite') {
   const pricing = PRICING[model];
   if (!pricing) {
-    console.warn(`No pricing found for model: ${model}, defaulting to gemini-2.5-flash-lite`);
+    log.warn(`No pricing found for model: ${model}, defaulting to gemini-2.5-flash-lite`);
     const defaultPricing = PRICING['gemini-2.5-flash-lite'];
     const inputCost = (inputTokens / 1000000) * defaultPricing.inputPer1M;
     const outputCost = (outputTokens / 1000000) * defaultPricing.outputPer1M;
@@ -121,7 +128,7 @@ async function trackMessageCost({
 
     const result = await pool.query(query, values);
 
-    console.log(`[trackMessageCost] Tracked message cost - ID: ${messageId}, Cost: $${cost.toFixed(6)}, Tokens In: ${tokenIn}, Tokens Out: ${tokenOut}`);
+    log.info(`Tracked message cost - ID: ${messageId}, Cost: $${cost.toFixed(6)}, Tokens In: ${tokenIn}, Tokens Out: ${tokenOut}`);
 
     return {
       messageId,
@@ -131,7 +138,7 @@ async function trackMessageCost({
       record: result.rows[0]
     };
   } catch (error) {
-    console.error('[trackMessageCost] Error tracking message cost:', error);
+    log.error('Error tracking message cost:', error);
     throw error;
   }
 }
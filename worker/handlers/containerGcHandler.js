@@ -0,0 +1,133 @@
+import pool from "../../databases/postgresConnector.js";
+import { listDaytonaSandboxes, stopDaytonaContainer } from "../services/daytonaService.js";
+import { createLogger } from "../utils/logger.js";
+
+const log = createLogger("ContainerGC");
+
+// Sandboxes are only needed while a request runs; anything older than this is reaped regardless
+const DEFAULT_SESSION_TTL_SECONDS = Number(process.env.CONTAINER_SESSION_TTL_SECONDS) || 6 * 60 * 60;
+
+// Creation provisions its sandbox before the session row is written, so give new sandboxes
+// time to be recorded before calling them orphans
+const ORPHAN_GRACE_SECONDS = 60 * 60;
+
+const FINISHED_REQUEST_STATUSES = ["completed", "failed", "cancelled"];
+
+/**
+ * Stop and delete sandboxes whose session outlived the TTL or whose request has finished,
+ * then report sandboxes that exist in Daytona without any session row.
+ *
+ * @param {Object} options
+ * @param {number} options.ttlSeconds - Maximum session age before it is reaped
+ * @param {boolean} options.dryRun - Report what would be reaped without touching anything
+ * @returns {Promise<Object>} - { reaped, failed, orphans, dryRun }
+ */
+export async function reconcileContainerSessions({ ttlSeconds = DEFAULT_SESSION_TTL_SECONDS, dryRun = false } = {}) {
+  const now = Math.floor(Date.now() / 1000);
+
+  const staleSessions = await pool.query(
+    `SELECT cs.session_id, cs.project_id, cs.container_id, cs.started_at, cs.request_id, r.response_status
+     FROM ${process.env.PG_DB_SCHEMA}.container_sessions cs
+     LEFT JOIN ${process.env.PG_DB_SCHEMA}.mcp_requests r ON r.request_id = cs.request_id
+     WHERE cs.container_provider = 'daytona'
+       AND cs.stopped_at IS NULL
+       AND (cs.started_at < $1 OR r.response_status = ANY($2))
+     ORDER BY cs.started_at`,
+    [now - ttlSeconds, FINISHED_REQUEST_STATUSES]
+  );
+
+  log.info(`${staleSessions.rows.length} stale session(s) found${dryRun ? " (dry run)" : ""}`);
+
+  const sandboxes = await listDaytonaSandboxes();
+  const liveSandboxIds = new Set(sandboxes.map((sandbox) => sandbox.id));
+
+  const reaped = [];
+  const failed = [];
+  const handledContainerIds = new Set();
+
+  for (const session of staleSessions.rows) {
+    // Several sessions can point at one sandbox; it only needs stopping once
+    if (handledContainerIds.has(session.container_id)) {
+      continue;
+    }
+    handledContainerIds.add(session.container_id);
+
+    const reason = FINISHED_REQUEST_STATUSES.includes(session.response_status)
+      ? `request ${session.response_status}`
+      : `older than ${ttlSeconds}s`;
+    const entry = {
+      sessionId: session.session_id,
+      projectId: session.project_id,
+      containerId: session.container_id,
+      requestId: session.request_id,
+      reason,
+      sandboxExisted: liveSandboxIds.has(session.container_id)
+    };
+
+    if (dryRun) {
+      reaped.push(entry);
+      continue;
+    }
+
+    try {
+      if (entry.sandboxExisted) {
+        await stopDaytonaContainer(session.container_id);
+      }
+
+      await pool.query(
+        `UPDATE ${process.env.PG_DB_SCHEMA}.container_sessions
+         SET status = $1, stopped_at = $2
+         WHERE container_id = $3 AND stopped_at IS NULL`,
+        ["stopped", Math.floor(Date.now() / 1000), session.container_id]
+      );
+
+      log.info(`Reaped ${session.container_id} (${reason})`);
+      reaped.push(entry);
+    } catch (error) {
+      log.error(`Failed to reap ${session.container_id}: ${error.message}`);
+      failed.push({ ...entry, error: error.message });
+    }
+  }
+
+  const orphans = await findOrphanedSandboxes(sandboxes, now);
+  if (orphans.length > 0) {
+    log.warn(
+      `${orphans.length} orphaned sandbox(es) with no session row: ${orphans
+        .map((orphan) => orphan.containerId)
+        .join(", ")}`
+    );
+  }
+
+  log.info(`✅ Reaped ${reaped.length}, failed ${failed.length}, orphans ${orphans.length}`);
+
+  return { reaped, failed, orphans, dryRun };
+}
+
+/**
+ * Sandboxes past the grace period that no container_sessions row has ever referenced
+ */
+async function findOrphanedSandboxes(sandboxes, now) {
+  const candidates = sandboxes.filter((sandbox) => {
+    const createdAt = Math.floor(new Date(sandbox.createdAt).getTime() / 1000);
+    return Number.isNaN(createdAt) || now - createdAt > ORPHAN_GRACE_SECONDS;
+  });
+
+  if (candidates.length === 0) {
+    return [];
+  }
+
+  const known = await pool.query(
+    `SELECT DISTINCT container_id FROM ${process.env.PG_DB_SCHEMA}.container_sessions
+     WHERE container_id = ANY($1)`,
+    [candidates.map((sandbox) => sandbox.id)]
+  );
+  const knownIds = new Set(known.rows.map((row) => row.container_id));
+
+  return candidates
+    .filter((sandbox) => !knownIds.has(sandbox.id))
+    .map((sandbox) => ({
+      containerId: sandbox.id,
+      state: sandbox.state,
+      createdAt: sandbox.createdAt
+    }));
+}
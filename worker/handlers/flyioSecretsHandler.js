@@ -5,6 +5,9 @@ import {
     stopDaytonaContainer,
 } from '../services/daytonaService.js';
 import { nanoid } from 'nanoid';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('FlyioSecrets');
 
 /**
  * Sync credentials to Fly.io as encrypted secrets
@@ -15,8 +18,8 @@ export async function syncCredentialsToFlyio(
     credentialValue,
     client,
 ) {
-    console.log(
-        `[FlyioSecrets] Starting sync for project: ${projectId}, credential name: ${credentialName}`,
+    log.info(
+        `Starting sync for project: ${projectId}, credential name: ${credentialName}`,
     );
 
     let containerId = null;
@@ -31,8 +34,8 @@ export async function syncCredentialsToFlyio(
         );
 
         if (deploymentResult.rows.length === 0) {
-            console.log(
-                `[FlyioSecrets] No Fly.io deployment found for project: ${projectId}`,
+            log.info(
+                `No Fly.io deployment found for project: ${projectId}`,
             );
             return {
                 success: false,
@@ -41,20 +44,20 @@ export async function syncCredentialsToFlyio(
         }
 
         const appName = deploymentResult.rows[0].app_name;
-        console.log(`[FlyioSecrets] Found Fly.io app: ${appName}`);
+        log.info(`Found Fly.io app: ${appName}`);
 
         // Spin up new Daytona container
-        console.log(`[FlyioSecrets] Provisioning Daytona container...`);
+        log.info(`Provisioning Daytona container...`);
         containerId = await provisionDaytonaContainer();
-        console.log(`[FlyioSecrets] Container provisioned: ${containerId}`);
+        log.info(`Container provisioned: ${containerId}`);
 
         // Install flyctl in container
-        console.log(`[FlyioSecrets] Installing flyctl...`);
+        log.info(`Installing flyctl...`);
         await executeCommandInContainer(
             containerId,
             'curl -L https://fly.io/install.sh | sh',
         );
-        console.log(`[FlyioSecrets] flyctl installed`);
+        log.info(`flyctl installed`);
 
         // Get Fly.io API token from .env
         const flyApiToken = process.env.FLY_API_TOKEN;
@@ -63,8 +66,8 @@ export async function syncCredentialsToFlyio(
         }
 
         // Execute flyctl secrets set command
-        console.log(
-            `[FlyioSecrets] Setting secret ${credentialName} in app ${appName}...`,
+        log.info(
+            `Setting secret ${credentialName} in app ${appName}...`,
         );
         const command = `export FLY_API_TOKEN="${flyApiToken}" && ~/.fly/bin/flyctl secrets set ${credentialName}="${credentialValue}" --app ${appName}`;
 
@@ -76,8 +79,8 @@ export async function syncCredentialsToFlyio(
             );
         }
 
-        console.log(
-            `[FlyioSecrets] ✅ Secret ${credentialName} set successfully`,
+        log.info(
+            `✅ Secret ${credentialName} set successfully`,
         );
 
         // Log to project_actions table
@@ -101,7 +104,7 @@ export async function syncCredentialsToFlyio(
 
         return { success: true };
     } catch (error) {
-        console.error(`[FlyioSecrets] Error syncing credentials:`, error);
+        log.error(`Error syncing credentials:`, error);
 
         // Log failure to project_actions
         const actionId = nanoid();
@@ -126,15 +129,15 @@ export async function syncCredentialsToFlyio(
     } finally {
         // Tear down the container
         if (containerId) {
-            console.log(
-                `[FlyioSecrets] Tearing down container: ${containerId}`,
+            log.info(
+                `Tearing down container: ${containerId}`,
             );
             try {
                 await stopDaytonaContainer(containerId);
-                console.log(`[FlyioSecrets] Container stopped successfully`);
+                log.info(`Container stopped successfully`);
             } catch (error) {
-                console.error(
-                    `[FlyioSecrets] Error stopping container:`,
+                log.error(
+                    `Error stopping container:`,
                     error,
                 );
             }
@@ -5,7 +5,7 @@ import { pushToGitHubDeterministic } from "../utils/githubIntegration.js";
 import { deployProjectToFlyIO, createFlyToml, createFlyApp } from "../services/flyioService.js";
 import { injectCorsMiddleware } from "../utils/corsInjector.js";
 import { injectGitHubActionsWorkflow, setGitHubSecret } from "../utils/githubActionsInjector.js";
-import { publishProgress, publishSuccess, publishError, publishToChannel } from "../pubsub-handlers.js";
+import { publishProgress, publishPhaseCompleted, publishSuccess, publishError, publishBudgetStopped, publishApiBlueprint, publishDeploymentStatus } from "../pubsub-handlers.js";
 import { detectDatabaseNeed } from "../utils/databaseNeedDetector.js";
 import { designDatabaseSchema } from "../utils/databaseSchemaDesigner.js";
 import { provisionAndCreateTables } from "../utils/databaseProvisioner.js";
@@ -13,107 +13,198 @@ import { detectAuthenticationNeed, detectPaymentNeed } from "../utils/authPaymen
 import { fetchIntegrationSpecs } from "../utils/integrationSpecsFetcher.js";
 import { storeEnvVarRequirements, storeCredentialPlaceholders } from "../utils/envVarTracker.js";
 import { calculateCost } from "../../utils/messageCostTracker.js";
+import { resolveLLMModel } from "../llms/llmProvider.js";
+import { createBudgetTracker, resolveAgentBudget } from "../utils/agentBudget.js";
+import { describeVerification, runVerificationGate } from "../utils/projectVerifier.js";
+import { summarizeChangeset } from "../utils/gitChangeset.js";
 import { nanoid } from "nanoid";
 import { trackActivity } from "../utils/activityTracker.js";
+import { discardCheckpointsFrom, loadCheckpoints, runCheckpointedPhase } from "../utils/phaseCheckpoints.js";
+import { BudgetStoppedError, isFinalAttempt, JobCancelledError } from "../utils/jobErrors.js";
+import { handleJobCancellation, throwIfCancelled } from "../utils/jobCancellation.js";
+import { createLogger } from "../utils/logger.js";
+
+const log = createLogger("AgenticExecution");
 
 /**
  * Agentic Execution Handler - Main orchestrator for backend project creation
+ *
+ * Each phase is checkpointed by requestId once it completes, so a BullMQ retry of the
+ * same job resumes after the last completed phase instead of re-provisioning the database
+ * and sandbox.
  */
 export async function handleProjectCreationOrchestration(job, requestId, streamId) {
-  const { user_id, project_id, request_params } = job.data;
+  const { user_id, project_id, plan, request_params } = job.data;
   const { userPrompt } = request_params;
   
-  console.log(`[AgenticExecution] Starting for project: ${project_id}`);
-  console.log(`[AgenticExecution] User request: "${userPrompt}"`);
+  log.info(`Starting for project: ${project_id}`);
+  log.info(`User request: "${userPrompt}"`);
   
   const client = await pool.connect();
+  let containerId = null;
+  // LLM cost of this request so far, recorded with a failure: the detection and design
+  // calls, then the agent runs tracked by their budget
+  let phaseCost = 0;
+  let budgetTracker = null;
   
   try {
-    console.log(`[AgenticExecution] Step 1: Starting database transaction`);
-    await client.query('BEGIN');
-    console.log(`[AgenticExecution] Step 2: Transaction started`);
+    let checkpoints = await loadCheckpoints(requestId, client);
 
-    // Initial progress
-    console.log(`[AgenticExecution] Step 3: Publishing initial progress`);
-    await publishProgress(streamId, "Starting execution...", 10);
-    console.log(`[AgenticExecution] Step 4: Initial progress published`);
+    // The container GC reaps the sandbox of a failed request, so a replay of it provisions a
+    // new sandbox and redoes everything that ran in the old one
+    const containerCheckpoint = checkpoints.get('container');
+    if (containerCheckpoint && !(await hasActiveContainerSession(containerCheckpoint.containerId, client))) {
+      const discarded = await discardCheckpointsFrom(requestId, 'container', client);
+      log.info(`Sandbox ${containerCheckpoint.containerId} was reaped, redoing phases: ${discarded.join(', ')}`);
+      checkpoints = await loadCheckpoints(requestId, client);
+    }
 
-    // Phase 0.3: Auth & Payment Detection
-    let authInfo = null;
-    let paymentInfo = null;
-    let authDetectionCost = 0;
-    let paymentDetectionCost = 0;
+    const model = await resolveLLMModel({ requestedModel: request_params.model, projectId: project_id });
+    log.info(`Using model: ${model}`);
 
-    console.log(`[AgenticExecution] Phase 0.3: Detecting auth & payment requirements`);
-    console.log(`[AgenticExecution] Step 5: Calling detectAuthenticationNeed...`);
+    // Every phase boundary is also a cancellation point. Phases resumed from a checkpoint
+    // were already announced by the attempt that ran them
+    const runPhase = async function (phase, run) {
+      await throwIfCancelled(requestId);
+      const resumed = checkpoints.has(phase);
+      const output = await runCheckpointedPhase({ requestId, projectId: project_id, phase, checkpoints, client, run });
+      if (!resumed) {
+        await publishPhaseCompleted(streamId, phase);
+      }
+      return output;
+    };
 
-    const authResult = await detectAuthenticationNeed(userPrompt);
-    console.log(`[AgenticExecution] Step 6: Auth detection completed`);
+    if (checkpoints.size > 0) {
+      log.info(`Resuming request ${requestId} after phases: ${[...checkpoints.keys()].join(', ')}`);
+      await publishProgress(streamId, "Resuming execution...", 10);
+    } else {
+      await publishProgress(streamId, "Starting execution...", 10);
+    }
 
-    authDetectionCost = calculateCost(authResult.usage.inputTokens, authResult.usage.outputTokens, 'grok-4-fast');
+    // Phase 0.3: Auth, Payment & Database Detection
+    const detection = await runPhase('detection', async function () {
+      log.info(`Phase 0.3: Detecting auth & payment requirements`);
 
-    if (authResult.needsAuth) {
-      authInfo = authResult;
-      await publishProgress(streamId, "Authentication required - Clerk will be configured", 8);
-      console.log(`[AgenticExecution] ✅ Auth required: ${authResult.reasoning}`);
-    }
+      const authResult = await detectAuthenticationNeed(userPrompt, { model });
+      const authDetectionCost = calculateCost(authResult.usage.inputTokens, authResult.usage.outputTokens, model);
 
-    console.log(`[AgenticExecution] Step 7: Calling detectPaymentNeed...`);
-    const paymentResult = await detectPaymentNeed(userPrompt);
-    console.log(`[AgenticExecution] Step 8: Payment detection completed`);
-    paymentDetectionCost = calculateCost(paymentResult.usage.inputTokens, paymentResult.usage.outputTokens, 'grok-4-fast');
+      if (authResult.needsAuth) {
+        await publishProgress(streamId, "Authentication required - Clerk will be configured", 8);
+        log.info(`✅ Auth required: ${authResult.reasoning}`);
+      }
 
-    if (paymentResult.needsPayments) {
-      paymentInfo = paymentResult;
-      await publishProgress(streamId, "Payment processing required - Stripe will be configured", 9);
-      console.log(`[AgenticExecution] ✅ Payments required: ${paymentResult.reasoning}`);
-    }
-    console.log(`[AgenticExecution] Step 9: Auth & Payment detection phase complete`);
+      const paymentResult = await detectPaymentNeed(userPrompt, { model });
+      const paymentDetectionCost = calculateCost(paymentResult.usage.inputTokens, paymentResult.usage.outputTokens, model);
+
+      if (paymentResult.needsPayments) {
+        await publishProgress(streamId, "Payment processing required - Stripe will be configured", 9);
+        log.info(`✅ Payments required: ${paymentResult.reasoning}`);
+      }
 
+      log.info(`Phase 0.5: Detecting database requirements`);
+      const detectionResult = await detectDatabaseNeed(userPrompt, { model });
+      const dbDetectionCost = calculateCost(detectionResult.usage.inputTokens, detectionResult.usage.outputTokens, model);
 
-    // Phase 0.5: Database Detection & Provisioning (BEFORE Container)
+      if (!detectionResult.needsDatabase) {
+        log.info(`No database required: ${detectionResult.reasoning}`);
+      }
+
+      return {
+        authInfo: authResult.needsAuth ? authResult : null,
+        paymentInfo: paymentResult.needsPayments ? paymentResult : null,
+        needsDatabase: detectionResult.needsDatabase,
+        authDetectionCost,
+        paymentDetectionCost,
+        dbDetectionCost
+      };
+    });
+
+    const { authInfo, paymentInfo, authDetectionCost, paymentDetectionCost, dbDetectionCost } = detection;
+    phaseCost += authDetectionCost + paymentDetectionCost + dbDetectionCost;
+
+    // Phase 0.5: Database Provisioning (BEFORE Container)
     let databaseInfo = null;
-    let dbDetectionCost = 0;
     let dbDesignCost = 0;
 
-    console.log(`[AgenticExecution] Phase 0.5: Detecting database requirements`);
-    console.log(`[AgenticExecution] Step 10: Calling detectDatabaseNeed...`);
-    const detectionResult = await detectDatabaseNeed(userPrompt);
-    console.log(`[AgenticExecution] Step 11: Database detection completed`);
+    if (detection.needsDatabase) {
+      // The design is checkpointed on its own so a retried provisioning creates the same tables
+      const schemaPhase = await runPhase('database_schema', async function () {
+        await publishProgress(streamId, "Database required - designing schema...", 12);
+
+        const schemaResult = await designDatabaseSchema(userPrompt, { model });
+        return {
+          schema: schemaResult.schema,
+          dbDesignCost: calculateCost(schemaResult.usage.inputTokens, schemaResult.usage.outputTokens, model)
+        };
+      });
+      phaseCost += schemaPhase.dbDesignCost;
+
+      const databasePhase = await runPhase('database', async function () {
+        await publishProgress(streamId, "Provisioning database...", 15);
+
+        const provisioned = await provisionAndCreateTables(
+          project_id,
+          user_id,
+          schemaPhase.schema,
+          client,
+          requestId
+        );
+
+        // Cluster credentials come from env on resume; never persist them in a checkpoint
+        return {
+          databaseId: provisioned.databaseId,
+          dbName: provisioned.dbName,
+          schema: provisioned.schema,
+          dbDesignCost: schemaPhase.dbDesignCost
+        };
+      });
+
+      databaseInfo = withClusterCredentials(databasePhase);
+      dbDesignCost = databasePhase.dbDesignCost;
 
-    dbDetectionCost = calculateCost(detectionResult.usage.inputTokens, detectionResult.usage.outputTokens, 'grok-4-fast');
-    
-    if (detectionResult.needsDatabase) {
-      await publishProgress(streamId, "Database required - designing schema...", 12);
-      
-      const schemaResult = await designDatabaseSchema(userPrompt);
-      dbDesignCost = calculateCost(schemaResult.usage.inputTokens, schemaResult.usage.outputTokens, 'grok-4-fast');
-      
-      await publishProgress(streamId, "Provisioning database...", 15);
-      
-      databaseInfo = await provisionAndCreateTables(
-        project_id,
-        user_id,
-        schemaResult.schema,
-        client,
-        requestId
-      );
-      
       await publishProgress(streamId, `Database provisioned: ${databaseInfo.dbName}`, 18);
-      console.log(`[AgenticExecution] ✅ Database provisioned with ${databaseInfo.schema.tables.length} tables`);
-    } else {
-      console.log(`[AgenticExecution] No database required: ${detectionResult.reasoning}`);
+      log.info(`✅ Database provisioned with ${databaseInfo.schema.tables.length} tables`);
     }
     
     // Phase 1: Container Setup (DETERMINISTIC)
-    console.log(`[AgenticExecution] Phase 1: Provisioning container`);
-    console.log(`[AgenticExecution] Step 12: Calling getOrProvisionContainer...`);
-    const containerId = await getOrProvisionContainer(project_id, client, databaseInfo, authInfo, paymentInfo);
-    console.log(`[AgenticExecution] Step 13: Container provisioned: ${containerId}`);
+    ({ containerId } = await runPhase('container', async function () {
+      log.info(`Phase 1: Provisioning container`);
+      const provisionedContainerId = await getOrProvisionContainer(project_id, client, databaseInfo, authInfo, paymentInfo, requestId);
+      log.info(`Container provisioned: ${provisionedContainerId}`);
+
+      // Track project creation
+      try {
+        const sessionResult = await client.query(
+          `SELECT session_id FROM ${process.env.PG_DB_SCHEMA}.container_sessions 
+           WHERE project_id = $1 AND container_id = $2 
+           ORDER BY started_at DESC LIMIT 1`,
+          [project_id, provisionedContainerId]
+        );
+        
+        await trackActivity({
+          projectId: project_id,
+          userId: user_id,
+          requestId,
+          actionType: 'project_created',
+          actionDetails: `Project created with container ${provisionedContainerId}`,
+          status: 'success',
+          environment: 'development',
+          referenceIds: {
+            container_id: provisionedContainerId,
+            container_session_id: sessionResult.rows[0]?.session_id || null
+          },
+          client
+        });
+      } catch (error) {
+        log.error("Failed to track project creation activity", error);
+      }
+
+      return { containerId: provisionedContainerId };
+    }));
     await publishProgress(streamId, "Container provisioned", 20);
 
 
-    // Load integration specs and examples if needed
+    // Load integration specs and examples if needed (local files, cheap to reload on resume)
     let integrationSpecs = null;
     if (authInfo || paymentInfo) {
       await publishProgress(streamId, "Loading integration specifications...", 25);
@@ -121,231 +212,258 @@ export async function handleProjectCreationOrchestration(job, requestId, streamI
       await publishProgress(streamId, "Integration specs loaded", 28);
     }
     
-    // Track project creation
-    try {
-      const sessionResult = await client.query(
-        `SELECT session_id FROM ${process.env.PG_DB_SCHEMA}.container_sessions 
-         WHERE project_id = $1 AND container_id = $2 
-         ORDER BY started_at DESC LIMIT 1`,
-        [project_id, containerId]
-      );
-      
-      await trackActivity({
+    // The loop and its verification repair runs share one budget
+    const budget = await resolveAgentBudget(project_id, { plan });
+    budgetTracker = createBudgetTracker(budget);
+    const runLoop = function (userRequest) {
+      return runAgenticLoop({
+        containerId,
         projectId: project_id,
         userId: user_id,
+        userRequest,
         requestId,
-        actionType: 'project_created',
-        actionDetails: `Project created with container ${containerId}`,
-        status: 'success',
-        environment: 'development',
-        referenceIds: {
-          container_id: containerId,
-          container_session_id: sessionResult.rows[0]?.session_id || null
-        },
-        client
+        streamId,
+        databaseSchema: databaseInfo?.schema || null,
+        integrationSpecs: integrationSpecs || null,
+        model,
+        budget,
+        budgetTracker
       });
-    } catch (error) {
-      console.error(`[ActivityTracker] Failed to track project creation: ${error.message}`);
-    }
-    
+    };
+
     // Phase 2: Agentic Loop (AUTONOMOUS)
-    console.log(`[AgenticExecution] Phase 2: Starting agentic loop`);
-    await publishProgress(streamId, "Starting agentic loop", 30);
-    const agentResult = await runAgenticLoop({
-      containerId,
-      projectId: project_id,
-      userId: user_id,
-      userRequest: userPrompt,
-      requestId,
-      databaseSchema: databaseInfo?.schema || null,
-      integrationSpecs: integrationSpecs || null
+    const loopResult = await runPhase('agentic_loop', async function () {
+      log.info(`Phase 2: Starting agentic loop`);
+      await publishProgress(streamId, "Starting agentic loop", 30);
+      const result = await runLoop(userPrompt);
+
+      // A loop stopped by cancellation must not be checkpointed as complete
+      await throwIfCancelled(requestId);
+
+      // The conversation history is only useful in-process; keep the checkpoint small
+      const { conversationHistory, ...checkpointedResult } = result;
+      return checkpointedResult;
     });
     await publishProgress(streamId, "Agentic loop complete", 70);
+
+    // Phase 2.25: Verification gate (DETERMINISTIC); failures go back to the agent, and a
+    // project that still fails is never pushed or deployed
+    const agentResult = await runPhase('verification', async function () {
+      log.info(`Phase 2.25: Verifying build and endpoints`);
+      await publishProgress(streamId, "Verifying build and endpoints", 71);
+      return runVerificationGate({
+        containerId,
+        projectId: project_id,
+        requestId,
+        streamId,
+        userRequest: userPrompt,
+        agentResult: loopResult,
+        getBlueprint: function (result) { return result.apiBlueprint || null; },
+        runRepair: runLoop
+      });
+    });
+    await publishProgress(streamId, "Verification passed", 72);
     
-    // Inject CORS middleware deterministically
-    console.log(`[AgenticExecution] Injecting CORS middleware...`);
-    await injectCorsMiddleware(containerId, project_id);
-    await publishProgress(streamId, "CORS configured", 72);
-    
-    // Commit database connection file if database was provisioned
-    if (databaseInfo) {
-      console.log(`[AgenticExecution] Committing database connection file...`);
-      await executeCommandInContainer(containerId, 'git add server/utils/db.js');
-      await executeCommandInContainer(containerId, 'git commit -m "Add database connection file"');
-      await publishProgress(streamId, "Database connection file committed", 73);
-    }
-    
-    // Inject GitHub Actions workflow
-    console.log(`[AgenticExecution] Injecting GitHub Actions workflow...`);
-    await injectGitHubActionsWorkflow(containerId, project_id);
-    await publishProgress(streamId, "GitHub Actions configured", 74);
-    
-    // Create fly.toml and Dockerfile for deployment
-    console.log(`[AgenticExecution] Creating fly.toml and Dockerfile...`);
-    await createFlyToml(containerId, project_id);
-    await publishProgress(streamId, "Deployment files created", 76);
-    
-    // Install flyctl in container
-    console.log(`[AgenticExecution] Installing flyctl...`);
-    await executeCommandInContainer(containerId, 'curl -L https://fly.io/install.sh | sh');
-    await publishProgress(streamId, "flyctl installed", 77);
-    
-    // Create Fly.io app on platform
-    console.log(`[AgenticExecution] Creating Fly.io app...`);
-    const flyAppResult = await createFlyApp(containerId, project_id);
-    if (!flyAppResult.success) {
-      throw new Error(`Failed to create Fly.io app: ${flyAppResult.error || 'Unknown error'}`);
-    }
-    await publishProgress(streamId, "Fly.io app created", 78);
-    
-    // Set database secrets in Fly.io if database was provisioned
-    if (databaseInfo) {
-      console.log(`[AgenticExecution] Setting database secrets in Fly.io...`);
+    // Phase 2.5: Deployment setup (CORS, workflows, Fly.io app, deployment record)
+    const deploymentSetup = await runPhase('deployment_setup', async function () {
+      // Inject CORS middleware deterministically
+      log.info(`Injecting CORS middleware...`);
+      await injectCorsMiddleware(containerId, project_id);
+      await publishProgress(streamId, "CORS configured", 73);
+      
+      // Commit database connection file if database was provisioned
+      if (databaseInfo) {
+        log.info(`Committing database connection file...`);
+        await executeCommandInContainer(containerId, 'git add server/utils/db.js');
+        await executeCommandInContainer(containerId, 'git commit -m "Add database connection file"');
+        await publishProgress(streamId, "Database connection file committed", 74);
+      }
+      
+      // Inject GitHub Actions workflow
+      log.info(`Injecting GitHub Actions workflow...`);
+      await injectGitHubActionsWorkflow(containerId, project_id);
+      await publishProgress(streamId, "GitHub Actions configured", 75);
+      
+      // Create fly.toml and Dockerfile for deployment
+      log.info(`Creating fly.toml and Dockerfile...`);
+      await createFlyToml(containerId, project_id);
+      await publishProgress(streamId, "Deployment files created", 76);
+      
+      // Install flyctl in container
+      log.info(`Installing flyctl...`);
+      await executeCommandInContainer(containerId, 'curl -L https://fly.io/install.sh | sh');
+      await publishProgress(streamId, "flyctl installed", 77);
+      
+      // Create Fly.io app on platform
+      log.info(`Creating Fly.io app...`);
+      const flyAppResult = await createFlyApp(containerId, project_id);
+      if (!flyAppResult.success) {
+        throw new Error(`Failed to create Fly.io app: ${flyAppResult.error || 'Unknown error'}`);
+      }
+      await publishProgress(streamId, "Fly.io app created", 78);
+      
+      // Set database secrets in Fly.io if database was provisioned
+      if (databaseInfo) {
+        log.info(`Setting database secrets in Fly.io...`);
+        const appName = `turbobackend-${project_id}`.toLowerCase();
+        const secretsCommand = `export FLY_API_TOKEN="${process.env.FLY_API_TOKEN}" && ~/.fly/bin/flyctl secrets set DB_HOST="${databaseInfo.host}" DB_PORT="${databaseInfo.port}" DB_NAME="${databaseInfo.dbName}" DB_USER="${databaseInfo.user}" DB_PASSWORD="${databaseInfo.password}" --app ${appName}`;
+        await executeCommandInContainer(containerId, secretsCommand);
+        await publishProgress(streamId, "Database secrets configured in Fly.io", 79);
+        log.info(`✅ Database secrets set in Fly.io`);
+      }
+      
+      // Store deployment record in database (app created, deployment pending via GitHub Actions)
+      // TODO: Later, implement GitHub Actions webhook to update deployment status when deployment completes
+      const deploymentId = nanoid();
+      const now = Math.floor(Date.now() / 1000);
       const appName = `turbobackend-${project_id}`.toLowerCase();
-      const secretsCommand = `export FLY_API_TOKEN="${process.env.FLY_API_TOKEN}" && ~/.fly/bin/flyctl secrets set DB_HOST="${databaseInfo.host}" DB_PORT="${databaseInfo.port}" DB_NAME="${databaseInfo.dbName}" DB_USER="${databaseInfo.user}" DB_PASSWORD="${databaseInfo.password}" --app ${appName}`;
-      await executeCommandInContainer(containerId, secretsCommand);
-      await publishProgress(streamId, "Database secrets configured in Fly.io", 79);
-      console.log(`[AgenticExecution] ✅ Database secrets set in Fly.io`);
-    }
-    
-    // Store deployment record in database (app created, deployment pending via GitHub Actions)
-    // TODO: Later, implement GitHub Actions webhook to update deployment status when deployment completes
-    const deploymentId = nanoid();
-    const now = Math.floor(Date.now() / 1000);
-    const appName = `turbobackend-${project_id}`.toLowerCase();
-    const appUrl = `https://${appName}.fly.dev`;
-    
-    await client.query(
-      `INSERT INTO ${process.env.PG_DB_SCHEMA}.project_deployments 
-       (deployment_id, project_id, platform, app_name, url, status, deployed_at, last_updated)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
-      [deploymentId, project_id, 'flyio', appName, appUrl, 'pending', now, now]
-    );
-    
-    console.log(`[AgenticExecution] Deployment record created: ${deploymentId} (status: pending)`);
-    
-    // Track endpoints added if any files were modified
-    if (agentResult.filesModified?.length > 0) {
-      try {
-        const routeFiles = agentResult.filesModified.filter(f => 
-          f.path && f.path.includes('/api/') && f.path.endsWith('.js')
-        );
-        
-        if (routeFiles.length > 0) {
-          const endpointList = routeFiles.map(f => {
-            const fileName = f.path.split('/').pop();
-            const method = fileName.split('.')[1]?.toUpperCase() || 'UNKNOWN';
-            const path = f.path.replace(/^.*\/api\//, '/api/').replace(/\.[^.]+\.js$/, '');
-            return `${method} ${path}`;
-          }).join(', ');
+      const appUrl = `https://${appName}.fly.dev`;
+      
+      await client.query(
+        `INSERT INTO ${process.env.PG_DB_SCHEMA}.project_deployments 
+         (deployment_id, project_id, platform, app_name, url, status, deployed_at, last_updated)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+        [deploymentId, project_id, 'flyio', appName, appUrl, 'pending', now, now]
+      );
+      
+      log.info(`Deployment record created: ${deploymentId} (status: pending)`);
+      
+      // Track endpoints added if any route files were created
+      if (agentResult.filesModified?.length > 0) {
+        try {
+          const routeFiles = agentResult.filesModified.filter(f => 
+            f.status === 'added' && f.type === 'route' && f.path.endsWith('.js')
+          );
           
-          await trackActivity({
-            projectId: project_id,
-            userId: user_id,
-            requestId,
-            actionType: 'endpoints_added',
-            actionDetails: `Added ${routeFiles.length} endpoints: ${endpointList}`,
-            status: 'success',
-            environment: 'development',
-            client
-          });
+          if (routeFiles.length > 0) {
+            const endpointList = routeFiles.map(f => {
+              const fileName = f.path.split('/').pop();
+              const method = fileName.split('.')[1]?.toUpperCase() || 'UNKNOWN';
+              const path = f.path.replace(/^.*\/api\//, '/api/').replace(/\.[^.]+\.js$/, '');
+              return `${method} ${path}`;
+            }).join(', ');
+            
+            await trackActivity({
+              projectId: project_id,
+              userId: user_id,
+              requestId,
+              actionType: 'endpoints_added',
+              actionDetails: `Added ${routeFiles.length} endpoints: ${endpointList}`,
+              status: 'success',
+              environment: 'development',
+              client
+            });
+          }
+        } catch (error) {
+          log.error("Failed to track endpoints activity", error);
         }
-      } catch (error) {
-        console.error(`[ActivityTracker] Failed to track endpoints: ${error.message}`);
       }
-    }
+
+      return { deploymentId, appName, appUrl };
+    });
     
     // Phase 3: Post-Execution (DETERMINISTIC)
-    console.log(`[AgenticExecution] Phase 3: Post-execution actions`);
+    log.info(`Phase 3: Post-execution actions`);
     
     let githubPushResult = null;
     let s3UploadResult = null;
     let deploymentResult = null;
     
     if (agentResult.filesModified?.length > 0) {
-      // Commit CORS, GitHub Actions, and deployment files
-      console.log(`[AgenticExecution] Committing CORS, GitHub Actions, and deployment files...`);
-      await executeCommandInContainer(containerId, 'git add server/middleware/00.cors.js .github/workflows/fly.yml fly.toml Dockerfile');
-      await executeCommandInContainer(containerId, 'git commit -m "Add CORS middleware, GitHub Actions workflow, and Fly.io deployment files"');
-      
-      // Push to GitHub
-      console.log(`[AgenticExecution] Pushing to GitHub...`);
-      githubPushResult = await pushToGitHubDeterministic(
-        containerId,
-        project_id,
-        agentResult.filesModified,
-        client,
-        user_id,
-        requestId
-      );
+      githubPushResult = await runPhase('github_push', async function () {
+        // Commit CORS, GitHub Actions, and deployment files
+        log.info(`Committing CORS, GitHub Actions, and deployment files...`);
+        await executeCommandInContainer(containerId, 'git add server/middleware/00.cors.js .github/workflows/fly.yml fly.toml Dockerfile');
+        await executeCommandInContainer(containerId, 'git commit -m "Add CORS middleware, GitHub Actions workflow, and Fly.io deployment files"');
+        
+        // Push to GitHub
+        log.info(`Pushing to GitHub...`);
+        const pushResult = await pushToGitHubDeterministic(
+          containerId,
+          project_id,
+          agentResult.filesModified,
+          client,
+          user_id,
+          requestId
+        );
+        
+        // Set GitHub secret for Fly.io deployment
+        log.info(`Setting GitHub secret for Fly.io...`);
+        try {
+          await setGitHubSecret('SaaSManDan', `turbobackend-${project_id}`, 'FLY_API_TOKEN', process.env.FLY_API_TOKEN);
+          log.info(`✅ GitHub secret set`);
+        } catch (error) {
+          log.error(`Failed to set GitHub secret:`, error.message);
+        }
+
+        return pushResult;
+      });
       await publishProgress(streamId, "Code pushed to GitHub", 80);
       
-      // Set GitHub secret for Fly.io deployment
-      console.log(`[AgenticExecution] Setting GitHub secret for Fly.io...`);
-      try {
-        await setGitHubSecret('SaaSManDan', `turbobackend-${project_id}`, 'FLY_API_TOKEN', process.env.FLY_API_TOKEN);
-        console.log(`[AgenticExecution] ✅ GitHub secret set`);
-      } catch (error) {
-        console.error(`[AgenticExecution] Failed to set GitHub secret:`, error.message);
-      }
-      
-      // Upload to S3
-      console.log(`[AgenticExecution] Uploading to S3...`);
-      const s3Path = await syncProjectToS3(containerId, project_id);
-      s3UploadResult = {
-        success: true,
-        s3Path
-      };
+      s3UploadResult = await runPhase('s3_upload', async function () {
+        // Upload to S3
+        log.info(`Uploading to S3...`);
+        const s3Path = await syncProjectToS3(containerId, project_id);
+        return {
+          success: true,
+          s3Path
+        };
+      });
       await publishProgress(streamId, "Files uploaded to S3", 90);
     }
 
     // Save API blueprint to database and file if generated (MOVED BEFORE DEPLOYMENT)
     let blueprintId = null;
     if (agentResult.apiBlueprint) {
-      console.log(`[AgenticExecution] Processing API blueprint from AI response`);
-      
-      // Get blueprint and remove any metadata
-      const blueprint = { ...agentResult.apiBlueprint };
-      
-      // Remove metadata if AI included it (stored in DB instead)
-      delete blueprint.projectId;
-      delete blueprint.projectName;
-      delete blueprint.version;
-      delete blueprint.database; // Database schema stored separately
-      
-      // Write blueprint to file in container
-      const blueprintJson = JSON.stringify(blueprint, null, 2);
-      await writeFileInContainer(containerId, 'api-blueprint.json', blueprintJson);
-      
-      console.log(`[AgenticExecution] Created api-blueprint.json file`);
-      
-      // Commit to git
-      await executeCommandInContainer(containerId, 'git add api-blueprint.json');
-      await executeCommandInContainer(containerId, 'git commit -m "Add API blueprint"');
-      
-      // Store in database
-      blueprintId = nanoid();
-      const now = Math.floor(Date.now() / 1000);
-      
-      await client.query(
-        `INSERT INTO ${process.env.PG_DB_SCHEMA}.api_blueprints 
-         (blueprint_id, project_id, request_id, blueprint_content, last_updated, created_at)
-         VALUES ($1, $2, $3, $4, $5, $6)`,
-        [blueprintId, project_id, requestId, JSON.stringify(blueprint), now, now]
-      );
-      
-      console.log(`[AgenticExecution] API blueprint saved: ${blueprintId}`);
+      ({ blueprintId } = await runPhase('api_blueprint', async function () {
+        log.info(`Processing API blueprint from AI response`);
+        
+        // Get blueprint and remove any metadata
+        const blueprint = { ...agentResult.apiBlueprint };
+        
+        // Remove metadata if AI included it (stored in DB instead)
+        delete blueprint.projectId;
+        delete blueprint.projectName;
+        delete blueprint.version;
+        delete blueprint.database; // Database schema stored separately
+        
+        // Write blueprint to file in container
+        const blueprintJson = JSON.stringify(blueprint, null, 2);
+        await writeFileInContainer(containerId, 'api-blueprint.json', blueprintJson);
+        
+        log.info(`Created api-blueprint.json file`);
+        
+        // Commit to git
+        await executeCommandInContainer(containerId, 'git add api-blueprint.json');
+        await executeCommandInContainer(containerId, 'git commit -m "Add API blueprint"');
+        
+        // Store in database
+        const newBlueprintId = nanoid();
+        const now = Math.floor(Date.now() / 1000);
+        
+        await client.query(
+          `INSERT INTO ${process.env.PG_DB_SCHEMA}.api_blueprints 
+           (blueprint_id, project_id, request_id, blueprint_content, last_updated, created_at)
+           VALUES ($1, $2, $3, $4, $5, $6)`,
+          [newBlueprintId, project_id, requestId, JSON.stringify(blueprint), now, now]
+        );
+        
+        log.info(`API blueprint saved: ${newBlueprintId}`);
+
+        return { blueprintId: newBlueprintId };
+      }));
     }
 
     // Store env var requirements and create placeholder credentials if auth or payments configured
     if (authInfo || paymentInfo) {
-      await storeEnvVarRequirements(project_id, user_id, requestId, authInfo, paymentInfo, client);
-      await storeCredentialPlaceholders(project_id, authInfo, paymentInfo, client);
+      await runPhase('env_requirements', async function () {
+        await storeEnvVarRequirements(project_id, user_id, requestId, authInfo, paymentInfo, client);
+        await storeCredentialPlaceholders(project_id, authInfo, paymentInfo, client);
+        return { stored: true };
+      });
     }
 
-    await client.query('COMMIT');
-
-    console.log(`[AgenticExecution] ✅ Pre-deployment tasks complete`);
+    log.info(`✅ Pre-deployment tasks complete`);
 
     // Publish API blueprint if it exists
     if (blueprintId) {
@@ -357,14 +475,8 @@ export async function handleProjectCreationOrchestration(job, requestId, streamI
       );
 
       if (blueprintResult.rows.length > 0) {
-        await publishToChannel(
-          streamId,
-          JSON.stringify({
-            type: 'apiBlueprint',
-            content: blueprintResult.rows[0].blueprint_content
-          })
-        );
-        console.log(`[AgenticExecution] API blueprint published to stream`);
+        await publishApiBlueprint(streamId, blueprintResult.rows[0].blueprint_content);
+        log.info(`API blueprint published to stream`);
       }
     }
 
@@ -372,12 +484,13 @@ export async function handleProjectCreationOrchestration(job, requestId, streamI
     const totalCost = (agentResult.totalCost || 0) + dbDetectionCost + dbDesignCost + authDetectionCost + paymentDetectionCost;
 
     // Build deployment URL
-    const deploymentUrl = `https://turbobackend-${project_id}.fly.dev`;
+    const deploymentUrl = deploymentSetup.appUrl;
 
     // Build and send success message BEFORE deployment
     const successParts = [];
     successParts.push(`✅ Project created successfully!`);
-    successParts.push(`\nFiles modified: ${agentResult.filesModified?.length || 0}`);
+    successParts.push(`\nFiles changed: ${summarizeChangeset(agentResult.filesModified || [])}`);
+    successParts.push(describeVerification(agentResult.verification));
     if (databaseInfo) {
       successParts.push(`Database: ${databaseInfo.dbName} (${databaseInfo.schema.tables.length} tables)`);
     }
@@ -408,13 +521,14 @@ export async function handleProjectCreationOrchestration(job, requestId, streamI
     successParts.push(`\n🚀 Deploying to: ${deploymentUrl}`);
     successParts.push(`(GitHub Actions deployment triggered, check ${githubPushResult?.repoUrl}/actions)`);
 
-    await publishSuccess(streamId, successParts.join('\n'));
+    const successMessage = successParts.join('\n');
+    await publishSuccess(streamId, successMessage);
 
     // Deployment now handled by GitHub Actions
     // Comment out direct Fly.io deployment - GitHub Actions will handle it
     /*
     if (agentResult.filesModified?.length > 0 && githubPushResult) {
-      console.log(`[AgenticExecution] Starting Fly.io deployment...`);
+      log.info(`Starting Fly.io deployment...`);
       const githubRepoUrl = githubPushResult.repoUrl;
       deploymentResult = await deployProjectToFlyIO(
         project_id,
@@ -428,47 +542,29 @@ export async function handleProjectCreationOrchestration(job, requestId, streamI
 
       // Send deployment completion notification
       if (deploymentResult?.success) {
-        await publishToChannel(
-          streamId,
-          JSON.stringify({
-            type: 'deployment_complete',
-            url: deploymentUrl,
-            status: 'success'
-          })
-        );
-        console.log(`[AgenticExecution] ✅ Deployment successful: ${deploymentUrl}`);
+        await publishDeploymentStatus(streamId, 'succeeded', deploymentUrl);
+        log.info(`✅ Deployment successful: ${deploymentUrl}`);
       } else {
-        await publishToChannel(
-          streamId,
-          JSON.stringify({
-            type: 'deployment_complete',
-            url: deploymentUrl,
-            status: 'failed',
-            error: deploymentResult?.error || 'Unknown error'
-          })
-        );
-        console.log(`[AgenticExecution] ❌ Deployment failed`);
+        await publishDeploymentStatus(streamId, 'failed', deploymentUrl, {
+          error: deploymentResult?.error || 'Unknown error'
+        });
+        log.info(`❌ Deployment failed`);
       }
     }
     */
     
     // Notify that GitHub Actions will handle deployment
     if (agentResult.filesModified?.length > 0 && githubPushResult) {
-      await publishToChannel(
-        streamId,
-        JSON.stringify({
-          type: 'deployment_triggered',
-          url: deploymentUrl,
-          status: 'pending',
-          message: 'GitHub Actions deployment triggered'
-        })
-      );
-      console.log(`[AgenticExecution] ✅ GitHub Actions deployment triggered: ${deploymentUrl}`);
+      await publishDeploymentStatus(streamId, 'triggered', deploymentUrl, {
+        message: 'GitHub Actions deployment triggered'
+      });
+      log.info(`✅ GitHub Actions deployment triggered: ${deploymentUrl}`);
     }
     
     return {
       success: true,
       requestId,
+      message: successMessage,
       containerId,
       iterations: agentResult.iterations,
       filesModified: agentResult.filesModified,
@@ -479,19 +575,70 @@ export async function handleProjectCreationOrchestration(job, requestId, streamI
       totalCost: (agentResult.totalCost || 0) + dbDetectionCost + dbDesignCost + authDetectionCost + paymentDetectionCost,
       githubPushResult,
       s3UploadResult,
-      deploymentResult
+      deploymentResult,
+      deploymentUrl,
+      blueprintId
     };
     
   } catch (error) {
-    await client.query('ROLLBACK');
-    console.error(`[AgenticExecution] ❌ Error:`, error);
+    error.totalCost = phaseCost + (budgetTracker?.usage().costUsd ?? 0);
+
+    if (error instanceof JobCancelledError) {
+      await handleJobCancellation({
+        error,
+        containerId,
+        projectId: project_id,
+        userId: user_id,
+        requestId,
+        streamId,
+        client
+      });
+      throw error;
+    }
+
+    log.error(`❌ Error:`, error);
     
-    // Publish error to stream
+    // Publish error to stream; a retry will resume from the last checkpoint, so only
+    // close the stream once BullMQ has no attempts left
     const errorMessage = `Execution failed: ${error.message || 'Unknown error'}`;
-    await publishError(streamId, errorMessage);
+    if (error instanceof BudgetStoppedError) {
+      await publishBudgetStopped(streamId, errorMessage);
+    } else if (isFinalAttempt(job, error)) {
+      await publishError(streamId, errorMessage);
+    } else {
+      await publishProgress(streamId, `${errorMessage} - retrying from last completed phase`, 10);
+    }
     
     throw error;
   } finally {
     client.release();
   }
 }
+
+/**
+ * Whether a sandbox is still running; the container GC and cancellation close its sessions
+ */
+async function hasActiveContainerSession(containerId, client) {
+  const result = await client.query(
+    `SELECT 1 FROM ${process.env.PG_DB_SCHEMA}.container_sessions
+     WHERE container_id = $1 AND stopped_at IS NULL
+     LIMIT 1`,
+    [containerId]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Re-attach the cluster connection details that are deliberately left out of checkpoints
+ */
+function withClusterCredentials(databasePhase) {
+  return {
+    databaseId: databasePhase.databaseId,
+    dbName: databasePhase.dbName,
+    host: process.env.DB_CLUSTER_HOST,
+    port: process.env.DB_CLUSTER_PORT,
+    user: process.env.DB_CLUSTER_USER,
+    password: process.env.DB_CLUSTER_PASSWORD,
+    schema: databasePhase.schema
+  };
+}
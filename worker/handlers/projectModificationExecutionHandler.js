@@ -4,11 +4,18 @@ import { runAgenticLoop } from "../llms/agenticLoopExecutor.js";
 import { deployProjectToFlyIO } from "../services/flyioService.js";
 import {
     publishProgress,
+    publishPhaseCompleted,
     publishSuccess,
     publishError,
-    publishToChannel,
+    publishBudgetStopped,
+    publishApiBlueprint,
 } from "../pubsub-handlers.js";
 import { loadProjectContext } from "../utils/projectContextLoader.js";
+import { resolveLLMModel } from "../llms/llmProvider.js";
+import { createBudgetTracker, resolveAgentBudget } from "../utils/agentBudget.js";
+import { describeVerification, runVerificationGate } from "../utils/projectVerifier.js";
+import { summarizeChangeset } from "../utils/gitChangeset.js";
+import { recordGitHubPush } from "../utils/githubIntegration.js";
 import { trackActivity } from "../utils/activityTracker.js";
 import {
     getProjectGitHubRepo,
@@ -20,50 +27,92 @@ import {
     pushToMain,
 } from "../utils/githubBranchManager.js";
 import { nanoid } from "nanoid";
+import { BudgetStoppedError, isFinalAttempt, JobCancelledError, PushedToMainError } from "../utils/jobErrors.js";
+import { UnrecoverableError } from "bullmq";
+import {
+    handleJobCancellation,
+    throwIfCancelled,
+} from "../utils/jobCancellation.js";
+import { createLogger } from "../utils/logger.js";
+
+const log = createLogger("ProjectModification");
 
 export async function handleProjectModificationOrchestration(
     job,
     requestId,
     streamId,
 ) {
-    const { user_id, project_id, request_params } = job.data;
+    const { user_id, project_id, plan, request_params } = job.data;
     const { modificationRequest, shouldRedeploy = true } = request_params;
 
-    console.log(`[ProjectModification] Starting for project: ${project_id}`);
-    console.log(`[ProjectModification] Request: "${modificationRequest}"`);
+    log.info(`Starting for project: ${project_id}`);
+    log.info(`Request: "${modificationRequest}"`);
 
     const client = await pool.connect();
+    let containerId = null;
+    let pushedToMain = false;
+    // Tracks the LLM cost of the agent runs, recorded with a failure too
+    let budgetTracker = null;
 
     try {
         await client.query("BEGIN");
 
         await publishProgress(streamId, "Provisioning new sandbox...", 10);
 
+        await throwIfCancelled(requestId);
+
         // Phase 1: Provision new sandbox
-        console.log(
-            `[ProjectModification] Phase 1: Provisioning new sandbox`,
+        log.info(
+            `Phase 1: Provisioning new sandbox`,
+        );
+        containerId = await provisionDaytonaContainer(project_id);
+
+        // Record the session outside the transaction so the container GC can
+        // still find and reap this sandbox if the modification rolls back
+        const sessionId = nanoid();
+        await pool.query(
+            `INSERT INTO ${process.env.PG_DB_SCHEMA}.container_sessions
+       (session_id, project_id, container_id, container_provider, status, environment, request_id, started_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+            [
+                sessionId,
+                project_id,
+                containerId,
+                "daytona",
+                "active",
+                "development",
+                requestId,
+                Math.floor(Date.now() / 1000),
+            ],
         );
-        const containerId = await provisionDaytonaContainer(project_id);
         await publishProgress(streamId, "Sandbox provisioned", 15);
+        await publishPhaseCompleted(streamId, "container");
+
+        await throwIfCancelled(requestId);
 
         // Phase 2: Get GitHub repo URL
-        console.log(
-            `[ProjectModification] Phase 2: Getting GitHub repository`,
+        log.info(
+            `Phase 2: Getting GitHub repository`,
         );
         const repoInfo = await getProjectGitHubRepo(project_id, client);
         await publishProgress(streamId, "Repository found", 20);
 
+        await throwIfCancelled(requestId);
+
         // Phase 3: Clone project from GitHub
-        console.log(
-            `[ProjectModification] Phase 3: Cloning project from GitHub`,
+        log.info(
+            `Phase 3: Cloning project from GitHub`,
         );
         await cloneProjectFromGitHub(containerId, repoInfo);
         await publishProgress(streamId, "Project cloned", 25);
+        await publishPhaseCompleted(streamId, "clone");
+
+        await throwIfCancelled(requestId);
 
         // Phase 4: Create feature branch
         const branchName = `feature/modification-${Date.now()}`;
-        console.log(
-            `[ProjectModification] Phase 4: Creating feature branch: ${branchName}`,
+        log.info(
+            `Phase 4: Creating feature branch: ${branchName}`,
         );
         await createFeatureBranch(containerId, branchName);
         await publishProgress(
@@ -72,9 +121,11 @@ export async function handleProjectModificationOrchestration(
             30,
         );
 
+        await throwIfCancelled(requestId);
+
         // Phase 5: Load project context
-        console.log(
-            `[ProjectModification] Phase 5: Loading project context`,
+        log.info(
+            `Phase 5: Loading project context`,
         );
         const projectContext = await loadProjectContext(
             containerId,
@@ -83,45 +134,89 @@ export async function handleProjectModificationOrchestration(
         );
         await publishProgress(streamId, "Project context loaded", 35);
 
+        await throwIfCancelled(requestId);
+
         // Phase 6: Run agentic loop with modification context
-        console.log(
-            `[ProjectModification] Phase 6: Starting modification loop`,
+        log.info(
+            `Phase 6: Starting modification loop`,
         );
         await publishProgress(streamId, "Processing modifications", 40);
 
-        const agentResult = await runAgenticLoop({
+        const model = await resolveLLMModel({
+            requestedModel: request_params.model,
+            projectId: project_id,
+        });
+        log.info(`Using model: ${model}`);
+        // The loop and its verification repair runs share one budget
+        const budget = await resolveAgentBudget(project_id, { plan });
+        budgetTracker = createBudgetTracker(budget);
+
+        const runLoop = function (userRequest) {
+            return runAgenticLoop({
+                containerId,
+                projectId: project_id,
+                userId: user_id,
+                userRequest,
+                requestId,
+                streamId,
+                databaseSchema: projectContext.databaseSchema,
+                existingFiles: projectContext.files,
+                existingEndpoints: projectContext.endpoints,
+                model,
+                budget,
+                budgetTracker,
+            });
+        };
+
+        const loopResult = await runLoop(modificationRequest);
+
+        await publishProgress(streamId, "Modifications complete", 70);
+        await publishPhaseCompleted(streamId, "agentic_loop");
+
+        await throwIfCancelled(requestId);
+
+        // Phase 6.5: Verify the build and endpoints before anything is pushed
+        log.info(`Phase 6.5: Verifying modifications`);
+        await publishProgress(streamId, "Verifying build and endpoints", 71);
+        const agentResult = await runVerificationGate({
             containerId,
             projectId: project_id,
-            userId: user_id,
-            userRequest: modificationRequest,
             requestId,
-            databaseSchema: projectContext.databaseSchema,
-            existingFiles: projectContext.files,
-            existingEndpoints: projectContext.endpoints,
+            streamId,
+            userRequest: modificationRequest,
+            agentResult: loopResult,
+            // Modifications keep the blueprint in the project, not in the loop result
+            getBlueprint: async function () {
+                try {
+                    return JSON.parse(await readFileFromContainer(containerId, "api-blueprint.json"));
+                } catch (error) {
+                    log.warn(`No readable api-blueprint.json, checking health only: ${error.message}`);
+                    return null;
+                }
+            },
+            runRepair: runLoop,
+        }).catch(async function (error) {
+            if (error instanceof BudgetStoppedError) {
+                await keepPartialWork(error, containerId, branchName, modificationRequest);
+            }
+            throw error;
         });
+        await publishProgress(streamId, "Verification passed", 72);
+        await publishPhaseCompleted(streamId, "verification");
 
-        await publishProgress(streamId, "Modifications complete", 70);
+        await throwIfCancelled(requestId);
 
-        // Phase 7: Handle new database tables if needed
+        // Phase 7: Record new database tables; the agent's db_query commands already
+        // created them in the dev database and logged them in generated_queries
         if (agentResult.dbQueries?.length > 0) {
-            console.log(`[ProjectModification] Adding new database tables`);
-            // Extract CREATE TABLE queries
             const createTableQueries = agentResult.dbQueries.filter(
                 function (q) {
-                    return q.type === "CREATE TABLE";
+                    return q.type === "CREATE TABLE" || /^\s*create\s+table\b/i.test(q.query);
                 },
             );
 
             if (createTableQueries.length > 0) {
-                // Add tables to existing database
-                await addTablesToExistingDatabase(
-                    project_id,
-                    user_id,
-                    createTableQueries,
-                    client,
-                    requestId,
-                );
-
+                log.info(`Agent added ${createTableQueries.length} database tables`);
                 await trackActivity({
                     projectId: project_id,
                     userId: user_id,
@@ -135,29 +230,47 @@ export async function handleProjectModificationOrchestration(
             }
         }
 
+        await throwIfCancelled(requestId);
+
         // Phase 8: Commit and push feature branch
-        console.log(
-            `[ProjectModification] Phase 8: Committing changes to feature branch`,
+        log.info(
+            `Phase 8: Committing changes to feature branch`,
         );
-        await commitChanges(containerId, `Modification: ${modificationRequest}`);
+        const commitMessage = `Modification: ${modificationRequest}`;
+        await commitChanges(containerId, commitMessage);
         await pushFeatureBranch(containerId, branchName);
         await publishProgress(streamId, "Feature branch pushed", 80);
 
+        await throwIfCancelled(requestId);
+
         // Phase 9: Merge feature branch to main
-        console.log(
-            `[ProjectModification] Phase 9: Merging feature branch to main`,
+        log.info(
+            `Phase 9: Merging feature branch to main`,
         );
         await mergeFeatureBranch(containerId, branchName);
         await pushToMain(containerId);
+        pushedToMain = true;
+        const push = await recordGitHubPush(
+            containerId,
+            project_id,
+            commitMessage,
+            agentResult.filesModified || [],
+            client,
+            requestId,
+        );
+        // Main has the changes now; keep what was recorded so far even if a later step fails
+        await client.query("COMMIT");
+        await client.query("BEGIN");
         await publishProgress(streamId, "Changes merged to main", 85);
+        await publishPhaseCompleted(streamId, "github_push");
         
         // Phase 9.5: Check if API blueprint was modified
         const blueprintModified = agentResult.filesModified?.some(function(f) {
-            return f.path === 'api-blueprint.json';
+            return f.path === 'api-blueprint.json' && f.status !== 'deleted';
         });
         
         if (blueprintModified) {
-            console.log(`[ProjectModification] Extracting updated API blueprint from container`);
+            log.info(`Extracting updated API blueprint from container`);
             
             try {
                 // Read the updated blueprint from container
@@ -174,17 +287,11 @@ export async function handleProjectModificationOrchestration(
                 );
                 
                 // Publish to stream
-                await publishToChannel(
-                    streamId,
-                    JSON.stringify({
-                        type: 'apiBlueprint',
-                        content: blueprint
-                    })
-                );
+                await publishApiBlueprint(streamId, blueprint);
                 
-                console.log(`[ProjectModification] API blueprint updated and published`);
+                log.info(`API blueprint updated and published`);
             } catch (error) {
-                console.error(`[ProjectModification] Failed to update API blueprint: ${error.message}`);
+                log.error(`Failed to update API blueprint: ${error.message}`);
                 // Don't fail the whole modification if blueprint update fails
             }
         }
@@ -195,11 +302,13 @@ export async function handleProjectModificationOrchestration(
             userId: user_id,
             requestId,
             actionType: "github_push",
-            actionDetails: `Pushed ${agentResult.filesModified?.length || 0} modified files to ${repoInfo.repo_url}`,
+            actionDetails: `Pushed ${agentResult.filesModified?.length || 0} files (${summarizeChangeset(agentResult.filesModified || [])}) to ${repoInfo.repo_url}`,
             status: "success",
             environment: "development",
             referenceIds: {
                 branch_name: branchName,
+                github_push_id: push.pushId,
+                commit_sha: push.commitSha,
             },
             client,
         });
@@ -214,7 +323,7 @@ export async function handleProjectModificationOrchestration(
                 userId: user_id,
                 requestId,
                 actionType: modificationType,
-                actionDetails: `${modificationRequest} (${agentResult.filesModified.length} files changed)`,
+                actionDetails: `${modificationRequest} (${summarizeChangeset(agentResult.filesModified)})`,
                 status: "success",
                 environment: "development",
                 referenceIds: {
@@ -224,11 +333,13 @@ export async function handleProjectModificationOrchestration(
             });
         }
 
+        await throwIfCancelled(requestId);
+
         // Phase 10: Redeploy if requested
         let deploymentResult = null;
         if (shouldRedeploy) {
-            console.log(
-                `[ProjectModification] Phase 10: Redeploying to Fly.io`,
+            log.info(
+                `Phase 10: Redeploying to Fly.io`,
             );
             deploymentResult = await deployProjectToFlyIO(
                 project_id,
@@ -240,50 +351,75 @@ export async function handleProjectModificationOrchestration(
                 requestId,
             );
             await publishProgress(streamId, "Redeployment complete", 95);
+            await publishPhaseCompleted(streamId, "deployment");
         }
 
-        // Phase 11: Record container session
-        const sessionId = nanoid();
-        const now = Math.floor(Date.now() / 1000);
+        // Phase 11: Mark container session completed
         await client.query(
-            `INSERT INTO ${process.env.PG_DB_SCHEMA}.container_sessions
-       (session_id, project_id, container_id, container_provider, status, environment, started_at)
-       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
-            [
-                sessionId,
-                project_id,
-                containerId,
-                "daytona",
-                "completed",
-                "development",
-                now,
-            ],
+            `UPDATE ${process.env.PG_DB_SCHEMA}.container_sessions
+       SET status = $1
+       WHERE session_id = $2`,
+            ["completed", sessionId],
         );
 
         await client.query("COMMIT");
 
-        console.log(`[ProjectModification] ✅ Modification complete`);
+        log.info(`✅ Modification complete`);
 
-        const successMessage = `Project modifications completed successfully!\n\nFiles modified: ${agentResult.filesModified?.length || 0}\n${deploymentResult ? `Redeployed to: ${deploymentResult.url}` : ""}\n\nSummary: ${agentResult.summary}`;
+        const successMessage = `Project modifications completed successfully!\n\nFiles changed: ${summarizeChangeset(agentResult.filesModified || [])}\n${describeVerification(agentResult.verification)}\n${deploymentResult ? `Redeployed to: ${deploymentResult.url}` : ""}\n\nSummary: ${agentResult.summary}`;
 
         await publishSuccess(streamId, successMessage);
 
         return {
             success: true,
             requestId,
+            message: successMessage,
             containerId,
             branchName,
             filesModified: agentResult.filesModified,
             deploymentResult,
+            totalCost: agentResult.totalCost,
         };
-    } catch (error) {
+    } catch (caught) {
         await client.query("ROLLBACK");
-        console.error(`[ProjectModification] ❌ Error:`, error);
 
-        await publishError(
-            streamId,
-            `Modification failed: ${error.message}`,
-        );
+        // Retrying after the push would merge the same modification into main again
+        const error = pushedToMain && !(caught instanceof UnrecoverableError)
+            ? new PushedToMainError(caught)
+            : caught;
+        error.totalCost = budgetTracker?.usage().costUsd ?? null;
+
+        if (error instanceof JobCancelledError) {
+            await handleJobCancellation({
+                error,
+                containerId,
+                projectId: project_id,
+                userId: user_id,
+                requestId,
+                streamId,
+                client,
+            });
+            throw error;
+        }
+
+        log.error(`❌ Error:`, error);
+
+        if (error instanceof BudgetStoppedError) {
+            const kept = error.partialBranch
+                ? `The work so far is on branch ${error.partialBranch}; it was not merged or deployed.`
+                : "The work so far could not be pushed.";
+            await publishBudgetStopped(streamId, `Modification stopped: ${error.message}\n\n${kept}`);
+            throw error;
+        }
+
+        // A retry starts over in a fresh sandbox, so only close the stream once BullMQ has
+        // no attempts left
+        const errorMessage = `Modification failed: ${error.message}`;
+        if (isFinalAttempt(job, error)) {
+            await publishError(streamId, errorMessage);
+        } else {
+            await publishProgress(streamId, `${errorMessage} - retrying`, 10);
+        }
 
         throw error;
     } finally {
@@ -291,45 +427,33 @@ export async function handleProjectModificationOrchestration(
     }
 }
 
+/**
+ * Commit and push what a budget-stopped run changed to its feature branch, without merging,
+ * so the work is not lost. Sets `partialBranch` on the error once pushed.
+ */
+async function keepPartialWork(error, containerId, branchName, modificationRequest) {
+    try {
+        await commitChanges(containerId, `Partial modification (${error.budgetExceeded.budget} budget reached): ${modificationRequest}`);
+        await pushFeatureBranch(containerId, branchName);
+        error.partialBranch = branchName;
+        log.info(`Pushed partial work to ${branchName}`);
+    } catch (pushError) {
+        log.error(`Failed to push partial work to ${branchName}: ${pushError.message}`);
+    }
+}
+
 function determineModificationType(filesModified) {
-    const hasNewRoutes = filesModified.some(function (f) {
-        return f.type === "route" && f.isNew;
-    });
-    const hasModifiedRoutes = filesModified.some(function (f) {
-        return f.type === "route" && !f.isNew;
+    const routeChanges = filesModified.filter(function (f) {
+        return f.type === "route";
     });
+    const hasStatus = function (status) {
+        return routeChanges.some(function (f) {
+            return f.status === status;
+        });
+    };
 
-    if (hasNewRoutes) return "endpoints_added";
-    if (hasModifiedRoutes) return "endpoints_modified";
+    if (hasStatus("added")) return "endpoints_added";
+    if (hasStatus("deleted")) return "endpoints_removed";
+    if (hasStatus("modified")) return "endpoints_modified";
     return "business_logic_modified";
 }
-
-async function addTablesToExistingDatabase(
-    projectId,
-    userId,
-    createTableQueries,
-    client,
-    requestId,
-) {
-    // Get existing database info
-    const dbResult = await client.query(
-        `SELECT * FROM ${process.env.PG_DB_SCHEMA}.project_databases 
-     WHERE project_id = $1 AND is_active = true`,
-        [projectId],
-    );
-
-    if (dbResult.rows.length === 0) {
-        throw new Error("No active database found for project");
-    }
-
-    const dbInfo = dbResult.rows[0];
-
-    // Execute CREATE TABLE queries on existing database
-    console.log(
-        `[ProjectModification] Adding ${createTableQueries.length} tables to ${dbInfo.db_name}`,
-    );
-
-    // TODO: Execute queries on existing database
-    // This would be similar to the logic in databaseProvisioner.js
-    // but connecting to the existing database instead of creating a new one
-}
@@ -1,11 +1,52 @@
 import "dotenv/config";
+import { createServer } from "node:http";
 import { Queue, QueueEvents, Worker } from "bullmq";
 import { redis } from "../databases/redisConnector.js";
-import { getProcessor, listProcessors } from "./processors/processorFunctions.js";
-import { closePubSub, waitForPublisherReady } from "./pubsub-handlers.js";
+import pool from "../databases/postgresConnector.js";
+import {
+  getIdempotencyKey,
+  getIdempotencyWindow,
+  getJobOptions,
+  getProcessor,
+  getRetryPolicy,
+  listProcessors,
+  shouldDeadLetter,
+  validateJobPayload
+} from "./processors/processorFunctions.js";
+import {
+  closePubSub,
+  isPublisherReady,
+  publishJobStarted,
+  publishValidationError,
+  waitForPublisherReady
+} from "./pubsub-handlers.js";
+import {
+  isFinalAttempt,
+  JobCancelledError,
+  JobValidationError
+} from "./utils/jobErrors.js";
+import { runIdempotentJob } from "./utils/jobIdempotency.js";
+import {
+  startCancellationListener,
+  stopCancellationListener
+} from "./utils/jobCancellation.js";
+import {
+  createDeadLetterQueue,
+  DEAD_LETTER_QUEUE_NAME,
+  sendToDeadLetterQueue
+} from "./utils/deadLetterQueue.js";
+import {
+  jobDurationSeconds,
+  queueDepth,
+  renderMetrics
+} from "./utils/metrics.js";
+import { createLogger, runWithLogContext } from "./utils/logger.js";
+import { startWebhookDispatch, stopWebhookDispatch } from "./utils/webhooks.js";
 
 const queueName = "turbobackend-queue";
 
+const log = createLogger("Worker");
+
 const concurrency = (() => {
   const raw = Number.parseInt(process.env.WORKER_CONCURRENCY ?? "5", 10);
   if (Number.isNaN(raw) || raw < 1) {
@@ -14,6 +55,30 @@ const concurrency = (() => {
   return raw;
 })();
 
+// How often the container garbage collector runs; 0 turns the schedule off.
+const containerGcIntervalMinutes = (() => {
+  const raw = Number.parseInt(process.env.CONTAINER_GC_INTERVAL_MINUTES ?? "15", 10);
+  if (Number.isNaN(raw) || raw < 0) {
+    throw new Error("CONTAINER_GC_INTERVAL_MINUTES must be a non-negative integer");
+  }
+  return raw;
+})();
+
+// Port for the health, readiness and metrics endpoints.
+const httpPort = (() => {
+  const raw = Number.parseInt(process.env.WORKER_HTTP_PORT ?? "9090", 10);
+  if (Number.isNaN(raw) || raw < 1) {
+    throw new Error("WORKER_HTTP_PORT must be a positive integer");
+  }
+  return raw;
+})();
+
+// A readiness probe that hangs is as bad as one that fails, so dependencies get a deadline.
+const READINESS_TIMEOUT_MS = 2000;
+
+const CONTAINER_GC_SCHEDULER_ID = "container-gc";
+const CONTAINER_GC_JOB_NAME = "containerGcJob";
+
 const duplicatedConnections = [];
 
 // Duplicate the shared Redis connection so BullMQ internals stay isolated per component.
@@ -23,20 +88,233 @@ const createConnection = () => {
   return connection;
 };
 
+// Tell the waiting MCP client why its job was rejected, when it gave us a stream to reply on.
+async function reportValidationFailure(job, error) {
+  log.error(`Job ${job.id} rejected: ${error.message}`);
+
+  const streamId = job.data?.streamId;
+  if (typeof streamId !== "string" || streamId.length === 0) {
+    return;
+  }
+
+  try {
+    await publishValidationError(
+      streamId,
+      `Invalid request for ${job.name}`,
+      error.issues
+    );
+  } catch (publishError) {
+    log.error(
+      `Failed to publish validation error for job ${job.id}`,
+      publishError
+    );
+  }
+}
+
+// BullMQ decides whether to retry from the in-memory job options, so applying the
+// processor's policy here makes it win over whatever the producer enqueued with.
+function applyRetryPolicy(job) {
+  const { attempts, backoff } = getRetryPolicy(job.name);
+  job.opts.attempts = attempts;
+  if (backoff) {
+    job.opts.backoff = backoff;
+  } else {
+    delete job.opts.backoff;
+  }
+}
+
+// Validate, de-duplicate and run a job through its registered processor.
+async function dispatchJob(job) {
+  // Route the incoming job by name to the registered processor module.
+  const processor = getProcessor(job.name);
+  if (!processor) {
+    throw new Error(`No processor registered for job "${job.name}"`);
+  }
+
+  // Reject malformed payloads up front instead of failing halfway through a pipeline.
+  try {
+    validateJobPayload(job.name, job.data);
+  } catch (error) {
+    if (error instanceof JobValidationError) {
+      await reportValidationFailure(job, error);
+    }
+    throw error;
+  }
+
+  // Announce the attempt to the stream (and its webhooks); a failed publish must not stop the job.
+  if (typeof job.data.streamId === "string") {
+    await publishJobStarted(job.data.streamId, job.name, job.attemptsMade + 1).catch((error) => {
+      log.warn(`Failed to publish job start for ${job.id}: ${error.message}`);
+    });
+  }
+
+  // Collapse duplicate submissions onto a single pipeline run.
+  const idempotencyKey = getIdempotencyKey(job.name, job.data);
+  if (!idempotencyKey) {
+    return processor(job);
+  }
+
+  if (job.data.idempotencyKey !== idempotencyKey) {
+    await job.updateData({ ...job.data, idempotencyKey });
+  }
+  return runIdempotentJob(job, idempotencyKey, () => processor(job), {
+    completedWindowSeconds: getIdempotencyWindow(job.name, job.data)
+  });
+}
+
+// Register (or remove) the repeating container GC job. Upserting is safe from every worker
+// instance: BullMQ keeps a single scheduler per id.
+async function scheduleContainerGc(queue) {
+  if (containerGcIntervalMinutes === 0) {
+    await queue.removeJobScheduler(CONTAINER_GC_SCHEDULER_ID);
+    log.info("Container GC schedule disabled");
+    return;
+  }
+
+  await queue.upsertJobScheduler(
+    CONTAINER_GC_SCHEDULER_ID,
+    { every: containerGcIntervalMinutes * 60 * 1000 },
+    { name: CONTAINER_GC_JOB_NAME, data: {}, opts: getJobOptions(CONTAINER_GC_JOB_NAME) }
+  );
+  log.info(`Container GC scheduled every ${containerGcIntervalMinutes} minute(s)`);
+}
+
+// Resolve to false if a dependency check does not answer in time.
+const withTimeout = (promise, ms) =>
+  Promise.race([
+    promise,
+    new Promise((resolve) => setTimeout(() => resolve(false), ms).unref())
+  ]);
+
+// Ready means jobs can make progress: results can be published and Postgres answers.
+async function checkReadiness() {
+  const checks = {
+    redisPublisher: isPublisherReady(),
+    postgres: await withTimeout(
+      pool.query("SELECT 1").then(() => true, () => false),
+      READINESS_TIMEOUT_MS
+    )
+  };
+  return { ready: Object.values(checks).every(Boolean), checks };
+}
+
+// Queue depth is sampled on scrape rather than tracked from events.
+async function refreshQueueDepth(queues) {
+  for (const queue of queues) {
+    const counts = await queue.getJobCounts();
+    for (const [state, count] of Object.entries(counts)) {
+      queueDepth.set({ queue: queue.name, state }, count);
+    }
+  }
+}
+
+// Serve /healthz (liveness), /readyz (readiness) and /metrics (Prometheus).
+function startHttpServer({ worker, queues }) {
+  const server = createServer(async (req, res) => {
+    const send = (status, body, contentType = "application/json") => {
+      res.writeHead(status, { "Content-Type": contentType });
+      res.end(typeof body === "string" ? body : JSON.stringify(body));
+    };
+
+    try {
+      switch (new URL(req.url, "http://localhost").pathname) {
+        case "/healthz": {
+          const running = worker.isRunning();
+          send(running ? 200 : 503, { status: running ? "ok" : "stopped" });
+          return;
+        }
+        case "/readyz": {
+          const readiness = await checkReadiness();
+          send(readiness.ready ? 200 : 503, readiness);
+          return;
+        }
+        case "/metrics": {
+          try {
+            await refreshQueueDepth(queues);
+          } catch (error) {
+            log.error(`Failed to sample queue depth: ${error.message}`);
+          }
+          send(200, renderMetrics(), "text/plain; version=0.0.4; charset=utf-8");
+          return;
+        }
+        default:
+          send(404, { error: "Not found" });
+      }
+    } catch (error) {
+      log.error(`HTTP handler error`, error);
+      send(500, { error: error.message });
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(httpPort, () => resolve(server));
+  });
+}
+
+// Park a job that will not run again; a broken dead-letter write must not hide the real error.
+async function deadLetterJob(deadLetterQueue, job, error) {
+  try {
+    await sendToDeadLetterQueue(deadLetterQueue, job, error);
+  } catch (deadLetterError) {
+    log.error(
+      `Failed to dead-letter job ${job.id}`,
+      deadLetterError
+    );
+  }
+}
+
+// Correlation ids attached to every line logged while a job runs.
+const jobLogContext = (job) => ({
+  queue: queueName,
+  jobId: job.id,
+  jobName: job.name,
+  requestId: job.data?.requestId,
+  projectId: job.data?.project_id ?? job.data?.projectId,
+  userId: job.data?.user_id
+});
+
+// Run one attempt of a job under its processor's retry policy, timing it and
+// dead-lettering it if this was its last chance.
+async function processJob(job, deadLetterQueue) {
+  applyRetryPolicy(job);
+  const stopTimer = jobDurationSeconds.startTimer({ job_name: job.name });
+
+  try {
+    const result = await dispatchJob(job);
+    stopTimer({ outcome: "completed" });
+    return result;
+  } catch (error) {
+    stopTimer({
+      outcome: error instanceof JobCancelledError ? "cancelled" : "failed"
+    });
+
+    // Cancellations were asked for, so only genuine final failures are parked.
+    if (
+      isFinalAttempt(job, error) &&
+      !(error instanceof JobCancelledError) &&
+      shouldDeadLetter(job.name)
+    ) {
+      await deadLetterJob(deadLetterQueue, job, error);
+    }
+    throw error;
+  }
+}
+
 // Spin up the worker and event listeners that keep the queue responsive.
 async function startWorker() {
   await waitForPublisherReady();
+  await startCancellationListener();
+
+  const deadLetterQueue = createDeadLetterQueue(createConnection());
+
+  // Producer side of the main queue: schedules, webhook deliveries and the dev drain.
+  const queue = new Queue(queueName, { connection: createConnection() });
+  startWebhookDispatch(queue);
 
   const worker = new Worker(
     queueName,
-    async (job) => {
-      // Route the incoming job by name to the registered processor module.
-      const processor = getProcessor(job.name);
-      if (!processor) {
-        throw new Error(`No processor registered for job "${job.name}"`);
-      }
-      return processor(job);
-    },
+    (job) => runWithLogContext(jobLogContext(job), () => processJob(job, deadLetterQueue)),
     {
       connection: createConnection(),
       concurrency,
@@ -46,50 +324,66 @@ async function startWorker() {
   );
   await worker.waitUntilReady();
 
+  await scheduleContainerGc(queue);
+
   const queueEvents = new QueueEvents(queueName, {
     connection: createConnection()
   });
   await queueEvents.waitUntilReady();
 
   queueEvents.on("completed", ({ jobId }) => {
-    console.log(`[${queueName}] Job ${jobId} completed`);
+    log.info("Job completed", { jobId });
   });
 
   queueEvents.on("failed", ({ jobId, failedReason }) => {
-    console.error(
-      `[${queueName}] Job ${jobId} failed: ${failedReason}`
-    );
+    log.error("Job failed", { jobId, failedReason });
   });
 
   worker.on("error", (error) => {
-    console.error(`[${queueName}] Worker error`, error);
+    log.error(`Worker error`, error);
   });
 
   queueEvents.on("error", (error) => {
-    console.error(`[${queueName}] Events error`, error);
+    log.error(`Events error`, error);
+  });
+
+  const httpServer = await startHttpServer({
+    worker,
+    queues: [queue, deadLetterQueue]
   });
 
   // Gracefully tear down BullMQ components and Redis connections on exit signals.
   const shutdown = async () => {
-    console.log("Shutting down worker...");
+    log.info("Shutting down worker...");
 
-    // In development, clear all pending jobs from the queue
-    if (process.env.NODE_ENV !== 'production') {
-      console.log("[DEV] Clearing pending jobs from queue...");
+    // Opt-in for local development: drop waiting and delayed jobs. Failed jobs and the
+    // dead-letter queue are left alone so they can still be inspected.
+    if (
+      process.env.NODE_ENV !== 'production' &&
+      process.env.WORKER_DRAIN_ON_SHUTDOWN === 'true'
+    ) {
+      log.info("Draining pending jobs from queue...", { environment: "development" });
       try {
-        const queue = new Queue(queueName, { connection: createConnection() });
-        await queue.obliterate({ force: true });
-        console.log("[DEV] ✅ Queue cleared");
-        await queue.close();
+        await queue.drain(true);
+        log.info("✅ Queue drained", { environment: "development" });
       } catch (error) {
-        console.error("[DEV] Failed to clear queue:", error.message);
+        log.error("Failed to drain queue", error, { environment: "development" });
       }
     }
 
+    // Let active jobs finish first: they still publish results and enqueue webhook deliveries.
+    await Promise.allSettled([
+      new Promise((resolve) => httpServer.close(resolve)),
+      worker.close()
+    ]);
+    await stopWebhookDispatch();
+
     await Promise.allSettled([
-      worker.close(),
       queueEvents.close(),
-      closePubSub()
+      queue.close(),
+      deadLetterQueue.close(),
+      closePubSub(),
+      stopCancellationListener()
     ]);
     await Promise.allSettled(
       duplicatedConnections.map((connection) => connection.quit())
@@ -101,16 +395,22 @@ async function startWorker() {
   process.on("SIGINT", shutdown);
   process.on("SIGTERM", shutdown);
 
-  console.log(
+  log.info(
     `Worker ready on queue "${queueName}" with concurrency ${concurrency}`
   );
-  console.log(
-    `Registered job processors: ${listProcessors().join(", ") || "none"}`
+  log.info(
+    `Registered job processors: ${
+      listProcessors()
+        .map((jobName) => `${jobName} (attempts: ${getRetryPolicy(jobName).attempts})`)
+        .join(", ") || "none"
+    }`
   );
+  log.info(`Exhausted jobs are dead-lettered to "${DEAD_LETTER_QUEUE_NAME}"`);
+  log.info(`Health and metrics on port ${httpPort} (/healthz, /readyz, /metrics)`);
 }
 
 // Boot the worker lifecycle; any failure bubbles to process exit.
 startWorker().catch((error) => {
-  console.error("Failed to start worker", error);
+  log.error("Failed to start worker", error);
   process.exit(1);
 });
@@ -0,0 +1,149 @@
+import { z } from "zod";
+
+/**
+ * Tools the container agent calls instead of replying with free-form JSON. The command
+ * tools map one-to-one onto executeAgentCommands command types; complete_task ends the loop.
+ *
+ * Arguments are validated here with zod rather than by the provider SDKs, so every
+ * provider reports a bad call back to the model the same way.
+ */
+
+export const COMPLETE_TASK_TOOL = "complete_task";
+
+const purpose = z.string().optional().describe("Why you are running this command, in a few words");
+const projectPath = z.string().trim().min(1).describe("Path relative to the project root");
+
+const commandTools = {
+  execute: {
+    description: "Run a shell command in the project root and return its output and exit code.",
+    schema: z.object({
+      command: z.string().trim().min(1).describe("Bash command to run"),
+      purpose
+    })
+  },
+  read: {
+    description: "Read a file's contents.",
+    schema: z.object({
+      path: projectPath,
+      purpose
+    })
+  },
+  write: {
+    description: "Create a file or overwrite it with the full new content.",
+    schema: z.object({
+      path: projectPath,
+      content: z.string().describe("Complete file content"),
+      purpose
+    })
+  },
+  edit: {
+    description: "Change part of an existing file, either with exact search-and-replace blocks or with a unified diff. " +
+      "Prefer this to write for changes to existing files. Nothing is changed if any block or hunk does not match.",
+    schema: z.object({
+      path: projectPath,
+      edits: z.array(z.object({
+        search: z.string().min(1).describe("Exact text to find, including indentation; must occur exactly once"),
+        replace: z.string().describe("Text to put in its place")
+      })).min(1).optional().describe("Blocks applied in order"),
+      diff: z.string().trim().min(1).optional().describe("Unified diff of this one file, with @@ hunk headers"),
+      purpose
+    }).refine(function (input) {
+      return (input.edits === undefined) !== (input.diff === undefined);
+    }, { message: "Pass exactly one of edits or diff" })
+  },
+  delete: {
+    description: "Delete a file or directory.",
+    schema: z.object({
+      path: projectPath,
+      purpose
+    })
+  },
+  start_dev_server: {
+    description: "Start `nitro dev` in the background so you can call your endpoints with http_request. " +
+      "Returns once the server answers, with the tail of its output.",
+    schema: z.object({
+      restart: z.boolean().optional().describe("Restart the server if it is already running"),
+      purpose
+    })
+  },
+  http_request: {
+    description: "Send an HTTP request to the dev server (started automatically if needed) and return the response status, headers and body.",
+    schema: z.object({
+      method: z.enum(["GET", "POST", "PUT", "PATCH", "DELETE", "HEAD", "OPTIONS"]),
+      path: z.string().trim().startsWith("/").describe('Path and query string, e.g. "/api/users?limit=5"'),
+      headers: z.record(z.string(), z.string()).optional(),
+      body: z.string().optional().describe("Request body; for JSON, the serialized JSON with a Content-Type: application/json header"),
+      purpose
+    })
+  },
+  db_query: {
+    description: "Run a SQL statement against the project's development database. Reads (SELECT, WITH, SHOW, EXPLAIN) " +
+      "run read-only and return up to 100 rows; other statements (CREATE TABLE, INSERT, ...) are executed and recorded.",
+    schema: z.object({
+      query: z.string().trim().min(1).describe("One SQL statement"),
+      queryType: z.string().optional().describe('Kind of statement, e.g. "CREATE TABLE"'),
+      schemaName: z.string().optional(),
+      purpose
+    })
+  }
+};
+
+const blueprintEndpointSchema = z.looseObject({
+  method: z.string().min(1),
+  path: z.string().min(1),
+  description: z.string()
+});
+
+/**
+ * Tool definitions for one loop, as { name, description, schema }. Creation runs must hand
+ * back the API blueprint on completion; modification runs update api-blueprint.json instead.
+ */
+export function getAgentTools({ processType = 'creation' } = {}) {
+  const completionFields = {
+    summary: z.string().trim().min(1).describe("What was built or changed")
+  };
+  if (processType === 'creation') {
+    completionFields.apiBlueprint = z.looseObject({
+      endpoints: z.array(blueprintEndpointSchema)
+    }).describe("Every API endpoint you created");
+  }
+
+  return [
+    ...Object.entries(commandTools).map(function ([name, tool]) {
+      return { name, ...tool };
+    }),
+    {
+      name: COMPLETE_TASK_TOOL,
+      description: "Finish the task. Call this only once everything is implemented and the build passes.",
+      schema: z.object(completionFields)
+    }
+  ];
+}
+
+/**
+ * Validate one tool call from the model.
+ *
+ * @param {Object} call - { id, name, input, inputError } from the provider
+ * @param {Array<Object>} tools - Definitions from getAgentTools
+ * @returns {Object} - { input } with the parsed arguments, or { error } describing what to fix
+ */
+export function parseAgentToolCall(call, tools) {
+  const tool = tools.find(function (candidate) { return candidate.name === call.name; });
+  if (!tool) {
+    return {
+      error: `Unknown tool "${call.name}". Available tools: ${tools.map(function (t) { return t.name; }).join(", ")}`
+    };
+  }
+  if (call.inputError) {
+    return { error: `Arguments for "${call.name}" are not valid JSON: ${call.inputError}` };
+  }
+
+  const result = tool.schema.safeParse(call.input ?? {});
+  if (!result.success) {
+    const problems = result.error.issues.map(function (issue) {
+      return `${issue.path.join(".") || "(arguments)"}: ${issue.message}`;
+    });
+    return { error: `Invalid arguments for "${call.name}": ${problems.join("; ")}. Fix them and call the tool again.` };
+  }
+  return { input: result.data };
+}
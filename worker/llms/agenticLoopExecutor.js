@@ -1,7 +1,29 @@
-import { callLLMNonStream } from "./xai-non-stream.js";
+import { callLLMWithTools, DEFAULT_LLM_MODEL } from "./llmProvider.js";
+import { COMPLETE_TASK_TOOL, getAgentTools, parseAgentToolCall } from "./agentTools.js";
+import { compactConversation, estimateConversationTokens } from "./conversationCompactor.js";
 import { executeAgentCommands } from "../utils/agentCommandExecutor.js";
+import { stopDevServerInContainer } from "../services/daytonaService.js";
+import { computeChangeset, determineFileType, getHeadCommit, summarizeChangeset } from "../utils/gitChangeset.js";
 import { getContainerAgentSystemPrompt } from "./prompts/containerAgentSystem.js";
 import { trackMessageCost, calculateCost } from "../../utils/messageCostTracker.js";
+import { getCancellation } from "../utils/jobCancellation.js";
+import { publishAgentBudget, publishAgentCommand, publishAgentReasoning } from "../pubsub-handlers.js";
+import { createBudgetTracker, DEFAULT_AGENT_BUDGET, describeBudgetStop } from "../utils/agentBudget.js";
+import { agentContextCompactionSavedTokens, agenticLoopIterations } from "../utils/metrics.js";
+import { createLogger, redactSecrets } from "../utils/logger.js";
+
+const log = createLogger("AgenticLoop");
+
+// Stream events carry excerpts, not whole files or build logs.
+const STREAM_REASONING_LIMIT = 2000;
+const STREAM_OUTPUT_LIMIT = 1000;
+const STREAM_COMMAND_LIMIT = 500;
+
+// Estimated conversation size above which older turns are compacted before the next call
+const CONTEXT_TOKEN_BUDGET = Number(process.env.AGENT_CONTEXT_TOKEN_BUDGET) || 60000;
+
+// Assistant turns, with their tool results, that compaction always leaves verbatim
+const KEEP_RECENT_TURNS = 3;
 
 /**
  * Run the AI agent in a loop until it decides the task is complete
@@ -12,24 +34,31 @@ export async function runAgenticLoop({
   userId,
   userRequest,
   requestId,
+  streamId = null,
   databaseSchema = null,
   integrationSpecs = null,
   existingFiles = [],
   existingEndpoints = [],
   projectName = null,
-  maxIterations = Infinity
+  model = DEFAULT_LLM_MODEL,
+  budget = DEFAULT_AGENT_BUDGET,
+  // Pass one tracker to every run of a request so repair runs spend what is left of its budget
+  budgetTracker = createBudgetTracker(budget)
 }) {
-  console.log(`[AgenticLoop] Starting for request: "${userRequest}"`);
+  log.info(`Starting for request: "${userRequest}" with model ${model}`);
   
   let iteration = 0;
-  const conversationHistory = [];
-  const filesModified = [];
+  let cancelled = false;
+  let conversationHistory = [];
+  // Final content of files written or edited, by path; git decides what actually changed
+  const writtenContents = new Map();
   const dbQueries = [];
   
   // Track cumulative usage for cost tracking
   let totalInputTokens = 0;
   let totalOutputTokens = 0;
   const startTime = Math.floor(Date.now() / 1000);
+  const baseCommit = await getHeadCommit(containerId);
   
   // Determine process type
   const processType = existingEndpoints.length > 0 ? 'modification' : 'creation';
@@ -38,7 +67,7 @@ export async function runAgenticLoop({
   let systemPrompt = getContainerAgentSystemPrompt({ processType, projectName });
   
   if (databaseSchema) {
-    console.log(`[AgenticLoop] Database available with ${databaseSchema.tables.length} tables`);
+    log.info(`Database available with ${databaseSchema.tables.length} tables`);
     systemPrompt += `\n\n=== DATABASE AVAILABLE ===\n\nYou have access to a Postgres database with the following schema:\n\n`;
     
     databaseSchema.tables.forEach(function(table) {
@@ -55,6 +84,7 @@ export async function runAgenticLoop({
     systemPrompt += `- CRITICAL: Create a database connection utility file at server/utils/db.js with pg.Pool configuration that reads from .env variables\n`;
     systemPrompt += `- Import the database connection in any file that needs database access (e.g., import pool from '../utils/db.js' or import pool from '../../utils/db.js' depending on file location)\n`;
     systemPrompt += `- Write SQL queries in your endpoints using the exact table/column names above\n`;
+    systemPrompt += `- Use db_query to inspect data or try a query before using it in an endpoint; new tables or columns must also go through db_query so they are recorded\n`;
     systemPrompt += `- Use parameterized queries ($1, $2, etc.) to prevent SQL injection\n`;
     systemPrompt += `- Handle database errors appropriately with try/catch\n`;
     systemPrompt += `- The pg package is already installed\n`;
@@ -62,7 +92,7 @@ export async function runAgenticLoop({
   
   // Add Clerk auth specs if available
   if (integrationSpecs?.clerk) {
-    console.log(`[AgenticLoop] Clerk authentication enabled`);
+    log.info(`Clerk authentication enabled`);
     systemPrompt += `
 
 === CLERK AUTHENTICATION INTEGRATION REQUESTED ===
@@ -97,7 +127,7 @@ INSTRUCTIONS:
 
   // Add Stripe payment specs if available
   if (integrationSpecs?.stripe) {
-    console.log(`[AgenticLoop] Stripe payments enabled`);
+    log.info(`Stripe payments enabled`);
     systemPrompt += `
 
 === STRIPE PAYMENT INTEGRATION REQUESTED ===
@@ -133,7 +163,7 @@ INSTRUCTIONS:
 
   // Add context about existing project if this is a modification
   if (existingEndpoints.length > 0) {
-    console.log(`[AgenticLoop] Existing project with ${existingEndpoints.length} endpoints`);
+    log.info(`Existing project with ${existingEndpoints.length} endpoints`);
     systemPrompt += `\n\n=== EXISTING ENDPOINTS ===\n\n`;
     systemPrompt += `This project already has the following endpoints:\n`;
     existingEndpoints.forEach(function(ep) {
@@ -143,101 +173,127 @@ INSTRUCTIONS:
     systemPrompt += `You can modify existing files or create new ones as needed.\n`;
   }
 
+  const tools = getAgentTools({ processType });
+  let completion = null;
+  let budgetExceeded = null;
+
   // Initialize conversation
-  conversationHistory.push({
-    role: 'system',
-    content: systemPrompt
-  });
-  
   conversationHistory.push({
     role: 'user',
     content: `User Request: "${userRequest}"`
   });
   
-  while (iteration < maxIterations) {
+  while (true) {
+    // Stop between iterations if the request was cancelled; the caller tears down
+    if (await getCancellation(requestId)) {
+      log.info(`Cancellation requested, stopping after ${iteration} iterations`);
+      cancelled = true;
+      break;
+    }
+
+    // A used-up budget also stops between iterations; the caller keeps the work done so far
+    budgetExceeded = budgetTracker.exceeded();
+    if (budgetExceeded) {
+      log.warn(`Stopping after ${iteration} iterations: ${describeBudgetStop(budgetExceeded)}`);
+      await publishLoopEvent(streamId, publishAgentBudget, { ...budgetExceeded, status: 'exceeded' });
+      break;
+    }
+
     iteration++;
-    console.log(`[AgenticLoop] Iteration ${iteration}/${maxIterations}`);
+    agenticLoopIterations.inc({ process_type: processType });
+    log.info(`Iteration ${iteration} (${budgetTracker.usage().iterations + 1}/${budget.iterations} for the request)`);
     
-    // Call AI agent with full conversation history
-    const result = await callLLMNonStream(
-      JSON.stringify(conversationHistory),
-      null
-    );
-    
-    let agentResponse;
-    try {
-      agentResponse = JSON.parse(result.text);
-    } catch (parseError) {
-      console.error(`[AgenticLoop] JSON parse error:`, parseError.message);
-      console.error(`[AgenticLoop] Raw response (first 500 chars):`, result.text.substring(0, 500));
-      
-      // Try to sanitize and parse again
-      try {
-        const sanitized = result.text
-          .replace(/[\x00-\x1F\x7F]/g, function(char) {
-            // Replace control characters with escaped versions
-            const escapeMap = {
-              '\n': '\\n',
-              '\r': '\\r',
-              '\t': '\\t',
-              '\b': '\\b',
-              '\f': '\\f'
-            };
-            return escapeMap[char] || '';
-          });
-        
-        agentResponse = JSON.parse(sanitized);
-        console.log(`[AgenticLoop] Successfully parsed after sanitization`);
-      } catch (sanitizeError) {
-        console.error(`[AgenticLoop] Sanitization failed, using fallback response`);
-        
-        // Fallback: create a minimal valid response
-        agentResponse = {
-          reasoning: "LLM returned invalid JSON format. Marking task as incomplete.",
-          commands: [],
-          taskComplete: false,
-          summary: "Error: Invalid JSON response from LLM"
-        };
-        
-        // Add error to conversation so agent can retry
-        conversationHistory.push({
-          role: 'user',
-          content: `ERROR: Your previous response contained invalid JSON with control characters. Please respond with valid JSON only. Ensure all strings are properly escaped.`
-        });
-        
-        continue;
-      }
-    }
+    conversationHistory = compactIfOverBudget(conversationHistory, systemPrompt, processType);
+
+    // Call AI agent with the conversation so far
+    const result = await callLLMWithTools(conversationHistory, systemPrompt, tools, { model });
     
     // Accumulate token usage
     totalInputTokens += result.usage.inputTokens;
     totalOutputTokens += result.usage.outputTokens;
+    budgetTracker.record({
+      ...result.usage,
+      costUsd: calculateCost(result.usage.inputTokens, result.usage.outputTokens, model)
+    });
+    for (const warning of budgetTracker.newWarnings()) {
+      log.warn(`${warning.budget} budget at ${warning.used} of ${warning.limit}`);
+      await publishLoopEvent(streamId, publishAgentBudget, { ...warning, status: 'warning' });
+    }
+
+    const reasoning = result.text?.trim() || '';
+    if (reasoning || result.toolCalls.length > 0) {
+      conversationHistory.push({
+        role: 'assistant',
+        content: reasoning,
+        toolCalls: result.toolCalls
+      });
+    }
+
+    if (result.toolCalls.length === 0) {
+      log.warn(`Agent replied without calling a tool`);
+      conversationHistory.push({
+        role: 'user',
+        content: `Respond by calling tools. Call ${COMPLETE_TASK_TOOL} when the task is done.`
+      });
+      continue;
+    }
+
+    // Validate every call up front; rejected calls are not run and the model is told why
+    const calls = result.toolCalls.map(function(call) {
+      return { call, ...parseAgentToolCall(call, tools) };
+    });
+    const commandCalls = calls.filter(function(c) { return !c.error && c.call.name !== COMPLETE_TASK_TOOL; });
+    const completionCall = calls.find(function(c) { return !c.error && c.call.name === COMPLETE_TASK_TOOL; });
+    calls.filter(function(c) { return c.error; }).forEach(function(c) {
+      log.warn(`Rejected ${c.call.name} call: ${c.error}`);
+    });
     
-    console.log(`[AgenticLoop] Agent reasoning: ${agentResponse.reasoning}`);
-    console.log(`[AgenticLoop] Commands: ${agentResponse.commands?.length || 0}`);
-    console.log(`[AgenticLoop] Task complete: ${agentResponse.taskComplete}`);
-    
-    conversationHistory.push({
-      role: 'assistant',
-      content: result.text
+    log.info(`Agent reasoning: ${reasoning}`);
+    log.info(`Commands: ${commandCalls.length}`);
+    log.info(`Task complete: ${Boolean(completionCall)}`);
+
+    await publishLoopEvent(streamId, publishAgentReasoning, {
+      iteration,
+      reasoning: truncateForStream(reasoning, STREAM_REASONING_LIMIT) ?? '',
+      commandCount: commandCalls.length,
+      taskComplete: Boolean(completionCall),
+      usage: {
+        inputTokens: totalInputTokens,
+        outputTokens: totalOutputTokens,
+        costUsd: calculateCost(totalInputTokens, totalOutputTokens, model)
+      }
     });
     
     // Execute the commands the agent requested
+    const commands = commandCalls.map(function(c) {
+      return { type: c.call.name, ...c.input };
+    });
     const executionResults = await executeAgentCommands(
       containerId,
-      agentResponse.commands || []
+      commands,
+      {
+        projectId,
+        userId,
+        requestId,
+        onResult: function(entry, index) {
+          return publishLoopEvent(streamId, publishAgentCommand, describeCommandResult(iteration, index, entry));
+        }
+      }
     );
     
-    // Track modifications
-    for (const cmd of agentResponse.commands || []) {
-      if (cmd.type === 'write') {
-        filesModified.push({
-          path: cmd.path,
-          content: cmd.content,
-          type: determineFileType(cmd.path)
-        });
+    // Track modifications; refused or failed commands changed nothing
+    for (const { command: cmd, success, content, result } of executionResults) {
+      if (!success) {
+        continue;
+      }
+      if (cmd.type === 'write' || cmd.type === 'edit') {
+        writtenContents.set(cmd.path, cmd.type === 'edit' ? content : cmd.content);
       }
-      if (cmd.type === 'db_query') {
+      if (cmd.type === 'delete') {
+        writtenContents.delete(cmd.path);
+      }
+      // Reads changed nothing; executed DDL and DML are reported with the run
+      if (cmd.type === 'db_query' && !result.readOnly) {
         dbQueries.push({
           query: cmd.query,
           schemaName: cmd.schemaName,
@@ -246,23 +302,47 @@ INSTRUCTIONS:
       }
     }
     
-    // Add execution results to conversation
+    // Answer every tool call, in the order the agent made them
+    const resultsByCallId = new Map(commandCalls.map(function(c, index) {
+      return [c.call.id, executionResults[index]];
+    }));
     conversationHistory.push({
-      role: 'user',
-      content: `Execution Results:\n${JSON.stringify(executionResults, null, 2)}\n\nContinue working or mark taskComplete: true if done.`
+      role: 'tool',
+      results: calls.map(function({ call, error }) {
+        return {
+          toolCallId: call.id,
+          name: call.name,
+          output: JSON.stringify(describeToolOutput(call, error, resultsByCallId.get(call.id)))
+        };
+      })
     });
     
     // Check if agent says it's done
-    if (agentResponse.taskComplete === true) {
-      console.log(`[AgenticLoop] ✅ Agent marked task as complete after ${iteration} iterations`);
-      console.log(`[AgenticLoop] Summary: ${agentResponse.summary}`);
+    if (completionCall) {
+      completion = completionCall.input;
+      log.info(`✅ Agent marked task as complete after ${iteration} iterations`);
+      log.info(`Summary: ${completion.summary}`);
       break;
     }
   }
   
+  // A dev server the agent started for testing must not outlive the run
+  await stopDevServerInContainer(containerId);
+  
+  // What changed according to git, falling back to the command log if git cannot tell
+  const changeset = await computeChangeset(containerId, baseCommit) ?? [...writtenContents.keys()].map(function(filePath) {
+    return { path: filePath, status: 'modified', type: determineFileType(filePath) };
+  });
+  const filesModified = changeset.map(function(change) {
+    return writtenContents.has(change.path) && change.status !== 'deleted'
+      ? { ...change, content: writtenContents.get(change.path) }
+      : change;
+  });
+  log.info(`Changeset: ${summarizeChangeset(filesModified)}`);
+  
   // Calculate total cost and track ONCE at the end
   const endTime = Math.floor(Date.now() / 1000);
-  const totalCost = calculateCost(totalInputTokens, totalOutputTokens, 'grok-4-fast');
+  const totalCost = calculateCost(totalInputTokens, totalOutputTokens, model);
   
   await trackMessageCost({
     usageMetadata: {
@@ -274,50 +354,134 @@ INSTRUCTIONS:
     userId,
     promptContent: userRequest,
     messageType: 'agentic-container-execution',
-    model: 'grok-4-fast',
+    model,
     timeToCompletion: endTime - startTime,
     startedAt: startTime
   });
   
-  console.log(`[AgenticLoop] Total cost: $${totalCost.toFixed(6)} (${iteration} iterations)`);
-  console.log(`[AgenticLoop] Total tokens - Input: ${totalInputTokens}, Output: ${totalOutputTokens}`);
-  
-  if (iteration >= maxIterations) {
-    console.log(`[AgenticLoop] ⚠️ Max iterations (${maxIterations}) reached`);
-  }
-  
-  // Extract API blueprint if provided
-  const finalResponse = conversationHistory
-    .filter(function(msg) { return msg.role === 'assistant'; })
-    .map(function(msg) {
-      try {
-        return JSON.parse(msg.content);
-      } catch (e) {
-        return null;
-      }
-    })
-    .filter(function(parsed) { return parsed && parsed.taskComplete === true; })
-    .pop();
-  
-  const apiBlueprint = finalResponse?.apiBlueprint || null;
+  log.info(`Total cost: $${totalCost.toFixed(6)} (${iteration} iterations)`);
+  log.info(`Total tokens - Input: ${totalInputTokens}, Output: ${totalOutputTokens}`);
   
   return {
-    success: iteration < maxIterations,
+    success: !cancelled && completion !== null,
+    cancelled,
     iterations: iteration,
     filesModified,
     dbQueries,
-    summary: iteration < maxIterations ? 'Task completed successfully' : 'Max iterations reached before task completion',
+    budgetExceeded,
+    summary: cancelled
+      ? 'Cancelled before task completion'
+      : completion ? completion.summary : `Stopped before task completion: ${describeBudgetStop(budgetExceeded)}`,
     conversationHistory,
     totalCost,
-    apiBlueprint
+    apiBlueprint: completion?.apiBlueprint || null
   };
 }
 
-function determineFileType(filePath) {
-  if (filePath.includes('/api/')) return 'route';
-  if (filePath.includes('/middleware/')) return 'middleware';
-  if (filePath.includes('/models/')) return 'model';
-  if (filePath.includes('/utils/')) return 'utility';
-  if (filePath.endsWith('.config.ts') || filePath.endsWith('.config.js')) return 'config';
-  return 'other';
+/**
+ * Publish a loop event to the user's stream. Watching is best-effort: a failed publish is
+ * logged and never stops the loop.
+ */
+async function publishLoopEvent(streamId, publish, payload) {
+  if (!streamId) {
+    return;
+  }
+  try {
+    await publish(streamId, payload);
+  } catch (error) {
+    log.warn(`Failed to publish loop event: ${error.message}`);
+  }
+}
+
+/**
+ * Cut text down to `limit` characters and scrub secrets before it goes on a stream.
+ */
+function truncateForStream(value, limit) {
+  if (value === undefined || value === null) {
+    return undefined;
+  }
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  const truncated = text.length > limit
+    ? `${text.slice(0, limit)}… (${text.length - limit} more characters)`
+    : text;
+  return redactSecrets(truncated);
+}
+
+/**
+ * Compact older turns once the conversation is estimated to exceed CONTEXT_TOKEN_BUDGET,
+ * recording how much it saved.
+ */
+function compactIfOverBudget(conversationHistory, systemPrompt, processType) {
+  const tokensBefore = estimateConversationTokens(systemPrompt, conversationHistory);
+  if (tokensBefore <= CONTEXT_TOKEN_BUDGET) {
+    return conversationHistory;
+  }
+
+  const { messages, compactedMessages } = compactConversation(conversationHistory, { keepRecentTurns: KEEP_RECENT_TURNS });
+  if (compactedMessages === 0) {
+    log.warn(`Context is ~${tokensBefore} tokens but only recent turns remain; nothing to compact`);
+    return conversationHistory;
+  }
+
+  const tokensAfter = estimateConversationTokens(systemPrompt, messages);
+  agentContextCompactionSavedTokens.observe({ process_type: processType }, tokensBefore - tokensAfter);
+  log.info(`Compacted ${compactedMessages} messages: ~${tokensBefore} -> ~${tokensAfter} tokens`);
+  return messages;
+}
+
+/**
+ * What the agent is told about one of its tool calls: the validation error, the command's
+ * result, or an acknowledgement of completion.
+ */
+function describeToolOutput(call, validationError, entry) {
+  if (validationError) {
+    return { success: false, error: validationError };
+  }
+  if (call.name === COMPLETE_TASK_TOOL) {
+    return { success: true };
+  }
+  if (entry.success) {
+    return { success: true, result: entry.result };
+  }
+  return entry.violation
+    ? { success: false, error: entry.error, violation: entry.violation }
+    : { success: false, error: entry.error };
+}
+
+/**
+ * Summarise one executed command for the stream: what it was, whether it worked, and an
+ * excerpt of its output. Written file contents are never included.
+ */
+function describeCommandResult(iteration, index, entry) {
+  const { command: cmd = {}, success, result, error } = entry;
+  const description = {
+    iteration,
+    index,
+    type: String(cmd.type),
+    path: truncateForStream(cmd.path, STREAM_COMMAND_LIMIT),
+    purpose: truncateForStream(cmd.purpose, STREAM_COMMAND_LIMIT),
+    command: truncateForStream(cmd.command ?? cmd.query, STREAM_COMMAND_LIMIT),
+    success,
+    error: truncateForStream(error, STREAM_OUTPUT_LIMIT)
+  };
+
+  if (cmd.type === 'execute' && result) {
+    if (Number.isInteger(result.exitCode)) {
+      description.exitCode = result.exitCode;
+    }
+    description.output = truncateForStream(result.result, STREAM_OUTPUT_LIMIT);
+  } else if (cmd.type === 'read' && typeof result === 'string') {
+    description.output = truncateForStream(result, STREAM_OUTPUT_LIMIT);
+  } else if (cmd.type === 'http_request') {
+    description.command = truncateForStream(`${cmd.method} ${cmd.path}`, STREAM_COMMAND_LIMIT);
+    if (result) {
+      description.output = truncateForStream(`HTTP ${result.status}\n${result.body}`, STREAM_OUTPUT_LIMIT);
+    }
+  } else if (cmd.type === 'db_query' && result?.readOnly) {
+    description.output = truncateForStream(`${result.rowCount} rows${result.truncated ? ' (truncated)' : ''}: ${JSON.stringify(result.rows)}`, STREAM_OUTPUT_LIMIT);
+  } else if (cmd.type === 'start_dev_server' && result) {
+    description.output = truncateForStream(result.logs, STREAM_OUTPUT_LIMIT);
+  }
+
+  return description;
 }
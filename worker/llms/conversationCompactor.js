@@ -0,0 +1,125 @@
+/**
+ * Keeps the agentic loop's conversation within a token budget. Every iteration re-sends the
+ * whole conversation, so without this, input tokens grow with the square of the run length.
+ *
+ * Compaction rewrites turns older than the most recent few:
+ * - file contents passed to `write`, and the blocks or diff passed to `edit`, are replaced by
+ *   a reference to the file
+ * - long tool results are cut to a short excerpt with their status and exit code
+ *
+ * The user request (the first message) and recent turns are never touched, and the system
+ * prompt is sent separately. Compacted messages are marked so they are only rewritten once.
+ */
+
+// Rough characters per token across providers; close enough for budgeting
+const CHARS_PER_TOKEN = 4;
+
+// Characters of a compacted tool result the agent still sees
+const EXCERPT_LENGTH = 300;
+
+/**
+ * Estimate the input tokens a conversation costs to send.
+ * @param {string} systemPrompt - System instructions sent with every call
+ * @param {Array<Object>} messages - Provider-neutral conversation (see llmProvider.js)
+ * @returns {number} - Estimated tokens
+ */
+export function estimateConversationTokens(systemPrompt, messages) {
+  const characters = (systemPrompt?.length ?? 0) + messages.reduce(function(total, message) {
+    return total + JSON.stringify(message).length;
+  }, 0);
+  return Math.ceil(characters / CHARS_PER_TOKEN);
+}
+
+/**
+ * Compact every turn before the last `keepRecentTurns` assistant messages.
+ * @param {Array<Object>} messages - Provider-neutral conversation; not modified
+ * @param {Object} options
+ * @param {number} options.keepRecentTurns - Assistant turns (with their tool results) kept verbatim
+ * @returns {Object} - { messages, compactedMessages } with the rewritten conversation
+ */
+export function compactConversation(messages, { keepRecentTurns }) {
+  const assistantIndexes = messages
+    .map(function(message, index) { return message.role === 'assistant' ? index : -1; })
+    .filter(function(index) { return index >= 0; });
+  const firstRecent = assistantIndexes.length > keepRecentTurns
+    ? assistantIndexes[assistantIndexes.length - keepRecentTurns]
+    : 0;
+
+  let compactedMessages = 0;
+  const compacted = messages.map(function(message, index) {
+    // Index 0 is the user request
+    if (index === 0 || index >= firstRecent || message.compacted) {
+      return message;
+    }
+    if (message.role === 'assistant' && message.toolCalls?.length) {
+      compactedMessages++;
+      return { ...message, toolCalls: message.toolCalls.map(compactToolCall), compacted: true };
+    }
+    if (message.role === 'tool') {
+      compactedMessages++;
+      return {
+        ...message,
+        results: message.results.map(function(result) {
+          return { ...result, output: compactToolOutput(result.output) };
+        }),
+        compacted: true
+      };
+    }
+    return message;
+  });
+
+  return { messages: compacted, compactedMessages };
+}
+
+// The agent can read a changed file back, so what it sent to change it never needs resending
+function compactToolCall(call) {
+  if (call.name === 'write' && typeof call.input?.content === 'string') {
+    return {
+      ...call,
+      input: {
+        ...call.input,
+        content: `[${call.input.content.length} characters written to ${call.input.path}; read the file for its current content]`
+      }
+    };
+  }
+  if (call.name === 'edit' && (call.input?.edits || call.input?.diff)) {
+    const { edits, diff, ...input } = call.input;
+    const change = diff ? 'a diff' : `${edits.length} search-and-replace blocks`;
+    return {
+      ...call,
+      input: { ...input, [diff ? 'diff' : 'edits']: `[${change} applied to ${input.path}; read the file for its current content]` }
+    };
+  }
+  return call;
+}
+
+function compactToolOutput(output) {
+  if (typeof output !== 'string' || output.length <= EXCERPT_LENGTH) {
+    return output;
+  }
+
+  let parsed = null;
+  try {
+    parsed = JSON.parse(output);
+  } catch {
+    // Not one of ours; excerpt the raw text
+  }
+
+  const body = parsed ? (parsed.error ?? parsed.result) : output;
+  // Command results carry their output under `result`
+  const text = typeof body === 'string'
+    ? body
+    : typeof body?.result === 'string' ? body.result : JSON.stringify(body) ?? '';
+  const summary = { compacted: true };
+  if (typeof parsed?.success === 'boolean') {
+    summary.success = parsed.success;
+  }
+  if (Number.isInteger(parsed?.result?.exitCode)) {
+    summary.exitCode = parsed.result.exitCode;
+  }
+  summary.excerpt = text.slice(0, EXCERPT_LENGTH);
+  summary.omittedCharacters = Math.max(text.length - EXCERPT_LENGTH, 0);
+  summary.note = 'Older result summarized to save context; run the command again if you need all of it.';
+
+  return JSON.stringify(summary);
+}
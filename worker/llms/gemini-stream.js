@@ -1,5 +1,5 @@
 import { GoogleGenerativeAI } from "@google/generative-ai";
-import { publishLLMChunk, publishLLMDone, publishToChannel } from "../pubsub-handlers.js";
+import { publishLLMChunk, publishLLMDone } from "../pubsub-handlers.js";
 import { nanoid } from 'nanoid';
 import { createDBSchemaToolFormat, createDBSchemaToolCall } from "./tools/gemini/createDBSchemaTool.js";
 import { createAPIEndpointToolFormat, createAPIEndpointToolCall } from "./tools/gemini/createAPIEndpointTool.js";
@@ -9,16 +9,19 @@ import { createPageFlowToolFormat, createPageFlowToolCall } from "./tools/gemini
 import { generateCanvasFromArtifacts } from "../canvas/generateCanvasFromArtifacts.js";
 import updateInitialProjectProgress from "../../utils/updateInitialProjectProgress.js";
 import { trackMessageCost } from "../../utils/messageCostTracker.js";
+import { createLogger } from "../utils/logger.js";
+
+const log = createLogger("callGeminiStream");
 
 const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
 
 export async function callGeminiStream(jobId, prompt, projectId, systemInstructions, isInitialProjectCreation, userId){
-  console.log(`[callGeminiStream] Starting for jobId: ${jobId}`);
-  console.log(`[callGeminiStream] Prompt: "${prompt}"`);
-  console.log(`[callGeminiStream] Project ID: "${projectId}"`);
+  log.info(`Starting for jobId: ${jobId}`);
+  log.info(`Prompt: "${prompt}"`);
+  log.info(`Project ID: "${projectId}"`);
 
   try {
-    console.log(`[callGeminiStream] Calling Gemini with model: gemini-2.5-flash`);
+    log.info(`Calling Gemini with model: gemini-2.5-flash`);
 
     const model = genAI.getGenerativeModel({
       model: "gemini-2.5-flash",
@@ -41,7 +44,7 @@ export async function callGeminiStream(jobId, prompt, projectId, systemInstructi
       history: []
     });
 
-    console.log(`[callGeminiStream] Sending message stream...`);
+    log.info(`Sending message stream...`);
     const result = await chat.sendMessageStream(prompt);
 
     let fullText = '';
@@ -52,12 +55,12 @@ export async function callGeminiStream(jobId, prompt, projectId, systemInstructi
       if (chunkText) {
         chunkCount++;
         fullText += chunkText;
-        console.log(`[callGeminiStream] Text chunk #${chunkCount}: "${chunkText.substring(0, 50)}${chunkText.length > 50 ? '...' : ''}"`);
+        log.info(`Text chunk #${chunkCount}: "${chunkText.substring(0, 50)}${chunkText.length > 50 ? '...' : ''}"`);
         await publishLLMChunk(jobId, chunkText);
       }
     }
 
-    console.log(`[callGeminiStream] All ${chunkCount} text chunks received. Full text length: ${fullText.length}`);
+    log.info(`All ${chunkCount} text chunks received. Full text length: ${fullText.length}`);
 
     // Get the final response to check for function calls
     const response = await result.response;
@@ -78,17 +81,17 @@ export async function callGeminiStream(jobId, prompt, projectId, systemInstructi
         });
       }
     } catch (costTrackingError) {
-      console.error(`[callGeminiStream] ⚠️ Cost tracking failed:`, costTrackingError.message);
+      log.error(`⚠️ Cost tracking failed:`, costTrackingError.message);
       // Don't fail the entire job if cost tracking fails
     }
 
     if (functionCalls && functionCalls.length > 0) {
-      console.log(`[callGeminiStream] Processing ${functionCalls.length} function call(s)`);
+      log.info(`Processing ${functionCalls.length} function call(s)`);
 
       for (let i = 0; i < functionCalls.length; i++) {
         const call = functionCalls[i];
-        console.log(`[callGeminiStream] Function call: ${call.name}`);
-        console.log(`[callGeminiStream] Function args:`, JSON.stringify(call.args, null, 2));
+        log.info(`Function call: ${call.name}`);
+        log.info(`Function args:`, JSON.stringify(call.args, null, 2));
 
         const toolRegistry = {
           createDBSchema: createDBSchemaToolCall,
@@ -114,16 +117,16 @@ export async function callGeminiStream(jobId, prompt, projectId, systemInstructi
 
       }
     } else {
-      console.log(`[callGeminiStream] No function calls detected`);
+      log.info(`No function calls detected`);
     }
 
     // Generate canvas nodes and edges from created artifacts
     try {
-      console.log(`[callGeminiStream] Generating canvas from artifacts...`);
+      log.info(`Generating canvas from artifacts...`);
       const canvasResult = await generateCanvasFromArtifacts(projectId, jobId);
-      console.log(`[callGeminiStream] Canvas generation result:`, canvasResult);
+      log.info(`Canvas generation result:`, canvasResult);
     } catch (canvasError) {
-      console.error(`[callGeminiStream] ⚠️ Canvas generation failed, but continuing:`, canvasError.message);
+      log.error(`⚠️ Canvas generation failed, but continuing:`, canvasError.message);
       // Don't fail the entire job if canvas generation fails
     }
 
@@ -131,23 +134,15 @@ export async function callGeminiStream(jobId, prompt, projectId, systemInstructi
     clearArtifactRegistry(jobId);
 
     await publishLLMDone(jobId);
-    console.log(`[callGeminiStream] ✅ Done signal published`);
+    log.info(`✅ Done signal published`);
   } catch (error) {
-    console.error(`[callGeminiStream] ❌ Error occurred:`, error.message);
-    console.error(error);
+    log.error(`❌ Error occurred:`, error.message);
+    log.error(error);
 
     // Clear artifact registry even on error
     clearArtifactRegistry(jobId);
 
-    await publishToChannel(
-      `llm-stream-${jobId}`,
-      JSON.stringify({
-        jobId,
-        done: true,
-        error: error instanceof Error ? error.message : "Unknown LLM error",
-        timestamp: new Date().toISOString()
-      })
-    );
+    await publishLLMDone(jobId, error);
     throw error;
   }
 };
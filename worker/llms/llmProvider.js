@@ -0,0 +1,182 @@
+import { z } from "zod";
+import { isQuotaError, QuotaExceededError } from "../utils/jobErrors.js";
+import { llmCostUsd, llmTokens } from "../utils/metrics.js";
+import { calculateCost } from "../../utils/messageCostTracker.js";
+import { createLogger } from "../utils/logger.js";
+import { getProjectSettings, updateProjectSettings } from "../utils/projectPreferences.js";
+import { xaiProvider } from "./providers/xaiProvider.js";
+import { openaiProvider } from "./providers/openaiProvider.js";
+import { geminiProvider } from "./providers/geminiProvider.js";
+import { mockProvider } from "./providers/mockProvider.js";
+
+const log = createLogger("LLM");
+
+/**
+ * Non-streaming LLM calls used by the agentic loop and the detectors.
+ *
+ * A provider is { name, label, models, generate, generateWithTools }:
+ * - generate({ model, prompt, system }) resolves to { text, usage: { inputTokens, outputTokens } }
+ * - generateWithTools({ model, system, messages, tools }) resolves to { text, toolCalls, usage },
+ *   where each tool call is { id, name, input } plus `inputError` when its arguments were not JSON
+ *
+ * Tool-calling conversations are provider-neutral lists of messages:
+ *   { role: "user", content }
+ *   { role: "assistant", content, toolCalls: [{ id, name, input }] }
+ *   { role: "tool", results: [{ toolCallId, name, output }] }     output is a string
+ *
+ * Models are addressed by name and each name belongs to exactly one provider.
+ */
+const PROVIDERS = [xaiProvider, openaiProvider, geminiProvider, mockProvider];
+
+const providersByModel = new Map(
+  PROVIDERS.flatMap((provider) => provider.models.map((model) => [model, provider]))
+);
+
+// Model used when neither the request nor the project picks one
+export const DEFAULT_LLM_MODEL = process.env.LLM_MODEL || "grok-4-fast";
+
+if (!providersByModel.has(DEFAULT_LLM_MODEL)) {
+  throw new Error(`LLM_MODEL "${DEFAULT_LLM_MODEL}" is not a supported model`);
+}
+
+// resource_preferences row holding a project's model, as resource_settings.model
+const LLM_RESOURCE_TYPE = "llm";
+
+/**
+ * Every model name that can be requested.
+ */
+export const SUPPORTED_LLM_MODELS = [...providersByModel.keys()];
+
+export function isSupportedModel(model) {
+  return providersByModel.has(model);
+}
+
+/**
+ * Pick the model for a job: the one named in the request, else the project's
+ * preference, else DEFAULT_LLM_MODEL.
+ * @param {Object} options
+ * @param {string} [options.requestedModel] - Model from the request params (already validated)
+ * @param {string} [options.projectId] - Project whose preference to look up
+ * @returns {Promise<string>} - Model name
+ */
+export async function resolveLLMModel({ requestedModel, projectId } = {}) {
+  if (requestedModel) {
+    return requestedModel;
+  }
+
+  if (projectId) {
+    const preferred = (await getProjectSettings(projectId, LLM_RESOURCE_TYPE))?.model;
+    if (preferred && isSupportedModel(preferred)) {
+      return preferred;
+    }
+    if (preferred) {
+      log.warn(`Project ${projectId} prefers unsupported model "${preferred}", using ${DEFAULT_LLM_MODEL}`);
+    }
+  }
+
+  return DEFAULT_LLM_MODEL;
+}
+
+/**
+ * Store the model a project's jobs use when the request does not name one.
+ * @param {string} projectId - Project to update
+ * @param {string} model - One of SUPPORTED_LLM_MODELS
+ */
+export async function setProjectLLMModel(projectId, model) {
+  if (!isSupportedModel(model)) {
+    throw new Error(`Unsupported LLM model "${model}". Supported: ${SUPPORTED_LLM_MODELS.join(", ")}`);
+  }
+
+  await updateProjectSettings(projectId, LLM_RESOURCE_TYPE, { model });
+}
+
+/**
+ * Call an LLM without streaming and return the response text with token usage.
+ * @param {string} prompt - The prompt to send to the LLM (can be conversation history as JSON string)
+ * @param {string} systemInstructions - System instructions for the LLM (optional if included in prompt)
+ * @param {Object} options
+ * @param {string} [options.model] - Model name, see SUPPORTED_LLM_MODELS
+ * @returns {Promise<Object>} - Object with text, usage and the model that answered
+ */
+export async function callLLMNonStream(prompt, systemInstructions = null, { model = DEFAULT_LLM_MODEL } = {}) {
+    const provider = getProvider(model);
+
+    try {
+        const result = await provider.generate({ model, prompt, system: systemInstructions });
+        log.info(`${provider.label} ${model} response received. Length: ${result.text.length}`);
+        recordUsage(model, result.usage);
+
+        return {
+            text: result.text,
+            usage: result.usage,
+            model
+        };
+    } catch (err) {
+        throw toProviderError(provider, err);
+    }
+}
+
+/**
+ * Run one turn of a tool-calling conversation. The model's tool calls are returned, not
+ * executed; arguments are not validated against the schemas.
+ * @param {Array<Object>} messages - Conversation so far, in the provider-neutral shape above
+ * @param {string} systemInstructions - System instructions for the LLM
+ * @param {Array<Object>} tools - { name, description, schema } with a zod schema for the arguments
+ * @param {Object} options
+ * @param {string} [options.model] - Model name, see SUPPORTED_LLM_MODELS
+ * @returns {Promise<Object>} - Object with text, toolCalls, usage and the model that answered
+ */
+export async function callLLMWithTools(messages, systemInstructions, tools, { model = DEFAULT_LLM_MODEL } = {}) {
+    const provider = getProvider(model);
+
+    try {
+        const result = await provider.generateWithTools({
+            model,
+            system: systemInstructions,
+            messages,
+            tools: tools.map(function (tool) {
+                return { name: tool.name, description: tool.description, parameters: toParameters(tool.schema) };
+            })
+        });
+        log.info(`${provider.label} ${model} responded with ${result.toolCalls.length} tool call(s)`);
+        recordUsage(model, result.usage);
+
+        return {
+            text: result.text,
+            toolCalls: result.toolCalls,
+            usage: result.usage,
+            model
+        };
+    } catch (err) {
+        throw toProviderError(provider, err);
+    }
+}
+
+function getProvider(model) {
+    const provider = providersByModel.get(model);
+    if (!provider) {
+        throw new Error(`Unsupported LLM model "${model}"`);
+    }
+    return provider;
+}
+
+// JSON Schema for a tool's arguments, as the provider APIs expect it
+function toParameters(schema) {
+    const { $schema, ...parameters } = z.toJSONSchema(schema, { io: "input" });
+    return parameters;
+}
+
+function recordUsage(model, { inputTokens, outputTokens }) {
+    log.info(`Usage - Input tokens: ${inputTokens}, Output tokens: ${outputTokens}`);
+    llmTokens.inc({ model, direction: 'input' }, inputTokens);
+    llmTokens.inc({ model, direction: 'output' }, outputTokens);
+    llmCostUsd.inc({ model }, calculateCost(inputTokens, outputTokens, model));
+}
+
+function toProviderError(provider, err) {
+    log.error(`${provider.label} error:`, err);
+    if (isQuotaError(err)) {
+        return new QuotaExceededError(provider.label, err.message);
+    }
+    return err;
+}
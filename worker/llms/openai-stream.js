@@ -1,5 +1,5 @@
 import OpenAI from "openai";
-import { publishLLMChunk, publishLLMDone, publishToChannel } from "../pubsub-handlers.js";
+import { publishLLMChunk, publishLLMDone } from "../pubsub-handlers.js";
 import { nanoid } from 'nanoid';
 import { createDBSchemaToolCall } from "./tools/gemini/createDBSchemaTool.js";
 import { createAPIEndpointToolCall } from "./tools/gemini/createAPIEndpointTool.js";
@@ -9,6 +9,9 @@ import { createPageFlowToolCall } from "./tools/gemini/createPageFlowTool.js";
 import { generateCanvasFromArtifacts } from "../canvas/generateCanvasFromArtifacts.js";
 import updateInitialProjectProgress from "../../utils/updateInitialProjectProgress.js";
 import { trackMessageCost } from "../../utils/messageCostTracker.js";
+import { createLogger } from "../utils/logger.js";
+
+const log = createLogger("callOpenAIStream");
 
 const openai = new OpenAI({
   apiKey: process.env.OPENAI_API_KEY
@@ -27,12 +30,12 @@ function convertGeminiToolToOpenAI(geminiTool) {
 }
 
 export async function callOpenAIStream(jobId, prompt, projectId, systemInstructions, isInitialProjectCreation, userId){
-  console.log(`[callOpenAIStream] Starting for jobId: ${jobId}`);
-  console.log(`[callOpenAIStream] Prompt: "${prompt}"`);
-  console.log(`[callOpenAIStream] Project ID: "${projectId}"`);
+  log.info(`Starting for jobId: ${jobId}`);
+  log.info(`Prompt: "${prompt}"`);
+  log.info(`Project ID: "${projectId}"`);
 
   try {
-    console.log(`[callOpenAIStream] Calling OpenAI with model: gpt-5-nano`);
+    log.info(`Calling OpenAI with model: gpt-5-nano`);
 
     // Import tool format functions
     const { createDBSchemaToolFormat } = await import("./tools/gemini/createDBSchemaTool.js");
@@ -80,7 +83,7 @@ export async function callOpenAIStream(jobId, prompt, projectId, systemInstructi
       if (delta?.content) {
         chunkCount++;
         fullText += delta.content;
-        console.log(`[callOpenAIStream] Text chunk #${chunkCount}: "${delta.content.substring(0, 50)}${delta.content.length > 50 ? '...' : ''}"`);
+        log.info(`Text chunk #${chunkCount}: "${delta.content.substring(0, 50)}${delta.content.length > 50 ? '...' : ''}"`);
         await publishLLMChunk(jobId, delta.content);
       }
 
@@ -125,15 +128,15 @@ export async function callOpenAIStream(jobId, prompt, projectId, systemInstructi
             model: 'gpt-5-nano'
           });
         } catch (costTrackingError) {
-          console.error(`[callOpenAIStream] ⚠️ Cost tracking failed:`, costTrackingError.message);
+          log.error(`⚠️ Cost tracking failed:`, costTrackingError.message);
         }
       }
     }
 
-    console.log(`[callOpenAIStream] All ${chunkCount} text chunks received. Full text length: ${fullText.length}`);
+    log.info(`All ${chunkCount} text chunks received. Full text length: ${fullText.length}`);
 
     if (toolCalls && toolCalls.length > 0) {
-      console.log(`[callOpenAIStream] Processing ${toolCalls.length} function call(s)`);
+      log.info(`Processing ${toolCalls.length} function call(s)`);
 
       const toolRegistry = {
         createDBSchema: createDBSchemaToolCall,
@@ -148,8 +151,8 @@ export async function callOpenAIStream(jobId, prompt, projectId, systemInstructi
         const functionName = call.function.name;
         const functionArgs = JSON.parse(call.function.arguments);
 
-        console.log(`[callOpenAIStream] Function call: ${functionName}`);
-        console.log(`[callOpenAIStream] Function args:`, JSON.stringify(functionArgs, null, 2));
+        log.info(`Function call: ${functionName}`);
+        log.info(`Function args:`, JSON.stringify(functionArgs, null, 2));
 
         if(isInitialProjectCreation){
           if(toolCalls[i - 1] == null || functionName != toolCalls[i - 1].function.name){
@@ -166,16 +169,16 @@ export async function callOpenAIStream(jobId, prompt, projectId, systemInstructi
         }
       }
     } else {
-      console.log(`[callOpenAIStream] No function calls detected`);
+      log.info(`No function calls detected`);
     }
 
     // Generate canvas nodes and edges from created artifacts
     try {
-      console.log(`[callOpenAIStream] Generating canvas from artifacts...`);
+      log.info(`Generating canvas from artifacts...`);
       const canvasResult = await generateCanvasFromArtifacts(projectId, jobId);
-      console.log(`[callOpenAIStream] Canvas generation result:`, canvasResult);
+      log.info(`Canvas generation result:`, canvasResult);
     } catch (canvasError) {
-      console.error(`[callOpenAIStream] ⚠️ Canvas generation failed, but continuing:`, canvasError.message);
+      log.error(`⚠️ Canvas generation failed, but continuing:`, canvasError.message);
       // Don't fail the entire job if canvas generation fails
     }
 
@@ -183,23 +186,15 @@ export async function callOpenAIStream(jobId, prompt, projectId, systemInstructi
     clearArtifactRegistry(jobId);
 
     await publishLLMDone(jobId);
-    console.log(`[callOpenAIStream] ✅ Done signal published`);
+    log.info(`✅ Done signal published`);
   } catch (error) {
-    console.error(`[callOpenAIStream] ❌ Error occurred:`, error.message);
-    console.error(error);
+    log.error(`❌ Error occurred:`, error.message);
+    log.error(error);
 
     // Clear artifact registry even on error
     clearArtifactRegistry(jobId);
 
-    await publishToChannel(
-      `llm-stream-${jobId}`,
-      JSON.stringify({
-        jobId,
-        done: true,
-        error: error instanceof Error ? error.message : "Unknown LLM error",
-        timestamp: new Date().toISOString()
-      })
-    );
+    await publishLLMDone(jobId, error);
     throw error;
   }
 };
@@ -39,65 +39,48 @@ IMPORTANT: When using tree or similar commands, ALWAYS exclude large/unnecessary
 ### Validate
 - Ensure all files are imported
 - Build project: npm run build
+- Start the dev server and call each endpoint you built or changed with http_request
+- Check that status codes and response bodies match what the API blueprint promises
 - Fix any errors found
 
 ### Restrictions
-- DO NOT run git commands
+Every command is checked against these before it runs: a command that breaks them is not run and its result explains why.
+- DO NOT run git commands; the worker commits and pushes your changes
+- Only common shell tools and node/npm/npx/pnpm are available (no bash -c, python, awk, sudo, node -e); this also applies to commands run through timeout, xargs, find -exec, npx and $(...)
+- Keep every path relative to the project root; absolute paths and '..' out of the project are refused
+- Shell variables and here-documents are refused; write values out, and create files with write
+- Never read, write or print .env files or the environment; use .env.example to document variables
+- fly.toml, .github/workflows and .git are managed by the worker and cannot be changed
+- The "scripts" in package.json are managed by the worker; change dependencies with npm install or the edit tool, and leave "scripts" as they are
+- Never pipe downloads into a shell, and only rm -rf paths inside the project
 
-## Output Format
+## How to Respond
 
-Respond with JSON only:
+Act only through tool calls. Start each response with one or two sentences explaining your current step, then call the tools for it. You may call several tools in one response; they run in order and you receive every result before your next response.
 
-{
-  "reasoning": "Brief explanation of current step",
-  "commands": [
-    {
-      "type": "execute",
-      "command": "tree -L 3 -I node_modules",
-      "purpose": "View project structure"
-    },
-    {
-      "type": "read",
-      "path": "server/api/existing.js",
-      "purpose": "Understand existing patterns"
-    },
-    {
-      "type": "write",
-      "path": "server/api/users/index.get.js",
-      "content": "export default defineEventHandler(async function(event) { ... })",
-      "purpose": "Create users endpoint"
-    }
-  ],
-  "taskComplete": false,
-  "summary": "Explored structure, creating users endpoint"
-}
+## Tools
 
-When taskComplete is true, include an API blueprint:
+1. **execute**: Run shell commands (tree, grep, find, npm, etc.)
+2. **write**: Create a new file, or overwrite one with full content
+3. **edit**: Change part of an existing file with search-and-replace blocks or a unified diff
+4. **read**: Read file contents
+5. **delete**: Remove file or directory
+6. **start_dev_server**: Start (or restart) 'nitro dev' in the background
+7. **http_request**: Send a request to the dev server and get its status, headers and body
+8. **db_query**: Query the project's development database, or change its schema or data
+9. **complete_task**: Finish the task with a summary of what you did
 
-{
-  "reasoning": "All endpoints implemented and tested",
-  "commands": [],
-  "taskComplete": true,
-  "summary": "Created 5 API endpoints for user management",
-  "apiBlueprint": "# API Blueprint\\n\\n## Table of Contents\\n- [GET /api/users](#get-apiusers)\\n- [POST /api/users](#post-apiusers)\\n\\n## Endpoints\\n\\n### GET /api/users\\n**Description:** Retrieve all users\\n**Authentication:** Required\\n**Response:** Array of user objects\\n\\n### POST /api/users\\n**Description:** Create a new user\\n**Request Body:** JSON object with name and email\\n**Response:** Created user object"
-}
+The dev server reloads on file changes; restart it after installing packages or changing nitro.config.js. Never run 'npm run dev' or 'nitro dev' through execute: it never exits.
 
-## Command Types
+Use 'edit' rather than 'write' to change existing files, so code you did not mean to touch stays as it is. Read the file first: each search block must match the file exactly once, whitespace included, and each diff hunk must match its context lines. If anything does not match, the file is left unchanged and the result says which block or hunk failed and why.
 
-1. **execute**: Run shell commands (tree, grep, find, npm, etc.)
-2. **write**: Create or overwrite file with full content
-3. **read**: Read file contents
-4. **delete**: Remove file or directory
+Give each command a short 'purpose'. If a call's arguments are invalid it is not run, and its result tells you exactly what to fix.
 
 ## Task Completion
 
-Set 'taskComplete: true' only when all functionality is implemented, validated, and working.
+Call 'complete_task' only when all functionality is implemented, validated, and working.
 
-When marking taskComplete as true, you MUST include an 'apiBlueprint' field with markdown documentation of all API endpoints you created. The blueprint should include:
-- Table of contents with links to each endpoint
-- For each endpoint: HTTP method, path, description, authentication requirements, request parameters/body schema, response format
-- Organize endpoints by resource or feature
-- Use proper markdown formatting with headers, code blocks, and lists
+After you finish, the worker builds the project, starts the built server, and calls GET /api/health and every endpoint in the API blueprint. If any of them fails to build, fails to answer or returns a 5xx status, the failures come back to you as a new task, and the project is not deployed until they pass.
 
 ## Code Standards
 - Use ES6 imports/exports
@@ -121,14 +104,14 @@ When you add/modify/delete endpoints, you MUST update this file:
 3. Maintain the existing JSON structure
 4. Write the updated JSON back to api-blueprint.json
 
-Do NOT include apiBlueprint in your response - just update the file.
+Do NOT pass an apiBlueprint to complete_task - just update the file.
 `;
   } else {
     prompt += `
 
 ## API Blueprint Creation (Initial Project)
 
-When marking taskComplete as true, you MUST include an 'apiBlueprint' field with a JSON object documenting all API endpoints you created.
+When you call complete_task, you MUST pass an 'apiBlueprint' object documenting all API endpoints you created.
 
 The JSON structure should be (do NOT include metadata like projectId, projectName, version, or database schema):
 {
@@ -147,7 +130,7 @@ The JSON structure should be (do NOT include metadata like projectId, projectNam
   ]
 }
 
-The worker will automatically create an api-blueprint.json file from this response.
+The worker will automatically create an api-blueprint.json file from it.
 Note: Database schema is stored separately in the project_databases table, not in the blueprint.
 `;
   }
@@ -0,0 +1,107 @@
+import { GoogleGenerativeAI } from "@google/generative-ai";
+import { nanoid } from "nanoid";
+
+const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+
+// Function declarations accept only this subset of JSON Schema
+const SUPPORTED_SCHEMA_KEYS = new Set(["type", "format", "description", "nullable", "enum", "properties", "required", "items"]);
+
+const toGeminiSchema = (schema) => {
+  if (Array.isArray(schema)) {
+    return schema.map(toGeminiSchema);
+  }
+  if (!schema || typeof schema !== "object") {
+    return schema;
+  }
+  return Object.fromEntries(
+    Object.entries(schema)
+      .filter(([key]) => SUPPORTED_SCHEMA_KEYS.has(key))
+      .map(([key, value]) => [
+        key,
+        key === "properties"
+          ? Object.fromEntries(Object.entries(value).map(([name, property]) => [name, toGeminiSchema(property)]))
+          : key === "items" ? toGeminiSchema(value) : value
+      ])
+  );
+};
+
+// Convert the provider-neutral conversation (see llmProvider.js) to Gemini contents
+const toContents = (messages) => messages.map((message) => {
+  if (message.role === "tool") {
+    return {
+      role: "function",
+      parts: message.results.map((result) => ({
+        functionResponse: { name: result.name, response: { output: result.output } }
+      }))
+    };
+  }
+  if (message.role === "assistant") {
+    return {
+      role: "model",
+      parts: [
+        ...(message.content ? [{ text: message.content }] : []),
+        ...(message.toolCalls ?? []).map((call) => ({
+          functionCall: {
+            name: call.name,
+            args: call.input && typeof call.input === "object" ? call.input : {}
+          }
+        }))
+      ]
+    };
+  }
+  return { role: "user", parts: [{ text: message.content }] };
+});
+
+const toUsage = (usageMetadata) => ({
+  inputTokens: usageMetadata?.promptTokenCount ?? 0,
+  outputTokens: usageMetadata?.candidatesTokenCount ?? 0
+});
+
+/**
+ * Google Gemini
+ */
+export const geminiProvider = {
+  name: "gemini",
+  label: "Gemini",
+  models: ["gemini-2.5-flash", "gemini-2.5-flash-lite"],
+
+  async generate({ model, prompt, system }) {
+    const generativeModel = genAI.getGenerativeModel({
+      model,
+      ...(system && { systemInstruction: system })
+    });
+    const result = await generativeModel.generateContent(prompt);
+
+    return {
+      text: result.response.text(),
+      usage: toUsage(result.response.usageMetadata)
+    };
+  },
+
+  async generateWithTools({ model, system, messages, tools }) {
+    const generativeModel = genAI.getGenerativeModel({
+      model,
+      ...(system && { systemInstruction: system }),
+      tools: [{
+        functionDeclarations: tools.map((definition) => ({
+          name: definition.name,
+          description: definition.description,
+          parameters: toGeminiSchema(definition.parameters)
+        }))
+      }],
+      toolConfig: { functionCallingConfig: { mode: "ANY" } }
+    });
+    const result = await generativeModel.generateContent({ contents: toContents(messages) });
+
+    // Gemini does not id its function calls; ids only need to pair calls with results
+    return {
+      text: result.response.text(),
+      toolCalls: (result.response.functionCalls() ?? []).map((call) => ({
+        id: `call_${nanoid(10)}`,
+        name: call.name,
+        input: call.args ?? {}
+      })),
+      usage: toUsage(result.response.usageMetadata)
+    };
+  }
+};
@@ -0,0 +1,123 @@
+import fs from "fs";
+
+/**
+ * Scripted provider for local runs and tests. It makes no network calls and always
+ * answers the same script the same way.
+ *
+ * A script is an ordered list of steps:
+ *
+ *   [
+ *     { "match": "needsDatabase", "response": { "needsDatabase": false, "reasoning": "..." } },
+ *     { "response": "Looking around first", "toolCalls": [{ "name": "execute", "input": { "command": "ls -la" } }] },
+ *     { "toolCalls": [{ "name": "complete_task", "input": { "summary": "...", "apiBlueprint": { "endpoints": [] } } }] }
+ *   ]
+ *
+ * Each call uses the first unused step whose `match` (a regular expression) matches the
+ * prompt, or the latest message of a tool-calling conversation, or has no `match`. Object
+ * responses are sent as JSON. Steps with `toolCalls` only answer tool-calling requests, and
+ * steps without them only answer plain ones.
+ * When no step is left, plain requests get DEFAULT_RESPONSE, which every detector accepts,
+ * and tool-calling requests get a complete_task call.
+ *
+ * The script is read from the JSON file at LLM_MOCK_SCRIPT, or set with setMockScript().
+ */
+
+const DEFAULT_RESPONSE = {
+  needsDatabase: false,
+  needsAuth: false,
+  needsPayments: false,
+  reasoning: "Mock provider response"
+};
+
+const DEFAULT_TOOL_CALLS = [{
+  name: "complete_task",
+  input: {
+    summary: "Mock provider finished without making changes",
+    apiBlueprint: { endpoints: [] }
+  }
+}];
+
+let steps = null;
+let callCount = 0;
+
+const loadScript = () => {
+  if (steps) {
+    return steps;
+  }
+  const scriptPath = process.env.LLM_MOCK_SCRIPT;
+  setMockScript(scriptPath ? JSON.parse(fs.readFileSync(scriptPath, "utf8")) : []);
+  return steps;
+};
+
+// Steps with toolCalls answer tool-calling requests, the others answer plain ones
+const nextStep = (text, withTools) => {
+  const step = loadScript().find((candidate) =>
+    !candidate.used &&
+    Boolean(candidate.toolCalls) === withTools &&
+    (!candidate.match || candidate.match.test(text))
+  );
+  if (step) {
+    step.used = true;
+  }
+  return step;
+};
+
+// Rough token count so cost and metrics paths still see non-zero usage
+const estimateTokens = (text) => Math.ceil((text?.length ?? 0) / 4);
+
+/**
+ * Replace the mock script and start it from the first step.
+ * @param {Array<Object>} script - Steps as described above
+ */
+export function setMockScript(script) {
+  if (!Array.isArray(script)) {
+    throw new Error("Mock LLM script must be an array of steps");
+  }
+  steps = script.map((step) => ({
+    match: step.match ? new RegExp(step.match) : null,
+    response: step.response === undefined || typeof step.response === "string"
+      ? step.response ?? ""
+      : JSON.stringify(step.response),
+    toolCalls: step.toolCalls ?? null,
+    used: false
+  }));
+  callCount = 0;
+}
+
+export const mockProvider = {
+  name: "mock",
+  label: "Mock",
+  models: ["mock"],
+
+  async generate({ prompt, system }) {
+    const step = nextStep(prompt, false);
+    const text = step ? step.response : JSON.stringify(DEFAULT_RESPONSE);
+
+    return {
+      text,
+      usage: {
+        inputTokens: estimateTokens(system) + estimateTokens(prompt),
+        outputTokens: estimateTokens(text)
+      }
+    };
+  },
+
+  async generateWithTools({ system, messages }) {
+    const step = nextStep(JSON.stringify(messages[messages.length - 1] ?? {}), true);
+    const toolCalls = (step?.toolCalls ?? DEFAULT_TOOL_CALLS).map((call) => ({
+      id: `mock_call_${++callCount}`,
+      name: call.name,
+      input: call.input ?? {}
+    }));
+    const text = step?.response ?? "";
+
+    return {
+      text,
+      toolCalls,
+      usage: {
+        inputTokens: estimateTokens(system) + estimateTokens(JSON.stringify(messages)),
+        outputTokens: estimateTokens(text) + estimateTokens(JSON.stringify(toolCalls))
+      }
+    };
+  }
+};
@@ -0,0 +1,95 @@
+import OpenAI from "openai";
+
+// The SDK throws without an API key, so only build the client once OpenAI is actually used
+let client = null;
+const getClient = () => {
+  client ??= new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  return client;
+};
+
+const toUsage = (usage) => ({
+  inputTokens: usage?.prompt_tokens ?? 0,
+  outputTokens: usage?.completion_tokens ?? 0
+});
+
+// Convert the provider-neutral conversation (see llmProvider.js) to chat completion messages
+const toChatMessages = (system, messages) => [
+  ...(system ? [{ role: "system", content: system }] : []),
+  ...messages.flatMap((message) => {
+    if (message.role === "tool") {
+      return message.results.map((result) => ({
+        role: "tool",
+        tool_call_id: result.toolCallId,
+        content: result.output
+      }));
+    }
+    if (message.role === "assistant") {
+      return [{
+        role: "assistant",
+        content: message.content || null,
+        ...(message.toolCalls?.length && {
+          tool_calls: message.toolCalls.map((call) => ({
+            id: call.id,
+            type: "function",
+            function: { name: call.name, arguments: JSON.stringify(call.input ?? {}) }
+          }))
+        })
+      }];
+    }
+    return [{ role: "user", content: message.content }];
+  })
+];
+
+const parseToolCall = (call) => {
+  try {
+    return { id: call.id, name: call.function.name, input: JSON.parse(call.function.arguments || "{}") };
+  } catch (error) {
+    return { id: call.id, name: call.function.name, input: call.function.arguments, inputError: error.message };
+  }
+};
+
+/**
+ * OpenAI chat completions
+ */
+export const openaiProvider = {
+  name: "openai",
+  label: "OpenAI",
+  models: ["gpt-5-nano"],
+
+  async generate({ model, prompt, system }) {
+    const completion = await getClient().chat.completions.create({
+      model,
+      messages: toChatMessages(system, [{ role: "user", content: prompt }])
+    });
+
+    return {
+      text: completion.choices[0]?.message?.content ?? "",
+      usage: toUsage(completion.usage)
+    };
+  },
+
+  async generateWithTools({ model, system, messages, tools }) {
+    const completion = await getClient().chat.completions.create({
+      model,
+      messages: toChatMessages(system, messages),
+      tools: tools.map((definition) => ({
+        type: "function",
+        function: {
+          name: definition.name,
+          description: definition.description,
+          parameters: definition.parameters
+        }
+      })),
+      tool_choice: "required"
+    });
+    const message = completion.choices[0]?.message;
+
+    return {
+      text: message?.content ?? "",
+      toolCalls: (message?.tool_calls ?? [])
+        .filter((call) => call.type === "function")
+        .map(parseToolCall),
+      usage: toUsage(completion.usage)
+    };
+  }
+};
@@ -0,0 +1,83 @@
+import { generateText, jsonSchema, tool } from "ai";
+import { createXai } from "@ai-sdk/xai";
+
+const xai = createXai({ apiKey: process.env.XAI_API_KEY });
+
+const toUsage = (usage) => ({
+  inputTokens: usage.inputTokens ?? 0,
+  outputTokens: usage.outputTokens ?? 0
+});
+
+// Convert the provider-neutral conversation (see llmProvider.js) to AI SDK model messages
+const toModelMessages = (messages) => messages.map((message) => {
+  if (message.role === "tool") {
+    return {
+      role: "tool",
+      content: message.results.map((result) => ({
+        type: "tool-result",
+        toolCallId: result.toolCallId,
+        toolName: result.name,
+        output: { type: "text", value: result.output }
+      }))
+    };
+  }
+  if (message.role === "assistant") {
+    return {
+      role: "assistant",
+      content: [
+        ...(message.content ? [{ type: "text", text: message.content }] : []),
+        ...(message.toolCalls ?? []).map((call) => ({
+          type: "tool-call",
+          toolCallId: call.id,
+          toolName: call.name,
+          input: call.input ?? {}
+        }))
+      ]
+    };
+  }
+  return { role: "user", content: message.content };
+});
+
+/**
+ * xAI (Grok) through the Vercel AI SDK
+ */
+export const xaiProvider = {
+  name: "xai",
+  label: "xAI",
+  models: ["grok-4-fast", "grok-3"],
+
+  async generate({ model, prompt, system }) {
+    const result = await generateText({
+      model: xai(model),
+      system,
+      prompt,
+    });
+
+    return { text: result.text, usage: toUsage(result.usage) };
+  },
+
+  async generateWithTools({ model, system, messages, tools }) {
+    // Tools have no execute function, so the SDK stops after one step and hands the calls back
+    const result = await generateText({
+      model: xai(model),
+      system,
+      messages: toModelMessages(messages),
+      tools: Object.fromEntries(tools.map((definition) => [
+        definition.name,
+        tool({ description: definition.description, inputSchema: jsonSchema(definition.parameters) })
+      ])),
+      toolChoice: "required"
+    });
+
+    return {
+      text: result.text,
+      toolCalls: result.toolCalls.map((call) => ({
+        id: call.toolCallId,
+        name: call.toolName,
+        input: call.input,
+        ...(call.invalid && { inputError: String(call.error?.message ?? call.error) })
+      })),
+      usage: toUsage(result.usage)
+    };
+  }
+};
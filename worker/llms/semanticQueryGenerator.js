@@ -1,9 +1,12 @@
-import { callLLMNonStream } from "./xai-non-stream.js";
+import { callLLMNonStream } from "./llmProvider.js";
 import {
     getSemanticQueryPrompt,
     getContextReviewPrompt,
     getFinalResponsePrompt
 } from "./prompts/contextRetrievalPrompt.js";
+import { createLogger } from "../utils/logger.js";
+
+const log = createLogger("SemanticQueryGenerator");
 
 /**
  * Generates semantic query parameters from a user's feature request.
@@ -15,7 +18,7 @@ import {
  */
 export async function generateSemanticQuery(userRequest) {
     try {
-        console.log(`[SemanticQueryGenerator] Generating query for: "${userRequest}"`);
+        log.info(`Generating query for: "${userRequest}"`);
 
         // Get the system prompt that instructs LLM how to generate search parameters
         const systemPrompt = getSemanticQueryPrompt();
@@ -26,9 +29,9 @@ export async function generateSemanticQuery(userRequest) {
         // Parse the JSON response from the LLM
         const queryParams = JSON.parse(result.text);
 
-        console.log(`[SemanticQueryGenerator] Generated query: "${queryParams.semantic_query}"`);
-        console.log(`[SemanticQueryGenerator] File patterns: ${JSON.stringify(queryParams.file_patterns || [])}`);
-        console.log(`[SemanticQueryGenerator] Top K: ${queryParams.top_k || 10}`);
+        log.info(`Generated query: "${queryParams.semantic_query}"`);
+        log.info(`File patterns: ${JSON.stringify(queryParams.file_patterns || [])}`);
+        log.info(`Top K: ${queryParams.top_k || 10}`);
 
         return {
             semantic_query: queryParams.semantic_query,
@@ -36,7 +39,7 @@ export async function generateSemanticQuery(userRequest) {
             top_k: queryParams.top_k || 10
         };
     } catch (error) {
-        console.error('[SemanticQueryGenerator] Error generating semantic query:', error);
+        log.error('Error generating semantic query:', error);
         throw new Error(`Semantic query generation failed: ${error.message}`);
     }
 }
@@ -54,7 +57,7 @@ export async function generateSemanticQuery(userRequest) {
  */
 export async function reviewContextResults(userRequest, ragResults, astData, dependencyGraph, iteration) {
     try {
-        console.log(`[SemanticQueryGenerator] Reviewing context (iteration ${iteration})`);
+        log.info(`Reviewing context (iteration ${iteration})`);
 
         // Get the system prompt for context review
         const systemPrompt = getContextReviewPrompt();
@@ -68,12 +71,12 @@ export async function reviewContextResults(userRequest, ragResults, astData, dep
         // Parse the JSON response
         const decision = JSON.parse(result.text);
 
-        console.log(`[SemanticQueryGenerator] Decision: ${decision.action}`);
-        console.log(`[SemanticQueryGenerator] Reasoning: ${decision.reasoning}`);
+        log.info(`Decision: ${decision.action}`);
+        log.info(`Reasoning: ${decision.reasoning}`);
 
         return decision;
     } catch (error) {
-        console.error('[SemanticQueryGenerator] Error reviewing context:', error);
+        log.error('Error reviewing context:', error);
         throw new Error(`Context review failed: ${error.message}`);
     }
 }
@@ -89,7 +92,7 @@ export async function reviewContextResults(userRequest, ragResults, astData, dep
  */
 export async function generateFinalResponse(userRequest, codeFiles, dependencyGraph) {
     try {
-        console.log(`[SemanticQueryGenerator] Generating final response with ${codeFiles.length} files`);
+        log.info(`Generating final response with ${codeFiles.length} files`);
 
         // Get the system prompt for final response generation
         const systemPrompt = getFinalResponsePrompt();
@@ -100,11 +103,11 @@ export async function generateFinalResponse(userRequest, codeFiles, dependencyGr
         // Call LLM to generate the final response
         const result = await callLLMNonStream(contextMessage, systemPrompt);
 
-        console.log(`[SemanticQueryGenerator] Final response generated (${result.text.length} chars)`);
+        log.info(`Final response generated (${result.text.length} chars)`);
 
         return result.text;
     } catch (error) {
-        console.error('[SemanticQueryGenerator] Error generating final response:', error);
+        log.error('Error generating final response:', error);
         throw new Error(`Final response generation failed: ${error.message}`);
     }
 }
@@ -1,7 +1,10 @@
 import { streamText } from "ai";
 import { createXai } from "@ai-sdk/xai";
-import { publishLLMChunk, publishLLMDone, publishToChannel } from "../pubsub-handlers.js";
+import { publishLLMChunk, publishLLMDone } from "../pubsub-handlers.js";
 import { createDBSchemaTool } from "./tools/xAi/createDBSchema.js";
+import { createLogger } from "../utils/logger.js";
+
+const log = createLogger("callLLMStream");
 
 const xai = createXai({ apiKey: process.env.XAI_API_KEY });
 
@@ -27,12 +30,12 @@ Remember: Your job is to BUILD, not just discuss. Use tools whenever possible.`;
  * Trigger an LLM request and stream chunks to Redis so other backends can relay them.
  */
 export async function callLLMStream(jobId, prompt, projectId) {
-  console.log(`[callLLMStream] Starting for jobId: ${jobId}`);
-  console.log(`[callLLMStream] Prompt: "${prompt}"`);
-  console.log(`[callLLMStream] Project ID: "${projectId}"`);
+  log.info(`Starting for jobId: ${jobId}`);
+  log.info(`Prompt: "${prompt}"`);
+  log.info(`Project ID: "${projectId}"`);
 
   try {
-    console.log(`[callLLMStream] Calling streamText with model: grok-4-fast`);
+    log.info(`Calling streamText with model: grok-4-fast`);
     const result = await streamText({
       model: xai("grok-4-fast"),
       prompt,
@@ -43,7 +46,7 @@ export async function callLLMStream(jobId, prompt, projectId) {
       }
     });
 
-    console.log(`[callLLMStream] streamText returned, starting to iterate chunks`);
+    log.info(`streamText returned, starting to iterate chunks`);
 
     for await (const chunk of result.textStream) {
       const text =
@@ -59,19 +62,11 @@ export async function callLLMStream(jobId, prompt, projectId) {
     }
 
     await publishLLMDone(jobId);
-    console.log(`[callLLMStream] ✅ Done signal published`);
+    log.info(`✅ Done signal published`);
   } catch (error) {
-    console.error(`[callLLMStream] ❌ Error occurred:`, error.message);
-    console.error(error);
-    await publishToChannel(
-      `llm-stream-${jobId}`,
-      JSON.stringify({
-        jobId,
-        done: true,
-        error: error instanceof Error ? error.message : "Unknown LLM error",
-        timestamp: new Date().toISOString()
-      })
-    );
+    log.error(`❌ Error occurred:`, error.message);
+    log.error(error);
+    await publishLLMDone(jobId, error);
     throw error;
   }
 }
@@ -0,0 +1,22 @@
+import { reconcileContainerSessions } from "../handlers/containerGcHandler.js";
+import { createLogger } from "../utils/logger.js";
+
+const log = createLogger("ContainerGC");
+
+/**
+ * Processor for the scheduled container garbage collector
+ */
+export async function containerGcProcessor(job) {
+  const { ttlSeconds, dryRun = false } = job.data;
+
+  log.info(`Processing job ${job.id}`);
+
+  const result = await reconcileContainerSessions({ ttlSeconds, dryRun });
+
+  return {
+    reaped: result.reaped.length,
+    failed: result.failed,
+    orphans: result.orphans,
+    dryRun
+  };
+}
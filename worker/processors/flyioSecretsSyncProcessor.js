@@ -1,5 +1,8 @@
 import pool from '../../databases/postgresConnector.js';
 import { syncCredentialsToFlyio } from '../handlers/flyioSecretsHandler.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('FlyioSecretsProcessor');
 
 /**
  * Processor for syncing credentials to Fly.io
@@ -7,10 +10,10 @@ import { syncCredentialsToFlyio } from '../handlers/flyioSecretsHandler.js';
 export default async function flyioSecretsSyncProcessor(job) {
     const { projectId, credentialName, credentialValue } = job.data;
 
-    console.log(
-        `[FlyioSecretsProcessor] Processing job for project: ${projectId}`,
+    log.info(
+        `Processing job for project: ${projectId}`,
     );
-    console.log(`[FlyioSecretsProcessor] Credential Name: ${credentialName} | Credential Value: ${credentialValue}`);
+    log.info(`Credential Name: ${credentialName}`);
 
     const client = await pool.connect();
 
@@ -26,20 +29,20 @@ export default async function flyioSecretsSyncProcessor(job) {
 
         if (result.success) {
             await client.query('COMMIT');
-            console.log(
-                `[FlyioSecretsProcessor] ✅ Job completed successfully`,
+            log.info(
+                `✅ Job completed successfully`,
             );
             return { success: true };
         } else {
             await client.query('ROLLBACK');
-            console.error(
-                `[FlyioSecretsProcessor] Job failed: ${result.error}`,
+            log.error(
+                `Job failed: ${result.error}`,
             );
             throw new Error(result.error);
         }
     } catch (error) {
         await client.query('ROLLBACK');
-        console.error(`[FlyioSecretsProcessor] Error:`, error);
+        log.error(`Error:`, error);
         throw error;
     } finally {
         client.release();
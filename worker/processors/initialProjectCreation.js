@@ -1,39 +1,58 @@
 import { handleProjectCreationOrchestration } from "../handlers/projectCreationExecutionHandler.js";
-import pool from "../../databases/postgresConnector.js";
-import { nanoid } from "nanoid";
+import { logMCPRequest, markRequestCompleted, markRequestResumed, recordRequestFailure } from "../utils/requestLedger.js";
+import { addLogContext, createLogger } from "../utils/logger.js";
+
+const log = createLogger("initialProjectCreation");
 
 export async function initialProjectCreationProcessor(job) {
-  const { mcp_key_id, tool_name, request_params, user_id, project_id, streamId } = job.data;
+  const { mcp_key_id, tool_name, request_params, user_id, project_id, streamId, idempotencyKey } = job.data;
   
-  console.log(`[initialProjectCreation] Processing job ${job.id}`);
-  console.log(`[initialProjectCreation] Tool: ${tool_name}, Project: ${project_id}`);
-  console.log(`[initialProjectCreation] StreamId: ${streamId}`);
+  log.info(`Processing job ${job.id}`);
+  log.info(`Tool: ${tool_name}, Project: ${project_id}`);
+  log.info(`StreamId: ${streamId}`);
   
-  // Log request to DB
-  const requestId = await logMCPRequest(mcp_key_id, tool_name, request_params);
+  // Reuse the request from a previous attempt so a retry resumes from its checkpoints
+  let requestId = job.data.requestId;
+  if (!requestId) {
+    // Log request to DB
+    requestId = await logMCPRequest({
+      mcpKeyId: mcp_key_id,
+      toolName: tool_name,
+      requestParams: request_params,
+      projectId: project_id,
+      userId: user_id,
+      // Replays run under the replay job but are recorded as the job they re-ran
+      jobName: job.data.replay_job_name ?? job.name,
+      jobId: job.id,
+      idempotencyKey,
+      replayOfRequestId: job.data.replay_of_request_id ?? null
+    });
+    await job.updateData({ ...job.data, requestId });
+  } else {
+    log.info(`Resuming request ${requestId} (attempt ${job.attemptsMade + 1})`);
+    await markRequestResumed(requestId);
+  }
+  addLogContext({ requestId });
   
   // All initial project creation requests go through the agentic handler
-  return await handleProjectCreationOrchestration(job, requestId, streamId);
-}
-
-async function logMCPRequest(mcpKeyId, toolName, requestParams) {
-  const client = await pool.connect();
-  
+  let result;
   try {
-    const requestId = nanoid();
-    const now = Math.floor(Date.now() / 1000);
-    
-    await client.query(
-      `INSERT INTO ${process.env.PG_DB_SCHEMA}.mcp_requests 
-       (request_id, mcp_key_id, tool_name, request_params, response_status, created_at)
-       VALUES ($1, $2, $3, $4, $5, $6)`,
-      [requestId, mcpKeyId, toolName, JSON.stringify(requestParams), 'processing', now]
-    );
-    
-    console.log(`[initialProjectCreation] Logged request: ${requestId}`);
-    
-    return requestId;
-  } finally {
-    client.release();
+    result = await handleProjectCreationOrchestration(job, requestId, streamId);
+  } catch (error) {
+    await recordRequestFailure(job, requestId, error);
+    throw error;
   }
+
+  await markRequestCompleted(requestId, {
+    totalCost: result.totalCost,
+    resultSummary: {
+      message: result.message,
+      filesModified: result.filesModified?.length || 0,
+      repoUrl: result.githubPushResult?.repoUrl || null,
+      deploymentUrl: result.deploymentUrl || null,
+      blueprintId: result.blueprintId || null
+    }
+  });
+
+  return result;
 }
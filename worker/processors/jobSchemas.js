@@ -0,0 +1,81 @@
+import { z } from "zod";
+import { SUPPORTED_LLM_MODELS } from "../llms/llmProvider.js";
+
+/**
+ * Fields every MCP-originated job carries. Loose objects keep any extra keys the
+ * MCP server adds so processors still see the full payload.
+ */
+const mcpJobBaseSchema = z.looseObject({
+  mcp_key_id: z.string().min(1),
+  tool_name: z.string().min(1),
+  user_id: z.string().min(1),
+  project_id: z.string().min(1),
+  streamId: z.string().min(1),
+  // Set by the worker on the first attempt so retries reuse the same mcp_requests row
+  requestId: z.string().min(1).optional(),
+  // Optional producer-supplied key; duplicates sharing it never start a second pipeline
+  idempotency_key: z.string().min(1).optional(),
+  // Billing plan of the user, for plan-level defaults such as the agent budgets
+  plan: z.string().min(1).optional(),
+});
+
+// Per-request model override; without it the project's preference or LLM_MODEL is used
+const llmModelSchema = z.enum(SUPPORTED_LLM_MODELS).optional();
+
+export const initialProjectCreationPayloadSchema = mcpJobBaseSchema.extend({
+  request_params: z.looseObject({
+    userPrompt: z.string().trim().min(1),
+    model: llmModelSchema,
+  }),
+});
+
+export const projectModificationPayloadSchema = mcpJobBaseSchema.extend({
+  request_params: z.looseObject({
+    modificationRequest: z.string().trim().min(1),
+    shouldRedeploy: z.boolean().optional(),
+    model: llmModelSchema,
+  }),
+});
+
+export const replayRequestPayloadSchema = z
+  .looseObject({
+    original_request_id: z.string().min(1),
+    streamId: z.string().min(1),
+    // Run against another project, or a newly generated one, instead of the original
+    project_id: z.string().min(1).optional(),
+    fresh_project: z.boolean().optional(),
+    // Only needed for requests logged before the ledger recorded job names
+    job_name: z.string().min(1).optional(),
+  })
+  .refine((data) => !(data.project_id && data.fresh_project), {
+    message: "Pass either project_id or fresh_project, not both",
+    path: ["fresh_project"],
+  });
+
+export const flyioSecretsSyncPayloadSchema = z.looseObject({
+  projectId: z.string().min(1),
+  credentialName: z.string().min(1),
+  credentialValue: z.string(),
+});
+
+export const containerGcPayloadSchema = z.looseObject({
+  ttlSeconds: z.number().int().positive().optional(),
+  dryRun: z.boolean().optional(),
+});
+
+export const webhookDeliveryPayloadSchema = z.looseObject({
+  deliveryId: z.string().min(1),
+});
+
+/**
+ * Flatten zod issues into a compact, serialisable shape for logs and stream messages.
+ */
+export function formatSchemaIssues(issues) {
+  return issues.map(function (issue) {
+    return {
+      path: issue.path.join("."),
+      code: issue.code,
+      message: issue.message,
+    };
+  });
+}
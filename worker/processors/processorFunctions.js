@@ -1,23 +1,151 @@
+import { createHash } from 'crypto';
 import { initialProjectCreationProcessor } from './initialProjectCreation.js';
 import { projectModificationProcessor } from './projectModification.js';
 import flyioSecretsSyncProcessor from './flyioSecretsSyncProcessor.js';
+import { replayRequestProcessor } from './replayRequest.js';
+import { containerGcProcessor } from './containerGcProcessor.js';
+import { webhookDeliveryProcessor } from './webhookDeliveryProcessor.js';
+import {
+    initialProjectCreationPayloadSchema,
+    projectModificationPayloadSchema,
+    replayRequestPayloadSchema,
+    flyioSecretsSyncPayloadSchema,
+    containerGcPayloadSchema,
+    webhookDeliveryPayloadSchema,
+    formatSchemaIssues,
+} from './jobSchemas.js';
+import { JobValidationError } from '../utils/jobErrors.js';
 
+const hashText = (text) => createHash('sha256').update(text).digest('hex').slice(0, 32);
+
+// Jobs registered without a retry policy run exactly once.
+const DEFAULT_RETRY_POLICY = { attempts: 1, backoff: null };
+
+// Each entry pairs a processor with the zod schema its job payload must satisfy, its
+// retry policy and, optionally, how to derive the idempotency key that collapses
+// duplicate submissions. A derived key keeps answering duplicates with the stored result
+// for `idempotencyWindowSeconds` after the run completes (forever when unset).
+// Failed jobs are dead-lettered unless `deadLetter` is false.
 const registry = {
-    initialProjectCreationJob: initialProjectCreationProcessor,
-    projectModificationJob: projectModificationProcessor,
-    'sync-flyio-secrets': flyioSecretsSyncProcessor,
+    initialProjectCreationJob: {
+        processor: initialProjectCreationProcessor,
+        schema: initialProjectCreationPayloadSchema,
+        // A project can only be created once, whatever the prompt says
+        idempotencyKey: (data) => `initialProjectCreationJob:${data.project_id}`,
+        // Resumes from checkpoints, so retrying is cheap
+        retry: { attempts: 3, backoff: { type: 'exponential', delay: 30000 } },
+    },
+    projectModificationJob: {
+        processor: projectModificationProcessor,
+        schema: projectModificationPayloadSchema,
+        idempotencyKey: (data) =>
+            `projectModificationJob:${data.project_id}:${hashText(data.request_params.modificationRequest.trim())}`,
+        // The same text sent again later ("fix the build") is a new request, not a duplicate
+        idempotencyWindowSeconds: 10 * 60,
+        // Starts over in a fresh sandbox, so allow a single retry; failures after the push
+        // to main are not retried (PushedToMainError)
+        retry: { attempts: 2, backoff: { type: 'fixed', delay: 60000 } },
+    },
+    // Re-runs a past request from mcp_requests; deliberately not idempotent so the same
+    // request can be replayed more than once
+    replayRequestJob: {
+        processor: replayRequestProcessor,
+        schema: replayRequestPayloadSchema,
+        retry: { attempts: 2, backoff: { type: 'fixed', delay: 60000 } },
+    },
+    'sync-flyio-secrets': {
+        processor: flyioSecretsSyncProcessor,
+        schema: flyioSecretsSyncPayloadSchema,
+        retry: { attempts: 5, backoff: { type: 'exponential', delay: 10000 } },
+    },
+    // Scheduled; the next run picks up whatever this one missed, so failures are not parked
+    containerGcJob: {
+        processor: containerGcProcessor,
+        schema: containerGcPayloadSchema,
+        deadLetter: false,
+    },
+    // Retries for about 20 minutes (10s, doubling); the delivery log already records
+    // failures, so they are not parked
+    webhookDeliveryJob: {
+        processor: webhookDeliveryProcessor,
+        schema: webhookDeliveryPayloadSchema,
+        retry: { attempts: 8, backoff: { type: 'exponential', delay: 10000 } },
+        deadLetter: false,
+    },
 };
 
 /**
  * Look up the processor bound to a job name.
  */
-export const getProcessor = (jobName) => registry[jobName];
+export const getProcessor = (jobName) => registry[jobName]?.processor;
 
 /**
  * Allow new job handlers to be registered from other modules.
  */
-export const registerProcessor = (jobName, processor) => {
-  registry[jobName] = processor;
+export const registerProcessor = (
+  jobName,
+  processor,
+  { schema = null, idempotencyKey = null, idempotencyWindowSeconds = null, retry = DEFAULT_RETRY_POLICY, deadLetter = true } = {},
+) => {
+  registry[jobName] = { processor, schema, idempotencyKey, idempotencyWindowSeconds, retry, deadLetter };
+};
+
+/**
+ * Retry policy ({ attempts, backoff }) declared for a job name.
+ */
+export const getRetryPolicy = (jobName) => registry[jobName]?.retry ?? DEFAULT_RETRY_POLICY;
+
+/**
+ * Whether a job that fails for good should be parked on the dead-letter queue.
+ */
+export const shouldDeadLetter = (jobName) => registry[jobName]?.deadLetter !== false;
+
+/**
+ * BullMQ job options producers should enqueue with, so the queue dashboard shows the
+ * real attempt budget. The worker applies the same policy regardless.
+ */
+export const getJobOptions = (jobName) => {
+  const { attempts, backoff } = getRetryPolicy(jobName);
+  return backoff ? { attempts, backoff } : { attempts };
+};
+
+/**
+ * Check a job payload against the schema registered for its processor.
+ * Throws a JobValidationError (non-retryable) when the payload is malformed.
+ */
+export const validateJobPayload = (jobName, data) => {
+  const schema = registry[jobName]?.schema;
+  if (!schema) {
+    return data;
+  }
+
+  const result = schema.safeParse(data ?? {});
+  if (!result.success) {
+    throw new JobValidationError(jobName, formatSchemaIssues(result.error.issues));
+  }
+  return data;
+};
+
+/**
+ * Resolve the idempotency key for a (validated) job payload.
+ * An explicit `idempotency_key` from the producer wins over the processor's derivation.
+ */
+export const getIdempotencyKey = (jobName, data) => {
+  if (typeof data?.idempotency_key === 'string' && data.idempotency_key.length > 0) {
+    return `${jobName}:${data.idempotency_key}`;
+  }
+  return registry[jobName]?.idempotencyKey?.(data) ?? null;
+};
+
+/**
+ * How long (seconds) a completed run keeps answering duplicates of its idempotency key, or
+ * null for as long as the result is stored. Keys supplied by the producer never expire.
+ */
+export const getIdempotencyWindow = (jobName, data) => {
+  if (typeof data?.idempotency_key === 'string' && data.idempotency_key.length > 0) {
+    return null;
+  }
+  return registry[jobName]?.idempotencyWindowSeconds ?? null;
 };
 
 /**
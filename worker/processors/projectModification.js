@@ -1,57 +1,70 @@
 import { handleProjectModificationOrchestration } from "../handlers/projectModificationExecutionHandler.js";
-import pool from "../../databases/postgresConnector.js";
-import { nanoid } from "nanoid";
+import {
+    logMCPRequest,
+    markRequestCompleted,
+    markRequestResumed,
+    recordRequestFailure,
+} from "../utils/requestLedger.js";
+import { addLogContext, createLogger } from "../utils/logger.js";
+
+const log = createLogger("ProjectModification");
 
 export async function projectModificationProcessor(job) {
-    const { mcp_key_id, tool_name, request_params, user_id, project_id, streamId } =
+    const { mcp_key_id, tool_name, request_params, user_id, project_id, streamId, idempotencyKey } =
         job.data;
 
-    console.log(`[ProjectModification] Processing job ${job.id}`);
-    console.log(
-        `[ProjectModification] Tool: ${tool_name}, Project: ${project_id}`,
+    log.info(`Processing job ${job.id}`);
+    log.info(
+        `Tool: ${tool_name}, Project: ${project_id}`,
     );
-    console.log(
-        `[ProjectModification] Modification request: ${request_params.modificationRequest}`,
+    log.info(
+        `Modification request: ${request_params.modificationRequest}`,
     );
 
-    // Log request to DB
-    const requestId = await logMCPRequest(
-        mcp_key_id,
-        tool_name,
-        request_params,
-    );
+    // Reuse the request from a previous attempt so retries stay on one mcp_requests row
+    let requestId = job.data.requestId;
+    if (!requestId) {
+        // Log request to DB
+        requestId = await logMCPRequest({
+            mcpKeyId: mcp_key_id,
+            toolName: tool_name,
+            requestParams: request_params,
+            projectId: project_id,
+            userId: user_id,
+            // Replays run under the replay job but are recorded as the job they re-ran
+            jobName: job.data.replay_job_name ?? job.name,
+            jobId: job.id,
+            idempotencyKey,
+            replayOfRequestId: job.data.replay_of_request_id ?? null,
+        });
+        await job.updateData({ ...job.data, requestId });
+    } else {
+        await markRequestResumed(requestId);
+    }
+    addLogContext({ requestId });
 
     // Handle modification through orchestration handler
-    return await handleProjectModificationOrchestration(
-        job,
-        requestId,
-        streamId,
-    );
-}
-
-async function logMCPRequest(mcpKeyId, toolName, requestParams) {
-    const client = await pool.connect();
-
+    let result;
     try {
-        const requestId = nanoid();
-        const now = Math.floor(Date.now() / 1000);
-
-        await client.query(
-            `INSERT INTO ${process.env.PG_DB_SCHEMA}.mcp_requests 
-       (request_id, mcp_key_id, tool_name, request_params, response_status, created_at)
-       VALUES ($1, $2, $3, $4, $5, $6)`,
-            [
-                requestId,
-                mcpKeyId,
-                toolName,
-                JSON.stringify(requestParams),
-                "processing",
-                now,
-            ],
+        result = await handleProjectModificationOrchestration(
+            job,
+            requestId,
+            streamId,
         );
-
-        return requestId;
-    } finally {
-        client.release();
+    } catch (error) {
+        await recordRequestFailure(job, requestId, error);
+        throw error;
     }
+
+    await markRequestCompleted(requestId, {
+        totalCost: result.totalCost,
+        resultSummary: {
+            message: result.message,
+            filesModified: result.filesModified?.length || 0,
+            branchName: result.branchName,
+            deploymentUrl: result.deploymentResult?.deploymentUrl || null,
+        },
+    });
+
+    return result;
 }
@@ -0,0 +1,99 @@
+import { nanoid } from "nanoid";
+import { UnrecoverableError } from "bullmq";
+import { getProcessor, validateJobPayload } from "./processorFunctions.js";
+import { loadMCPRequest } from "../utils/requestLedger.js";
+import { isFinalAttempt, JobValidationError } from "../utils/jobErrors.js";
+import { publishError, publishProgress, publishValidationError } from "../pubsub-handlers.js";
+import { addLogContext, createLogger } from "../utils/logger.js";
+
+const log = createLogger("replayRequest");
+
+const REPLAY_JOB_NAME = "replayRequestJob";
+
+// Only creation starts from nothing, so it is the only job that can target a brand new project
+const FRESH_PROJECT_JOB_NAMES = new Set(["initialProjectCreationJob"]);
+
+/**
+ * Rebuild the original job payload from the ledger, pointed at the replay's stream and project.
+ */
+async function buildReplayPayload(job) {
+  const { original_request_id, streamId, project_id, fresh_project, job_name } = job.data;
+
+  const original = await loadMCPRequest(original_request_id);
+  if (!original) {
+    throw new UnrecoverableError(`Request ${original_request_id} not found in mcp_requests`);
+  }
+
+  const targetJobName = job_name ?? original.job_name;
+  if (!targetJobName || targetJobName === REPLAY_JOB_NAME || !getProcessor(targetJobName)) {
+    throw new UnrecoverableError(
+      `Request ${original_request_id} cannot be replayed: unknown job "${targetJobName ?? "(not recorded)"}"`
+    );
+  }
+
+  if (fresh_project && !FRESH_PROJECT_JOB_NAMES.has(targetJobName)) {
+    throw new UnrecoverableError(`${targetJobName} cannot run against a fresh project`);
+  }
+
+  return {
+    targetJobName,
+    payload: {
+      mcp_key_id: original.mcp_key_id,
+      tool_name: original.tool_name,
+      request_params: original.request_params,
+      user_id: original.user_id,
+      project_id: fresh_project ? nanoid() : project_id ?? original.project_id,
+      streamId
+    }
+  };
+}
+
+export async function replayRequestProcessor(job) {
+  const { original_request_id, streamId } = job.data;
+
+  log.info(`Processing job ${job.id}: replaying request ${original_request_id}`);
+
+  // The first attempt resolves the replay into the target job's payload and stores it on the job,
+  // so retries resume the same run (same requestId, same project) instead of resolving it again
+  if (!job.data.replay_job_name) {
+    let replay;
+    try {
+      replay = await buildReplayPayload(job);
+      validateJobPayload(replay.targetJobName, replay.payload);
+    } catch (error) {
+      if (error instanceof JobValidationError) {
+        await publishValidationError(
+          streamId,
+          `Stored parameters of request ${original_request_id} are no longer valid`,
+          error.issues
+        );
+      } else if (isFinalAttempt(job, error)) {
+        await publishError(streamId, `Replay failed: ${error.message}`);
+      } else {
+        await publishProgress(streamId, `Replay failed: ${error.message} - retrying`, 0);
+      }
+      throw error;
+    }
+
+    await job.updateData({
+      original_request_id,
+      ...replay.payload,
+      replay_job_name: replay.targetJobName,
+      replay_of_request_id: original_request_id,
+      ...(job.data.idempotencyKey && { idempotencyKey: job.data.idempotencyKey })
+    });
+
+    await publishProgress(
+      streamId,
+      `Replaying request ${original_request_id} as ${replay.targetJobName} for project ${replay.payload.project_id}`,
+      0
+    );
+  }
+
+  addLogContext({
+    projectId: job.data.project_id,
+    userId: job.data.user_id,
+    replayOfRequestId: original_request_id
+  });
+  return getProcessor(job.data.replay_job_name)(job);
+}
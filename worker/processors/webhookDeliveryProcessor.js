@@ -0,0 +1,16 @@
+import { deliverWebhook } from "../utils/webhooks.js";
+import { isFinalAttempt } from "../utils/jobErrors.js";
+import { createLogger } from "../utils/logger.js";
+
+const log = createLogger("Webhooks");
+
+/**
+ * Processor for one webhook delivery attempt; BullMQ retries it with backoff
+ */
+export async function webhookDeliveryProcessor(job) {
+  const { deliveryId } = job.data;
+
+  log.info(`Processing job ${job.id} (delivery ${deliveryId}, attempt ${job.attemptsMade + 1})`);
+
+  return deliverWebhook(deliveryId, { finalAttempt: isFinalAttempt(job) });
+}
@@ -1,4 +1,37 @@
 import { redis } from "../databases/redisConnector.js";
+import { createLogger, getLogContext } from "./utils/logger.js";
+import { dispatchWebhookEvent } from "./utils/webhooks.js";
+import {
+  parseStreamEvent,
+  STREAM_EVENT_VERSION,
+  streamEventPayloadSchemas
+} from "./streamEventSchemas.js";
+
+const log = createLogger("PubSub");
+
+// Every event published on an MCP stream is also appended to a Redis Stream under this
+// prefix, so a client that subscribes late or reconnects can replay what it missed.
+const PROGRESS_STREAM_PREFIX = "progress-stream:";
+
+// Per-stream sequence counters, shared by every worker that publishes on the stream.
+const SEQUENCE_PREFIX = "progress-stream-seq:";
+
+// How long a stream's history is kept after its last event.
+const PROGRESS_STREAM_TTL_SECONDS =
+  Number(process.env.PROGRESS_STREAM_TTL_SECONDS) || 24 * 60 * 60;
+
+// Upper bound on entries kept per stream (approximate trimming).
+const PROGRESS_STREAM_MAX_LENGTH = 5000;
+
+// Entries fetched per XRANGE call while replaying.
+const REPLAY_PAGE_SIZE = 500;
+
+const progressStreamKey = (streamId) => `${PROGRESS_STREAM_PREFIX}${streamId}`;
+const sequenceKey = (streamId) => `${SEQUENCE_PREFIX}${streamId}`;
+
+// LLM chunk streams are live-only and produced by a single process, so their sequence
+// numbers are kept in memory until the stream's llm_done event.
+const llmStreamSequences = new Map();
 
 // Duplicate the shared Redis client so publishing load does not block other Redis usage.
 const publisher = redis.duplicate();
@@ -10,7 +43,7 @@ const publisherReady = new Promise((resolve, reject) => {
 });
 
 publisher.on("error", (error) => {
-  console.error("[pubsub] Publisher error", error);
+  log.error("Publisher error", error);
 });
 
 /**
@@ -19,11 +52,220 @@ publisher.on("error", (error) => {
 export const waitForPublisherReady = async () => publisherReady;
 
 /**
- * Publish an arbitrary payload to a Redis channel dedicated to LLM streaming.
+ * Whether the publisher connection is currently usable, for readiness checks.
+ */
+export const isPublisherReady = () => publisher.status === "ready";
+
+// Run a MULTI and return each command's result, surfacing the first failure.
+const execMulti = async (multi) => {
+  const results = await multi.exec();
+  const failed = results.find(([error]) => error);
+  if (failed) {
+    throw failed[0];
+  }
+  return results.map(([, result]) => result);
+};
+
+/**
+ * Check a payload against the schema for its type. A payload that does not match is logged
+ * and dropped (null) so a malformed event never reaches a client, and never fails the job
+ * that published it.
+ */
+const validatePayload = (streamId, type, payload) => {
+  const schema = streamEventPayloadSchemas[type];
+  if (!schema) {
+    log.error(`Dropping event of unknown type "${type}"`, { streamId });
+    return null;
+  }
+
+  const parsed = schema.safeParse(payload);
+  if (!parsed.success) {
+    log.error(`Dropping invalid ${type} event`, { streamId, issues: parsed.error.issues });
+    return null;
+  }
+  return parsed.data;
+};
+
+// Wrap a validated payload in the versioned envelope.
+const buildEnvelope = (streamId, type, payload, sequence) => ({
+  version: STREAM_EVENT_VERSION,
+  type,
+  sequence,
+  timestamp: new Date().toISOString(),
+  streamId,
+  payload
+});
+
+/**
+ * Publish a typed event on an MCP stream. The event is appended to the stream's durable
+ * history, then published live with its `offset` (the Redis Stream entry id); clients pass
+ * the last offset they saw to replayStreamEvents/followStream to resume after it.
+ *
+ * Lifecycle events are also sent to the job's project and user webhooks in the background,
+ * except when `relayed` (the event is a copy of one already published on another stream).
+ *
+ * @param {string} streamId - MCP stream (and pub/sub channel) id
+ * @param {string} type - One of STREAM_EVENT_TYPES
+ * @param {Object} payload - Payload matching the type's schema
+ * @param {Object} options
+ * @param {boolean} [options.relayed] - Skip webhooks for a relayed copy
+ * @returns {Promise<Object|null>} - The published envelope, including its offset, or null
+ *   when the payload was invalid and dropped
+ */
+export const publishStreamEvent = async (streamId, type, payload, { relayed = false } = {}) => {
+  const validPayload = validatePayload(streamId, type, payload);
+  if (!validPayload) {
+    return null;
+  }
+  await waitForPublisherReady();
+
+  const seqKey = sequenceKey(streamId);
+  const [sequence] = await execMulti(
+    publisher.multi().incr(seqKey).expire(seqKey, PROGRESS_STREAM_TTL_SECONDS)
+  );
+  const event = buildEnvelope(streamId, type, validPayload, sequence);
+
+  const key = progressStreamKey(streamId);
+  const [offset] = await execMulti(
+    publisher
+      .multi()
+      .xadd(key, "MAXLEN", "~", PROGRESS_STREAM_MAX_LENGTH, "*", "event", JSON.stringify(event))
+      .expire(key, PROGRESS_STREAM_TTL_SECONDS)
+  );
+
+  const published = { ...event, offset };
+  await publisher.publish(streamId, JSON.stringify(published));
+
+  if (!relayed) {
+    dispatchWebhookEvent(event, getLogContext());
+  }
+  return published;
+};
+
+// Stream ids are "<ms>-<seq>"; compare numerically so "9-0" sorts before "10-0".
+const compareOffsets = (a, b) => {
+  const [aMs, aSeq] = a.split("-").map(BigInt);
+  const [bMs, bSeq] = b.split("-").map(BigInt);
+  if (aMs !== bMs) {
+    return aMs < bMs ? -1 : 1;
+  }
+  return aSeq === bSeq ? 0 : aSeq < bSeq ? -1 : 1;
+};
+
+/**
+ * Read a stream's stored events in order, starting after the given offset.
+ *
+ * @param {string} streamId - MCP stream id
+ * @param {Object} options
+ * @param {string} [options.after] - Offset of the last event already seen; omit to read from the start
+ * @returns {Promise<Array<Object>>} - Envelopes with their `offset`
+ */
+export const replayStreamEvents = async (streamId, { after } = {}) => {
+  await waitForPublisherReady();
+
+  const key = progressStreamKey(streamId);
+  const events = [];
+  let start = after ? `(${after}` : "-";
+
+  while (true) {
+    const entries = await publisher.xrange(key, start, "+", "COUNT", REPLAY_PAGE_SIZE);
+    for (const [offset, fields] of entries) {
+      const raw = fields[fields.indexOf("event") + 1];
+      try {
+        events.push({ ...parseStreamEvent(raw), offset });
+      } catch {
+        log.warn(`Skipping unreadable entry ${offset} on ${key}`);
+      }
+    }
+    if (entries.length < REPLAY_PAGE_SIZE) {
+      return events;
+    }
+    start = `(${entries[entries.length - 1][0]}`;
+  }
+};
+
+/**
+ * Replay a stream's history after `after`, then keep delivering live events, each exactly
+ * once and in order. Live events that arrive during the replay are held back until it ends.
+ *
+ * @param {string} streamId - MCP stream id
+ * @param {Function} onEvent - Called with each envelope (including its `offset`)
+ * @param {Object} options
+ * @param {string} [options.after] - Offset of the last event already seen
+ * @returns {Promise<Function>} - Async function that stops following
  */
-export const publishToChannel = async (channel, payload) => {
+export const followStream = async (streamId, onEvent, { after } = {}) => {
+  const subscriber = redis.duplicate();
+  let lastOffset = after ?? null;
+  let replaying = true;
+  const heldBack = [];
+
+  const deliver = (event) => {
+    if (event.offset) {
+      if (lastOffset && compareOffsets(event.offset, lastOffset) <= 0) {
+        return;
+      }
+      lastOffset = event.offset;
+    }
+    onEvent(event);
+  };
+
+  subscriber.on("message", (channel, raw) => {
+    let event;
+    try {
+      event = parseStreamEvent(raw);
+    } catch {
+      log.warn(`Ignoring unreadable message on ${streamId}`);
+      return;
+    }
+    if (replaying) {
+      heldBack.push(event);
+    } else {
+      deliver(event);
+    }
+  });
+
+  const stop = async () => {
+    subscriber.removeAllListeners();
+    await subscriber.quit().catch(() => {});
+  };
+
+  try {
+    // Subscribe before reading history so nothing published in between is lost.
+    await subscriber.subscribe(streamId);
+    for (const event of await replayStreamEvents(streamId, { after })) {
+      deliver(event);
+    }
+  } catch (error) {
+    await stop();
+    throw error;
+  }
+
+  replaying = false;
+  heldBack.splice(0).forEach(deliver);
+  return stop;
+};
+
+/**
+ * Publish a typed event on the live-only channel bound to an LLM streaming job.
+ */
+const publishLLMEvent = async (jobId, type, payload) => {
+  const channel = `llm-stream-${jobId}`;
+  const validPayload = validatePayload(channel, type, payload);
+  if (!validPayload) {
+    return;
+  }
   await waitForPublisherReady();
-  await publisher.publish(channel, payload);
+
+  const sequence = (llmStreamSequences.get(channel) ?? 0) + 1;
+  if (type === "llm_done") {
+    llmStreamSequences.delete(channel);
+  } else {
+    llmStreamSequences.set(channel, sequence);
+  }
+
+  const event = buildEnvelope(channel, type, validPayload, sequence);
+  await publisher.publish(channel, JSON.stringify(event));
 };
 
 /**
@@ -37,70 +279,146 @@ export const publishLLMChunk = async (jobId, chunk) => {
         ? chunk.toString()
         : JSON.stringify(chunk);
 
-  await publishToChannel(
-    `llm-stream-${jobId}`,
-    JSON.stringify({
-      jobId,
-      chunk: normalizedChunk,
-      done: false,
-      timestamp: new Date().toISOString()
-    })
-  );
+  await publishLLMEvent(jobId, "llm_chunk", {
+    jobId: String(jobId),
+    chunk: normalizedChunk
+  });
 };
 
 /**
- * Emit the final message letting subscribers know no more LLM chunks are coming.
+ * Emit the final message letting subscribers know no more LLM chunks are coming,
+ * with the error that ended the stream early if there was one.
  */
-export const publishLLMDone = async (jobId) => {
-  await publishToChannel(
-    `llm-stream-${jobId}`,
-    JSON.stringify({
-      jobId,
-      done: true,
-      timestamp: new Date().toISOString()
+export const publishLLMDone = async (jobId, error) => {
+  await publishLLMEvent(jobId, "llm_done", {
+    jobId: String(jobId),
+    ...(error !== undefined && {
+      error: error instanceof Error ? error.message : "Unknown LLM error"
     })
-  );
+  });
+};
+
+/**
+ * Publish that a job attempt has passed validation and is starting.
+ */
+export const publishJobStarted = async (streamId, jobName, attempt) => {
+  await publishStreamEvent(streamId, "job_started", { jobName, attempt });
 };
 
 /**
  * Publish a progress update to the MCP tool execution stream.
  */
 export const publishProgress = async (streamId, message, progress) => {
-  await publishToChannel(
-    streamId,
-    JSON.stringify({
-      message,
-      progress
-    })
-  );
+  await publishStreamEvent(streamId, "progress", {
+    message,
+    progress
+  });
+};
+
+/**
+ * Publish that a pipeline phase finished; progress messages within a phase do not count.
+ */
+export const publishPhaseCompleted = async (streamId, phase) => {
+  await publishStreamEvent(streamId, "phase_completed", { phase });
+};
+
+/**
+ * Publish the API blueprint generated for the project.
+ */
+export const publishApiBlueprint = async (streamId, blueprint) => {
+  await publishStreamEvent(streamId, "api_blueprint", { blueprint });
+};
+
+/**
+ * Publish a deployment status change ("triggered", "succeeded" or "failed").
+ */
+export const publishDeploymentStatus = async (streamId, status, url, details = {}) => {
+  await publishStreamEvent(streamId, "deployment", {
+    status,
+    url,
+    ...details
+  });
+};
+
+/**
+ * Publish what the agent decided in one agentic loop iteration, with the loop's running usage.
+ */
+export const publishAgentReasoning = async (streamId, payload) => {
+  await publishStreamEvent(streamId, "agent_reasoning", payload);
+};
+
+/**
+ * Publish the outcome of one command the agent ran.
+ */
+export const publishAgentCommand = async (streamId, payload) => {
+  await publishStreamEvent(streamId, "agent_command", payload);
+};
+
+/**
+ * Publish that a run budget is nearly used up, or was used up and stopped the agent.
+ */
+export const publishAgentBudget = async (streamId, payload) => {
+  await publishStreamEvent(streamId, "agent_budget", payload);
+};
+
+/**
+ * Publish the outcome of one verification pass after the agentic loop.
+ */
+export const publishVerification = async (streamId, payload) => {
+  await publishStreamEvent(streamId, "verification", payload);
 };
 
 /**
  * Publish a final success result to the MCP tool execution stream.
  */
 export const publishSuccess = async (streamId, content) => {
-  await publishToChannel(
-    streamId,
-    JSON.stringify({
-      complete: true,
-      content,
-      isError: false
-    })
-  );
+  await publishStreamEvent(streamId, "result", {
+    status: "success",
+    content
+  });
 };
 
 /**
  * Publish a final error result to the MCP tool execution stream.
  */
 export const publishError = async (streamId, content) => {
-  await publishToChannel(
-    streamId,
-    JSON.stringify({
-      complete: true,
-      content,
-      isError: true
-    })
-  );
+  await publishStreamEvent(streamId, "result", {
+    status: "error",
+    content
+  });
+};
+
+/**
+ * Publish the final message for a request that was cancelled before it finished.
+ */
+export const publishCancelled = async (streamId, content) => {
+  await publishStreamEvent(streamId, "result", {
+    status: "cancelled",
+    content
+  });
+};
+
+/**
+ * Publish a final error result describing why a job payload was rejected.
+ */
+export const publishValidationError = async (streamId, content, validationErrors) => {
+  await publishStreamEvent(streamId, "result", {
+    status: "error",
+    content,
+    errorType: "validation",
+    validationErrors
+  });
+};
+
+/**
+ * Publish a final error result for a request whose agent run stopped at its budget.
+ */
+export const publishBudgetStopped = async (streamId, content) => {
+  await publishStreamEvent(streamId, "result", {
+    status: "error",
+    content,
+    errorType: "budget"
+  });
 };
 
 /**
@@ -8,6 +8,9 @@ import {
     RetrieveCommand,
 } from '@aws-sdk/client-bedrock-agent-runtime';
 import pool from '../../databases/postgresConnector.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('BedrockRetrieve');
 
 // Initialize Bedrock Agent client for sync operations
 const bedrockAgentClient = new BedrockAgentClient({
@@ -52,7 +55,7 @@ export async function triggerKnowledgeBaseSync(knowledgeBaseId, dataSourceId) {
 
         const response = await bedrockAgentClient.send(command);
 
-        console.log(`Bedrock sync job started: ${response.ingestionJob.ingestionJobId}`);
+        log.info(`Bedrock sync job started: ${response.ingestionJob.ingestionJobId}`);
 
         return {
             jobId: response.ingestionJob.ingestionJobId,
@@ -61,7 +64,7 @@ export async function triggerKnowledgeBaseSync(knowledgeBaseId, dataSourceId) {
     } catch (error) {
         // Handle ConflictException - sync already in progress
         if (error.name === 'ConflictException' || error.$metadata?.httpStatusCode === 409) {
-            console.log('Bedrock sync already in progress, skipping duplicate sync request');
+            log.info('Bedrock sync already in progress, skipping duplicate sync request');
             return {
                 jobId: null,
                 status: 'ALREADY_IN_PROGRESS',
@@ -69,7 +72,7 @@ export async function triggerKnowledgeBaseSync(knowledgeBaseId, dataSourceId) {
             };
         }
 
-        console.error('Error triggering Bedrock Knowledge Base sync:', error);
+        log.error('Error triggering Bedrock Knowledge Base sync:', error);
         throw new Error(`Bedrock sync failed: ${error.message}`);
     }
 }
@@ -106,7 +109,7 @@ export async function getSyncJobStatus(jobId, knowledgeBaseId, dataSourceId) {
             updatedAt: response.ingestionJob.updatedAt,
         };
     } catch (error) {
-        console.error('Error getting Bedrock sync job status:', error);
+        log.error('Error getting Bedrock sync job status:', error);
         throw new Error(`Failed to get sync status: ${error.message}`);
     }
 }
@@ -126,7 +129,7 @@ export async function waitForSyncCompletion(jobId, maxWaitTime = 300000, pollInt
         const jobStatus = await getSyncJobStatus(jobId);
 
         if (jobStatus.status === 'COMPLETE') {
-            console.log(`Bedrock sync job ${jobId} completed successfully`);
+            log.info(`Bedrock sync job ${jobId} completed successfully`);
             return jobStatus;
         }
 
@@ -161,7 +164,7 @@ export async function queryKnowledgeBase(queryText, projectId, topK = 10, knowle
             throw new Error('Knowledge Base ID is required');
         }
 
-        console.log(`[BedrockRetrieve] Querying KB for project: ${projectId}, query: "${queryText}"`);
+        log.info(`Querying KB for project: ${projectId}, query: "${queryText}"`);
 
         // Build the Retrieve command with metadata filtering
         // Filters by projectId using .metadata.json files stored alongside source files in S3
@@ -248,11 +251,11 @@ export async function queryKnowledgeBase(queryText, projectId, topK = 10, knowle
             };
         });
 
-        console.log(`[BedrockRetrieve] Retrieved ${results.length} results`);
+        log.info(`Retrieved ${results.length} results`);
 
         return results;
     } catch (error) {
-        console.error('[BedrockRetrieve] Error querying Knowledge Base:', error);
+        log.error('Error querying Knowledge Base:', error);
         throw new Error(`Bedrock retrieve failed: ${error.message}`);
     }
 }
@@ -2,26 +2,32 @@ import { nanoid } from "nanoid";
 import pool from "../../databases/postgresConnector.js";
 import { Daytona } from '@daytonaio/sdk';
 import sandbox from "bullmq/dist/esm/classes/sandbox.js";
+import { isQuotaError, QuotaExceededError } from "../utils/jobErrors.js";
+import { containerProvisionSeconds } from "../utils/metrics.js";
+import { createLogger } from "../utils/logger.js";
+import { authenticatedGit, redactGitCredentials } from "../utils/gitCredentials.js";
+
+const log = createLogger("Daytona");
 
 /**
  * Get or provision container for project
  */
-export async function getOrProvisionContainer(projectId, client, databaseInfo = null, authInfo = null, paymentInfo = null) {
+export async function getOrProvisionContainer(projectId, client, databaseInfo = null, authInfo = null, paymentInfo = null, requestId = null) {
   // Always provision a new container
-  console.log(`[Daytona] Provisioning new container for project: ${projectId}`);
+  log.info(`Provisioning new container for project: ${projectId}`);
 
   const containerId = await provisionDaytonaContainer(projectId);
 
   // Install tree command and AWS CLI
-  console.log(`[Daytona] Installing tree command and AWS CLI...`);
+  log.info(`Installing tree command and AWS CLI...`);
   await executeCommandInContainer(containerId, 'apt update && apt install -y tree awscli');
 
   // New project - initialize Nitro.js
-  console.log(`[Daytona] Initializing new Nitro.js project`);
+  log.info(`Initializing new Nitro.js project`);
 
   await initializeNitroProject(containerId, projectId, client, databaseInfo, authInfo, paymentInfo);
 
-  console.log(`[Daytona] ✅ New Nitro.js project initialized`);
+  log.info(`✅ New Nitro.js project initialized`);
 
   // Record container session in database
   const sessionId = nanoid();
@@ -29,12 +35,12 @@ export async function getOrProvisionContainer(projectId, client, databaseInfo =
 
   await client.query(
     `INSERT INTO ${process.env.PG_DB_SCHEMA}.container_sessions
-     (session_id, project_id, container_id, container_provider, status, environment, started_at)
-     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
-    [sessionId, projectId, containerId, 'daytona', 'active', 'development', now]
+     (session_id, project_id, container_id, container_provider, status, environment, request_id, started_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+    [sessionId, projectId, containerId, 'daytona', 'active', 'development', requestId, now]
   );
 
-  console.log(`[Daytona] ✅ Container provisioned: ${containerId}`);
+  log.info(`✅ Container provisioned: ${containerId}`);
 
   return containerId;
 }
@@ -47,6 +53,7 @@ export async function provisionDaytonaContainer() {
   });
 
   let containerId;
+  const stopTimer = containerProvisionSeconds.startTimer({ provider: 'daytona' });
 
   try {
     const sandbox = await daytona.create({
@@ -55,11 +62,16 @@ export async function provisionDaytonaContainer() {
     });
 
     containerId = sandbox.id; 
+    stopTimer({ outcome: 'success' });
   } catch(error) {
-    console.error("There was an error provisioning the daytona sandbox: " + error)
+    stopTimer({ outcome: 'error' });
+    log.error("There was an error provisioning the daytona sandbox: " + error)
+    if (isQuotaError(error)) {
+      throw new QuotaExceededError('Daytona', error.message);
+    }
   }
 
-  console.log(`[Daytona] Mock container provisioned: ${containerId}`);
+  log.info(`Mock container provisioned: ${containerId}`);
   return containerId;
 }
 
@@ -69,12 +81,10 @@ async function cloneGitHubRepo(containerId, repoInfo) {
   // Get access token from parameter store
   const accessToken = await getParameterStoreValue(access_token_path);
   
-  // Clone repo with authentication
-  const repoUrlWithAuth = repo_url.replace('https://', `https://${accessToken}@`);
-  
+  // Clone repo with authentication; the remote URL keeps no token
   await executeCommandInContainer(
     containerId,
-    `git clone -b ${branch} ${repoUrlWithAuth} .`
+    authenticatedGit(`clone -b ${branch} ${repo_url} .`, accessToken)
   );
   
   // Configure git for future commits
@@ -87,7 +97,7 @@ async function initializeNitroProject(containerId, projectId, client, databaseIn
   await executeCommandInContainer(containerId, 'npm init -y');
 
   // Install pnpm globally for faster package installation
-  console.log('[Daytona] Installing pnpm...');
+  log.info('Installing pnpm...');
   await executeCommandInContainer(containerId, 'npm install -g pnpm', 30000);
 
   // Build list of all packages to install
@@ -97,7 +107,7 @@ async function initializeNitroProject(containerId, projectId, client, databaseIn
   if (paymentInfo && paymentInfo.needsPayments) packages.push('stripe');
 
   // Install all packages with pnpm (faster than npm)
-  console.log(`[Daytona] Installing packages: ${packages.join(', ')} (this may take a few minutes)...`);
+  log.info(`Installing packages: ${packages.join(', ')} (this may take a few minutes)...`);
   await executeCommandInContainer(containerId, `pnpm install ${packages.join(' ')}`, 300000);
   
   // Fix package.json scripts
@@ -127,11 +137,11 @@ async function initializeNitroProject(containerId, projectId, client, databaseIn
   let envContent = `GEMINI_API_KEY=${process.env.GEMINI_API_KEY}\nOPENAI_API_KEY=${process.env.OPENAI_API_KEY}\nXAI_API_KEY=${process.env.XAI_API_KEY}\nAWS_ACCESS_KEY_ID=${process.env.AWS_ACCESS_KEY_ID}\nAWS_SECRET_ACCESS_KEY=${process.env.AWS_SECRET_ACCESS_KEY}\nAWS_REGION=${process.env.AWS_REGION}`;
   
   if (databaseInfo) {
-    console.log('[Daytona] Adding database credentials to .env...');
+    log.info('Adding database credentials to .env...');
     envContent += `\nDB_HOST=${databaseInfo.host}\nDB_PORT=${databaseInfo.port}\nDB_NAME=${databaseInfo.dbName}\nDB_USER=${databaseInfo.user}\nDB_PASSWORD=${databaseInfo.password}`;
     
     // Create database connection file
-    console.log('[Daytona] Creating database connection file...');
+    log.info('Creating database connection file...');
     const dbConnectionContent = `import pg from 'pg';
 const { Pool } = pg;
 
@@ -154,18 +164,18 @@ pool.on('error', function(err, client) {
 export default pool;
 `;
     await writeFileInContainer(containerId, 'server/utils/db.js', dbConnectionContent);
-    console.log('[Daytona] ✅ Database connection file created');
+    log.info('✅ Database connection file created');
   }
 
   // Add auth env vars if needed
   if (authInfo && authInfo.needsAuth) {
-    console.log('[Daytona] Adding Clerk env var placeholders...');
+    log.info('Adding Clerk env var placeholders...');
     envContent += `\n\n# Clerk Authentication (REQUIRED - Add your keys)\nCLERK_SECRET_KEY=<YOUR_CLERK_SECRET_KEY>\nCLERK_PUBLISHABLE_KEY=<YOUR_CLERK_PUBLISHABLE_KEY>\nCLERK_WEBHOOK_SECRET=<YOUR_CLERK_WEBHOOK_SECRET>`;
   }
 
   // Add payment env vars if needed
   if (paymentInfo && paymentInfo.needsPayments) {
-    console.log('[Daytona] Adding Stripe env var placeholders...');
+    log.info('Adding Stripe env var placeholders...');
     envContent += `\n\n# Stripe Payment Processing (REQUIRED - Add your keys)\nSTRIPE_SECRET_KEY=<YOUR_STRIPE_SECRET_KEY>\nSTRIPE_PUBLISHABLE_KEY=<YOUR_STRIPE_PUBLISHABLE_KEY>\nSTRIPE_WEBHOOK_SECRET=<YOUR_STRIPE_WEBHOOK_SECRET>`;
   }
 
@@ -214,7 +224,7 @@ dist/
  * Note: fly.toml and Dockerfile are created later in flyioService.js during deployment
  */
 async function createDeploymentFiles(containerId, projectId) {
-  console.log(`[Daytona] Creating health check endpoint for ${projectId}`);
+  log.info(`Creating health check endpoint for ${projectId}`);
 
   // Create health check endpoint
   const healthEndpoint = `export default defineEventHandler(function() {
@@ -223,14 +233,14 @@ async function createDeploymentFiles(containerId, projectId) {
 
   await writeFileInContainer(containerId, 'server/api/health.get.js', healthEndpoint);
 
-  console.log(`[Daytona] ✅ Health check endpoint created`);
+  log.info(`✅ Health check endpoint created`);
 }
 
 /**
  * Ensure deployment files exist (for cloned projects)
  */
 async function ensureDeploymentFiles(containerId, projectId) {
-  console.log(`[Daytona] Ensuring deployment files exist for ${projectId}`);
+  log.info(`Ensuring deployment files exist for ${projectId}`);
   
   try {
     // Check if health endpoint exists
@@ -242,7 +252,7 @@ async function ensureDeploymentFiles(containerId, projectId) {
     const healthCheckOutput = healthCheckResult.result || healthCheckResult.stdout || healthCheckResult;
 
     if (!healthCheckOutput.includes('exists')) {
-      console.log(`[Daytona] Health endpoint missing, creating...`);
+      log.info(`Health endpoint missing, creating...`);
       const healthEndpoint = `export default defineEventHandler(function() {
   return { status: 'ok', timestamp: Date.now() };
 });`;
@@ -258,7 +268,7 @@ async function ensureDeploymentFiles(containerId, projectId) {
     const flyTomlOutput = flyTomlResult.result || flyTomlResult.stdout || flyTomlResult;
 
     if (!flyTomlOutput.includes('exists')) {
-      console.log(`[Daytona] fly.toml missing, creating...`);
+      log.info(`fly.toml missing, creating...`);
       const flyToml = `app = "turbobackend-${projectId}"
 
 [build]
@@ -283,9 +293,9 @@ async function ensureDeploymentFiles(containerId, projectId) {
       await writeFileInContainer(containerId, 'fly.toml', flyToml);
     }
     
-    console.log(`[Daytona] ✅ Deployment files verified`);
+    log.info(`✅ Deployment files verified`);
   } catch (error) {
-    console.error(`[Daytona] Error ensuring deployment files:`, error);
+    log.error(`Error ensuring deployment files:`, error);
     // Non-fatal, continue execution
   }
 }
@@ -294,7 +304,7 @@ async function ensureDeploymentFiles(containerId, projectId) {
  * Execute command in container
  */
 export async function executeCommandInContainer(containerId, command, timeout = 120000) {
-  console.log(`[Daytona] Executing in ${containerId}: ${command}`);
+  log.info(`Executing in ${containerId}: ${redactGitCredentials(command)}`);
 
   const sandbox = await getContainer(containerId);
 
@@ -331,7 +341,7 @@ async function getContainer(containerId){
  * Write file in container
  */
 export async function writeFileInContainer(containerId, path, content) {
-  console.log(`[Daytona] Writing file in ${containerId}: ${path}`);
+  log.info(`Writing file in ${containerId}: ${path}`);
 
   const sandbox = await getContainer(containerId);
   const rootDirPath = await sandbox.getUserHomeDir();
@@ -354,7 +364,7 @@ export async function readFileFromContainer(containerId, path) {
 
   const content = fileBuffer.toString('utf-8');
 
-  console.log(`[Daytona] Reading file from ${containerId}: ${path}`);
+  log.info(`Reading file from ${containerId}: ${path}`);
   
   return content;
 }
@@ -367,10 +377,171 @@ export async function deleteFileInContainer(containerId, path) {
     const sandbox = await getContainer(containerId);
     const rootDirPath = await sandbox.getUserHomeDir();
     await sandbox.fs.delete(rootDirPath + "/" + path)
-    console.log(`[Daytona] Deleting file in ${containerId}: ${path}`);
+    log.info(`Deleting file in ${containerId}: ${path}`);
     return { success: true };
   } catch(err){
-    console.error("There was an error deleting a file inside Daytona sandbox: " + err)
+    log.error("There was an error deleting a file inside Daytona sandbox: " + err)
+  }
+}
+
+// Servers started in the background, by `${containerId}:${name}`: { sessionId, commandId }
+const backgroundServers = new Map();
+
+// `nitro dev` for the agent to test against, and the production build for verification
+const DEV_SERVER = { name: 'dev', port: 3000, command: 'npx nitro dev --port 3000' };
+const BUILT_SERVER = { name: 'built', port: 3100, command: 'PORT=3100 node --env-file=.env .output/server/index.mjs' };
+
+const SERVER_START_TIMEOUT = 90000;
+const HTTP_REQUEST_TIMEOUT = 30000;
+
+// Runs inside the sandbox: fetch the request in argv[1] (base64 JSON) and print
+// { status, headers, body } or { error } as JSON. Must not contain single quotes.
+const HTTP_REQUEST_SCRIPT = `const r = JSON.parse(Buffer.from(process.argv[1], "base64").toString());
+fetch(r.url, { method: r.method, headers: r.headers, body: r.body, redirect: "manual", signal: AbortSignal.timeout(r.timeout) })
+  .then(async function (res) { console.log(JSON.stringify({ status: res.status, headers: Object.fromEntries(res.headers), body: await res.text() })); })
+  .catch(function (err) { console.log(JSON.stringify({ error: String(err.cause?.code || err.message) })); });`;
+
+/**
+ * Start `nitro dev` in the background so the agent can send it requests. Waits until the
+ * server answers; a server that still answers is left alone unless `restart` is set, and
+ * one that has stopped answering is started again.
+ * @returns {Promise<Object>} - { running, port, logs } with the tail of the server output
+ */
+export async function startDevServerInContainer(containerId, { restart = false } = {}) {
+  return startBackgroundServer(containerId, DEV_SERVER, { restart });
+}
+
+/**
+ * Stop the dev server started by startDevServerInContainer, if any. Never throws.
+ */
+export async function stopDevServerInContainer(containerId) {
+  await stopBackgroundServer(containerId, DEV_SERVER);
+}
+
+/**
+ * Boot the production build (`.output/`, from `npm run build`) in the background, with the
+ * project's .env loaded. Always starts a fresh process so it serves the latest build.
+ * @returns {Promise<Object>} - { running, port, logs } with the tail of the server output
+ */
+export async function startBuiltServerInContainer(containerId) {
+  return startBackgroundServer(containerId, BUILT_SERVER, { restart: true });
+}
+
+/**
+ * Stop the server started by startBuiltServerInContainer, if any. Never throws.
+ */
+export async function stopBuiltServerInContainer(containerId) {
+  await stopBackgroundServer(containerId, BUILT_SERVER);
+}
+
+/**
+ * Send an HTTP request from inside the sandbox to a server started here.
+ * @param {Object} request - { method, path, headers, body }
+ * @param {Object} options
+ * @param {number} [options.port] - Server port; the dev server's by default
+ * @returns {Promise<Object>} - { status, headers, body }
+ */
+export async function sendHttpRequestInContainer(containerId, request, { port = DEV_SERVER.port } = {}) {
+  log.info(`HTTP request in ${containerId}: ${request.method} ${request.path}`);
+
+  const response = await requestServer(containerId, { ...request, port, timeout: HTTP_REQUEST_TIMEOUT });
+  if (response.error) {
+    throw new Error(`Request to the server failed: ${response.error}`);
+  }
+  return response;
+}
+
+async function startBackgroundServer(containerId, server, { restart }) {
+  const key = `${containerId}:${server.name}`;
+  if (backgroundServers.has(key)) {
+    if (!restart) {
+      // The process may have crashed since it was started; only reuse it if it still answers
+      const probe = await requestServer(containerId, { method: 'GET', path: '/', port: server.port, timeout: 5000 });
+      if (probe.status) {
+        return { running: true, port: server.port, logs: await getServerLogs(containerId, server) };
+      }
+      log.warn(`${server.name} server in ${containerId} stopped answering (${probe.error}), restarting`);
+    }
+    await stopBackgroundServer(containerId, server);
+  }
+
+  log.info(`Starting ${server.name} server in ${containerId}`);
+
+  const sandbox = await getContainer(containerId);
+  const rootDirPath = await sandbox.getUserHomeDir();
+  const sessionId = `${server.name}-server-${nanoid(8)}`;
+  await sandbox.process.createSession(sessionId);
+  const { cmdId } = await sandbox.process.executeSessionCommand(sessionId, {
+    command: `cd ${rootDirPath} && ${server.command}`,
+    runAsync: true
+  });
+  backgroundServers.set(key, { sessionId, commandId: cmdId });
+
+  // Any HTTP status, even a 404, means the server is up
+  const deadline = Date.now() + SERVER_START_TIMEOUT;
+  while (Date.now() < deadline) {
+    const response = await requestServer(containerId, { method: 'GET', path: '/', port: server.port, timeout: 5000 });
+    if (response.status) {
+      return { running: true, port: server.port, logs: await getServerLogs(containerId, server) };
+    }
+    await new Promise(function(resolve) { setTimeout(resolve, 2000); });
+  }
+
+  const logs = await getServerLogs(containerId, server);
+  await stopBackgroundServer(containerId, server);
+  return { running: false, port: server.port, logs };
+}
+
+async function stopBackgroundServer(containerId, server) {
+  const key = `${containerId}:${server.name}`;
+  const running = backgroundServers.get(key);
+  if (!running) {
+    return;
+  }
+  backgroundServers.delete(key);
+
+  try {
+    const sandbox = await getContainer(containerId);
+    await sandbox.process.deleteSession(running.sessionId);
+    log.info(`Stopped ${server.name} server in ${containerId}`);
+  } catch (error) {
+    log.warn(`Could not stop ${server.name} server in ${containerId}: ${error.message}`);
+  }
+}
+
+async function requestServer(containerId, { method, path, headers = {}, body, port, timeout }) {
+  const request = Buffer.from(JSON.stringify({
+    url: `http://localhost:${port}${path}`,
+    method,
+    headers,
+    body,
+    timeout
+  })).toString('base64');
+
+  const { result } = await executeCommandInContainer(
+    containerId,
+    `node -e '${HTTP_REQUEST_SCRIPT}' ${request}`,
+    timeout + 10000
+  );
+  try {
+    return JSON.parse(result.trim().split('\n').pop());
+  } catch {
+    return { error: `unexpected output: ${result.slice(0, 500)}` };
+  }
+}
+
+async function getServerLogs(containerId, server, maxLength = 2000) {
+  const running = backgroundServers.get(`${containerId}:${server.name}`);
+  if (!running) {
+    return '';
+  }
+  try {
+    const sandbox = await getContainer(containerId);
+    const logs = await sandbox.process.getSessionCommandLogs(running.sessionId, running.commandId);
+    const text = typeof logs === 'string' ? logs : logs?.output ?? '';
+    return text.slice(-maxLength);
+  } catch (error) {
+    return `(logs unavailable: ${error.message})`;
   }
 }
 
@@ -378,7 +549,7 @@ export async function deleteFileInContainer(containerId, path) {
  * Download file from container
  */
 export async function downloadFileFromContainer(containerId, filePath) {
-  console.log(`[Daytona] Downloading file from ${containerId}: ${filePath}`);
+  log.info(`Downloading file from ${containerId}: ${filePath}`);
   
   const sandbox = await getContainer(containerId);
 
@@ -393,47 +564,77 @@ export async function downloadFileFromContainer(containerId, filePath) {
  * Sync project directory to S3
  */
 export async function syncProjectToS3(containerId, projectId) {
-  console.log(`[S3] Syncing project ${projectId} to S3...`);
+  const s3Log = log.child({ destination: "s3" });
+  s3Log.info(`Syncing project ${projectId} to S3...`);
   
   const s3Path = `s3://${process.env.AWS_S3_BUCKET_NAME}/${projectId}/`;
   
   const syncCommand = `export AWS_ACCESS_KEY_ID="${process.env.AWS_ACCESS_KEY_ID}" && export AWS_SECRET_ACCESS_KEY="${process.env.AWS_SECRET_ACCESS_KEY}" && export AWS_DEFAULT_REGION="${process.env.AWS_REGION}" && aws s3 sync /root ${s3Path} --exclude "node_modules/*" --exclude ".git/*" --exclude ".github/*" --exclude ".fly/*" --exclude ".nitro/*" --exclude ".output/*" --exclude "dist/*" --exclude ".env" --exclude ".npm/*" --exclude ".pnpm-store/*" --exclude ".cache/*" --exclude ".daytona/*" --exclude ".local/*" --exclude ".DS_Store" --exclude ".bash_history" --exclude ".bash_logout" --exclude ".bashrc" --exclude ".profile" --exclude "fly.toml" --exclude ".gitignore" --exclude "pnpm-lock.yaml"`;
   
-  console.log(`[S3] Executing sync command: ${syncCommand}`);
+  s3Log.info(`Executing sync command: ${syncCommand}`);
   
   const result = await executeCommandInContainer(containerId, syncCommand);
   
-  console.log(`[S3] Sync command output:`, result);
-  console.log(`[S3] ✅ Project synced to ${s3Path}`);
+  s3Log.info(`Sync command output:`, result);
+  s3Log.info(`✅ Project synced to ${s3Path}`);
   
   return s3Path;
 }
 
 async function getParameterStoreValue(path) {
   // TODO: Implement AWS Parameter Store retrieval
-  console.log(`[ParameterStore] Getting value for: ${path}`);
+  log.info("Getting Parameter Store value", { path });
   return 'mock-token';
 }
 
 
 /**
- * Stop and remove a Daytona container
+ * Stop and remove a Daytona container. Returns false if the sandbox no longer exists.
  */
 export async function stopDaytonaContainer(containerId) {
-    console.log(`[Daytona] Stopping container: ${containerId}`);
+    log.info(`Stopping container: ${containerId}`);
 
     try {
         const sandbox = await getContainer(containerId);
-
-        await sandbox.stop();
+        if (!sandbox) {
+            log.info(`Container ${containerId} no longer exists`);
+            return false;
+        }
+
+        if (sandbox.state === 'started') {
+            await sandbox.stop();
+        }
         await sandbox.delete();
         
-        console.log(`[Daytona] ✅ Container stopped and deleted successfully: ${containerId}`);
+        log.info(`✅ Container stopped and deleted successfully: ${containerId}`);
+        return true;
     } catch (error) {
-        console.error(
-            `[Daytona] Error stopping container ${containerId}:`,
+        log.error(
+            `Error stopping container ${containerId}:`,
             error,
         );
         throw error;
     }
 }
+
+/**
+ * List every sandbox in the Daytona account, following pagination
+ */
+export async function listDaytonaSandboxes() {
+    const daytona = new Daytona({
+        apiKey: process.env.DAYTONA_API_KEY,
+    });
+
+    const sandboxes = [];
+    let page = 1;
+    let totalPages = 1;
+
+    do {
+        const result = await daytona.list(undefined, page, 100);
+        sandboxes.push(...result.items);
+        totalPages = result.totalPages ?? 1;
+        page += 1;
+    } while (page <= totalPages);
+
+    return sandboxes;
+}
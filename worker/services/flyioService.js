@@ -1,6 +1,9 @@
 import { nanoid } from 'nanoid';
 import { executeCommandInContainer, writeFileInContainer } from './daytonaService.js';
 import { trackActivity } from '../utils/activityTracker.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('Fly.io');
 
 /**
  * Deploy project to Fly.io
@@ -8,13 +11,13 @@ import { trackActivity } from '../utils/activityTracker.js';
 export async function deployProjectToFlyIO(projectId, githubRepoUrl, containerId, client, databaseInfo = null, userId = null, requestId = null) {
   const appName = `turbobackend-${projectId}`.toLowerCase();
 
-  console.log(`[Fly.io] Starting deployment for project ${projectId}`);
+  log.info(`Starting deployment for project ${projectId}`);
   
   // 1. Create fly.toml in container with cost optimizations
   await createFlyToml(containerId, projectId);
   
   // 2. Install flyctl in container if not present
-  console.log('[Fly.io] Installing flyctl...');
+  log.info('Installing flyctl...');
   await executeCommandInContainer(containerId, 'curl -L https://fly.io/install.sh | sh');
   
   // 3. Check if Fly app exists
@@ -22,18 +25,18 @@ export async function deployProjectToFlyIO(projectId, githubRepoUrl, containerId
   
   if (!appExists) {
     // 4. Create Fly app
-    console.log(`[Fly.io] Creating new app: ${appName}`);
+    log.info(`Creating new app: ${appName}`);
     await createFlyApp(containerId, projectId);
   }
   
   // 4.5. Set database secrets if database exists
   if (databaseInfo) {
-    console.log(`[Fly.io] Setting database secrets for app: ${appName}`);
+    log.info(`Setting database secrets for app: ${appName}`);
     await setDatabaseSecrets(containerId, appName, databaseInfo);
   }
   
   // 5. Deploy using flyctl
-  console.log(`[Fly.io] Deploying app: ${appName}`);
+  log.info(`Deploying app: ${appName}`);
   const deployCommand = `export FLY_API_TOKEN="${process.env.FLY_API_TOKEN}" && ~/.fly/bin/flyctl deploy --remote-only --app ${appName}`;
   
   try {
@@ -47,14 +50,14 @@ export async function deployProjectToFlyIO(projectId, githubRepoUrl, containerId
       resultStr = JSON.stringify(deployResult);
     }
     
-    console.log(`[Fly.io] Deploy result:`, resultStr);
+    log.info(`Deploy result:`, resultStr);
 
     // Check for success indicators in the output (case-insensitive)
     const resultStrLower = resultStr.toLowerCase();
     if (resultStrLower.includes('successfully deployed') || resultStrLower.includes('deployed successfully') || resultStrLower.includes('visit your newly deployed app')) {
       const appUrl = `https://${appName}.fly.dev`;
       
-      console.log(`[Fly.io] Deployment successful: ${appUrl}`);
+      log.info(`Deployment successful: ${appUrl}`);
       
       // 6. Verify deployment
       const isHealthy = await verifyDeployment(appUrl);
@@ -71,7 +74,7 @@ export async function deployProjectToFlyIO(projectId, githubRepoUrl, containerId
           [deploymentId, projectId, 'flyio', appName, appUrl, 'deployed', now, now]
         );
         
-        console.log(`[Fly.io] ✅ Deployment complete and verified`);
+        log.info(`✅ Deployment complete and verified`);
         
         // Track deployment activity
         if (userId) {
@@ -91,21 +94,21 @@ export async function deployProjectToFlyIO(projectId, githubRepoUrl, containerId
               client
             });
           } catch (error) {
-            console.error(`[ActivityTracker] Failed to track deployment: ${error.message}`);
+            log.error("Failed to track deployment activity", error);
           }
         }
         
         return { success: true, deploymentUrl: appUrl, appName };
       } else {
-        console.error('[Fly.io] Deployment verification failed');
+        log.error('Deployment verification failed');
         return { success: false, error: 'Deployment verification failed' };
       }
     } else {
-      console.error('[Fly.io] Deployment failed:', resultStr);
+      log.error('Deployment failed:', resultStr);
       return { success: false, error: resultStr };
     }
   } catch (error) {
-    console.error('[Fly.io] Deployment error:', error);
+    log.error('Deployment error:', error);
     return { success: false, error: error.message };
   }
 }
@@ -117,8 +120,8 @@ async function checkFlyAppExists(containerId, projectId) {
     const command = `export FLY_API_TOKEN="${process.env.FLY_API_TOKEN}" && ~/.fly/bin/flyctl apps list --json`;
     const result = await executeCommandInContainer(containerId, command);
     
-    console.log('[Fly.io] Apps list result type:', typeof result);
-    console.log('[Fly.io] Apps list result:', result);
+    log.info('Apps list result type:', typeof result);
+    log.info('Apps list result:', result);
     
     // Handle the result - could be string or object
     let resultStr = '';
@@ -137,17 +140,17 @@ async function checkFlyAppExists(containerId, projectId) {
       try {
         const apps = JSON.parse(resultStr);
         const exists = apps.some(function(app) { return app.Name === appName; });
-        console.log(`[Fly.io] App ${appName} exists: ${exists}`);
+        log.info(`App ${appName} exists: ${exists}`);
         return exists;
       } catch (parseError) {
-        console.error('[Fly.io] Failed to parse apps list:', parseError.message);
+        log.error('Failed to parse apps list:', parseError.message);
         return false;
       }
     }
     
     return false;
   } catch (error) {
-    console.error('[Fly.io] Error checking if app exists:', error);
+    log.error('Error checking if app exists:', error);
     return false;
   }
 }
@@ -159,8 +162,8 @@ async function createFlyApp(containerId, projectId) {
     const command = `export FLY_API_TOKEN="${process.env.FLY_API_TOKEN}" && ~/.fly/bin/flyctl apps create ${appName} --org personal`;
     const result = await executeCommandInContainer(containerId, command);
     
-    console.log('[Fly.io] Create app result type:', typeof result);
-    console.log('[Fly.io] Create app result:', result);
+    log.info('Create app result type:', typeof result);
+    log.info('Create app result:', result);
     
     // Handle the result - extract output from the result
     let resultStr = '';
@@ -172,22 +175,22 @@ async function createFlyApp(containerId, projectId) {
     
     // Check if app was created successfully or already exists
     if (resultStr.includes('created') || resultStr.includes('New app created')) {
-      console.log(`[Fly.io] App created successfully: ${appName}`);
+      log.info(`App created successfully: ${appName}`);
       return { success: true, appName };
     } else if (resultStr.includes('already exists') || resultStr.includes('taken')) {
-      console.log(`[Fly.io] App already exists: ${appName}`);
+      log.info(`App already exists: ${appName}`);
       return { success: true, appName, alreadyExists: true };
     } else {
-      console.log(`[Fly.io] App creation result: ${resultStr}`);
+      log.info(`App creation result: ${resultStr}`);
       // Assume success if no error
       return { success: true, appName };
     }
   } catch (error) {
-    console.error('[Fly.io] Error creating app:', error);
+    log.error('Error creating app:', error);
     // Check if error message indicates app already exists
     const errorMsg = error.message || error.toString();
     if (errorMsg.includes('already exists') || errorMsg.includes('taken')) {
-      console.log(`[Fly.io] App already exists (from error): ${appName}`);
+      log.info(`App already exists (from error): ${appName}`);
       return { success: true, appName, alreadyExists: true };
     }
     throw error;
@@ -253,7 +256,7 @@ CMD ["node", ".output/server/index.mjs"]
   await writeFileInContainer(containerId, 'fly.toml', flyTomlContent);
   await writeFileInContainer(containerId, 'Dockerfile', dockerfileContent);
 
-  console.log('[Fly.io] fly.toml and Dockerfile created (git commit handled by main handler)');
+  log.info('fly.toml and Dockerfile created (git commit handled by main handler)');
 }
 
 async function verifyDeployment(appUrl) {
@@ -265,14 +268,14 @@ async function verifyDeployment(appUrl) {
     
     return response.status === 200;
   } catch (error) {
-    console.error('[Fly.io] Deployment verification failed:', error);
+    log.error('Deployment verification failed:', error);
     return false;
   }
 }
 
 async function getParameterStoreValue(path) {
   // TODO: Implement AWS Parameter Store retrieval
-  console.log(`[ParameterStore] Getting value for: ${path}`);
+  log.info("Getting Parameter Store value", { path });
   return 'mock-fly-token';
 }
 
@@ -287,10 +290,10 @@ async function setDatabaseSecrets(containerId, appName, databaseInfo) {
     
     const result = await executeCommandInContainer(containerId, secretsCommand);
     
-    console.log(`[Fly.io] Database secrets set for app: ${appName}`);
+    log.info(`Database secrets set for app: ${appName}`);
     return { success: true };
   } catch (error) {
-    console.error(`[Fly.io] Error setting database secrets:`, error);
+    log.error(`Error setting database secrets:`, error);
     throw error;
   }
 }
@@ -1,4 +1,7 @@
 import { Pinecone } from '@pinecone-database/pinecone';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('Pinecone');
 
 // Initialize Pinecone client with API key from environment variables
 const pinecone = new Pinecone({
@@ -7,7 +10,7 @@ const pinecone = new Pinecone({
 
 // Get the index name from environment variables
 const indexName = process.env.PINECONE_INDEX_NAME;
-console.log(`[Pinecone] Using index: ${indexName}`);
+log.info(`Using index: ${indexName}`);
 
 /**
  * Stores a code embedding vector in Pinecone with metadata
@@ -47,9 +50,9 @@ export async function upsertEmbedding(fileId, embedding, metadata) {
         // Upsert = Insert if new, Update if exists
         await namespace.upsert([vectorRecord]);
 
-        console.log(`Embedding upserted to Pinecone: ${fileId}`);
+        log.info(`Embedding upserted to Pinecone: ${fileId}`);
     } catch (error) {
-        console.error('Error upserting embedding to Pinecone:', error);
+        log.error('Error upserting embedding to Pinecone:', error);
         throw new Error(`Pinecone upsert failed: ${error.message}`);
     }
 }
@@ -109,9 +112,9 @@ export async function upsertChunkedEmbeddings(fileId, chunks, embeddings, metada
         // Upsert all chunks in a single batch operation
         await namespace.upsert(vectorRecords);
 
-        console.log(`${chunks.length} embedding chunks upserted to Pinecone for file: ${fileId}`);
+        log.info(`${chunks.length} embedding chunks upserted to Pinecone for file: ${fileId}`);
     } catch (error) {
-        console.error('Error upserting chunked embeddings to Pinecone:', error);
+        log.error('Error upserting chunked embeddings to Pinecone:', error);
         throw new Error(`Pinecone chunked upsert failed: ${error.message}`);
     }
 }
@@ -141,11 +144,11 @@ export async function queryEmbeddings(queryEmbedding, projectId, topK = 10, filt
             filter: filter, // Optional: filter by metadata (e.g., language: 'javascript')
         });
 
-        console.log(`Pinecone query returned ${queryResponse.matches.length} results`);
+        log.info(`Pinecone query returned ${queryResponse.matches.length} results`);
 
         return queryResponse.matches;
     } catch (error) {
-        console.error('Error querying Pinecone:', error);
+        log.error('Error querying Pinecone:', error);
         throw new Error(`Pinecone query failed: ${error.message}`);
     }
 }
@@ -180,9 +183,9 @@ export async function deleteEmbedding(fileId, projectId) {
             // Ignore errors from trying to delete non-existent single embedding
         }
 
-        console.log(`Embedding(s) deleted from Pinecone: ${fileId}`);
+        log.info(`Embedding(s) deleted from Pinecone: ${fileId}`);
     } catch (error) {
-        console.error('Error deleting embedding from Pinecone:', error);
+        log.error('Error deleting embedding from Pinecone:', error);
         throw new Error(`Pinecone delete failed: ${error.message}`);
     }
 }
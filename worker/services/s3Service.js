@@ -1,5 +1,8 @@
 import { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } from '@aws-sdk/client-s3';
 import { Upload } from '@aws-sdk/lib-storage';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('S3');
 
 // Initialize S3 client with credentials from environment variables
 const s3Client = new S3Client({
@@ -53,7 +56,7 @@ export async function uploadFileToS3(projectId, filePath, fileContent, metadata
         // Execute the upload
         await upload.done();
 
-        console.log(`File uploaded to S3: ${s3Key}`);
+        log.info(`File uploaded to S3: ${s3Key}`);
 
         // Upload companion .metadata.json file for Bedrock Knowledge Base filtering
         // This file must be stored alongside the source file with .metadata.json extension
@@ -64,7 +67,7 @@ export async function uploadFileToS3(projectId, filePath, fileContent, metadata
             s3Bucket,
         };
     } catch (error) {
-        console.error('Error uploading file to S3:', error);
+        log.error('Error uploading file to S3:', error);
         throw new Error(`S3 upload failed: ${error.message}`);
     }
 }
@@ -103,9 +106,9 @@ async function uploadMetadataFile(s3Bucket, sourceS3Key, projectId, metadata) {
 
         await s3Client.send(command);
 
-        console.log(`Metadata file uploaded to S3: ${metadataS3Key}`);
+        log.info(`Metadata file uploaded to S3: ${metadataS3Key}`);
     } catch (error) {
-        console.error('Error uploading metadata file to S3:', error);
+        log.error('Error uploading metadata file to S3:', error);
         throw new Error(`Metadata upload failed: ${error.message}`);
     }
 }
@@ -129,11 +132,11 @@ export async function downloadFileFromS3(s3Bucket, s3Key) {
         // Convert stream to string
         const fileContent = await streamToString(response.Body);
 
-        console.log(`File downloaded from S3: ${s3Key}`);
+        log.info(`File downloaded from S3: ${s3Key}`);
 
         return fileContent;
     } catch (error) {
-        console.error('Error downloading file from S3:', error);
+        log.error('Error downloading file from S3:', error);
         throw new Error(`S3 download failed: ${error.message}`);
     }
 }
@@ -155,7 +158,7 @@ export async function deleteFileFromS3(s3Bucket, s3Key) {
 
         await s3Client.send(deleteCommand);
 
-        console.log(`File deleted from S3: ${s3Key}`);
+        log.info(`File deleted from S3: ${s3Key}`);
 
         // Delete the companion metadata file
         const metadataS3Key = `${s3Key}.metadata.json`;
@@ -166,9 +169,9 @@ export async function deleteFileFromS3(s3Bucket, s3Key) {
 
         await s3Client.send(deleteMetadataCommand);
 
-        console.log(`Metadata file deleted from S3: ${metadataS3Key}`);
+        log.info(`Metadata file deleted from S3: ${metadataS3Key}`);
     } catch (error) {
-        console.error('Error deleting file from S3:', error);
+        log.error('Error deleting file from S3:', error);
         throw new Error(`S3 delete failed: ${error.message}`);
     }
 }
@@ -0,0 +1,160 @@
+import { z } from "zod";
+
+/**
+ * Envelope for every message the worker publishes on a stream. pubsub-handlers.js is the
+ * only producer; this module depends on nothing but zod so the MCP server can import the
+ * same schemas to parse what it receives.
+ *
+ *   {
+ *     version: 1,
+ *     type: "progress",
+ *     sequence: 3,                       // per stream, starts at 1
+ *     timestamp: "2025-01-01T00:00:00.000Z",
+ *     streamId: "abc123",
+ *     payload: { message: "...", progress: 25 },
+ *     offset: "1735689600000-0"          // durable streams only; see followStream
+ *   }
+ */
+
+export const STREAM_EVENT_VERSION = 1;
+
+const validationIssueSchema = z.object({
+  path: z.string(),
+  code: z.string(),
+  message: z.string(),
+});
+
+/**
+ * Payload schema for each event type.
+ */
+export const streamEventPayloadSchemas = {
+  // A job attempt passed validation and is starting; attempt counts from 1.
+  job_started: z.object({
+    jobName: z.string(),
+    attempt: z.number().int().positive(),
+  }),
+
+  progress: z.object({
+    message: z.string(),
+    progress: z.number().min(0).max(100),
+  }),
+
+  // A pipeline phase finished (e.g. "container", "agentic_loop"); published once per phase,
+  // not again when a retry resumes past it.
+  phase_completed: z.object({
+    phase: z.string(),
+  }),
+
+  api_blueprint: z.object({
+    blueprint: z.unknown(),
+  }),
+
+  deployment: z.object({
+    status: z.enum(["triggered", "succeeded", "failed"]),
+    url: z.string(),
+    message: z.string().optional(),
+    error: z.string().optional(),
+  }),
+
+  // Published once per agentic loop iteration, before its commands run. Usage is cumulative
+  // for the loop so far.
+  agent_reasoning: z.object({
+    iteration: z.number().int().positive(),
+    reasoning: z.string(),
+    commandCount: z.number().int().nonnegative(),
+    taskComplete: z.boolean(),
+    usage: z.object({
+      inputTokens: z.number().int().nonnegative(),
+      outputTokens: z.number().int().nonnegative(),
+      costUsd: z.number().nonnegative(),
+    }),
+  }),
+
+  // One per command the agent ran. Long text fields are truncated by the producer.
+  agent_command: z.object({
+    iteration: z.number().int().positive(),
+    index: z.number().int().nonnegative(),
+    type: z.string(),
+    path: z.string().optional(),
+    purpose: z.string().optional(),
+    command: z.string().optional(),
+    success: z.boolean(),
+    exitCode: z.number().int().optional(),
+    output: z.string().optional(),
+    error: z.string().optional(),
+  }),
+
+  // A run budget passed 80% ("warning") or was used up and stopped the loop ("exceeded").
+  agent_budget: z.object({
+    budget: z.enum(["iterations", "inputTokens", "outputTokens", "costUsd", "wallTimeSeconds"]),
+    status: z.enum(["warning", "exceeded"]),
+    used: z.number().nonnegative(),
+    limit: z.number().positive(),
+  }),
+
+  // One per verification pass after the agentic loop. "repairing" means the failures went
+  // back to the agent for another run; the last pass is "passed" or "failed" and names the
+  // stored report.
+  verification: z.object({
+    status: z.enum(["passed", "failed", "repairing"]),
+    round: z.number().int().nonnegative(),
+    reportId: z.string().optional(),
+    build: z.boolean(),
+    health: z.boolean(),
+    endpointsChecked: z.number().int().nonnegative(),
+    endpointsPassed: z.number().int().nonnegative(),
+    failures: z.array(z.string()),
+  }),
+
+  // Final event of an MCP stream; nothing is published after it.
+  result: z.object({
+    status: z.enum(["success", "error", "cancelled"]),
+    content: z.string(),
+    // "budget": the agent run stopped at one of its budgets; see publishBudgetStopped
+    errorType: z.enum(["validation", "budget"]).optional(),
+    validationErrors: z.array(validationIssueSchema).optional(),
+  }),
+
+  llm_chunk: z.object({
+    jobId: z.string(),
+    chunk: z.string(),
+  }),
+
+  // Final event of an llm-stream-* channel.
+  llm_done: z.object({
+    jobId: z.string(),
+    error: z.string().optional(),
+  }),
+};
+
+export const STREAM_EVENT_TYPES = Object.keys(streamEventPayloadSchemas);
+
+const envelopeFields = {
+  version: z.literal(STREAM_EVENT_VERSION),
+  sequence: z.number().int().positive(),
+  timestamp: z.iso.datetime(),
+  streamId: z.string().min(1),
+  offset: z.string().optional(),
+};
+
+export const streamEventSchema = z.discriminatedUnion(
+  "type",
+  Object.entries(streamEventPayloadSchemas).map(([type, payload]) =>
+    z.object({ ...envelopeFields, type: z.literal(type), payload })
+  )
+);
+
+/**
+ * Parse a raw channel message or stored stream entry into a validated envelope.
+ * Throws a ZodError (or SyntaxError for non-JSON input) when it does not match.
+ */
+export function parseStreamEvent(raw) {
+  return streamEventSchema.parse(typeof raw === "string" ? JSON.parse(raw) : raw);
+}
+
+/**
+ * Whether no further events will follow this one on its stream.
+ */
+export function isTerminalStreamEvent(event) {
+  return event.type === "result" || event.type === "llm_done";
+}
@@ -1,5 +1,8 @@
 import { nanoid } from 'nanoid';
 import pool from '../../databases/postgresConnector.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('ActivityTracker');
 
 /**
  * Track project activity/event
@@ -54,14 +57,14 @@ export async function trackActivity({
             ],
         );
 
-        console.log(
-            `[ActivityTracker] Logged: ${actionType} for project ${projectId}`,
+        log.info(
+            `Logged: ${actionType} for project ${projectId}`,
         );
 
         return actionId;
     } catch (error) {
-        console.error(
-            `[ActivityTracker] Error logging activity: ${error.message}`,
+        log.error(
+            `Error logging activity: ${error.message}`,
         );
         // Don't throw - activity tracking should never fail the main operation
         return null;
@@ -0,0 +1,172 @@
+import { z } from "zod";
+import { getProjectSettings, updateProjectSettings } from "./projectPreferences.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("AgentBudget");
+
+/**
+ * Hard limits on one agentic loop run. The loop checks them before each iteration and
+ * stops gracefully once any is used up; work done so far is kept.
+ */
+
+// resource_preferences row holding a project's limits, as resource_settings.<budget>
+const BUDGET_RESOURCE_TYPE = "agent_budget";
+
+// Share of a budget at which a warning is published
+export const BUDGET_WARNING_RATIO = 0.8;
+
+const limit = z.number().positive();
+
+const budgetSchema = z.object({
+  iterations: limit.int(),
+  inputTokens: limit.int(),
+  outputTokens: limit.int(),
+  costUsd: limit,
+  wallTimeSeconds: limit.int()
+});
+
+export const AGENT_BUDGET_NAMES = Object.keys(budgetSchema.shape);
+
+/**
+ * Limits for projects without their own settings. The environment sets them for the
+ * whole platform.
+ */
+export const DEFAULT_AGENT_BUDGET = budgetSchema.parse({
+  iterations: Number(process.env.AGENT_MAX_ITERATIONS) || 50,
+  inputTokens: Number(process.env.AGENT_MAX_INPUT_TOKENS) || 3000000,
+  outputTokens: Number(process.env.AGENT_MAX_OUTPUT_TOKENS) || 300000,
+  costUsd: Number(process.env.AGENT_MAX_COST_USD) || 5,
+  wallTimeSeconds: Number(process.env.AGENT_MAX_WALL_TIME_SECONDS) || 1800
+});
+
+/**
+ * Limits per billing plan, over DEFAULT_AGENT_BUDGET. AGENT_BUDGET_PLANS holds them as JSON,
+ * e.g. {"free":{"costUsd":1,"iterations":20},"pro":{"costUsd":20}}. Invalid plans are ignored.
+ */
+export const PLAN_AGENT_BUDGETS = parsePlanBudgets(process.env.AGENT_BUDGET_PLANS);
+
+function parsePlanBudgets(json) {
+  if (!json) {
+    return {};
+  }
+  let plans;
+  try {
+    plans = JSON.parse(json);
+  } catch (error) {
+    log.warn(`Ignoring AGENT_BUDGET_PLANS, which is not valid JSON: ${error.message}`);
+    return {};
+  }
+  return Object.fromEntries(
+    Object.entries(plans ?? {}).flatMap(function ([plan, limits]) {
+      const parsed = budgetSchema.partial().strict().safeParse(limits);
+      if (!parsed.success) {
+        log.warn(`Ignoring invalid budget for plan "${plan}": ${parsed.error.message}`);
+        return [];
+      }
+      return [[plan, parsed.data]];
+    })
+  );
+}
+
+/**
+ * The budget for a project's runs: its own settings over its plan's limits over
+ * DEFAULT_AGENT_BUDGET. Invalid stored values are ignored.
+ * @param {string} projectId - Project whose settings to look up
+ * @param {Object} [options]
+ * @param {string} [options.plan] - Billing plan of the requesting user, from the job payload
+ * @returns {Promise<Object>} - { iterations, inputTokens, outputTokens, costUsd, wallTimeSeconds }
+ */
+export async function resolveAgentBudget(projectId, { plan = null } = {}) {
+  if (plan && !PLAN_AGENT_BUDGETS[plan]) {
+    log.warn(`No budget configured for plan "${plan}", using the platform defaults`);
+  }
+  const defaults = { ...DEFAULT_AGENT_BUDGET, ...(plan ? PLAN_AGENT_BUDGETS[plan] : null) };
+
+  const stored = await getProjectSettings(projectId, BUDGET_RESOURCE_TYPE);
+  if (!stored) {
+    return defaults;
+  }
+
+  const parsed = budgetSchema.partial().safeParse(stored);
+  if (!parsed.success) {
+    log.warn(`Ignoring invalid budget settings for project ${projectId}: ${parsed.error.message}`);
+    return defaults;
+  }
+  return { ...defaults, ...parsed.data };
+}
+
+/**
+ * Override some of a project's limits.
+ * @param {string} projectId - Project to update
+ * @param {Object} limits - Any of AGENT_BUDGET_NAMES with a positive value
+ */
+export async function setProjectAgentBudget(projectId, limits) {
+  const parsed = budgetSchema.partial().strict().parse(limits);
+  await updateProjectSettings(projectId, BUDGET_RESOURCE_TYPE, parsed);
+}
+
+/**
+ * Track usage against a budget.
+ *
+ * @param {Object} budget - Limits from resolveAgentBudget
+ * @returns {Object} - { record, usage, exceeded, newWarnings }
+ */
+export function createBudgetTracker(budget) {
+  const startedAt = Date.now();
+  const used = { iterations: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 };
+  const warned = new Set();
+
+  const usage = function () {
+    return { ...used, wallTimeSeconds: Math.floor((Date.now() - startedAt) / 1000) };
+  };
+
+  return {
+    /**
+     * Add one iteration's LLM usage and its cost.
+     */
+    record({ inputTokens = 0, outputTokens = 0, costUsd = 0 }) {
+      used.iterations += 1;
+      used.inputTokens += inputTokens;
+      used.outputTokens += outputTokens;
+      used.costUsd += costUsd;
+    },
+
+    usage,
+
+    /**
+     * The first budget that is used up, as { budget, used, limit }, or null.
+     */
+    exceeded() {
+      const current = usage();
+      const name = AGENT_BUDGET_NAMES.find(function (budgetName) {
+        return current[budgetName] >= budget[budgetName];
+      });
+      return name ? { budget: name, used: current[name], limit: budget[name] } : null;
+    },
+
+    /**
+     * Budgets that passed BUDGET_WARNING_RATIO since the last call, as { budget, used, limit }.
+     */
+    newWarnings() {
+      const current = usage();
+      return AGENT_BUDGET_NAMES
+        .filter(function (budgetName) {
+          return !warned.has(budgetName) && current[budgetName] >= budget[budgetName] * BUDGET_WARNING_RATIO;
+        })
+        .map(function (budgetName) {
+          warned.add(budgetName);
+          return { budget: budgetName, used: current[budgetName], limit: budget[budgetName] };
+        });
+    }
+  };
+}
+
+/**
+ * Human-readable line for a budget that stopped a run.
+ */
+export function describeBudgetStop({ budget, used, limit }) {
+  const format = budget === 'costUsd'
+    ? function (value) { return `$${value.toFixed(4)}`; }
+    : function (value) { return String(value); };
+  return `${budget} budget reached (${format(used)} of ${format(limit)})`;
+}
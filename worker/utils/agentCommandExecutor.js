@@ -1,19 +1,55 @@
+import pool from "../../databases/postgresConnector.js";
 import {
   executeCommandInContainer,
   writeFileInContainer,
   readFileFromContainer,
-  deleteFileInContainer
+  deleteFileInContainer,
+  startDevServerInContainer,
+  sendHttpRequestInContainer
 } from "../services/daytonaService.js";
+import { applyFileEdit } from "./fileEdits.js";
+import { applyCommandPolicy, checkPackageScripts } from "./commandPolicy.js";
+import { executeDevDatabaseQueries, getProjectDevDatabase, isReadOnlyQuery, queryDevDatabase } from "./devDatabaseExecutor.js";
+
+// Response bodies beyond this are cut before they reach the agent
+const HTTP_BODY_LIMIT = 20000;
+
+// Rows a read-only db_query returns at most
+const QUERY_ROW_LIMIT = 100;
 
 /**
  * Execute commands requested by the agent
+ *
+ * @param {string} containerId - Sandbox to run in
+ * @param {Array<Object>} commands - Commands from the agent's response
+ * @param {Object} options
+ * @param {Function} [options.onResult] - Awaited with (entry, index) after each command finishes
+ * @param {string} [options.projectId] - Project whose dev database `db_query` runs against
+ * @param {string} [options.userId] - Recorded with executed queries
+ * @param {string} [options.requestId] - Recorded with executed queries
+ * @returns {Promise<Array<Object>>} - { command, success, result | error } per command; a
+ *   successful `edit` also carries the file's full new `content`
  */
-export async function executeAgentCommands(containerId, commands) {
+export async function executeAgentCommands(containerId, commands, { onResult, projectId, userId, requestId } = {}) {
   const results = [];
   
-  for (const cmd of commands) {
+  for (const [index, requested] of commands.entries()) {
+    const { command: cmd, violation } = applyCommandPolicy(requested);
+    if (violation) {
+      results.push({
+        command: requested,
+        success: false,
+        error: violation.message,
+        violation
+      });
+      await onResult?.(results[results.length - 1], index);
+      continue;
+    }
+
     try {
       let result;
+      // Full file content after an edit, for the caller's record of modified files
+      let content;
       
       switch (cmd.type) {
         case 'execute':
@@ -21,6 +57,7 @@ export async function executeAgentCommands(containerId, commands) {
           break;
           
         case 'write':
+          await guardPackageScripts(containerId, cmd.path, cmd.content);
           result = await writeFileInContainer(containerId, cmd.path, cmd.content);
           break;
           
@@ -28,13 +65,40 @@ export async function executeAgentCommands(containerId, commands) {
           result = await readFileFromContainer(containerId, cmd.path);
           break;
           
+        case 'edit': {
+          const original = await readFileFromContainer(containerId, cmd.path);
+          content = applyFileEdit(original, cmd);
+          await guardPackageScripts(containerId, cmd.path, content, original);
+          await writeFileInContainer(containerId, cmd.path, content);
+          result = { path: cmd.path, lines: content.split('\n').length };
+          break;
+        }
+          
         case 'delete':
           result = await deleteFileInContainer(containerId, cmd.path);
           break;
           
+        case 'start_dev_server':
+          result = await startDevServerInContainer(containerId, { restart: cmd.restart });
+          if (!result.running) {
+            throw new Error(`The dev server did not start. Its output:\n${result.logs}`);
+          }
+          break;
+          
+        case 'http_request': {
+          const server = await startDevServerInContainer(containerId);
+          if (!server.running) {
+            throw new Error(`The dev server did not start. Its output:\n${server.logs}`);
+          }
+          const response = await sendHttpRequestInContainer(containerId, cmd);
+          result = response.body.length > HTTP_BODY_LIMIT
+            ? { ...response, body: response.body.slice(0, HTTP_BODY_LIMIT), truncatedCharacters: response.body.length - HTTP_BODY_LIMIT }
+            : response;
+          break;
+        }
+          
         case 'db_query':
-          // Just store the query, don't execute yet
-          result = { stored: true, query: cmd.query };
+          result = await runDatabaseQuery(cmd, { projectId, userId, requestId });
           break;
           
         default:
@@ -44,17 +108,63 @@ export async function executeAgentCommands(containerId, commands) {
       results.push({
         command: cmd,
         success: true,
-        result
+        result,
+        ...(content !== undefined && { content })
       });
       
     } catch (error) {
       results.push({
         command: cmd,
         success: false,
-        error: error.message
+        error: error.message,
+        ...(error.violation && { violation: error.violation })
       });
     }
+
+    await onResult?.(results[results.length - 1], index);
   }
   
   return results;
 }
+
+/**
+ * Refuse a write that would change package.json scripts; npm runs them, so they are the
+ * worker's. Throws an Error carrying the `violation`.
+ */
+async function guardPackageScripts(containerId, path, content, original = undefined) {
+  if (path !== 'package.json') {
+    return;
+  }
+  const current = original !== undefined
+    ? original
+    : await readFileFromContainer(containerId, path).catch(function() { return null; });
+  const violation = checkPackageScripts(current, content);
+  if (violation) {
+    throw Object.assign(new Error(violation.message), { violation });
+  }
+}
+
+/**
+ * Run a db_query against the project's dev database. Reads run read-only and return rows;
+ * DDL and DML are executed in a transaction and recorded in generated_queries.
+ */
+async function runDatabaseQuery(cmd, { projectId, userId, requestId }) {
+  if (isReadOnlyQuery(cmd.query)) {
+    const rows = await queryDevDatabase(projectId, cmd.query, pool, { maxRows: QUERY_ROW_LIMIT });
+    return { readOnly: true, ...rows };
+  }
+
+  // executeDevDatabaseQueries would create a database; the project's code would not know it
+  if (!await getProjectDevDatabase(projectId, pool)) {
+    throw new Error('This project has no database');
+  }
+
+  const execution = await executeDevDatabaseQueries(
+    projectId,
+    [{ query: cmd.query, type: cmd.queryType || cmd.query.trim().split(/\s+/).slice(0, 2).join(' ').toUpperCase(), schemaName: cmd.schemaName }],
+    pool,
+    userId,
+    requestId
+  );
+  return { readOnly: false, rowsAffected: execution.results[0]?.rowsAffected ?? null };
+}
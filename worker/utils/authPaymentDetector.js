@@ -1,10 +1,14 @@
-import { callLLMNonStream } from "../llms/xai-non-stream.js";
+import { callLLMNonStream } from "../llms/llmProvider.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("AuthDetector");
+const paymentLog = log.child({ detector: "payment" });
 
 /**
  * Detect if user's request requires authentication
  */
-export async function detectAuthenticationNeed(userPrompt) {
-  console.log(`[AuthDetector] Analyzing prompt for authentication need...`);
+export async function detectAuthenticationNeed(userPrompt, { model } = {}) {
+  log.info(`Analyzing prompt for authentication need...`);
 
   const detectionPrompt = `Analyze this user request and determine if it requires user authentication.
 
@@ -26,11 +30,11 @@ Return JSON only in this exact format:
 }`;
 
   try {
-    const result = await callLLMNonStream(detectionPrompt, null);
+    const result = await callLLMNonStream(detectionPrompt, null, { model });
     const response = JSON.parse(result.text);
 
-    console.log(`[AuthDetector] Needs authentication: ${response.needsAuth}`);
-    console.log(`[AuthDetector] Reasoning: ${response.reasoning}`);
+    log.info(`Needs authentication: ${response.needsAuth}`);
+    log.info(`Reasoning: ${response.reasoning}`);
 
     return {
       needsAuth: response.needsAuth,
@@ -39,7 +43,7 @@ Return JSON only in this exact format:
       usage: result.usage
     };
   } catch (error) {
-    console.error(`[AuthDetector] Error detecting authentication need:`, error);
+    log.error(`Error detecting authentication need:`, error);
     // Default to false if detection fails
     return {
       needsAuth: false,
@@ -53,8 +57,8 @@ Return JSON only in this exact format:
 /**
  * Detect if user's request requires payment processing
  */
-export async function detectPaymentNeed(userPrompt) {
-  console.log(`[PaymentDetector] Analyzing prompt for payment need...`);
+export async function detectPaymentNeed(userPrompt, { model } = {}) {
+  paymentLog.info(`Analyzing prompt for payment need...`);
 
   const detectionPrompt = `Analyze this user request and determine if it requires payment processing.
 
@@ -76,11 +80,11 @@ Return JSON only in this exact format:
 }`;
 
   try {
-    const result = await callLLMNonStream(detectionPrompt, null);
+    const result = await callLLMNonStream(detectionPrompt, null, { model });
     const response = JSON.parse(result.text);
 
-    console.log(`[PaymentDetector] Needs payments: ${response.needsPayments}`);
-    console.log(`[PaymentDetector] Reasoning: ${response.reasoning}`);
+    paymentLog.info(`Needs payments: ${response.needsPayments}`);
+    paymentLog.info(`Reasoning: ${response.reasoning}`);
 
     return {
       needsPayments: response.needsPayments,
@@ -89,7 +93,7 @@ Return JSON only in this exact format:
       usage: result.usage
     };
   } catch (error) {
-    console.error(`[PaymentDetector] Error detecting payment need:`, error);
+    paymentLog.error(`Error detecting payment need:`, error);
     // Default to false if detection fails
     return {
       needsPayments: false,
@@ -0,0 +1,593 @@
+import path from "path";
+
+/*
+ * Safety policy. Every command the agent asks for is checked before it reaches the sandbox;
+ * a refused command is not run and comes back as { success: false, error, violation } with
+ * violation = { rule, message }:
+ *
+ * - command_not_allowed: an `execute` command runs a program outside ALLOWED_PROGRAMS
+ * - command_denied: an `execute` command breaks one of the shell rules below
+ * - path_outside_project: a path is absolute or climbs out of the project root
+ * - protected_path: the path is one the agent may not touch this way (PROTECTED_PATHS)
+ *
+ * This keeps the agent to its job; it is not the security boundary. The agent's own code
+ * runs in the sandbox (the dev server, npm scripts, node), and that code can do anything
+ * the sandbox user can, including reading .env, whose variables it needs. What must hold
+ * regardless is held by the sandbox: it never stores git credentials (see gitCredentials.js),
+ * and the worker refuses edits to package.json scripts (checkPackageScripts), which npm
+ * would otherwise run on the agent's behalf.
+ *
+ * Shell commands are tokenized with their quotes resolved, so `rm -rf "/"` is checked as
+ * `rm -rf /`; command substitutions are checked as commands of their own, and so are the
+ * programs run by timeout, xargs, find -exec and the package runners.
+ */
+
+// Secret files; `.env.example` is fine
+const SECRET_FILE = /(^|\/)\.env(\.(?!example$)[^/]*)?$/;
+
+// Names a glob is tried against to see whether it could expand to a secret file
+const SECRET_FILE_NAMES = ['.env', '.env.local', '.env.development', '.env.production'];
+
+const PROTECTED_PATHS = [
+  { pattern: SECRET_FILE, operations: ['read', 'write', 'edit', 'delete'], reason: 'holds the project secrets' },
+  { pattern: /(^|\/)\.git(\/|$)/, operations: ['write', 'edit', 'delete'], reason: 'is managed by the worker' },
+  { pattern: /^fly\.toml$/, operations: ['write', 'edit', 'delete'], reason: 'is generated for deployment' },
+  { pattern: /^\.github\/workflows(\/|$)/, operations: ['write', 'edit', 'delete'], reason: 'is generated for deployment' },
+  // Its scripts run through npm; write and edit are checked by checkPackageScripts
+  { pattern: /^package\.json$/, operations: ['delete', 'shell-write'], reason: 'has scripts managed by the worker; change it with edit' }
+];
+
+// Programs an `execute` command may run
+const ALLOWED_PROGRAMS = new Set([
+  'ls', 'cat', 'head', 'tail', 'find', 'grep', 'egrep', 'tree', 'wc', 'pwd', 'echo', 'printf',
+  'mkdir', 'touch', 'cp', 'mv', 'rm', 'rmdir', 'sed', 'sort', 'uniq', 'cut', 'tr',
+  'diff', 'jq', 'stat', 'file', 'du', 'which', 'test', 'true', 'false', 'cd', 'sleep',
+  'xargs', 'timeout', 'curl', 'node', 'npm', 'npx', 'pnpm', 'yarn', 'corepack'
+]);
+
+// Programs whose operands are written or removed; everything else only reads
+const WRITING_PROGRAMS = new Set(['mkdir', 'touch', 'cp', 'mv', 'rm', 'rmdir']);
+
+// Programs whose first operand is a pattern or script rather than a path
+const PATTERN_PROGRAMS = new Set(['grep', 'egrep', 'sed', 'jq', 'tr']);
+
+// Programs whose arguments are only printed or compared, never opened
+const DATA_PROGRAMS = new Set(['echo', 'printf', 'test', 'true', 'false', 'sleep', 'which', 'pwd']);
+
+// Paths outside the project that shell commands may still use
+const DEVICE_PATHS = new Set(['/dev/null', '/dev/stdin', '/dev/stdout', '/dev/stderr']);
+
+const PRINTS_ENVIRONMENT = 'Printing the environment is not allowed';
+const RUNS_SHELL = 'Shells and interpreters are not available; run the commands directly';
+
+// Programs refused with a reason of their own, also when timeout, xargs, find -exec or a
+// package runner would start them
+const RESTRICTED_PROGRAMS = {
+  git: 'git commands are not allowed; the worker commits and pushes your changes',
+  ...Object.fromEntries(['env', 'printenv', 'set', 'export', 'declare'].map(function(program) {
+    return [program, PRINTS_ENVIRONMENT];
+  })),
+  ...Object.fromEntries(['sh', 'bash', 'zsh', 'dash', 'eval', 'exec', 'source', '.', 'python', 'python3', 'perl', 'ruby', 'awk', 'sudo', 'su'].map(function(program) {
+    return [program, RUNS_SHELL];
+  }))
+};
+
+// npm, pnpm and yarn subcommands refused, by name or script name
+const DENIED_PACKAGE_COMMANDS = {
+  dev: 'The dev server never exits; use start_dev_server and http_request instead',
+  env: PRINTS_ENVIRONMENT,
+  explore: RUNS_SHELL,
+  pkg: 'package.json scripts are managed by the worker; change dependencies with npm install',
+  'set-script': 'package.json scripts are managed by the worker'
+};
+
+// Operators and redirections, longest first so `&&` is not read as two `&`
+const OPERATORS = ['&&', '||', '|&', '|', ';', '&', '(', ')'];
+const REDIRECTIONS = ['&>>', '&>', '<<<', '<<', '>>', '>|', '>&', '<&', '>', '<'];
+
+class PolicyViolation extends Error {
+  constructor(rule, message) {
+    super(message);
+    this.violation = { rule, message };
+  }
+}
+
+function deny(rule, message) {
+  throw new PolicyViolation(rule, message);
+}
+
+/**
+ * Resolve an agent-supplied path against the project root, or report why it is refused.
+ * @returns {Object} - { path } relative to the project root, or { violation }
+ */
+export function confineProjectPath(requestedPath, operation) {
+  const raw = String(requestedPath ?? '').trim();
+  if (raw.startsWith('/') || raw.startsWith('~')) {
+    return { violation: { rule: 'path_outside_project', message: `"${raw}" is absolute; use a path relative to the project root` } };
+  }
+
+  const normalized = path.posix.normalize(raw).replace(/\/+$/, '');
+  if (normalized === '..' || normalized.startsWith('../')) {
+    return { violation: { rule: 'path_outside_project', message: `"${raw}" is outside the project root` } };
+  }
+  if (normalized === '.' || normalized === '') {
+    return { violation: { rule: 'path_outside_project', message: `Cannot ${operation} the project root itself` } };
+  }
+
+  // Shell writes are writes, and also reach files the write and edit tools may change
+  const protectedPath = PROTECTED_PATHS.find(function(rule) {
+    const applies = rule.operations.includes(operation) || (operation === 'shell-write' && rule.operations.includes('write'));
+    return applies && rule.pattern.test(normalized);
+  });
+  if (protectedPath) {
+    const verb = operation === 'shell-write' ? 'write' : operation;
+    return { violation: { rule: 'protected_path', message: `Cannot ${verb} "${normalized}": it ${protectedPath.reason}` } };
+  }
+
+  return { path: normalized };
+}
+
+/**
+ * Check a shell command against the program allowlist, the shell rules and path confinement.
+ * @returns {Object|null} - The violation, or null when the command may run
+ */
+export function checkShellCommand(command) {
+  try {
+    checkShellSource(command);
+    return null;
+  } catch (error) {
+    if (error instanceof PolicyViolation) {
+      return error.violation;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Check that writing `updated` over package.json leaves its scripts as they were.
+ * @param {string|null} original - Current content, or null when there is no package.json yet
+ * @param {string} updated - Content about to be written
+ * @returns {Object|null} - The violation, or null when the write may go ahead
+ */
+export function checkPackageScripts(original, updated) {
+  const scripts = function(content) {
+    return JSON.stringify(JSON.parse(content).scripts ?? {});
+  };
+  try {
+    if (scripts(updated) === (original === null ? '{}' : scripts(original))) {
+      return null;
+    }
+  } catch {
+    return { rule: 'protected_path', message: 'package.json must stay valid JSON' };
+  }
+  return { rule: 'protected_path', message: 'package.json scripts are managed by the worker; leave "scripts" unchanged' };
+}
+
+/**
+ * Apply the safety policy to one command.
+ * @returns {Object} - { command } with any path normalized, or { violation }
+ */
+export function applyCommandPolicy(cmd) {
+  switch (cmd.type) {
+    case 'execute': {
+      const violation = checkShellCommand(String(cmd.command ?? ''));
+      return violation ? { violation } : { command: cmd };
+    }
+    case 'read':
+    case 'write':
+    case 'edit':
+    case 'delete': {
+      const confined = confineProjectPath(cmd.path, cmd.type);
+      return confined.violation ? confined : { command: { ...cmd, path: confined.path } };
+    }
+    default:
+      return { command: cmd };
+  }
+}
+
+function checkShellSource(source) {
+  const { words, substitutions } = tokenizeShell(source);
+  substitutions.forEach(checkShellSource);
+
+  for (const command of splitCommands(words)) {
+    for (const { op, target } of command.redirects) {
+      // `2>&1` and `<<<` take a file descriptor and a string, not a path
+      if (!(/&$/.test(op) && /^(\d+|-)$/.test(target.value)) && op !== '<<<') {
+        checkPath(target, op.startsWith('<') ? 'read' : 'shell-write');
+      }
+    }
+    checkInvocation(command.words, { pipedFrom: command.pipedFrom });
+  }
+}
+
+/*
+ * Tokenizer. Produces words with their quotes resolved, and operators and redirections; the
+ * source of each command substitution is collected to be checked separately. A word is
+ * `dynamic` when part of it comes from a command substitution.
+ */
+function tokenizeShell(source) {
+  const words = [];
+  const substitutions = [];
+  let word = null;
+  let i = 0;
+
+  const append = function(text) {
+    word = word ?? { type: 'word', value: '', dynamic: false };
+    word.value += text;
+  };
+  const endWord = function() {
+    if (word) {
+      words.push(word);
+      word = null;
+    }
+  };
+  const substitute = function(inner) {
+    substitutions.push(inner);
+    append('');
+    word.dynamic = true;
+  };
+  // Reads `$...` at `start`; returns the index after it
+  const readDollar = function(start) {
+    if (source[start + 1] === '(' && source[start + 2] !== '(') {
+      const end = findClosingParen(source, start + 1);
+      substitute(source.slice(start + 2, end));
+      return end + 1;
+    }
+    if (/^[\w{('@*#?$!-]/.test(source[start + 1] ?? '')) {
+      deny('command_denied', 'Shell variables are not allowed: they can expose the environment. Write values out literally.');
+    }
+    append('$');
+    return start + 1;
+  };
+  const readBacktick = function(start) {
+    const end = source.indexOf('`', start + 1);
+    if (end === -1) {
+      deny('command_denied', 'Unterminated ` in command');
+    }
+    substitute(source.slice(start + 1, end));
+    return end + 1;
+  };
+
+  while (i < source.length) {
+    const char = source[i];
+    const operator = OPERATORS.find(function(op) { return source.startsWith(op, i); });
+    const redirection = REDIRECTIONS.find(function(op) { return source.startsWith(op, i); });
+
+    if (/[ \t\r]/.test(char)) {
+      endWord();
+      i++;
+    } else if (char === '\n') {
+      endWord();
+      words.push({ type: 'operator', value: ';' });
+      i++;
+    } else if (char === '#' && !word) {
+      i = source.includes('\n', i) ? source.indexOf('\n', i) : source.length;
+    } else if (char === '\\') {
+      append(source[i + 1] === '\n' ? '' : source[i + 1] ?? '');
+      i += 2;
+    } else if (char === "'") {
+      const end = source.indexOf("'", i + 1);
+      if (end === -1) {
+        deny('command_denied', "Unterminated ' in command");
+      }
+      append(source.slice(i + 1, end));
+      i = end + 1;
+    } else if (char === '"') {
+      append('');
+      for (i++; source[i] !== '"'; ) {
+        if (i >= source.length) {
+          deny('command_denied', 'Unterminated " in command');
+        }
+        if (source[i] === '\\' && '$`"\\'.includes(source[i + 1])) {
+          append(source[i + 1]);
+          i += 2;
+        } else if (source[i] === '$') {
+          i = readDollar(i);
+        } else if (source[i] === '`') {
+          i = readBacktick(i);
+        } else {
+          append(source[i++]);
+        }
+      }
+      i++;
+    } else if (char === '$') {
+      if (source[i + 1] === "'") {
+        deny('command_denied', "ANSI-C quoting ($'...') is not allowed; use plain quotes");
+      }
+      i = readDollar(i);
+    } else if (char === '`') {
+      i = readBacktick(i);
+    } else if ((char === '<' || char === '>') && source[i + 1] === '(') {
+      const end = findClosingParen(source, i + 1);
+      substitute(source.slice(i + 2, end));
+      i = end + 1;
+    } else if (redirection) {
+      if (redirection === '<<') {
+        deny('command_denied', 'Here-documents are not allowed; create files with the write tool');
+      }
+      // A bare number right before the operator is a file descriptor (`2>`)
+      if (word && /^\d+$/.test(word.value)) {
+        word = null;
+      }
+      endWord();
+      words.push({ type: 'redirect', value: redirection });
+      i += redirection.length;
+    } else if (operator) {
+      endWord();
+      words.push({ type: 'operator', value: operator });
+      i += operator.length;
+    } else {
+      append(char);
+      i++;
+    }
+  }
+  endWord();
+
+  return { words, substitutions };
+}
+
+// Index of the `)` closing the `(` at `open`, skipping quoted text
+function findClosingParen(source, open) {
+  let depth = 0;
+  for (let i = open; i < source.length; i++) {
+    if (source[i] === '\\') {
+      i++;
+    } else if (source[i] === "'" || source[i] === '"') {
+      const end = source.indexOf(source[i], i + 1);
+      i = end === -1 ? source.length : end;
+    } else if (source[i] === '(') {
+      depth++;
+    } else if (source[i] === ')' && --depth === 0) {
+      return i;
+    }
+  }
+  deny('command_denied', 'Unterminated ( in command');
+}
+
+// Group tokens into simple commands: { words, redirects, pipedFrom }
+function splitCommands(tokens) {
+  const commands = [];
+  let current = { words: [], redirects: [], pipedFrom: null };
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token.type === 'word') {
+      current.words.push(token);
+    } else if (token.type === 'redirect') {
+      if (tokens[i + 1]?.type !== 'word') {
+        deny('command_denied', `Redirection ${token.value} has no target`);
+      }
+      current.redirects.push({ op: token.value, target: tokens[++i] });
+    } else {
+      commands.push(current);
+      const piped = token.value === '|' || token.value === '|&';
+      current = { words: [], redirects: [], pipedFrom: piped ? current.words[0]?.value ?? null : null };
+    }
+  }
+  commands.push(current);
+
+  return commands;
+}
+
+/**
+ * Check one program invocation, after any leading VAR=value assignments.
+ * @param {Array<Object>} words - The program and its arguments
+ * @param {Object} context - { pipedFrom, operandsUnknown }
+ */
+function checkInvocation(words, context) {
+  const start = words.findIndex(function(word) { return !/^[A-Za-z_]\w*=/.test(word.value); });
+  if (start === -1) {
+    return;
+  }
+  const program = words[start].dynamic ? null : words[start].value;
+  const args = words.slice(start + 1);
+
+  if (RESTRICTED_PROGRAMS[program]) {
+    const downloaded = RESTRICTED_PROGRAMS[program] === RUNS_SHELL && ['curl', 'wget'].includes(context.pipedFrom);
+    deny('command_denied', downloaded ? 'Piping a download into a shell is not allowed' : RESTRICTED_PROGRAMS[program]);
+  }
+  if (!ALLOWED_PROGRAMS.has(program)) {
+    deny('command_not_allowed', program === null ? 'The program to run must be written out' : `"${program}" is not an allowed program`);
+  }
+
+  switch (program) {
+    case 'timeout':
+      // timeout [options] DURATION PROGRAM...
+      return checkInvocation(args.slice(skipOptions(args, ['-s', '-k', '--signal', '--kill-after']) + 1), context);
+    case 'xargs':
+      return checkInvocation(args.slice(skipOptions(args, ['-a', '-d', '-E', '-I', '-L', '-n', '-P', '-s'])), { operandsUnknown: true });
+    case 'npx':
+      return checkPackageRunner(args, context);
+    case 'npm':
+    case 'pnpm':
+    case 'yarn':
+    case 'corepack':
+      return checkPackageManager(program, args, context);
+    case 'find':
+      return checkFind(args);
+    case 'node':
+      checkNode(args);
+      break;
+    case 'rm':
+      checkRemove(args, context);
+      break;
+    case 'cd':
+      if (args.length === 0 || args[0].value === '-') {
+        deny('path_outside_project', 'cd needs a directory inside the project');
+      }
+      break;
+    case 'curl':
+      if (args.some(function(arg) { return /(^|=)\s*file:/i.test(arg.value); })) {
+        deny('command_denied', 'curl may not read local files (file: URLs)');
+      }
+      break;
+  }
+
+  checkArguments(program, args);
+}
+
+/*
+ * Every argument that could be a path is confined: operands, and option values after `=`
+ * or `@` (curl -d @file). Writing programs' operands must be writable; for the rest, paths
+ * only have to stay inside the project and away from secret files.
+ */
+function checkArguments(program, args) {
+  if (DATA_PROGRAMS.has(program)) {
+    return;
+  }
+  let operandIndex = 0;
+  for (const arg of args) {
+    if (arg.value.startsWith('-') && arg.value !== '-') {
+      const value = arg.value.match(/^--?[\w-]+=(.*)$/)?.[1];
+      if (value) {
+        checkPath({ ...arg, value }, 'read');
+      }
+      continue;
+    }
+    if (PATTERN_PROGRAMS.has(program) && operandIndex++ === 0) {
+      continue;
+    }
+    const operation = program === 'rm' || program === 'rmdir'
+      ? 'delete'
+      : WRITING_PROGRAMS.has(program) || (program === 'sed' && args.some(function(a) { return /^-(i|-in-place)/.test(a.value); }))
+        ? 'shell-write'
+        : 'read';
+    checkPath({ ...arg, value: arg.value.replace(/^([\w-]+=)?@/, '') }, operation);
+  }
+}
+
+// Confine a path given to a shell command. Unlike the file tools, the shell may name the
+// project root itself (`ls .`), except to delete it.
+function checkPath(word, operation) {
+  if (word.dynamic) {
+    deny('path_outside_project', 'Paths must be written out; one built from command output is only known when the command runs');
+  }
+  const value = word.value;
+  if (DEVICE_PATHS.has(value) || value === '-' || /^[a-z]+:\/\//i.test(value)) {
+    return;
+  }
+  if (namesSecretFile(value)) {
+    deny('protected_path', `Commands may not touch "${value}": it holds the project secrets`);
+  }
+  if (operation !== 'delete' && isProjectRoot(value)) {
+    return;
+  }
+  const confined = confineProjectPath(value, operation);
+  if (confined.violation) {
+    throw new PolicyViolation(confined.violation.rule, confined.violation.message);
+  }
+}
+
+function isProjectRoot(value) {
+  return value !== '' && !value.startsWith('/') && path.posix.normalize(value) === '.';
+}
+
+// Whether a path, or a glob in the last segment of one, could name a secret file
+function namesSecretFile(value) {
+  if (SECRET_FILE.test(value)) {
+    return true;
+  }
+  const name = value.slice(value.lastIndexOf('/') + 1);
+  if (!/[*?[]/.test(name)) {
+    return false;
+  }
+  // Like the shell, a leading wildcard does not match a leading dot
+  const pattern = new RegExp(`^${/^[*?[]/.test(name) ? '(?!\\.)' : ''}${name
+    .replace(/[.+^${}()|\\]/g, '\\$&')
+    .replace(/\*/g, '[^/]*')
+    .replace(/\?/g, '[^/]')}$`);
+  return SECRET_FILE_NAMES.some(function(secret) { return pattern.test(secret); });
+}
+
+// Index of the first argument after the options; `valueOptions` take the next word
+function skipOptions(args, valueOptions) {
+  let i = 0;
+  for (; i < args.length && args[i].value.startsWith('-') && args[i].value !== '-'; i++) {
+    if (args[i].value === '--') {
+      return i + 1;
+    }
+    if (valueOptions.includes(args[i].value)) {
+      i++;
+    }
+  }
+  return i;
+}
+
+// Recursive removal is only allowed inside the project, and never of the root itself
+const ROOT_GLOBS = new Set(['*', './*', '.*', './.*']);
+
+function checkRemove(args, context) {
+  const recursive = args.some(function(arg) { return /^-[a-zA-Z]*[rR]|^--recursive$/.test(arg.value); });
+  if (!recursive) {
+    return;
+  }
+  if (context.operandsUnknown) {
+    deny('command_denied', 'Recursive rm of paths only known when the command runs is not allowed; name the paths to remove');
+  }
+  const root = args.find(function(arg) { return ROOT_GLOBS.has(arg.value) || isProjectRoot(arg.value); });
+  if (root) {
+    deny('command_denied', `Recursive rm of "${root.value}" is not allowed; only remove paths inside the project`);
+  }
+}
+
+function checkNode(args) {
+  const first = args.find(function(arg) { return !/^--?[\w-]+=/.test(arg.value); });
+  if (args.some(function(arg) { return /^(-[a-zA-Z]*[epi]|--eval|--print|--interactive)$/.test(arg.value); })) {
+    deny('command_denied', 'Inline node code (-e, -p, -i) is not allowed');
+  }
+  if (!first || first.value === '-') {
+    deny('command_denied', 'node without a script file is not allowed');
+  }
+}
+
+// find: starting points are read; -exec and friends run a program of their own
+function checkFind(args) {
+  for (let i = 0; i < args.length; i++) {
+    if (['-exec', '-execdir', '-ok', '-okdir'].includes(args[i].value)) {
+      const end = args.findIndex(function(arg, index) { return index > i && (arg.value === ';' || arg.value === '+'); });
+      if (end === -1) {
+        deny('command_denied', `find ${args[i].value} needs a terminating ';' or '+'`);
+      }
+      checkInvocation(args.slice(i + 1, end), { operandsUnknown: true });
+      i = end;
+    } else if (args[i].value === '-delete') {
+      deny('command_denied', 'find -delete is not allowed; remove paths with rm');
+    } else {
+      checkArguments('find', [args[i]]);
+    }
+  }
+}
+
+// npx, npm exec, pnpm exec/dlx, yarn exec/dlx: the program may be a package binary, so only
+// restricted programs are refused; allowed programs are checked as usual
+function checkPackageRunner(args, context) {
+  if (args.some(function(arg) { return /^(-c|--call)(=|$)/.test(arg.value); })) {
+    deny('command_denied', 'Package runners may not run shell commands (-c); run the commands directly');
+  }
+  const start = skipOptions(args, ['-p', '--package']);
+  const program = args[start]?.value;
+  if (program === 'nitro' && args[start + 1]?.value === 'dev') {
+    deny('command_denied', DENIED_PACKAGE_COMMANDS.dev);
+  }
+  if (RESTRICTED_PROGRAMS[program] || ALLOWED_PROGRAMS.has(program)) {
+    checkInvocation(args.slice(start), context);
+  } else {
+    checkArguments(program, args.slice(start + 1));
+  }
+}
+
+function checkPackageManager(program, args, context) {
+  const start = skipOptions(args, ['--prefix', '--filter', '-C', '--dir', '--cwd', '-w', '--workspace']);
+  const subcommand = args[start]?.value;
+  if (program === 'corepack') {
+    return ['npm', 'npx', 'pnpm', 'yarn'].includes(subcommand) ? checkInvocation(args.slice(start), context) : undefined;
+  }
+  if (['exec', 'x', 'dlx'].includes(subcommand)) {
+    return checkPackageRunner(args.slice(start + 1), context);
+  }
+  const script = ['run', 'run-script'].includes(subcommand) ? args[start + 1]?.value : subcommand;
+  const denied = DENIED_PACKAGE_COMMANDS[subcommand] ?? DENIED_PACKAGE_COMMANDS[script];
+  if (denied) {
+    deny('command_denied', denied);
+  }
+}
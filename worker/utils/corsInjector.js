@@ -1,10 +1,13 @@
 import { writeFileInContainer, executeCommandInContainer } from '../services/daytonaService.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('CORS');
 
 /**
  * Inject CORS middleware for Nitro.js projects
  */
 export async function injectCorsMiddleware(containerId, projectId) {
-  console.log(`[CORS] Injecting CORS middleware for project ${projectId}`);
+  log.info(`Injecting CORS middleware for project ${projectId}`);
 
   const corsMiddleware = `export default defineEventHandler(function(event) {
   setResponseHeaders(event, {
@@ -23,7 +26,7 @@ export async function injectCorsMiddleware(containerId, projectId) {
 
   await writeFileInContainer(containerId, 'server/middleware/00.cors.js', corsMiddleware);
   
-  console.log(`[CORS] ✅ CORS middleware created`);
+  log.info(`✅ CORS middleware created`);
   
   return { success: true };
 }
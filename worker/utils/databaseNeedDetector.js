@@ -1,10 +1,13 @@
-import { callLLMNonStream } from "../llms/xai-non-stream.js";
+import { callLLMNonStream } from "../llms/llmProvider.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("DatabaseDetector");
 
 /**
  * Detect if user's request requires a database
  */
-export async function detectDatabaseNeed(userPrompt) {
-  console.log(`[DatabaseDetector] Analyzing prompt for database need...`);
+export async function detectDatabaseNeed(userPrompt, { model } = {}) {
+  log.info(`Analyzing prompt for database need...`);
   
   const detectionPrompt = `Analyze this user request and determine if it requires a relational database (Postgres).
 
@@ -23,11 +26,11 @@ Return JSON only in this exact format:
 }`;
 
   try {
-    const result = await callLLMNonStream(detectionPrompt, null);
+    const result = await callLLMNonStream(detectionPrompt, null, { model });
     const response = JSON.parse(result.text);
     
-    console.log(`[DatabaseDetector] Needs database: ${response.needsDatabase}`);
-    console.log(`[DatabaseDetector] Reasoning: ${response.reasoning}`);
+    log.info(`Needs database: ${response.needsDatabase}`);
+    log.info(`Reasoning: ${response.reasoning}`);
     
     return {
       needsDatabase: response.needsDatabase,
@@ -35,7 +38,7 @@ Return JSON only in this exact format:
       usage: result.usage
     };
   } catch (error) {
-    console.error(`[DatabaseDetector] Error detecting database need:`, error);
+    log.error(`Error detecting database need:`, error);
     // Default to false if detection fails
     return {
       needsDatabase: false,
@@ -1,19 +1,22 @@
 import { nanoid } from "nanoid";
 import pg from "pg";
 import { trackActivity } from "./activityTracker.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("DatabaseProvisioner");
 const { Pool } = pg;
 
 /**
  * Provision database and create tables based on schema design
  */
 export async function provisionAndCreateTables(projectId, userId, schemaDesign, client, requestId = null) {
-  console.log(`[DatabaseProvisioner] Provisioning database for project ${projectId}`);
+  log.info(`Provisioning database for project ${projectId}`);
   
   const dbName = `turbobackend_proj_${projectId.replace(/-/g, '_')}`.toLowerCase();
   
   try {
     // Create database on cluster
-    console.log(`[DatabaseProvisioner] Creating database: ${dbName}`);
+    log.info(`Creating database: ${dbName}`);
     
     const adminConnection = new Pool({
       host: process.env.DB_CLUSTER_HOST,
@@ -23,21 +26,41 @@ export async function provisionAndCreateTables(projectId, userId, schemaDesign,
       database: 'postgres'
     });
     
-    await adminConnection.query(`CREATE DATABASE ${dbName}`);
-    await adminConnection.end();
-    
-    console.log(`[DatabaseProvisioner] ✅ Database created: ${dbName}`);
+    try {
+      // A retried job may have created the database before its checkpoint was written
+      const existingDb = await adminConnection.query(
+        `SELECT 1 FROM pg_database WHERE datname = $1`,
+        [dbName]
+      );
+      
+      if (existingDb.rows.length > 0) {
+        log.info(`Database already exists, reusing: ${dbName}`);
+      } else {
+        await adminConnection.query(`CREATE DATABASE ${dbName}`);
+        log.info(`✅ Database created: ${dbName}`);
+      }
+    } finally {
+      await adminConnection.end();
+    }
     
-    // Record in project_databases table
-    const databaseId = nanoid();
+    // Record in project_databases table, once: a retry reuses the row of the database it reuses
     const now = Math.floor(Date.now() / 1000);
-    
-    await client.query(
-      `INSERT INTO ${process.env.PG_DB_SCHEMA}.project_databases 
-       (database_id, project_id, user_id, db_name, db_schema, environment, is_active, created_at, updated_at)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
-      [databaseId, projectId, userId, dbName, 'public', 'development', true, now, now]
+    const existingRecord = await client.query(
+      `SELECT database_id FROM ${process.env.PG_DB_SCHEMA}.project_databases
+       WHERE project_id = $1 AND db_name = $2 AND environment = 'development'
+       LIMIT 1`,
+      [projectId, dbName]
     );
+    const databaseId = existingRecord.rows[0]?.database_id ?? nanoid();
+    
+    if (existingRecord.rows.length === 0) {
+      await client.query(
+        `INSERT INTO ${process.env.PG_DB_SCHEMA}.project_databases 
+         (database_id, project_id, user_id, db_name, db_schema, environment, is_active, created_at, updated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+        [databaseId, projectId, userId, dbName, 'public', 'development', true, now, now]
+      );
+    }
     
     // Connect to new database and create tables
     const projectDbConnection = new Pool({
@@ -51,13 +74,22 @@ export async function provisionAndCreateTables(projectId, userId, schemaDesign,
     const projectDbClient = await projectDbConnection.connect();
     
     try {
+      // A retried job may have created the tables before its checkpoint was written
+      const existingTables = await projectDbClient.query(
+        `SELECT table_name FROM information_schema.tables WHERE table_schema = 'public'`
+      );
+      const existingTableNames = new Set(existingTables.rows.map(function(row) { return row.table_name.toLowerCase(); }));
+      
       await projectDbClient.query('BEGIN');
       
       // Execute CREATE TABLE queries
       for (const table of schemaDesign.tables) {
-        console.log(`[DatabaseProvisioner] Creating table: ${table.tableName}`);
-        
-        await projectDbClient.query(table.createQuery);
+        if (existingTableNames.has(table.tableName.toLowerCase())) {
+          log.info(`Table already exists, reusing: ${table.tableName}`);
+        } else {
+          log.info(`Creating table: ${table.tableName}`);
+          await projectDbClient.query(table.createQuery);
+        }
         
         // Record query in generated_queries table
         const queryId = nanoid();
@@ -71,7 +103,7 @@ export async function provisionAndCreateTables(projectId, userId, schemaDesign,
       
       await projectDbClient.query('COMMIT');
       
-      console.log(`[DatabaseProvisioner] ✅ Created ${schemaDesign.tables.length} tables`);
+      log.info(`✅ Created ${schemaDesign.tables.length} tables`);
       
     } catch (error) {
       await projectDbClient.query('ROLLBACK');
@@ -99,7 +131,7 @@ export async function provisionAndCreateTables(projectId, userId, schemaDesign,
         client
       });
     } catch (error) {
-      console.error(`[ActivityTracker] Failed to track database creation: ${error.message}`);
+      log.error(`Failed to track database creation activity`, error);
     }
     
     // Return database connection info
@@ -114,7 +146,7 @@ export async function provisionAndCreateTables(projectId, userId, schemaDesign,
     };
     
   } catch (error) {
-    console.error(`[DatabaseProvisioner] ❌ Error provisioning database:`, error);
+    log.error(`❌ Error provisioning database:`, error);
     throw new Error(`Database provisioning failed: ${error.message}`);
   }
 }
@@ -1,10 +1,13 @@
-import { callLLMNonStream } from "../llms/xai-non-stream.js";
+import { callLLMNonStream } from "../llms/llmProvider.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("SchemaDesigner");
 
 /**
  * Design database schema based on user's request
  */
-export async function designDatabaseSchema(userPrompt) {
-  console.log(`[SchemaDesigner] Designing database schema...`);
+export async function designDatabaseSchema(userPrompt, { model } = {}) {
+  log.info(`Designing database schema...`);
   
   const designPrompt = `Design a Postgres database schema for this application.
 
@@ -46,12 +49,12 @@ Example:
 }`;
 
   try {
-    const result = await callLLMNonStream(designPrompt, null);
+    const result = await callLLMNonStream(designPrompt, null, { model });
     const response = JSON.parse(result.text);
     
-    console.log(`[SchemaDesigner] Designed ${response.tables.length} tables`);
+    log.info(`Designed ${response.tables.length} tables`);
     response.tables.forEach(function(table) {
-      console.log(`[SchemaDesigner] - ${table.tableName} (${table.columns.length} columns)`);
+      log.info(`- ${table.tableName} (${table.columns.length} columns)`);
     });
     
     return {
@@ -59,7 +62,7 @@ Example:
       usage: result.usage
     };
   } catch (error) {
-    console.error(`[SchemaDesigner] Error designing schema:`, error);
+    log.error(`Error designing schema:`, error);
     throw new Error(`Schema design failed: ${error.message}`);
   }
 }
@@ -0,0 +1,50 @@
+import { Queue } from "bullmq";
+import { loadCheckpoints } from "./phaseCheckpoints.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("DeadLetter");
+
+export const DEAD_LETTER_QUEUE_NAME = "turbobackend-dead-letter";
+
+/**
+ * Create the dead-letter queue. Nothing consumes it: entries wait there until someone
+ * inspects or replays them with the admin tooling.
+ */
+export function createDeadLetterQueue(connection) {
+  return new Queue(DEAD_LETTER_QUEUE_NAME, { connection });
+}
+
+/**
+ * Park a job that will not be retried again, with everything needed to inspect or replay it:
+ * the original payload, the last error and any phase checkpoints it reached.
+ */
+export async function sendToDeadLetterQueue(deadLetterQueue, job, error) {
+  let checkpoints = {};
+  if (job.data?.requestId) {
+    try {
+      checkpoints = Object.fromEntries(await loadCheckpoints(job.data.requestId));
+    } catch (checkpointError) {
+      log.error(
+        `Failed to load checkpoints for request ${job.data.requestId}: ${checkpointError.message}`
+      );
+    }
+  }
+
+  const entry = await deadLetterQueue.add(job.name, {
+    originalJobId: String(job.id),
+    originalQueue: job.queueName,
+    payload: job.data,
+    lastError: {
+      name: error?.name || "Error",
+      message: error?.message || String(error),
+      stack: error?.stack || null
+    },
+    attemptsMade: job.attemptsMade + 1,
+    checkpoints,
+    deadLetteredAt: Math.floor(Date.now() / 1000)
+  });
+
+  log.info(`Job ${job.id} (${job.name}) moved to ${DEAD_LETTER_QUEUE_NAME} as ${entry.id}`);
+
+  return entry.id;
+}
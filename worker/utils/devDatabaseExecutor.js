@@ -1,28 +1,97 @@
 import { nanoid } from "nanoid";
 import pg from "pg";
 import { trackActivity } from "./activityTracker.js";
+import { createLogger } from "./logger.js";
+import { isReadOnlyQuery, prepareReadOnlyQuery } from "./readOnlyQuery.js";
+
+export { isReadOnlyQuery };
+
+const log = createLogger("DevDB");
 const { Pool } = pg;
 
+
 /**
- * Execute generated queries in dev environment database
+ * Find a project's active dev database.
+ * @returns {Promise<Object|null>} - The project_databases row, or null when it has none
  */
-export async function executeDevDatabaseQueries(projectId, queries, client, userId = null, requestId = null) {
-  console.log(`[DevDB] Executing ${queries.length} queries for project ${projectId}`);
-  
-  // Check if project has a database
+export async function getProjectDevDatabase(projectId, client) {
   const projectDbResult = await client.query(
     `SELECT * FROM ${process.env.PG_DB_SCHEMA}.project_databases 
      WHERE project_id = $1 AND is_active = true`,
     [projectId]
   );
+  return projectDbResult.rows[0] ?? null;
+}
+
+/**
+ * Run a read-only query against a project's dev database. The transaction is READ ONLY and
+ * rolled back, so a statement that tries to write fails instead of changing data.
+ *
+ * @param {string} projectId - Project whose database to query
+ * @param {string} query - One SELECT, WITH, SHOW, EXPLAIN, TABLE or VALUES statement
+ * @param {Object} client - Connection to the main database, to look the project database up
+ * @param {Object} options
+ * @param {number} [options.maxRows] - Rows returned at most
+ * @param {number} [options.timeoutMs] - Statement timeout
+ * @returns {Promise<Object>} - { fields, rows, rowCount, truncated }
+ */
+export async function queryDevDatabase(projectId, query, client, { maxRows = 100, timeoutMs = 10000 } = {}) {
+  const projectDb = await getProjectDevDatabase(projectId, client);
+  if (!projectDb) {
+    throw new Error('This project has no database');
+  }
+
+  const statement = prepareReadOnlyQuery(query, maxRows);
+
+  const devDbConnection = connectToProjectDatabase(projectDb.db_name);
+  const devClient = await devDbConnection.connect();
+
+  try {
+    await devClient.query('BEGIN READ ONLY');
+    await devClient.query(`SET LOCAL statement_timeout = ${Number(timeoutMs)}`);
+
+    // The simple protocol would run any further statements, COMMIT included; the extended
+    // one refuses them even if quoting hid a separator from prepareReadOnlyQuery
+    const result = await devClient.query({ text: statement, queryMode: 'extended' });
+
+    return {
+      fields: result.fields?.map(function(field) { return field.name; }) ?? [],
+      rows: result.rows.slice(0, maxRows),
+      rowCount: Math.min(result.rows.length, maxRows),
+      truncated: result.rows.length > maxRows
+    };
+  } finally {
+    await devClient.query('ROLLBACK').catch(function() {});
+    devClient.release();
+    await devDbConnection.end();
+  }
+}
+
+// Project databases live on the dev cluster and share its credentials
+function connectToProjectDatabase(dbName) {
+  return new Pool({
+    host: process.env.DB_CLUSTER_HOST,
+    port: process.env.DB_CLUSTER_PORT,
+    database: dbName,
+    user: process.env.DB_CLUSTER_USER,
+    password: process.env.DB_CLUSTER_PASSWORD
+  });
+}
+
+/**
+ * Execute generated queries in dev environment database
+ */
+export async function executeDevDatabaseQueries(projectId, queries, client, userId = null, requestId = null) {
+  log.info(`Executing ${queries.length} queries for project ${projectId}`);
   
-  let projectDb;
+  // Check if project has a database
+  let projectDb = await getProjectDevDatabase(projectId, client);
   
-  if (projectDbResult.rows.length === 0) {
+  if (!projectDb) {
     // Create new database for project
     const dbName = `turbobackend_proj_${projectId.replace(/-/g, '_')}`;
     
-    console.log(`[DevDB] Creating new database: ${dbName}`);
+    log.info(`Creating new database: ${dbName}`);
     
     // Create database on dev DB server
     const adminConnection = new Pool({
@@ -49,19 +118,11 @@ export async function executeDevDatabaseQueries(projectId, queries, client, user
     
     projectDb = { db_name: dbName, db_schema: 'public' };
     
-    console.log(`[DevDB] ✅ Database created: ${dbName}`);
-  } else {
-    projectDb = projectDbResult.rows[0];
+    log.info(`✅ Database created: ${dbName}`);
   }
   
   // Connect to project's database using cluster credentials from env vars
-  const devDbConnection = new Pool({
-    host: process.env.DB_CLUSTER_HOST,
-    port: process.env.DB_CLUSTER_PORT,
-    database: projectDb.db_name,
-    user: process.env.DB_CLUSTER_USER,
-    password: process.env.DB_CLUSTER_PASSWORD
-  });
+  const devDbConnection = connectToProjectDatabase(projectDb.db_name);
   
   const devClient = await devDbConnection.connect();
   
@@ -91,12 +152,12 @@ export async function executeDevDatabaseQueries(projectId, queries, client, user
         
         await client.query(
           `INSERT INTO ${process.env.PG_DB_SCHEMA}.generated_queries 
-           (query_id, project_id, query_text, query_type, schema_name, execution_status, executed_at, environment, created_at)
-           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
-          [queryId, projectId, modifiedQuery, queryObj.type, queryObj.schemaName, 'executed', now, 'development', now]
+           (query_id, project_id, request_id, query_text, query_type, schema_name, execution_status, executed_at, environment, created_at)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+          [queryId, projectId, requestId, modifiedQuery, queryObj.type, queryObj.schemaName, 'executed', now, 'development', now]
         );
         
-        console.log(`[DevDB] ✅ Executed: ${queryObj.type} for ${queryObj.schemaName}`);
+        log.info(`✅ Executed: ${queryObj.type} for ${queryObj.schemaName}`);
         
       } catch (error) {
         executionResults.push({
@@ -113,19 +174,19 @@ export async function executeDevDatabaseQueries(projectId, queries, client, user
         
         await client.query(
           `INSERT INTO ${process.env.PG_DB_SCHEMA}.generated_queries 
-           (query_id, project_id, query_text, query_type, schema_name, execution_status, error_message, environment, created_at)
-           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
-          [queryId, projectId, modifiedQuery, queryObj.type, queryObj.schemaName, 'failed', error.message, 'development', now]
+           (query_id, project_id, request_id, query_text, query_type, schema_name, execution_status, error_message, environment, created_at)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+          [queryId, projectId, requestId, modifiedQuery, queryObj.type, queryObj.schemaName, 'failed', error.message, 'development', now]
         );
         
-        console.error(`[DevDB] ❌ Failed: ${queryObj.type} for ${queryObj.schemaName}`, error);
+        log.error(`❌ Failed: ${queryObj.type} for ${queryObj.schemaName}`, error);
         throw error;
       }
     }
     
     await devClient.query('COMMIT');
     
-    console.log(`[DevDB] ✅ All queries executed successfully`);
+    log.info(`✅ All queries executed successfully`);
     
     // Track query execution activity
     if (userId && executionResults.length > 0) {
@@ -142,7 +203,7 @@ export async function executeDevDatabaseQueries(projectId, queries, client, user
           client
         });
       } catch (error) {
-        console.error(`[ActivityTracker] Failed to track query execution: ${error.message}`);
+        log.error(`Failed to track query execution activity`, error);
       }
     }
     
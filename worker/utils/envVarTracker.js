@@ -1,4 +1,7 @@
 import { nanoid } from "nanoid";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("CredentialTracker");
 
 /**
  * Store placeholder credentials in cloud_credentials table
@@ -49,9 +52,9 @@ export async function storeCredentialPlaceholders(projectId, authInfo, paymentIn
       );
     }
 
-    console.log(`[CredentialTracker] Created ${credentials.length} placeholder credentials for project ${projectId}`);
+    log.info(`Created ${credentials.length} placeholder credentials for project ${projectId}`);
   } catch (error) {
-    console.error(`[CredentialTracker] Failed to store credential placeholders:`, error);
+    log.error(`Failed to store credential placeholders:`, error);
     // Don't throw - this is not critical
   }
 }
@@ -100,9 +103,9 @@ export async function storeEnvVarRequirements(projectId, userId, requestId, auth
       ]
     );
 
-    console.log(`[EnvVarTracker] Stored env var requirements: ${actionId}`);
+    log.info(`Stored env var requirements: ${actionId}`);
   } catch (error) {
-    console.error(`[EnvVarTracker] Failed to store env var requirements:`, error);
+    log.error(`Failed to store env var requirements:`, error);
     // Don't throw - this is not critical
   }
 }
@@ -0,0 +1,138 @@
+/**
+ * Apply the agent's `edit` command to a file's content. An edit is either a list of exact
+ * search-and-replace blocks or a unified diff. Anything that does not apply cleanly throws
+ * an Error whose message tells the agent what did not match.
+ */
+
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/;
+
+/**
+ * @param {string} content - Current file content
+ * @param {Object} edit - { edits: [{ search, replace }] } or { diff }
+ * @returns {string} - The new file content
+ */
+export function applyFileEdit(content, { edits, diff }) {
+  return diff !== undefined ? applyUnifiedDiff(content, diff) : applySearchReplace(content, edits);
+}
+
+/**
+ * Replace each `search` block, in order, with its `replace` text. Each block must match
+ * the file (as changed by the blocks before it) exactly once.
+ */
+export function applySearchReplace(content, edits) {
+  return edits.reduce(function(current, { search, replace }, index) {
+    const label = `Edit ${index + 1} of ${edits.length}`;
+    if (search === '') {
+      throw new Error(`${label}: search text is empty`);
+    }
+
+    const matches = current.split(search).length - 1;
+    if (matches === 0) {
+      const collapse = function(text) { return text.replace(/\s+/g, ' ').trim(); };
+      const hint = collapse(current).includes(collapse(search))
+        ? ' It only matches when whitespace is ignored; copy the indentation and line breaks exactly.'
+        : ' Read the file again and copy the text exactly.';
+      throw new Error(`${label}: search text not found.${hint}`);
+    }
+    if (matches > 1) {
+      throw new Error(`${label}: search text matches ${matches} places; include more surrounding lines so it matches exactly one.`);
+    }
+
+    const at = current.indexOf(search);
+    return current.slice(0, at) + replace + current.slice(at + search.length);
+  }, content);
+}
+
+/**
+ * Apply a unified diff for a single file. Hunks are located by their context and removed
+ * lines, starting from the line numbers in their headers and searching the whole file if
+ * the file has shifted; line counts in the headers are not checked.
+ */
+export function applyUnifiedDiff(content, diff) {
+  const hunks = parseHunks(diff);
+  if (hunks.length === 0) {
+    throw new Error('The diff has no hunks; each change must start with a header like "@@ -12,4 +12,6 @@".');
+  }
+
+  const lines = content.split('\n');
+  // How far the file has moved relative to the header line numbers
+  let delta = 0;
+
+  hunks.forEach(function(hunk, index) {
+    const expected = hunk.lines.filter(function(line) { return line.op !== '+'; }).map(function(line) { return line.text; });
+    const replacement = hunk.lines.filter(function(line) { return line.op !== '-'; }).map(function(line) { return line.text; });
+    const label = `Hunk ${index + 1} (${hunk.header})`;
+
+    let at;
+    if (expected.length === 0) {
+      // Pure insertion: the header's old start is the line to insert after
+      at = Math.min(Math.max(hunk.oldStart + delta, 0), lines.length);
+    } else {
+      const hint = Math.max(hunk.oldStart - 1 + delta, 0);
+      at = findBlock(lines, expected, hint);
+      if (at === -1) {
+        throw new Error(`${label} does not match the file: ${describeMismatch(lines, expected, hint)}. Read the file again and regenerate the diff.`);
+      }
+      delta += at - hint;
+    }
+
+    lines.splice(at, expected.length, ...replacement);
+    delta += replacement.length - expected.length;
+  });
+
+  return lines.join('\n');
+}
+
+function parseHunks(diff) {
+  const hunks = [];
+  let current = null;
+
+  for (const line of diff.replace(/\n+$/, '').split('\n')) {
+    const header = line.match(HUNK_HEADER);
+    if (header) {
+      current = { header: header[0], oldStart: Number(header[1]), lines: [] };
+      hunks.push(current);
+    } else if (!current || line.startsWith('\\')) {
+      // File headers before the first hunk, and "\ No newline at end of file"
+      continue;
+    } else if (line.startsWith('---') || line.startsWith('+++') || line.startsWith('diff ')) {
+      current = null;
+    } else if (line.startsWith('+') || line.startsWith('-') || line.startsWith(' ')) {
+      current.lines.push({ op: line[0], text: line.slice(1) });
+    } else if (line === '') {
+      // Some tools strip the leading space from blank context lines
+      current.lines.push({ op: ' ', text: '' });
+    } else {
+      throw new Error(`Unexpected diff line "${line}"; lines in a hunk must start with " ", "-" or "+".`);
+    }
+  }
+
+  return hunks;
+}
+
+const matchesAt = function(lines, block, at) {
+  return block.every(function(text, offset) { return lines[at + offset] === text; });
+};
+
+// The match at `hint` if there is one, else the match closest to it, else -1
+function findBlock(lines, block, hint) {
+  if (matchesAt(lines, block, hint)) {
+    return hint;
+  }
+  let best = -1;
+  for (let at = 0; at + block.length <= lines.length; at++) {
+    if (matchesAt(lines, block, at) && (best === -1 || Math.abs(at - hint) < Math.abs(best - hint))) {
+      best = at;
+    }
+  }
+  return best;
+}
+
+function describeMismatch(lines, expected, hint) {
+  const offset = expected.findIndex(function(text, index) { return lines[hint + index] !== text; });
+  const lineNumber = hint + offset + 1;
+  if (lineNumber > lines.length) {
+    return `it expects line ${lineNumber} to be "${expected[offset]}" but the file has only ${lines.length} lines`;
+  }
+  return `line ${lineNumber} is "${lines[hint + offset]}" but the hunk expects "${expected[offset]}"`;
+}
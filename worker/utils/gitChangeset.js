@@ -0,0 +1,105 @@
+import { executeCommandInContainer } from "../services/daytonaService.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("GitChangeset");
+
+/**
+ * What an agent run actually changed in the sandbox, read from git rather than from the
+ * commands it ran, so files changed by shell commands (sed, package installs) and deletions
+ * are included. Each change is { path, status, type } with status "added", "modified" or
+ * "deleted"; files the agent wrote or edited also carry their final `content`.
+ */
+
+// git's empty tree, for diffing a repository that has no commits yet
+const EMPTY_TREE = "4b825dc642cb6eb9a060e54bf8d69288fbee4904";
+
+const STATUSES = { A: "added", M: "modified", D: "deleted", T: "modified" };
+
+/**
+ * @returns {Promise<string|null>} - The sandbox's HEAD commit, or null when there is none
+ */
+export async function getHeadCommit(containerId) {
+  const head = await executeCommandInContainer(containerId, "git rev-parse --verify --quiet HEAD");
+  const sha = head.exitCode === 0 ? head.result?.trim() : "";
+  return sha || null;
+}
+
+/**
+ * Changes in the working tree since a commit, including untracked files that are not ignored.
+ * @param {string} containerId - Sandbox holding the repository
+ * @param {string|null} baseCommit - From getHeadCommit before the run
+ * @returns {Promise<Array<Object>|null>} - The changes, or null when git could not tell
+ */
+export async function computeChangeset(containerId, baseCommit) {
+  const base = baseCommit ?? EMPTY_TREE;
+  const diff = await executeCommandInContainer(containerId, `git -c core.quotePath=false diff --name-status --no-renames ${base}`);
+  const untracked = await executeCommandInContainer(containerId, "git -c core.quotePath=false ls-files --others --exclude-standard");
+  if (diff.exitCode !== 0 || untracked.exitCode !== 0) {
+    log.warn(`git could not compute the changeset: ${diff.result || untracked.result}`);
+    return null;
+  }
+
+  const changes = new Map();
+  for (const line of splitLines(diff.result)) {
+    const [code, ...rest] = line.split("\t");
+    const filePath = rest.join("\t");
+    if (filePath) {
+      changes.set(filePath, describeChange(filePath, STATUSES[code[0]] ?? "modified"));
+    }
+  }
+  for (const filePath of splitLines(untracked.result)) {
+    changes.set(filePath, describeChange(filePath, "added"));
+  }
+  return [...changes.values()];
+}
+
+/**
+ * Combine the changesets of two consecutive runs into one, as if they were a single run.
+ */
+export function mergeChangesets(earlier, later) {
+  const merged = new Map(earlier.map(function (change) { return [change.path, change]; }));
+  for (const change of later) {
+    const previous = merged.get(change.path);
+    if (previous?.status === "added" && change.status === "deleted") {
+      // Created and removed again: no change overall
+      merged.delete(change.path);
+    } else if (previous?.status === "added") {
+      merged.set(change.path, { ...change, status: "added" });
+    } else if (previous?.status === "deleted" && change.status === "added") {
+      merged.set(change.path, { ...change, status: "modified" });
+    } else {
+      merged.set(change.path, change);
+    }
+  }
+  return [...merged.values()];
+}
+
+/**
+ * e.g. "3 added, 2 modified, 1 deleted"; statuses with no files are left out.
+ */
+export function summarizeChangeset(changes) {
+  const parts = ["added", "modified", "deleted"]
+    .map(function (status) {
+      const count = changes.filter(function (change) { return change.status === status; }).length;
+      return count > 0 ? `${count} ${status}` : null;
+    })
+    .filter(Boolean);
+  return parts.length > 0 ? parts.join(", ") : "no changes";
+}
+
+export function determineFileType(filePath) {
+  if (filePath.includes('/api/')) return 'route';
+  if (filePath.includes('/middleware/')) return 'middleware';
+  if (filePath.includes('/models/')) return 'model';
+  if (filePath.includes('/utils/')) return 'utility';
+  if (filePath.endsWith('.config.ts') || filePath.endsWith('.config.js')) return 'config';
+  return 'other';
+}
+
+function describeChange(filePath, status) {
+  return { path: filePath, status, type: determineFileType(filePath) };
+}
+
+function splitLines(text) {
+  return String(text ?? "").split("\n").map(function (line) { return line.trim(); }).filter(Boolean);
+}
@@ -0,0 +1,25 @@
+/**
+ * GitHub credentials for git commands run in a sandbox. The token goes with each command
+ * that talks to GitHub and is never written to the sandbox (no token in remote URLs or git
+ * config), so nothing the agent runs there, its scripts and server code included, can push.
+ */
+
+const AUTH_HEADER = /(AUTHORIZATION: basic )[A-Za-z0-9+/=]+/g;
+
+/**
+ * A git command that authenticates to GitHub for this one invocation.
+ * @param {string} args - git arguments, e.g. "push origin main"
+ * @param {string} [token] - GitHub token; the platform's by default
+ * @returns {string} - The command to run in the sandbox
+ */
+export function authenticatedGit(args, token = process.env.GITHUB_ACCESS_TOKEN) {
+  const credentials = Buffer.from(`x-access-token:${token}`).toString("base64");
+  return `git -c http.https://github.com/.extraheader="AUTHORIZATION: basic ${credentials}" ${args}`;
+}
+
+/**
+ * The command with any credentials from authenticatedGit masked, for logs.
+ */
+export function redactGitCredentials(command) {
+  return String(command).replace(AUTH_HEADER, "$1***");
+}
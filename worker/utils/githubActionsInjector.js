@@ -1,10 +1,13 @@
 import { writeFileInContainer, executeCommandInContainer } from '../services/daytonaService.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('GitHubActions');
 
 /**
  * Inject GitHub Actions workflow for Fly.io deployment
  */
 export async function injectGitHubActionsWorkflow(containerId, projectId) {
-  console.log(`[GitHubActions] Injecting workflow for project ${projectId}`);
+  log.info(`Injecting workflow for project ${projectId}`);
 
   const workflowContent = `name: Deploy to Fly.io
 on:
@@ -24,7 +27,7 @@ jobs:
 
   await writeFileInContainer(containerId, '.github/workflows/fly.yml', workflowContent);
   
-  console.log(`[GitHubActions] ✅ Workflow file created`);
+  log.info(`✅ Workflow file created`);
   
   return { success: true };
 }
@@ -33,7 +36,7 @@ jobs:
  * Set GitHub repository secret via API
  */
 export async function setGitHubSecret(repoOwner, repoName, secretName, secretValue) {
-  console.log(`[GitHubActions] Setting secret ${secretName} for ${repoOwner}/${repoName}`);
+  log.info(`Setting secret ${secretName} for ${repoOwner}/${repoName}`);
 
   try {
     // Step 1: Get repository public key
@@ -89,11 +92,11 @@ export async function setGitHubSecret(repoOwner, repoName, secretName, secretVal
       throw new Error(`Failed to set secret: ${errorData.message}`);
     }
 
-    console.log(`[GitHubActions] ✅ Secret ${secretName} set successfully`);
+    log.info(`✅ Secret ${secretName} set successfully`);
     return { success: true };
 
   } catch (error) {
-    console.error(`[GitHubActions] Error setting secret:`, error);
+    log.error(`Error setting secret:`, error);
     throw error;
   }
 }
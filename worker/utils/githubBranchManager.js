@@ -1,4 +1,8 @@
 import { executeCommandInContainer } from "../services/daytonaService.js";
+import { createLogger } from "./logger.js";
+import { authenticatedGit } from "./gitCredentials.js";
+
+const log = createLogger("GitHub");
 
 export async function getProjectGitHubRepo(projectId, client) {
     const result = await client.query(
@@ -21,72 +25,69 @@ export async function getProjectGitHubRepo(projectId, client) {
 export async function cloneProjectFromGitHub(containerId, repoInfo) {
     const { repo_url, branch } = repoInfo;
 
-    console.log(`[GitHub] Cloning ${repo_url} (branch: ${branch})`);
-    console.log(`[GitHub] Container ID: ${containerId}`);
+    log.info(`Cloning ${repo_url} (branch: ${branch})`);
+    log.info(`Container ID: ${containerId}`);
 
     // Check directory contents before cloning
-    console.log(`[GitHub] Checking directory contents before clone...`);
+    log.info(`Checking directory contents before clone...`);
     try {
         const lsResult = await executeCommandInContainer(containerId, "ls -la");
-        console.log(`[GitHub] Directory contents before clone:`, lsResult);
+        log.info(`Directory contents before clone:`, lsResult);
     } catch (error) {
-        console.error(`[GitHub] Error checking directory:`, error);
+        log.error(`Error checking directory:`, error);
     }
 
-    // Clone with authentication using git init approach (works with non-empty directories)
-    const authenticatedUrl = repo_url.replace(
-        "https://",
-        `https://${process.env.GITHUB_ACCESS_TOKEN}@`,
-    );
+    // Clone using git init approach (works with non-empty directories). The remote URL holds
+    // no token; commands that reach GitHub authenticate one at a time
 
-    console.log(`[GitHub] Initializing git repository...`);
+    log.info(`Initializing git repository...`);
     const initResult = await executeCommandInContainer(containerId, "git init");
-    console.log(`[GitHub] Git init result:`, initResult);
+    log.info(`Git init result:`, initResult);
     if (initResult.exitCode !== 0) {
         throw new Error(`Git init failed: ${initResult.result}`);
     }
 
-    console.log(`[GitHub] Adding remote origin...`);
+    log.info(`Adding remote origin...`);
     const remoteResult = await executeCommandInContainer(
         containerId,
-        `git remote add origin ${authenticatedUrl}`,
+        `git remote add origin ${repo_url}`,
     );
-    console.log(`[GitHub] Git remote result:`, remoteResult);
+    log.info(`Git remote result:`, remoteResult);
     if (remoteResult.exitCode !== 0) {
         throw new Error(`Git remote add failed: ${remoteResult.result}`);
     }
 
-    console.log(`[GitHub] Fetching from origin...`);
+    log.info(`Fetching from origin...`);
     const fetchResult = await executeCommandInContainer(
         containerId,
-        `git fetch origin ${branch}`,
+        authenticatedGit(`fetch origin ${branch}`),
     );
-    console.log(`[GitHub] Git fetch result:`, fetchResult);
+    log.info(`Git fetch result:`, fetchResult);
     if (fetchResult.exitCode !== 0) {
         throw new Error(`Git fetch failed: ${fetchResult.result}`);
     }
 
-    console.log(`[GitHub] Checking out branch ${branch}...`);
+    log.info(`Checking out branch ${branch}...`);
     const checkoutResult = await executeCommandInContainer(
         containerId,
         `git checkout ${branch}`,
     );
-    console.log(`[GitHub] Git checkout result:`, checkoutResult);
+    log.info(`Git checkout result:`, checkoutResult);
     if (checkoutResult.exitCode !== 0) {
         throw new Error(`Git checkout failed: ${checkoutResult.result}`);
     }
 
     // Check directory contents after cloning
-    console.log(`[GitHub] Checking directory contents after clone...`);
+    log.info(`Checking directory contents after clone...`);
     try {
         const lsAfterResult = await executeCommandInContainer(containerId, "ls -la");
-        console.log(`[GitHub] Directory contents after clone:`, lsAfterResult);
+        log.info(`Directory contents after clone:`, lsAfterResult);
     } catch (error) {
-        console.error(`[GitHub] Error checking directory after clone:`, error);
+        log.error(`Error checking directory after clone:`, error);
     }
 
     // Configure git
-    console.log(`[GitHub] Configuring git user...`);
+    log.info(`Configuring git user...`);
     await executeCommandInContainer(
         containerId,
         'git config user.name "TurboBackend Agent"',
@@ -96,22 +97,22 @@ export async function cloneProjectFromGitHub(containerId, repoInfo) {
         'git config user.email "agent@turbobackend.dev"',
     );
 
-    console.log(`[GitHub] ✅ Project cloned successfully`);
+    log.info(`✅ Project cloned successfully`);
 }
 
 export async function createFeatureBranch(containerId, branchName) {
-    console.log(`[GitHub] Creating feature branch: ${branchName}`);
+    log.info(`Creating feature branch: ${branchName}`);
 
     await executeCommandInContainer(
         containerId,
         `git checkout -b ${branchName}`,
     );
 
-    console.log(`[GitHub] Feature branch created`);
+    log.info(`Feature branch created`);
 }
 
 export async function commitChanges(containerId, commitMessage) {
-    console.log(`[GitHub] Committing changes`);
+    log.info(`Committing changes`);
 
     await executeCommandInContainer(containerId, "git add .");
     await executeCommandInContainer(
@@ -119,22 +120,22 @@ export async function commitChanges(containerId, commitMessage) {
         `git commit -m "${commitMessage}"`,
     );
 
-    console.log(`[GitHub] Changes committed`);
+    log.info(`Changes committed`);
 }
 
 export async function pushFeatureBranch(containerId, branchName) {
-    console.log(`[GitHub] Pushing feature branch: ${branchName}`);
+    log.info(`Pushing feature branch: ${branchName}`);
 
     await executeCommandInContainer(
         containerId,
-        `git push origin ${branchName}`,
+        authenticatedGit(`push origin ${branchName}`),
     );
 
-    console.log(`[GitHub] Feature branch pushed`);
+    log.info(`Feature branch pushed`);
 }
 
 export async function mergeFeatureBranch(containerId, branchName) {
-    console.log(`[GitHub] Merging ${branchName} to main`);
+    log.info(`Merging ${branchName} to main`);
 
     await executeCommandInContainer(containerId, "git checkout main");
     await executeCommandInContainer(
@@ -142,13 +143,13 @@ export async function mergeFeatureBranch(containerId, branchName) {
         `git merge ${branchName}`,
     );
 
-    console.log(`[GitHub] Feature branch merged`);
+    log.info(`Feature branch merged`);
 }
 
 export async function pushToMain(containerId) {
-    console.log(`[GitHub] Pushing to main branch`);
+    log.info(`Pushing to main branch`);
 
-    await executeCommandInContainer(containerId, "git push origin main");
+    await executeCommandInContainer(containerId, authenticatedGit("push origin main"));
 
-    console.log(`[GitHub] Main branch updated`);
+    log.info(`Main branch updated`);
 }
@@ -1,12 +1,17 @@
 import { nanoid } from "nanoid";
 import { executeCommandInContainer } from "../services/daytonaService.js";
 import { trackActivity } from "./activityTracker.js";
+import { summarizeChangeset } from "./gitChangeset.js";
+import { createLogger } from "./logger.js";
+import { authenticatedGit } from "./gitCredentials.js";
+
+const log = createLogger("GitHub");
 
 /**
  * Push to GitHub deterministically (automatic git commands after agent completes)
  */
 export async function pushToGitHubDeterministic(containerId, projectId, filesModified, client, userId = null, requestId = null) {
-  console.log(`[GitHub] Starting deterministic push for project ${projectId}`);
+  log.info(`Starting deterministic push for project ${projectId}`);
 
   let commitMessage; // Declare at function scope
 
@@ -15,39 +20,38 @@ export async function pushToGitHubDeterministic(containerId, projectId, filesMod
 
   if (!remoteResult.stdout || !remoteResult.stdout.includes('origin')) {
     // Step 2: Create GitHub repo
-    console.log(`[GitHub] Creating new GitHub repository`);
+    log.info(`Creating new GitHub repository`);
     const repoUrl = await createGitHubRepo(projectId);
 
     // Step 3: Git init (if necessary - should already be done in initializeNitroProject)
-    console.log(`[GitHub] Ensuring git is initialized`);
+    log.info(`Ensuring git is initialized`);
     await executeCommandInContainer(containerId, 'git init');
 
     // Step 4: Stage all changes (including AI-created files)
-    console.log(`[GitHub] Staging all files`);
+    log.info(`Staging all files`);
     await executeCommandInContainer(containerId, 'git add .');
 
     // Step 5: Commit changes
     commitMessage = `Initial commit - Backend project files`;
-    console.log(`[GitHub] Committing changes`);
+    log.info(`Committing changes`);
     await executeCommandInContainer(containerId, `git commit -m "${commitMessage}"`);
 
-    // Step 6: Add remote with authenticated URL
-    const authenticatedUrl = repoUrl.replace('https://', `https://${process.env.GITHUB_ACCESS_TOKEN}@`);
-    console.log(`[GitHub] Adding remote origin`);
-    await executeCommandInContainer(containerId, `git remote add origin ${authenticatedUrl}`);
+    // Step 6: Add remote; pushes authenticate per command, so the URL holds no token
+    log.info(`Adding remote origin`);
+    await executeCommandInContainer(containerId, `git remote add origin ${repoUrl}`);
 
     // Step 7: Set branch to main
-    console.log(`[GitHub] Setting branch to main`);
+    log.info(`Setting branch to main`);
     await executeCommandInContainer(containerId, 'git branch -M main');
 
     // Step 8: Push to GitHub
-    console.log(`[GitHub] Pushing to GitHub`);
-    const pushResult = await executeCommandInContainer(containerId, 'git push origin main');
+    log.info(`Pushing to GitHub`);
+    const pushResult = await executeCommandInContainer(containerId, authenticatedGit('push origin main'));
 
-    console.log('[GitHub] pushResult:', JSON.stringify(pushResult));
+    log.info('pushResult:', JSON.stringify(pushResult));
 
     if (pushResult.exitCode !== 0) {
-      console.error(`[GitHub] Push failed:`, pushResult);
+      log.error(`Push failed:`, pushResult);
       throw new Error(`Git push failed: ${JSON.stringify(pushResult)}`);
     }
 
@@ -63,13 +67,13 @@ export async function pushToGitHubDeterministic(containerId, projectId, filesMod
     );
   } else {
     // Remote already exists - this is a subsequent push
-    console.log(`[GitHub] Remote already exists, pushing updates`);
+    log.info(`Remote already exists, pushing updates`);
 
     // Check if there are any uncommitted changes
     const gitStatus = await executeCommandInContainer(containerId, 'git status --porcelain');
 
     if (!gitStatus.stdout || gitStatus.stdout.trim() === '') {
-      console.log(`[GitHub] No uncommitted changes, but will push existing commits`);
+      log.info(`No uncommitted changes, but will push existing commits`);
       commitMessage = 'Backend project files';
     } else {
       // Stage and commit new changes
@@ -79,22 +83,62 @@ export async function pushToGitHubDeterministic(containerId, projectId, filesMod
     }
 
     // Push to GitHub
-    const pushResult = await executeCommandInContainer(containerId, 'git push origin main');
+    const pushResult = await executeCommandInContainer(containerId, authenticatedGit('push origin main'));
 
-    console.log('[GitHub] pushResult:', JSON.stringify(pushResult));
+    log.info('pushResult:', JSON.stringify(pushResult));
 
     if (pushResult.exitCode !== 0) {
-      console.error(`[GitHub] Push failed:`, pushResult);
+      log.error(`Push failed:`, pushResult);
       throw new Error(`Git push failed: ${JSON.stringify(pushResult)}`);
     }
   }
 
-  console.log('[GitHub] ✅ Successfully pushed to GitHub');
+  log.info('✅ Successfully pushed to GitHub');
+
+  const { pushId, commitSha, repoUrl } = await recordGitHubPush(containerId, projectId, commitMessage, filesModified, client, requestId);
+
+  // Track GitHub push activity
+  if (userId) {
+    try {
+      await trackActivity({
+        projectId,
+        userId,
+        requestId,
+        actionType: 'github_push',
+        actionDetails: `Pushed ${filesModified.length} files (${summarizeChangeset(filesModified)}) to ${repoUrl}`,
+        status: 'success',
+        environment: 'development',
+        referenceIds: {
+          github_push_id: pushId,
+          commit_sha: commitSha
+        },
+        client
+      });
+    } catch (error) {
+      log.error("Failed to track GitHub push activity", error);
+    }
+  }
+
+  return {
+    success: true,
+    commitSha,
+    commitMessage,
+    filesCount: filesModified.length,
+    repoUrl
+  };
+}
 
+/**
+ * Record the pushed HEAD in github_push_history with the changeset it carried.
+ *
+ * @param {Array<Object>} filesChanged - Changeset entries ({ path, status, type }) from the agent run
+ * @returns {Promise<Object>} - { pushId, commitSha, repoUrl }
+ */
+export async function recordGitHubPush(containerId, projectId, commitMessage, filesChanged, client, requestId = null) {
   // Get commit info for recording
   const commitShaResult = await executeCommandInContainer(containerId, 'git rev-parse HEAD');
 
-  console.log('[GitHub] commitShaResult:', JSON.stringify(commitShaResult));
+  log.info('commitShaResult:', JSON.stringify(commitShaResult));
 
   if (!commitShaResult || !commitShaResult.result) {
     throw new Error(`Failed to get commit SHA. Result: ${JSON.stringify(commitShaResult)}`);
@@ -104,7 +148,7 @@ export async function pushToGitHubDeterministic(containerId, projectId, filesMod
 
   const repoUrlResult = await executeCommandInContainer(containerId, 'git config --get remote.origin.url');
 
-  console.log('[GitHub] repoUrlResult:', JSON.stringify(repoUrlResult));
+  log.info('repoUrlResult:', JSON.stringify(repoUrlResult));
 
   if (!repoUrlResult || !repoUrlResult.result) {
     throw new Error(`Failed to get repo URL. Result: ${JSON.stringify(repoUrlResult)}`);
@@ -118,51 +162,24 @@ export async function pushToGitHubDeterministic(containerId, projectId, filesMod
 
   await client.query(
     `INSERT INTO ${process.env.PG_DB_SCHEMA}.github_push_history
-     (push_id, project_id, commit_sha, commit_message, files_changed, repo_url, environment, pushed_at)
-     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+     (push_id, project_id, request_id, commit_sha, commit_message, files_changed, repo_url, environment, pushed_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
     [
       pushId,
       projectId,
+      requestId,
       commitSha,
       commitMessage,
-      JSON.stringify(filesModified.map(f => f.path)),
+      JSON.stringify(filesChanged.map(f => ({ path: f.path, status: f.status, type: f.type }))),
       repoUrl,
       'development',
       now
     ]
   );
 
-  console.log(`[GitHub] ✅ Pushed commit: ${commitSha}`);
-
-  // Track GitHub push activity
-  if (userId) {
-    try {
-      await trackActivity({
-        projectId,
-        userId,
-        requestId,
-        actionType: 'github_push',
-        actionDetails: `Pushed ${filesModified.length} files to ${repoUrl}`,
-        status: 'success',
-        environment: 'development',
-        referenceIds: {
-          github_push_id: pushId,
-          commit_sha: commitSha
-        },
-        client
-      });
-    } catch (error) {
-      console.error(`[ActivityTracker] Failed to track GitHub push: ${error.message}`);
-    }
-  }
+  log.info(`✅ Pushed commit: ${commitSha}`);
 
-  return {
-    success: true,
-    commitSha,
-    commitMessage,
-    filesCount: filesModified.length,
-    repoUrl
-  };
+  return { pushId, commitSha, repoUrl };
 }
 
 async function createGitHubRepo(projectId) {
@@ -190,13 +207,13 @@ async function createGitHubRepo(projectId) {
     if (!response.ok) {
       const errorData = await response.json();
 
-      console.log(`[GitHub] API error response:`, JSON.stringify(errorData));
+      log.info(`API error response:`, JSON.stringify(errorData));
 
       // Check if repo already exists (422 error)
       if (response.status === 422) {
         const errorMsg = JSON.stringify(errorData).toLowerCase();
         if (errorMsg.includes('already') || errorMsg.includes('exist')) {
-          console.log(`[GitHub] Repository already exists, using existing repo: ${repoName}`);
+          log.info(`Repository already exists, using existing repo: ${repoName}`);
           // Return the clone URL for the existing repo
           return `https://github.com/SaaSManDan/${repoName}.git`;
         }
@@ -210,7 +227,7 @@ async function createGitHubRepo(projectId) {
     return repoData.clone_url;
 
   } catch(err){
-    console.error(`[GitHub] Error creating GitHub repo: ${err.message}`);
+    log.error(`Error creating GitHub repo: ${err.message}`);
     throw err;
   }
 }
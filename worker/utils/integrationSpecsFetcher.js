@@ -1,6 +1,9 @@
 import { readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { createLogger } from './logger.js';
+
+const log = createLogger('IntegrationSpecs');
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -9,17 +12,17 @@ const __dirname = dirname(__filename);
  * Load integration specs and examples (NO internet fetching - all local files)
  */
 export async function fetchIntegrationSpecs(authInfo, paymentInfo) {
-  console.log(`[IntegrationSpecs] Loading specs...`);
+  log.info(`Loading specs...`);
   const specs = {};
 
   if (authInfo?.needsAuth) {
     specs.clerk = getClerkSpec() + '\n\n' + getClerkExamples();
-    console.log(`[IntegrationSpecs] Clerk spec loaded`);
+    log.info(`Clerk spec loaded`);
   }
 
   if (paymentInfo?.needsPayments) {
     specs.stripe = getStripeSpec() + '\n\n' + getStripeExamples();
-    console.log(`[IntegrationSpecs] Stripe spec loaded`);
+    log.info(`Stripe spec loaded`);
   }
 
   return specs;
@@ -121,7 +124,7 @@ CRITICAL: Always create the Clerk signup webhook (Example 4) to sync users to th
 The webhook handles the 'user.created' event from Clerk to insert new users into your database when they register.
 `;
   } catch (error) {
-    console.error(`[IntegrationSpecs] Failed to load Clerk examples:`, error);
+    log.error(`Failed to load Clerk examples:`, error);
     return '\n(Clerk examples could not be loaded)';
   }
 }
@@ -223,7 +226,7 @@ IMPORTANT: Follow these exact patterns when implementing Stripe payments.
 DEFAULT WEBHOOK BEHAVIOR: Only handle payment_intent.succeeded unless user explicitly requests other events.
 `;
   } catch (error) {
-    console.error(`[IntegrationSpecs] Failed to load Stripe examples:`, error);
+    log.error(`Failed to load Stripe examples:`, error);
     return '\n(Stripe examples could not be loaded)';
   }
 }
@@ -0,0 +1,152 @@
+import { redis } from "../../databases/redisConnector.js";
+import { stopDaytonaContainer } from "../services/daytonaService.js";
+import { publishCancelled } from "../pubsub-handlers.js";
+import { trackActivity } from "./activityTracker.js";
+import { JobCancelledError } from "./jobErrors.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("Cancellation");
+
+const CONTROL_CHANNEL_PREFIX = "job-control:";
+
+// Cancellation flags outlive the job so a check right after a worker restart still sees them.
+const CANCEL_FLAG_TTL_SECONDS = 24 * 60 * 60;
+
+const cancelFlagKey = (requestId) => `job-cancel:${requestId}`;
+
+// Cancellations received over the control channel, so checks rarely need a Redis round trip.
+const receivedCancellations = new Map();
+
+let subscriber = null;
+
+/**
+ * Ask the worker running a request to stop. Used by the admin CLI and the MCP server.
+ *
+ * @param {string} requestId - Request to cancel
+ * @param {string} reason - Human-readable reason, shown on the stream
+ */
+export async function requestCancellation(requestId, reason = "Cancelled by user") {
+  const command = {
+    command: "cancel",
+    requestId,
+    reason,
+    requestedAt: Math.floor(Date.now() / 1000)
+  };
+
+  await redis.set(cancelFlagKey(requestId), JSON.stringify(command), "EX", CANCEL_FLAG_TTL_SECONDS);
+  await redis.publish(`${CONTROL_CHANNEL_PREFIX}${requestId}`, JSON.stringify(command));
+
+  log.info(`Cancellation requested for ${requestId}: ${reason}`);
+}
+
+/**
+ * Listen on the control channel for cancel commands addressed to any request.
+ */
+export async function startCancellationListener() {
+  if (subscriber) {
+    return;
+  }
+
+  subscriber = redis.duplicate();
+
+  subscriber.on("pmessage", (pattern, channel, message) => {
+    try {
+      const command = JSON.parse(message);
+      if (command.command === "cancel") {
+        const requestId = channel.slice(CONTROL_CHANNEL_PREFIX.length);
+        receivedCancellations.set(requestId, command);
+        log.info(`Received cancel for ${requestId}`);
+      }
+    } catch (error) {
+      log.error(`Ignoring malformed control message on ${channel}`, error);
+    }
+  });
+
+  subscriber.on("error", (error) => {
+    log.error("Subscriber error", error);
+  });
+
+  await subscriber.psubscribe(`${CONTROL_CHANNEL_PREFIX}*`);
+}
+
+/**
+ * Close the control channel subscription on shutdown.
+ */
+export async function stopCancellationListener() {
+  if (!subscriber) {
+    return;
+  }
+  subscriber.removeAllListeners();
+  await subscriber.quit();
+  subscriber = null;
+}
+
+/**
+ * Return the cancel command for a request, or null if it has not been cancelled.
+ */
+export async function getCancellation(requestId) {
+  if (!requestId) {
+    return null;
+  }
+
+  if (receivedCancellations.has(requestId)) {
+    return receivedCancellations.get(requestId);
+  }
+
+  const raw = await redis.get(cancelFlagKey(requestId));
+  if (!raw) {
+    return null;
+  }
+
+  const command = JSON.parse(raw);
+  receivedCancellations.set(requestId, command);
+  return command;
+}
+
+/**
+ * Throw a JobCancelledError if the request has been cancelled. Call between phases.
+ */
+export async function throwIfCancelled(requestId) {
+  const cancellation = await getCancellation(requestId);
+  if (cancellation) {
+    throw new JobCancelledError(requestId, cancellation.reason);
+  }
+}
+
+/**
+ * Tear down after a cancelled job: stop its sandbox, close the stream and record the cancellation.
+ */
+export async function handleJobCancellation({ error, containerId, projectId, userId, requestId, streamId, client }) {
+  log.info(`Tearing down cancelled request ${requestId}`);
+
+  if (containerId) {
+    try {
+      await stopDaytonaContainer(containerId);
+
+      await client.query(
+        `UPDATE ${process.env.PG_DB_SCHEMA}.container_sessions
+         SET status = $1, stopped_at = $2
+         WHERE container_id = $3`,
+        ["stopped", Math.floor(Date.now() / 1000), containerId]
+      );
+    } catch (teardownError) {
+      log.error(`Failed to stop container ${containerId}: ${teardownError.message}`);
+    }
+  }
+
+  await publishCancelled(streamId, `Request cancelled: ${error.reason}`);
+
+  await trackActivity({
+    projectId,
+    userId,
+    requestId,
+    actionType: "job_cancelled",
+    actionDetails: `Request cancelled: ${error.reason}`,
+    status: "cancelled",
+    environment: "development",
+    referenceIds: containerId ? { container_id: containerId } : null,
+    client
+  });
+
+  receivedCancellations.delete(requestId);
+}
@@ -0,0 +1,104 @@
+import { UnrecoverableError } from "bullmq";
+
+/**
+ * Thrown when a job payload does not match the schema declared by its processor.
+ * Extends UnrecoverableError so BullMQ fails the job immediately without retrying.
+ */
+export class JobValidationError extends UnrecoverableError {
+  constructor(jobName, issues) {
+    super(
+      `Invalid payload for job "${jobName}": ${issues
+        .map(function (issue) {
+          return `${issue.path || "(root)"} ${issue.message}`;
+        })
+        .join("; ")}`
+    );
+    this.name = "JobValidationError";
+    this.jobName = jobName;
+    this.issues = issues;
+  }
+}
+
+/**
+ * Thrown when an upstream provider (LLM, sandbox) reports the account is out of quota.
+ * Retrying cannot help until someone tops the account up, so fail immediately.
+ */
+export class QuotaExceededError extends UnrecoverableError {
+  constructor(provider, message) {
+    super(`${provider} quota exceeded: ${message}`);
+    this.name = "QuotaExceededError";
+    this.provider = provider;
+  }
+}
+
+/**
+ * Heuristic for provider errors that mean "out of credits" rather than a transient rate limit.
+ */
+export function isQuotaError(error) {
+  const status = error?.statusCode ?? error?.status ?? error?.response?.status;
+  const message = String(error?.message || "");
+  return status === 402 || /quota|insufficient[_ ]credits|billing|spending limit/i.test(message);
+}
+
+/**
+ * Whether BullMQ will give up on the job if the current attempt fails with the given error.
+ */
+export function isFinalAttempt(job, error = null) {
+  if (error instanceof UnrecoverableError) {
+    return true;
+  }
+  const attempts = job.opts?.attempts ?? 1;
+  return job.attemptsMade + 1 >= attempts;
+}
+
+/**
+ * Thrown when a running job notices its request was cancelled.
+ * Cancelled jobs are never retried.
+ */
+export class JobCancelledError extends UnrecoverableError {
+  constructor(requestId, reason = "Cancelled") {
+    super(`Request ${requestId} was cancelled: ${reason}`);
+    this.name = "JobCancelledError";
+    this.requestId = requestId;
+    this.reason = reason;
+  }
+}
+
+/**
+ * Thrown when the project still fails verification after every repair round. The report is
+ * already stored and published; retrying would repeat the same agent work, so fail immediately.
+ */
+export class VerificationFailedError extends UnrecoverableError {
+  constructor(failures, message = `Verification failed: ${failures.join("; ")}`) {
+    super(message);
+    this.name = "VerificationFailedError";
+    this.failures = failures;
+  }
+}
+
+/**
+ * Thrown instead of VerificationFailedError when the run stopped at its budget before the
+ * project passed verification. Carries the agent result so the handler can keep the partial
+ * work, e.g. on an unmerged feature branch.
+ */
+export class BudgetStoppedError extends VerificationFailedError {
+  constructor(failures, budgetExceeded, agentResult) {
+    super(failures, `Stopped at the ${budgetExceeded.budget} budget before the changes passed verification: ${failures.join("; ")}`);
+    this.name = "BudgetStoppedError";
+    this.budgetExceeded = budgetExceeded;
+    this.agentResult = agentResult;
+  }
+}
+
+/**
+ * Wraps a failure that happens after the modification reached main (e.g. the redeploy).
+ * A retry would apply the same modification to a main branch that already has it, so fail
+ * immediately.
+ */
+export class PushedToMainError extends UnrecoverableError {
+  constructor(error) {
+    super(`${error.message} (the changes are already on main, so the request is not retried)`);
+    this.name = "PushedToMainError";
+    this.cause = error;
+  }
+}
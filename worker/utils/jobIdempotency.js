@@ -0,0 +1,235 @@
+import { UnrecoverableError } from "bullmq";
+import { redis } from "../../databases/redisConnector.js";
+import {
+  followStream,
+  publishError,
+  publishProgress,
+  publishStreamEvent,
+  publishSuccess
+} from "../pubsub-handlers.js";
+import { isTerminalStreamEvent } from "../streamEventSchemas.js";
+import { findCompletedRequestByIdempotencyKey } from "./requestLedger.js";
+import { isFinalAttempt } from "./jobErrors.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("Idempotency");
+
+// Claims outlive any realistic run; a crashed worker's claim frees itself after this.
+const CLAIM_TTL_SECONDS = 24 * 60 * 60;
+
+// How often an attached duplicate re-checks the claim in case it missed the final message.
+const ATTACH_POLL_INTERVAL_MS = 15000;
+
+// SET NX can lose to a claim that is gone again by the time it is read; give up after this.
+const CLAIM_ATTEMPTS = 3;
+
+const claimKey = (idempotencyKey) => `idempotency:${idempotencyKey}`;
+
+async function readClaim(idempotencyKey) {
+  const raw = await redis.get(claimKey(idempotencyKey));
+  return raw ? JSON.parse(raw) : null;
+}
+
+/**
+ * Try to become the owner of an idempotency key. A retry of the owning job re-acquires it.
+ * When the key is not acquired, `owner` is always the claim that holds it.
+ */
+async function claimIdempotencyKey(idempotencyKey, job) {
+  const record = {
+    jobId: String(job.id),
+    streamId: job.data.streamId,
+    status: "running",
+    requestId: job.data.requestId || null,
+    claimedAt: Math.floor(Date.now() / 1000)
+  };
+
+  for (let attempt = 0; attempt < CLAIM_ATTEMPTS; attempt++) {
+    const acquired = await redis.set(
+      claimKey(idempotencyKey),
+      JSON.stringify(record),
+      "EX",
+      CLAIM_TTL_SECONDS,
+      "NX"
+    );
+    if (acquired === "OK") {
+      return { acquired: true };
+    }
+
+    // Null when the owner released the key, or it expired, between our SET and GET
+    const owner = await readClaim(idempotencyKey);
+    if (owner) {
+      return owner.jobId === String(job.id) ? { acquired: true } : { acquired: false, owner };
+    }
+  }
+
+  // Nobody holds the key; running without it is better than failing the job
+  log.warn(`Job ${job.id} could not claim ${idempotencyKey} after ${CLAIM_ATTEMPTS} attempts, running it anyway`);
+  return { acquired: true };
+}
+
+async function markClaimCompleted(idempotencyKey, job, requestId, completedWindowSeconds) {
+  const record = {
+    jobId: String(job.id),
+    streamId: job.data.streamId,
+    status: "completed",
+    requestId: requestId || job.data.requestId || null,
+    completedAt: Math.floor(Date.now() / 1000)
+  };
+
+  await redis.set(
+    claimKey(idempotencyKey),
+    JSON.stringify(record),
+    "EX",
+    completedWindowSeconds ?? CLAIM_TTL_SECONDS
+  );
+}
+
+async function releaseClaim(idempotencyKey, job) {
+  const owner = await readClaim(idempotencyKey);
+  if (owner && owner.jobId === String(job.id)) {
+    await redis.del(claimKey(idempotencyKey));
+  }
+}
+
+/**
+ * Answer a duplicate job with the result stored in mcp_requests.
+ */
+async function replyWithStoredResult(job, storedRequest) {
+  const message = storedRequest.result_summary?.message || "This request has already been completed.";
+
+  log.info(
+    `Job ${job.id} duplicates completed request ${storedRequest.request_id}, returning stored result`
+  );
+  await publishSuccess(job.data.streamId, message);
+
+  return {
+    success: true,
+    duplicate: true,
+    requestId: storedRequest.request_id,
+    resultSummary: storedRequest.result_summary
+  };
+}
+
+/**
+ * Relay the in-flight run's stream onto the duplicate job's stream until the run finishes.
+ */
+async function attachToInFlightRun(job, idempotencyKey, owner, completedWindowSeconds) {
+  const { streamId } = job.data;
+
+  log.info(`Job ${job.id} attaching to in-flight job ${owner.jobId} (stream ${owner.streamId})`);
+  await publishProgress(streamId, "An identical request is already running - following its progress", 5);
+
+  let pollTimer = null;
+  let following = null;
+
+  try {
+    const outcome = await new Promise((resolve, reject) => {
+      // Replays the owner's history first, so a final message published before we got here
+      // is still seen.
+      following = followStream(owner.streamId, (event) => {
+        publishStreamEvent(streamId, event.type, event.payload, { relayed: true }).catch((error) => {
+          log.error(`Failed to relay message to ${streamId}`, error);
+        });
+
+        if (isTerminalStreamEvent(event)) {
+          resolve({ relayed: true, isError: event.payload.status !== "success", content: event.payload.content });
+        }
+      });
+      following.catch(reject);
+
+      // Cover the owner dying without ever publishing a final message.
+      pollTimer = setInterval(async () => {
+        try {
+          const current = await readClaim(idempotencyKey);
+          if (current?.jobId === owner.jobId && current.status === "completed") {
+            resolve({ relayed: false, isError: false });
+          } else if (!current || current.jobId !== owner.jobId) {
+            resolve({ relayed: false, isError: true, content: "The original run ended without a result" });
+          }
+        } catch (error) {
+          reject(error);
+        }
+      }, ATTACH_POLL_INTERVAL_MS);
+    });
+
+    if (!outcome.relayed) {
+      if (outcome.isError) {
+        await publishError(streamId, outcome.content);
+      } else {
+        const storedRequest = await findCompletedRequestByIdempotencyKey(idempotencyKey, {
+          completedWithinSeconds: completedWindowSeconds
+        });
+        if (storedRequest) {
+          return replyWithStoredResult(job, storedRequest);
+        }
+        await publishSuccess(streamId, "This request has already been completed.");
+      }
+    }
+
+    if (outcome.isError) {
+      // Never retry a duplicate into a second pipeline; the caller can resubmit.
+      throw new UnrecoverableError(`Duplicate of job ${owner.jobId}, which failed: ${outcome.content}`);
+    }
+
+    return {
+      success: true,
+      duplicate: true,
+      duplicateOf: owner.jobId,
+      requestId: owner.requestId,
+      message: outcome.content
+    };
+  } finally {
+    clearInterval(pollTimer);
+    const stopFollowing = await following?.catch(() => null);
+    await stopFollowing?.();
+  }
+}
+
+/**
+ * Run a job at most once per idempotency key.
+ * Duplicates either follow the in-flight run's stream or get the stored result back.
+ *
+ * @param {Object} job - BullMQ job
+ * @param {string} idempotencyKey - Key identifying the logical request (e.g. project + request)
+ * @param {Function} run - Async function that runs the real processor
+ * @param {Object} [options]
+ * @param {number|null} [options.completedWindowSeconds] - How long after completing the stored
+ *   result still answers duplicates; null for as long as it is stored
+ */
+export async function runIdempotentJob(job, idempotencyKey, run, { completedWindowSeconds = null } = {}) {
+  const findStoredResult = function () {
+    return findCompletedRequestByIdempotencyKey(idempotencyKey, { completedWithinSeconds: completedWindowSeconds });
+  };
+  const claim = await claimIdempotencyKey(idempotencyKey, job);
+
+  if (!claim.acquired) {
+    if (claim.owner.status === "completed") {
+      const storedRequest = await findStoredResult();
+      if (storedRequest) {
+        return replyWithStoredResult(job, storedRequest);
+      }
+    }
+    return attachToInFlightRun(job, idempotencyKey, claim.owner, completedWindowSeconds);
+  }
+
+  // The Redis claim may have expired long after an earlier run completed.
+  if (!job.data.requestId) {
+    const storedRequest = await findStoredResult();
+    if (storedRequest) {
+      await markClaimCompleted(idempotencyKey, job, storedRequest.request_id, completedWindowSeconds);
+      return replyWithStoredResult(job, storedRequest);
+    }
+  }
+
+  try {
+    const result = await run();
+    await markClaimCompleted(idempotencyKey, job, result?.requestId, completedWindowSeconds);
+    return result;
+  } catch (error) {
+    // Keep the claim while BullMQ still has attempts left so duplicates keep following this job.
+    if (isFinalAttempt(job, error)) {
+      await releaseClaim(idempotencyKey, job);
+    }
+    throw error;
+  }
+}
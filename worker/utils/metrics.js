@@ -0,0 +1,193 @@
+/**
+ * Minimal in-process Prometheus registry. Instruments are module singletons so any
+ * module can record into them; worker/index.js serves renderMetrics() on /metrics.
+ */
+
+const METRIC_PREFIX = "turbobackend_worker_";
+
+const instruments = [];
+
+// Label values go inside double quotes in the exposition format.
+const escapeLabelValue = (value) =>
+  String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return "";
+  }
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(",")}}`;
+};
+
+// Series are keyed by their label values in declared order, so { a, b } and { b, a } match.
+const seriesKey = (labelNames, labels) =>
+  JSON.stringify(labelNames.map((name) => labels[name] ?? ""));
+
+const pickLabels = (labelNames, labels) =>
+  Object.fromEntries(labelNames.map((name) => [name, labels[name] ?? ""]));
+
+class Counter {
+  constructor(name, help, labelNames = []) {
+    this.name = METRIC_PREFIX + name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+    instruments.push(this);
+  }
+
+  inc(labels = {}, value = 1) {
+    if (!Number.isFinite(value) || value < 0) {
+      return;
+    }
+    const key = seriesKey(this.labelNames, labels);
+    const current = this.series.get(key) ?? { labels: pickLabels(this.labelNames, labels), value: 0 };
+    current.value += value;
+    this.series.set(key, current);
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} counter`];
+    for (const { labels, value } of this.series.values()) {
+      lines.push(`${this.name}${formatLabels(labels)} ${value}`);
+    }
+    return lines.join("\n");
+  }
+}
+
+class Gauge {
+  constructor(name, help, labelNames = []) {
+    this.name = METRIC_PREFIX + name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+    instruments.push(this);
+  }
+
+  set(labels = {}, value) {
+    this.series.set(seriesKey(this.labelNames, labels), {
+      labels: pickLabels(this.labelNames, labels),
+      value
+    });
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} gauge`];
+    for (const { labels, value } of this.series.values()) {
+      lines.push(`${this.name}${formatLabels(labels)} ${value}`);
+    }
+    return lines.join("\n");
+  }
+}
+
+class Histogram {
+  constructor(name, help, labelNames = [], buckets) {
+    this.name = METRIC_PREFIX + name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.buckets = [...buckets].sort((a, b) => a - b);
+    this.series = new Map();
+    instruments.push(this);
+  }
+
+  observe(labels = {}, value) {
+    if (!Number.isFinite(value)) {
+      return;
+    }
+    const key = seriesKey(this.labelNames, labels);
+    let current = this.series.get(key);
+    if (!current) {
+      current = {
+        labels: pickLabels(this.labelNames, labels),
+        bucketCounts: this.buckets.map(() => 0),
+        sum: 0,
+        count: 0
+      };
+      this.series.set(key, current);
+    }
+
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        current.bucketCounts[index] += 1;
+      }
+    });
+    current.sum += value;
+    current.count += 1;
+  }
+
+  /**
+   * Start timing; call the returned function with the final labels to record seconds elapsed.
+   */
+  startTimer(labels = {}) {
+    const startedAt = process.hrtime.bigint();
+    return (finalLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+      this.observe({ ...labels, ...finalLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+    for (const { labels, bucketCounts, sum, count } of this.series.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${bucketCounts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines.join("\n");
+  }
+}
+
+export const queueDepth = new Gauge(
+  "queue_jobs",
+  "Jobs in each queue by state, sampled when /metrics is scraped",
+  ["queue", "state"]
+);
+
+export const jobDurationSeconds = new Histogram(
+  "job_duration_seconds",
+  "Wall time of one job attempt by processor and outcome",
+  ["job_name", "outcome"],
+  [1, 5, 15, 30, 60, 120, 300, 600, 1200, 1800, 3600]
+);
+
+export const agenticLoopIterations = new Counter(
+  "agentic_loop_iterations_total",
+  "Agentic loop iterations run",
+  ["process_type"]
+);
+
+export const agentContextCompactionSavedTokens = new Histogram(
+  "agent_context_compaction_saved_tokens",
+  "Estimated input tokens removed from the agent conversation by each compaction",
+  ["process_type"],
+  [1000, 5000, 10000, 25000, 50000, 100000, 250000]
+);
+
+export const llmTokens = new Counter(
+  "llm_tokens_total",
+  "LLM tokens consumed by model and direction",
+  ["model", "direction"]
+);
+
+export const llmCostUsd = new Counter(
+  "llm_cost_usd_total",
+  "Estimated LLM spend in USD by model",
+  ["model"]
+);
+
+export const containerProvisionSeconds = new Histogram(
+  "container_provision_seconds",
+  "Time to provision a sandbox by provider and outcome",
+  ["provider", "outcome"],
+  [1, 2, 5, 10, 20, 30, 60, 120, 300]
+);
+
+/**
+ * Render every instrument in the Prometheus text exposition format.
+ */
+export function renderMetrics() {
+  return `${instruments.map((instrument) => instrument.render()).join("\n")}\n`;
+}
@@ -0,0 +1,101 @@
+import { nanoid } from "nanoid";
+import pool from "../../databases/postgresConnector.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("Checkpoints");
+
+/**
+ * Load every completed phase for a request, keyed by phase name.
+ *
+ * @param {string} requestId - Request ID the checkpoints belong to
+ * @param {Object|null} client - Postgres client (optional, will create if not provided)
+ * @returns {Promise<Map<string, Object>>} - Map of phase name to the stored phase output
+ */
+export async function loadCheckpoints(requestId, client = null) {
+  const shouldCloseClient = !client;
+  if (!client) {
+    client = await pool.connect();
+  }
+
+  try {
+    const result = await client.query(
+      `SELECT phase, phase_output FROM ${process.env.PG_DB_SCHEMA}.job_checkpoints
+       WHERE request_id = $1
+       ORDER BY sequence ASC`,
+      [requestId]
+    );
+
+    return new Map(
+      result.rows.map(function (row) {
+        return [row.phase, row.phase_output];
+      })
+    );
+  } finally {
+    if (shouldCloseClient) {
+      client.release();
+    }
+  }
+}
+
+/**
+ * Run one pipeline phase and persist its output as a checkpoint. The phase runs outside any
+ * transaction (the agentic loop alone takes minutes), so its writes must be safe to repeat;
+ * the checkpoint is written on its own once the phase is done. If the phase already has a
+ * checkpoint (a previous attempt got past it), the stored output is returned and the phase
+ * is skipped.
+ *
+ * @param {Object} params
+ * @param {string} params.requestId - Request ID the checkpoint is keyed by
+ * @param {string} params.projectId - Project ID
+ * @param {string} params.phase - Phase name (unique per request)
+ * @param {Map<string, Object>} params.checkpoints - Checkpoints loaded for this request; updated in place
+ * @param {Object} params.client - Postgres client the checkpoint is written with
+ * @param {Function} params.run - Async function performing the phase; its JSON-serialisable return value is stored
+ * @returns {Promise<Object>} - The phase output
+ */
+export async function runCheckpointedPhase({ requestId, projectId, phase, checkpoints, client, run }) {
+  if (checkpoints.has(phase)) {
+    log.info(`Phase "${phase}" already completed for request ${requestId}, skipping`);
+    return checkpoints.get(phase);
+  }
+
+  const output = (await run()) ?? null;
+
+  await client.query(
+    `INSERT INTO ${process.env.PG_DB_SCHEMA}.job_checkpoints
+     (checkpoint_id, request_id, project_id, phase, phase_output, created_at)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [nanoid(), requestId, projectId, phase, JSON.stringify(output), Math.floor(Date.now() / 1000)]
+  );
+
+  checkpoints.set(phase, output);
+  log.info(`Phase "${phase}" checkpointed for request ${requestId}`);
+
+  return output;
+}
+
+/**
+ * Drop the checkpoint of a phase and of every phase completed after it, so the next attempt
+ * runs them again.
+ *
+ * @param {string} requestId - Request ID the checkpoints belong to
+ * @param {string} phase - First phase to drop
+ * @param {Object} client - Postgres client
+ * @returns {Promise<Array<string>>} - Names of the dropped phases
+ */
+export async function discardCheckpointsFrom(requestId, phase, client) {
+  const result = await client.query(
+    `DELETE FROM ${process.env.PG_DB_SCHEMA}.job_checkpoints
+     WHERE request_id = $1
+       AND sequence >= (
+         SELECT sequence FROM ${process.env.PG_DB_SCHEMA}.job_checkpoints
+         WHERE request_id = $1 AND phase = $2
+       )
+     RETURNING phase`,
+    [requestId, phase]
+  );
+
+  return result.rows.map(function (row) {
+    return row.phase;
+  });
+}
@@ -1,7 +1,10 @@
 import { executeCommandInContainer } from "../services/daytonaService.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("ContextLoader");
 
 export async function loadProjectContext(containerId, projectId, client) {
-    console.log(`[ContextLoader] Loading context for project ${projectId}`);
+    log.info(`Loading context for project ${projectId}`);
 
     // Get database info
     const dbResult = await client.query(
@@ -41,11 +44,11 @@ export async function loadProjectContext(containerId, projectId, client) {
         return { method, path, file: filePath };
     });
 
-    console.log(
-        `[ContextLoader] Found ${endpoints.length} existing endpoints`,
+    log.info(
+        `Found ${endpoints.length} existing endpoints`,
     );
-    console.log(
-        `[ContextLoader] Database: ${databaseInfo ? databaseInfo.db_name : "None"}`,
+    log.info(
+        `Database: ${databaseInfo ? databaseInfo.db_name : "None"}`,
     );
 
     return {
@@ -0,0 +1,49 @@
+import pool from "../../databases/postgresConnector.js";
+import { nanoid } from "nanoid";
+
+/**
+ * Per-project worker settings, stored as resource_preferences rows keyed by resource_type
+ * with the settings in resource_settings (jsonb).
+ */
+
+/**
+ * Read a project's settings for one resource type.
+ * @param {string} projectId - Project to look up
+ * @param {string} resourceType - e.g. "llm", "agent_budget"
+ * @returns {Promise<Object|null>} - The stored settings, or null when the project has none
+ */
+export async function getProjectSettings(projectId, resourceType) {
+  const result = await pool.query(
+    `SELECT resource_settings
+     FROM ${process.env.PG_DB_SCHEMA}.resource_preferences
+     WHERE project_id = $1 AND resource_type = $2
+     ORDER BY updated_at DESC NULLS LAST
+     LIMIT 1`,
+    [projectId, resourceType]
+  );
+  return result.rows[0]?.resource_settings ?? null;
+}
+
+/**
+ * Merge settings into a project's row for one resource type, creating the row if needed.
+ * @param {string} projectId - Project to update
+ * @param {string} resourceType - e.g. "llm", "agent_budget"
+ * @param {Object} settings - Keys to set; other stored keys are kept
+ */
+export async function updateProjectSettings(projectId, resourceType, settings) {
+  const now = Math.floor(Date.now() / 1000);
+  const updated = await pool.query(
+    `UPDATE ${process.env.PG_DB_SCHEMA}.resource_preferences
+     SET resource_settings = COALESCE(resource_settings, '{}'::jsonb) || $3::jsonb,
+         updated_at = $4
+     WHERE project_id = $1 AND resource_type = $2`,
+    [projectId, resourceType, JSON.stringify(settings), now]
+  );
+  if (updated.rowCount === 0) {
+    await pool.query(
+      `INSERT INTO ${process.env.PG_DB_SCHEMA}.resource_preferences (preference_id, project_id, resource_type, resource_settings, created_at, updated_at)
+       VALUES ($1, $2, $3, $4::jsonb, $5, $5)`,
+      [nanoid(), projectId, resourceType, JSON.stringify(settings), now]
+    );
+  }
+}
@@ -0,0 +1,257 @@
+import pool from "../../databases/postgresConnector.js";
+import { nanoid } from "nanoid";
+import {
+  executeCommandInContainer,
+  startBuiltServerInContainer,
+  stopBuiltServerInContainer,
+  sendHttpRequestInContainer
+} from "../services/daytonaService.js";
+import { publishVerification } from "../pubsub-handlers.js";
+import { throwIfCancelled } from "./jobCancellation.js";
+import { BudgetStoppedError, VerificationFailedError } from "./jobErrors.js";
+import { mergeChangesets } from "./gitChangeset.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("Verification");
+
+/**
+ * Deterministic checks between the agentic loop and pushing: the agent saying it is done is
+ * not enough. A run is verified when the project builds, the built server boots, /api/health
+ * answers 2xx and no blueprint endpoint answers 5xx or fails to answer. 4xx is fine for a
+ * smoke test, since requests carry no auth and placeholder parameters.
+ */
+
+// Times the failures are handed back to the agent before the job fails
+export const VERIFICATION_REPAIR_ROUNDS = Number(process.env.VERIFICATION_REPAIR_ROUNDS ?? 2);
+
+const BUILD_TIMEOUT = 300000;
+
+// Characters of build output or response body kept in a report
+const EXCERPT_LENGTH = 1500;
+
+/**
+ * Verify the project, handing failures back to the agent for up to VERIFICATION_REPAIR_ROUNDS
+ * repair runs, or until a repair run uses up the request's budget. The final report is
+ * stored and every pass is published.
+ *
+ * @param {Object} options
+ * @param {string} options.containerId - Sandbox holding the project
+ * @param {string} options.projectId
+ * @param {string} options.requestId
+ * @param {string} options.streamId
+ * @param {string} options.userRequest - The request the agent worked on
+ * @param {Object} options.agentResult - Result of runAgenticLoop
+ * @param {Function} options.getBlueprint - Called with the current agent result; resolves to the API blueprint or null
+ * @param {Function} options.runRepair - Called with a repair request; runs the agentic loop and resolves to its result
+ * @returns {Promise<Object>} - The agent result with the repair runs merged in, and `verification` set to the report
+ * @throws {VerificationFailedError} - When the last round still fails
+ * @throws {BudgetStoppedError} - When it still fails because the budget stopped the repairs
+ */
+export async function runVerificationGate({ containerId, projectId, requestId, streamId, userRequest, agentResult, getBlueprint, runRepair }) {
+  let result = agentResult;
+  const rounds = [];
+  // Once a run has used up the budget, failures are reported instead of repaired
+  let budgetExceeded = agentResult.budgetExceeded ?? null;
+
+  for (let round = 0; ; round++) {
+    const report = await verifyProject(containerId, { blueprint: await getBlueprint(result) });
+    rounds.push({ round, ...report });
+    if (report.passed || round >= VERIFICATION_REPAIR_ROUNDS || budgetExceeded) {
+      break;
+    }
+
+    await publishVerification(streamId, { status: 'repairing', round, ...summarizeReport(report) });
+
+    log.info(`Round ${round} failed with ${report.failures.length} failures; handing them back to the agent`);
+    const repair = await runRepair(buildRepairRequest(userRequest, report));
+    await throwIfCancelled(requestId);
+    rounds[rounds.length - 1].repairSummary = repair.summary;
+    result = mergeLoopResults(result, repair);
+    budgetExceeded = repair.budgetExceeded;
+  }
+
+  const final = rounds[rounds.length - 1];
+  const verification = {
+    passed: final.passed,
+    repairRounds: rounds.length - 1,
+    failures: final.failures,
+    rounds
+  };
+  verification.reportId = await storeVerificationReport(projectId, requestId, verification);
+  await publishVerification(streamId, {
+    status: final.passed ? 'passed' : 'failed',
+    round: final.round,
+    reportId: verification.reportId ?? undefined,
+    ...summarizeReport(final)
+  });
+
+  if (!verification.passed) {
+    throw budgetExceeded
+      ? new BudgetStoppedError(final.failures, budgetExceeded, { ...result, verification })
+      : new VerificationFailedError(final.failures);
+  }
+  log.info(`✅ Verified after ${verification.repairRounds} repair rounds`);
+  return { ...result, verification };
+}
+
+/**
+ * One line about a passed verification for the success message.
+ */
+export function describeVerification(verification) {
+  const final = verification.rounds[verification.rounds.length - 1];
+  const repairs = verification.repairRounds === 1 ? '1 repair round' : `${verification.repairRounds} repair rounds`;
+  return `Verification: passed (${final.endpoints.length} endpoints smoke-tested, ${repairs})`;
+}
+
+/**
+ * Run one verification pass.
+ * @param {string} containerId - Sandbox holding the project
+ * @param {Object} options
+ * @param {Object} [options.blueprint] - API blueprint whose endpoints to smoke-test
+ * @returns {Promise<Object>} - { passed, build, server, health, endpoints, failures }
+ */
+export async function verifyProject(containerId, { blueprint = null } = {}) {
+  const report = { passed: false, build: null, server: null, health: null, endpoints: [], failures: [] };
+
+  log.info(`Building project in ${containerId}`);
+  try {
+    const build = await executeCommandInContainer(containerId, 'npm run build', BUILD_TIMEOUT);
+    report.build = { passed: build.exitCode === 0, exitCode: build.exitCode, output: excerpt(build.result, true) };
+  } catch (error) {
+    report.build = { passed: false, output: error.message };
+  }
+  if (!report.build.passed) {
+    report.failures.push(`Build failed: ${report.build.output}`);
+    return report;
+  }
+
+  const server = await startBuiltServerInContainer(containerId);
+  report.server = { passed: server.running, logs: excerpt(server.logs, true) };
+  if (!server.running) {
+    report.failures.push(`Built server did not start: ${report.server.logs}`);
+    return report;
+  }
+
+  try {
+    report.health = await checkEndpoint(containerId, server.port, { method: 'GET', path: '/api/health' }, function(status) {
+      return status >= 200 && status < 300;
+    });
+    if (!report.health.passed) {
+      report.failures.push(`GET /api/health ${describeCheck(report.health)}`);
+    }
+
+    const endpoints = (blueprint?.endpoints ?? []).filter(function(endpoint) {
+      return typeof endpoint?.path === 'string' && typeof endpoint?.method === 'string';
+    });
+    for (const endpoint of endpoints) {
+      const check = await checkEndpoint(containerId, server.port, endpoint, function(status) { return status < 500; });
+      report.endpoints.push(check);
+      if (!check.passed) {
+        report.failures.push(`${check.method} ${check.path} ${describeCheck(check)}`);
+      }
+    }
+  } finally {
+    await stopBuiltServerInContainer(containerId);
+  }
+
+  report.passed = report.failures.length === 0;
+  return report;
+}
+
+async function checkEndpoint(containerId, port, { method, path }, isExpected) {
+  const check = { method: String(method).toUpperCase(), path, requestPath: fillPathParams(path) };
+  const hasBody = ['POST', 'PUT', 'PATCH'].includes(check.method);
+
+  try {
+    const response = await sendHttpRequestInContainer(containerId, {
+      method: check.method,
+      path: check.requestPath,
+      headers: hasBody ? { 'Content-Type': 'application/json' } : {},
+      body: hasBody ? '{}' : undefined
+    }, { port });
+    check.status = response.status;
+    check.passed = isExpected(response.status);
+    if (!check.passed) {
+      check.body = excerpt(response.body);
+    }
+  } catch (error) {
+    check.passed = false;
+    check.error = error.message;
+  }
+  return check;
+}
+
+// "/api/users/:id", "/api/users/[id]" and "/api/users/{id}" all become "/api/users/1"
+function fillPathParams(path) {
+  return String(path).replace(/:[A-Za-z_]\w*|\[(\.\.\.)?[^\]]+\]|\{[^}]+\}/g, '1');
+}
+
+function describeCheck(check) {
+  if (check.error) {
+    return `did not answer: ${check.error}`;
+  }
+  return check.body ? `returned ${check.status}: ${check.body}` : `returned ${check.status}`;
+}
+
+function excerpt(text, fromEnd = false) {
+  const value = String(text ?? '');
+  if (value.length <= EXCERPT_LENGTH) {
+    return value;
+  }
+  return fromEnd ? `…${value.slice(-EXCERPT_LENGTH)}` : `${value.slice(0, EXCERPT_LENGTH)}…`;
+}
+
+function summarizeReport(report) {
+  return {
+    build: report.build?.passed ?? false,
+    health: report.health?.passed ?? false,
+    endpointsChecked: report.endpoints.length,
+    endpointsPassed: report.endpoints.filter(function(check) { return check.passed; }).length,
+    failures: report.failures.map(function(failure) { return excerpt(failure); })
+  };
+}
+
+function buildRepairRequest(userRequest, report) {
+  return `${userRequest}
+
+## Verification Failed
+
+The request above has already been implemented, but automatic verification of the project failed. Verification runs 'npm run build', starts the built server, expects GET /api/health to return 2xx, and sends every endpoint in the API blueprint a request with placeholder path parameters and an empty JSON body, expecting any status below 500.
+
+Fix these failures without changing working behavior:
+${report.failures.map(function(failure) { return `- ${failure}`; }).join('\n')}
+
+Reproduce each failure with the build, start_dev_server and http_request before fixing it, and call complete_task once they are resolved.`;
+}
+
+// The repair run's work is added to the original run's
+function mergeLoopResults(previous, repair) {
+  return {
+    ...previous,
+    success: repair.success,
+    cancelled: repair.cancelled,
+    iterations: (previous.iterations || 0) + (repair.iterations || 0),
+    filesModified: mergeChangesets(previous.filesModified || [], repair.filesModified || []),
+    dbQueries: [...(previous.dbQueries || []), ...(repair.dbQueries || [])],
+    budgetExceeded: repair.budgetExceeded ?? previous.budgetExceeded,
+    totalCost: (previous.totalCost || 0) + (repair.totalCost || 0),
+    apiBlueprint: repair.apiBlueprint || previous.apiBlueprint
+  };
+}
+
+// Stored with the pool, outside the modification transaction, so a failed run keeps its report
+async function storeVerificationReport(projectId, requestId, verification) {
+  const reportId = nanoid();
+  try {
+    await pool.query(
+      `INSERT INTO ${process.env.PG_DB_SCHEMA}.verification_reports
+       (report_id, project_id, request_id, passed, repair_rounds, report, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [reportId, projectId, requestId, verification.passed, verification.repairRounds, JSON.stringify(verification.rounds), Math.floor(Date.now() / 1000)]
+    );
+  } catch (error) {
+    log.error(`Failed to store verification report for request ${requestId}: ${error.message}`);
+    return null;
+  }
+  return reportId;
+}
@@ -0,0 +1,95 @@
+/**
+ * Read-only statements for db_query. Kept apart from devDatabaseExecutor.js, which needs
+ * Postgres, so the checks can be tested without a database.
+ */
+
+// Statements that only read; anything else is executed and recorded by executeDevDatabaseQueries
+const READ_STATEMENT = /^(select|with|show|explain|table|values)\b/i;
+
+/**
+ * Whether a statement only reads, judged by its first keyword after any leading comments.
+ */
+export function isReadOnlyQuery(query) {
+  return READ_STATEMENT.test(stripLeadingComments(query));
+}
+
+/**
+ * The SQL to run for a read-only query: one statement, with SELECT and WITH limited in the
+ * database so a large table is never fetched whole. The simple query protocol runs every
+ * statement it is given, so `VALUES (1); COMMIT; DROP TABLE users` would end the READ ONLY
+ * transaction; anything after the first statement is refused.
+ *
+ * @param {string} query - The agent's query
+ * @param {number} maxRows - Rows the caller returns at most; one more is fetched to detect truncation
+ * @returns {string} - The statement to run
+ * @throws {Error} - When the query holds more than one statement
+ */
+export function prepareReadOnlyQuery(query, maxRows) {
+  const statement = stripLeadingComments(String(query).replace(/turbobackend\./g, 'public.'));
+  const end = findStatementEnd(statement);
+  if (end !== -1 && stripLeadingComments(statement.slice(end + 1)) !== '') {
+    throw new Error('db_query runs one statement at a time; send each statement separately');
+  }
+  const single = (end === -1 ? statement : statement.slice(0, end)).trimEnd();
+
+  return /^(select|with)\b/i.test(single)
+    ? `SELECT * FROM (\n${single}\n) AS agent_query LIMIT ${maxRows + 1}`
+    : single;
+}
+
+function stripLeadingComments(query) {
+  return String(query).replace(/^(\s|--[^\n]*(\n|$)|\/\*[\s\S]*?\*\/)*/, '');
+}
+
+// Index of the first `;` outside quotes, dollar quotes and comments, or -1
+function findStatementEnd(sql) {
+  for (let i = 0; i < sql.length; i++) {
+    const char = sql[i];
+    if (char === ';') {
+      return i;
+    }
+
+    const skipped = skippedText(sql, i);
+    if (skipped) {
+      const close = skipped.backslashEscapes
+        ? findUnescaped(sql, skipped.closing, i + skipped.opening.length)
+        : sql.indexOf(skipped.closing, i + skipped.opening.length);
+      if (close === -1) {
+        // Unterminated: the rest is one string or comment
+        return -1;
+      }
+      i = close + skipped.closing.length - 1;
+    }
+  }
+  return -1;
+}
+
+// The quoted string or comment opening at `i`, as { opening, closing, backslashEscapes }, or
+// null. A doubled quote inside a string is an escaped one; scanning on from the next quote
+// handles it. E'...' strings also escape with backslashes.
+function skippedText(sql, i) {
+  const char = sql[i];
+  if (char === "'" || char === '"') {
+    const escapeString = char === "'" && /(^|[^\w$])[eE]$/.test(sql.slice(0, i));
+    return { opening: char, closing: char, backslashEscapes: escapeString };
+  }
+  if (sql.startsWith('--', i)) {
+    return { opening: '--', closing: '\n' };
+  }
+  if (sql.startsWith('/*', i)) {
+    return { opening: '/*', closing: '*/' };
+  }
+  const dollarTag = char === '$' ? sql.slice(i).match(/^\$([A-Za-z_]\w*)?\$/) : null;
+  return dollarTag ? { opening: dollarTag[0], closing: dollarTag[0] } : null;
+}
+
+function findUnescaped(sql, closing, from) {
+  for (let i = from; i < sql.length; i++) {
+    if (sql[i] === '\\') {
+      i++;
+    } else if (sql[i] === closing) {
+      return i;
+    }
+  }
+  return -1;
+}
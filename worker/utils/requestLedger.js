@@ -0,0 +1,189 @@
+import { nanoid } from "nanoid";
+import pool from "../../databases/postgresConnector.js";
+import { isFinalAttempt, JobCancelledError } from "./jobErrors.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("RequestLedger");
+
+// Keep stored error reasons readable in dashboards; stack traces stay in the logs.
+const MAX_ERROR_REASON_LENGTH = 2000;
+
+/**
+ * Insert the mcp_requests row for a new request
+ *
+ * @param {Object} params
+ * @param {string} params.mcpKeyId - MCP key the request came in on
+ * @param {string} params.toolName - MCP tool name
+ * @param {Object} params.requestParams - Raw tool parameters
+ * @param {string} params.projectId - Project the request targets
+ * @param {string} params.userId - User who made the request
+ * @param {string} params.jobName - BullMQ job name that processes the request
+ * @param {string} params.jobId - BullMQ job id
+ * @param {string|null} params.idempotencyKey - Idempotency key the job ran under (nullable)
+ * @param {string|null} params.replayOfRequestId - Request this one replays (nullable)
+ * @returns {Promise<string>} - Returns the request_id
+ */
+export async function logMCPRequest({
+  mcpKeyId,
+  toolName,
+  requestParams,
+  projectId,
+  userId,
+  jobName,
+  jobId,
+  idempotencyKey = null,
+  replayOfRequestId = null
+}) {
+  const client = await pool.connect();
+
+  try {
+    const requestId = nanoid();
+    const now = Math.floor(Date.now() / 1000);
+
+    await client.query(
+      `INSERT INTO ${process.env.PG_DB_SCHEMA}.mcp_requests
+       (request_id, mcp_key_id, tool_name, request_params, response_status, project_id, user_id, job_name, job_id, idempotency_key, replay_of_request_id, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
+      [
+        requestId,
+        mcpKeyId,
+        toolName,
+        JSON.stringify(requestParams),
+        'processing',
+        projectId,
+        userId,
+        jobName,
+        jobId != null ? String(jobId) : null,
+        idempotencyKey,
+        replayOfRequestId,
+        now
+      ]
+    );
+
+    log.info(`Logged request: ${requestId}`);
+
+    return requestId;
+  } finally {
+    client.release();
+  }
+}
+
+// States a request can still leave; everything else also records when it finished
+const OPEN_STATUSES = ['processing', 'retrying'];
+
+/**
+ * Write a terminal (or retrying) state for a request. Ledger writes never fail the job.
+ */
+async function updateRequestStatus(requestId, { status, totalCost = null, errorReason = null, resultSummary = null }) {
+  const now = Math.floor(Date.now() / 1000);
+  const isTerminal = !OPEN_STATUSES.includes(status);
+
+  try {
+    await pool.query(
+      `UPDATE ${process.env.PG_DB_SCHEMA}.mcp_requests
+       SET response_status = $1,
+           completed_at = $2,
+           duration_seconds = CASE WHEN $2::bigint IS NULL THEN NULL ELSE $2::bigint - created_at END,
+           total_cost_usd = COALESCE($3, total_cost_usd),
+           error_reason = $4,
+           result_summary = COALESCE($5, result_summary)
+       WHERE request_id = $6`,
+      [
+        status,
+        isTerminal ? now : null,
+        totalCost,
+        errorReason ? errorReason.slice(0, MAX_ERROR_REASON_LENGTH) : null,
+        resultSummary ? JSON.stringify(resultSummary) : null,
+        requestId
+      ]
+    );
+
+    log.info(`Request ${requestId} ${status}`);
+  } catch (error) {
+    log.error(`Failed to mark request ${requestId} ${status}: ${error.message}`);
+  }
+}
+
+/**
+ * Put a request back to processing when a retry or a dead-letter replay picks it up again,
+ * so the container GC stops treating it as finished
+ */
+export async function markRequestResumed(requestId) {
+  await updateRequestStatus(requestId, { status: 'processing' });
+}
+
+/**
+ * Mark a request as completed and store its cost and a compact summary of its result
+ *
+ * @param {string} requestId - Request ID
+ * @param {Object} params
+ * @param {number|null} params.totalCost - Total LLM cost in USD
+ * @param {Object} params.resultSummary - e.g. { message, filesModified, repoUrl, deploymentUrl, blueprintId }
+ */
+export async function markRequestCompleted(requestId, { totalCost = null, resultSummary }) {
+  await updateRequestStatus(requestId, { status: 'completed', totalCost, resultSummary });
+}
+
+/**
+ * Record why a request's attempt failed: cancelled, failed for good, or retrying. The
+ * handlers set `error.totalCost` to the LLM cost spent before the failure, which is
+ * recorded like a completed request's.
+ */
+export async function recordRequestFailure(job, requestId, error) {
+  if (!requestId) {
+    return;
+  }
+  const totalCost = Number.isFinite(error?.totalCost) ? error.totalCost : null;
+
+  if (error instanceof JobCancelledError) {
+    await updateRequestStatus(requestId, { status: 'cancelled', totalCost, errorReason: error.reason });
+    return;
+  }
+
+  await updateRequestStatus(requestId, {
+    status: isFinalAttempt(job, error) ? 'failed' : 'retrying',
+    totalCost,
+    errorReason: error?.message || String(error)
+  });
+}
+
+/**
+ * Find the most recent completed request that ran under an idempotency key
+ *
+ * @param {string} idempotencyKey
+ * @param {Object} [options]
+ * @param {number|null} [options.completedWithinSeconds] - Ignore requests completed longer ago than this
+ * @returns {Promise<Object|null>} - { request_id, result_summary } or null
+ */
+export async function findCompletedRequestByIdempotencyKey(idempotencyKey, { completedWithinSeconds = null } = {}) {
+  const completedSince = completedWithinSeconds != null
+    ? Math.floor(Date.now() / 1000) - completedWithinSeconds
+    : null;
+
+  const result = await pool.query(
+    `SELECT request_id, result_summary FROM ${process.env.PG_DB_SCHEMA}.mcp_requests
+     WHERE idempotency_key = $1 AND response_status = 'completed'
+       AND ($2::bigint IS NULL OR completed_at >= $2::bigint)
+     ORDER BY created_at DESC
+     LIMIT 1`,
+    [idempotencyKey, completedSince]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Load the stored parameters of a past request so it can be replayed
+ *
+ * @returns {Promise<Object|null>} - { request_id, mcp_key_id, tool_name, request_params, project_id, user_id, job_name } or null
+ */
+export async function loadMCPRequest(requestId) {
+  const result = await pool.query(
+    `SELECT request_id, mcp_key_id, tool_name, request_params, project_id, user_id, job_name
+     FROM ${process.env.PG_DB_SCHEMA}.mcp_requests
+     WHERE request_id = $1`,
+    [requestId]
+  );
+
+  return result.rows[0] || null;
+}
@@ -0,0 +1,110 @@
+import { UnrecoverableError } from "bullmq";
+import { SIGNATURE_HEADER, signWebhookPayload } from "./webhookSignatures.js";
+import { createLogger } from "./logger.js";
+
+/**
+ * Sending one webhook delivery and recording the attempt. The delivery log is passed in
+ * (webhooks.js keeps it in Postgres), so delivery can be tested against a local receiver.
+ */
+
+const log = createLogger("Webhooks");
+
+const DELIVERY_TIMEOUT_MS = 10000;
+
+// Keep the delivery log readable; the full response is never needed.
+const MAX_DELIVERY_ERROR_LENGTH = 1000;
+
+const now = () => Math.floor(Date.now() / 1000);
+
+// Client errors other than timeouts and rate limits will not change on retry.
+const isRetryableStatus = (status) => status >= 500 || status === 408 || status === 429;
+
+/**
+ * POST a signed body to a webhook URL.
+ *
+ * @returns {Promise<Object>} - { ok, status, error }
+ */
+export async function postWebhook({ url, secret, deliveryId, eventType, body }) {
+  try {
+    const response = await fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "TurboBackend-Webhooks/1",
+        "X-TurboBackend-Event": eventType,
+        "X-TurboBackend-Delivery": deliveryId,
+        [SIGNATURE_HEADER]: signWebhookPayload(secret, body)
+      },
+      body,
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+    });
+    // Drain the body so the connection is released
+    const text = await response.text().catch(() => "");
+    return {
+      ok: response.ok,
+      status: response.status,
+      error: response.ok ? null : `HTTP ${response.status}: ${text}`.slice(0, MAX_DELIVERY_ERROR_LENGTH)
+    };
+  } catch (error) {
+    return { ok: false, status: null, error: error.message.slice(0, MAX_DELIVERY_ERROR_LENGTH) };
+  }
+}
+
+/**
+ * Attempt one delivery and record the outcome in the delivery log. Throws to make BullMQ
+ * retry; permanent failures throw UnrecoverableError.
+ *
+ * @param {Object} deliveryLog
+ * @param {Function} deliveryLog.load - (deliveryId) => { event_type, payload, status, url, secret, active } or null
+ * @param {Function} deliveryLog.markSkipped - (deliveryId) for deliveries to a removed webhook
+ * @param {Function} deliveryLog.recordAttempt - (deliveryId, { status, responseStatus, error, attemptedAt, deliveredAt })
+ * @param {string} deliveryId - Delivery to send
+ * @param {Object} options
+ * @param {boolean} options.finalAttempt - Whether a failure now is the last one
+ * @returns {Promise<Object>} - { status, responseStatus }
+ */
+export async function attemptWebhookDelivery(deliveryLog, deliveryId, { finalAttempt = true } = {}) {
+  const delivery = await deliveryLog.load(deliveryId);
+  if (!delivery) {
+    throw new UnrecoverableError(`Webhook delivery ${deliveryId} not found`);
+  }
+  if (delivery.status === "delivered") {
+    return { status: "delivered", responseStatus: null };
+  }
+  if (!delivery.active) {
+    await deliveryLog.markSkipped(deliveryId);
+    return { status: "skipped", responseStatus: null };
+  }
+
+  const outcome = await postWebhook({
+    url: delivery.url,
+    secret: delivery.secret,
+    deliveryId,
+    eventType: delivery.event_type,
+    // Stored as JSONB; re-serialised identically on every attempt
+    body: JSON.stringify(delivery.payload)
+  });
+
+  const permanent = !outcome.ok && outcome.status !== null && !isRetryableStatus(outcome.status);
+  const status = outcome.ok ? "delivered" : permanent || finalAttempt ? "failed" : "retrying";
+  const attemptedAt = now();
+
+  await deliveryLog.recordAttempt(deliveryId, {
+    status,
+    responseStatus: outcome.status,
+    error: outcome.error,
+    attemptedAt,
+    deliveredAt: outcome.ok ? attemptedAt : null
+  });
+
+  if (outcome.ok) {
+    log.info(`Delivered ${delivery.event_type} (${deliveryId}) with HTTP ${outcome.status}`);
+    return { status, responseStatus: outcome.status };
+  }
+
+  log.warn(`Delivery ${deliveryId} ${status}: ${outcome.error}`);
+  if (permanent) {
+    throw new UnrecoverableError(`Webhook delivery ${deliveryId} rejected: ${outcome.error}`);
+  }
+  throw new Error(`Webhook delivery ${deliveryId} failed: ${outcome.error}`);
+}
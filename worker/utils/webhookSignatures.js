@@ -0,0 +1,48 @@
+import { createHmac, timingSafeEqual } from "crypto";
+
+/**
+ * Webhook request signing. Kept apart from webhooks.js, which needs Postgres, so receivers
+ * can verify deliveries without any of the worker's connections.
+ */
+
+export const SIGNATURE_HEADER = "X-TurboBackend-Signature";
+
+// Receivers should reject signatures older than this to stop replayed deliveries.
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+const now = () => Math.floor(Date.now() / 1000);
+
+/**
+ * Signature header value for a request body: `t=<unix seconds>,v1=<hex HMAC-SHA256>` over
+ * `<t>.<body>`, keyed with the webhook's secret.
+ */
+export function signWebhookPayload(secret, body, timestamp = now()) {
+  const signature = createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Check a received signature header against the raw request body. Receivers can import
+ * this to verify deliveries.
+ *
+ * @returns {boolean} - True if the signature matches and is recent enough
+ */
+export function verifyWebhookSignature(secret, header, body, toleranceSeconds = SIGNATURE_TOLERANCE_SECONDS) {
+  const parts = Object.fromEntries(
+    String(header || "")
+      .split(",")
+      .map((part) => part.split("=", 2))
+      .filter((pair) => pair.length === 2)
+  );
+  const timestamp = Number(parts.t);
+  if (!Number.isInteger(timestamp) || !parts.v1) {
+    return false;
+  }
+  if (Math.abs(now() - timestamp) > toleranceSeconds) {
+    return false;
+  }
+
+  const expected = Buffer.from(signWebhookPayload(secret, body, timestamp).split("v1=")[1], "hex");
+  const received = Buffer.from(parts.v1, "hex");
+  return expected.length === received.length && timingSafeEqual(expected, received);
+}
@@ -0,0 +1,288 @@
+import { randomBytes } from "crypto";
+import { nanoid } from "nanoid";
+import pool from "../../databases/postgresConnector.js";
+import { attemptWebhookDelivery, postWebhook } from "./webhookDelivery.js";
+import { createLogger } from "./logger.js";
+
+export { SIGNATURE_HEADER, signWebhookPayload, verifyWebhookSignature } from "./webhookSignatures.js";
+
+const log = createLogger("Webhooks");
+
+export const WEBHOOK_DELIVERY_JOB_NAME = "webhookDeliveryJob";
+
+/**
+ * Lifecycle events a webhook can subscribe to.
+ */
+export const WEBHOOK_EVENT_TYPES = [
+  "job.started",
+  "phase.completed",
+  "job.succeeded",
+  "job.failed",
+  "job.cancelled",
+  "deployment.triggered",
+  "blueprint.updated"
+];
+
+// Webhook events are derived from the stream events pubsub-handlers.js publishes;
+// stream events without an entry here (agent activity, LLM chunks) are never sent.
+const WEBHOOK_EVENT_FOR_STREAM_EVENT = {
+  job_started: () => "job.started",
+  phase_completed: () => "phase.completed",
+  result: (payload) => ({ success: "job.succeeded", cancelled: "job.cancelled" })[payload.status] ?? "job.failed",
+  deployment: (payload) => (payload.status === "triggered" ? "deployment.triggered" : null),
+  api_blueprint: () => "blueprint.updated"
+};
+
+// Set by the worker once its queue exists; processes without one (the admin CLI) never
+// fan events out to webhooks.
+let deliveryQueue = null;
+
+// Dispatches still looking up subscribers, so shutdown can wait for them
+const pendingDispatches = new Set();
+
+const now = () => Math.floor(Date.now() / 1000);
+
+/**
+ * Start turning stream events into webhook deliveries, enqueued on the given queue.
+ */
+export function startWebhookDispatch(queue) {
+  deliveryQueue = queue;
+}
+
+/**
+ * Wait for dispatches in flight, then stop enqueuing deliveries (the queue itself is owned
+ * and closed by the caller).
+ */
+export async function stopWebhookDispatch() {
+  await Promise.allSettled(pendingDispatches);
+  deliveryQueue = null;
+}
+
+/**
+ * Plain http is only accepted outside production, so a local receiver can be used in development.
+ */
+function validateWebhookUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new Error(`Invalid webhook URL: ${url}`);
+  }
+  const allowed = process.env.NODE_ENV === "production" ? ["https:"] : ["https:", "http:"];
+  if (!allowed.includes(parsed.protocol)) {
+    throw new Error(`Webhook URL must use ${allowed.join(" or ")}`);
+  }
+}
+
+/**
+ * Register a webhook for every project of a user, or for one project.
+ *
+ * @param {Object} params
+ * @param {string} params.userId - Owner of the webhook
+ * @param {string|null} params.projectId - Limit to one project (null for all the user's projects)
+ * @param {string} params.url - Receiver URL
+ * @param {Array<string>} params.eventTypes - Subset of WEBHOOK_EVENT_TYPES (default: all)
+ * @returns {Promise<Object>} - { webhookId, secret }; the secret is only returned here
+ */
+export async function registerWebhook({ userId, projectId = null, url, eventTypes = WEBHOOK_EVENT_TYPES }) {
+  validateWebhookUrl(url);
+  const unknown = eventTypes.filter((type) => !WEBHOOK_EVENT_TYPES.includes(type));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown webhook event type(s): ${unknown.join(", ")}`);
+  }
+
+  const webhookId = nanoid();
+  const secret = `whsec_${randomBytes(24).toString("hex")}`;
+
+  await pool.query(
+    `INSERT INTO ${process.env.PG_DB_SCHEMA}.webhook_endpoints
+     (webhook_id, user_id, project_id, url, secret, event_types, active, created_at)
+     VALUES ($1, $2, $3, $4, $5, $6, TRUE, $7)`,
+    [webhookId, userId, projectId, url, secret, eventTypes, now()]
+  );
+
+  log.info(`Registered webhook ${webhookId} for ${projectId ? `project ${projectId}` : `user ${userId}`}`);
+  return { webhookId, secret };
+}
+
+/**
+ * Active webhooks, optionally filtered by user and/or project. Secrets are not returned.
+ */
+export async function listWebhooks({ userId = null, projectId = null } = {}) {
+  const result = await pool.query(
+    `SELECT webhook_id, user_id, project_id, url, event_types, created_at
+     FROM ${process.env.PG_DB_SCHEMA}.webhook_endpoints
+     WHERE active = TRUE
+       AND ($1::varchar IS NULL OR user_id = $1)
+       AND ($2::varchar IS NULL OR project_id = $2)
+     ORDER BY created_at`,
+    [userId, projectId]
+  );
+  return result.rows;
+}
+
+/**
+ * Deactivate a webhook. Its delivery log is kept.
+ *
+ * @returns {Promise<boolean>} - False if no active webhook had that id
+ */
+export async function removeWebhook(webhookId) {
+  const result = await pool.query(
+    `UPDATE ${process.env.PG_DB_SCHEMA}.webhook_endpoints SET active = FALSE
+     WHERE webhook_id = $1 AND active = TRUE`,
+    [webhookId]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Most recent deliveries for a webhook, newest first.
+ */
+export async function listWebhookDeliveries(webhookId, limit = 20) {
+  const result = await pool.query(
+    `SELECT delivery_id, event_type, request_id, status, attempts, response_status, last_error,
+            created_at, last_attempt_at, delivered_at
+     FROM ${process.env.PG_DB_SCHEMA}.webhook_deliveries
+     WHERE webhook_id = $1
+     ORDER BY created_at DESC
+     LIMIT $2`,
+    [webhookId, limit]
+  );
+  return result.rows;
+}
+
+/**
+ * Record and enqueue a delivery of a stream event to every webhook subscribed to it, in the
+ * background: the publisher does not wait for the subscriber lookup.
+ * `context` carries the ids of the job that published it (see getLogContext).
+ * Never throws: webhooks must not break the pipeline that emitted the event.
+ *
+ * @param {Object} streamEvent - Envelope published by pubsub-handlers.js
+ * @param {Object} context - { requestId, projectId, userId, jobId, jobName }
+ */
+export function dispatchWebhookEvent(streamEvent, context = {}) {
+  const eventType = WEBHOOK_EVENT_FOR_STREAM_EVENT[streamEvent.type]?.(streamEvent.payload);
+  if (!deliveryQueue || !eventType || (!context.projectId && !context.userId)) {
+    return;
+  }
+
+  const dispatch = enqueueDeliveries(eventType, streamEvent, context);
+  pendingDispatches.add(dispatch);
+  dispatch.finally(function () {
+    pendingDispatches.delete(dispatch);
+  });
+}
+
+async function enqueueDeliveries(eventType, streamEvent, context) {
+  try {
+    const endpoints = await pool.query(
+      `SELECT webhook_id FROM ${process.env.PG_DB_SCHEMA}.webhook_endpoints
+       WHERE active = TRUE
+         AND $1 = ANY(event_types)
+         AND (project_id = $2 OR (project_id IS NULL AND user_id = $3))`,
+      [eventType, context.projectId ?? null, context.userId ?? null]
+    );
+
+    for (const { webhook_id: webhookId } of endpoints.rows) {
+      const deliveryId = nanoid();
+      const body = {
+        id: deliveryId,
+        type: eventType,
+        createdAt: new Date().toISOString(),
+        data: {
+          requestId: context.requestId ?? null,
+          projectId: context.projectId ?? null,
+          userId: context.userId ?? null,
+          jobId: context.jobId ?? null,
+          jobName: context.jobName ?? null,
+          streamId: streamEvent.streamId,
+          sequence: streamEvent.sequence,
+          payload: streamEvent.payload
+        }
+      };
+
+      await pool.query(
+        `INSERT INTO ${process.env.PG_DB_SCHEMA}.webhook_deliveries
+         (delivery_id, webhook_id, event_type, request_id, payload, status, attempts, created_at)
+         VALUES ($1, $2, $3, $4, $5, 'pending', 0, $6)`,
+        [deliveryId, webhookId, eventType, context.requestId ?? null, JSON.stringify(body), now()]
+      );
+
+      // Attempts and backoff come from the processor registry when the worker picks it up;
+      // the delivery log is the record, so finished jobs need not be kept
+      await deliveryQueue.add(WEBHOOK_DELIVERY_JOB_NAME, { deliveryId }, { removeOnComplete: true });
+    }
+  } catch (error) {
+    log.error(`Failed to dispatch ${eventType} webhooks`, error);
+  }
+}
+
+// The delivery log kept in webhook_deliveries, joined to the endpoint it is sent to
+const postgresDeliveryLog = {
+  load: async function (deliveryId) {
+    const result = await pool.query(
+      `SELECT d.delivery_id, d.event_type, d.payload, d.status, e.url, e.secret, e.active
+       FROM ${process.env.PG_DB_SCHEMA}.webhook_deliveries d
+       JOIN ${process.env.PG_DB_SCHEMA}.webhook_endpoints e ON e.webhook_id = d.webhook_id
+       WHERE d.delivery_id = $1`,
+      [deliveryId]
+    );
+    return result.rows[0] ?? null;
+  },
+
+  markSkipped: async function (deliveryId) {
+    await pool.query(
+      `UPDATE ${process.env.PG_DB_SCHEMA}.webhook_deliveries SET status = 'skipped' WHERE delivery_id = $1`,
+      [deliveryId]
+    );
+  },
+
+  recordAttempt: async function (deliveryId, { status, responseStatus, error, attemptedAt, deliveredAt }) {
+    await pool.query(
+      `UPDATE ${process.env.PG_DB_SCHEMA}.webhook_deliveries
+       SET status = $1, attempts = attempts + 1, response_status = $2, last_error = $3,
+           last_attempt_at = $4, delivered_at = $5
+       WHERE delivery_id = $6`,
+      [status, responseStatus, error, attemptedAt, deliveredAt, deliveryId]
+    );
+  }
+};
+
+/**
+ * Attempt one delivery from webhook_deliveries and record the outcome there. Throws to make
+ * BullMQ retry; permanent failures throw UnrecoverableError.
+ *
+ * @param {string} deliveryId - webhook_deliveries row to send
+ * @param {Object} options
+ * @param {boolean} options.finalAttempt - Whether a failure now is the last one
+ * @returns {Promise<Object>} - { status, responseStatus }
+ */
+export async function deliverWebhook(deliveryId, options = {}) {
+  return attemptWebhookDelivery(postgresDeliveryLog, deliveryId, options);
+}
+
+/**
+ * Send a signed `ping` to a webhook right away, outside the queue and the delivery log.
+ *
+ * @returns {Promise<Object>} - { ok, status, error }
+ */
+export async function sendTestWebhook(webhookId) {
+  const result = await pool.query(
+    `SELECT url, secret FROM ${process.env.PG_DB_SCHEMA}.webhook_endpoints
+     WHERE webhook_id = $1 AND active = TRUE`,
+    [webhookId]
+  );
+  const endpoint = result.rows[0];
+  if (!endpoint) {
+    throw new Error(`Webhook ${webhookId} not found`);
+  }
+
+  const deliveryId = `ping_${nanoid()}`;
+  return postWebhook({
+    url: endpoint.url,
+    secret: endpoint.secret,
+    deliveryId,
+    eventType: "ping",
+    body: JSON.stringify({ id: deliveryId, type: "ping", createdAt: new Date().toISOString(), data: { webhookId } })
+  });
+}